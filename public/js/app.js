@@ -4,16 +4,35 @@
 
 import { WebRTCManager } from './webrtc.js';
 import { cryptoManager } from './crypto.js';
+import { createFileSink, registerDownloadWorker, supportsDirectoryPicker, pickDirectory, createDirectoryFileSink } from './download.js';
+import { getDroppedFiles, getRelativePath, hasFolderPaths, sanitizeRelativePath, makeUniquePath, getFolderName } from './folder.js';
+import { ZipStreamWriter } from './zip.js';
+import { createPasswordVerifier, startPasswordHandshake, answerPasswordChallenge } from './srp.js';
+import { ReconnectController } from './reconnect.js';
+import { HttpSignalingSocket } from './signaling.js';
+import { sendDrop, listDrops, downloadDrop, deleteDrop } from './dropbox.js';
+import { FileLink } from './share.js';
 import * as ui from './ui.js';
-import { STORAGE_KEYS, ROOM, DEFAULT_SETTINGS } from './config.js';
+import { APP, STORAGE_KEYS, ROOM, DEFAULT_SETTINGS, RESUME, RELAY, SIGNALING, DROPBOX, LINK, UI } from './config.js';
 import { i18n } from './i18n.js';
 
 class CloudDrop {
   constructor() {
     this.peerId = null;
+    this.resumeToken = null; // From joined - rejoining with it keeps our peer ID after a dropped connection
     this.peers = new Map();
-    this.ws = null;
+    this.ws = null; // WebSocket, or HttpSignalingSocket where WebSockets are blocked
+    this.useHttpSignaling = false;
+    this.wsOpenFailures = 0; // WebSocket attempts in a row that never opened
+    this.wsProbe = null; // Background WebSocket attempt while on HTTP signaling
+    this.wsProbeTimer = null;
     this.webrtc = null;
+    this.reconnect = new ReconnectController({
+      connect: () => this.connectWebSocket(),
+      onStatus: (status, seconds) => ui.updateConnectionStatus(status, seconds)
+    });
+    window.addEventListener('online', () => this.probeWebSocket());
+    this.departedPeers = new Map(); // peerId -> { name, deviceType, leftAt } (for resuming transfers)
     this.selectedPeer = null;
 
     // Try to get saved name from localStorage, otherwise generate new one
@@ -30,19 +49,40 @@ class CloudDrop {
     this.currentChatPeer = null; // Currently viewing chat history
     this.unreadMessages = new Map(); // peerId -> unread count
     this.pendingFileRequest = null; // Current pending file request waiting for user decision
-    this.currentTransfer = null; // Current active transfer { peerId, fileId, fileName, direction }
+    this.currentTransfer = null; // Current active transfer { peerId, fileId, fileName, direction, batchId?, paused? }
+    this.currentBatch = null; // Current multi-file batch { batchId, peerId, direction, files, totalSize, completedBytes }
+    this.currentBroadcast = null; // One file sent to several peers { broadcastId, fileName, recipients, paused }
+    this.selectedPeerIds = null; // Set of peer IDs while multi-selecting (null = not selecting)
     this.pendingImage = null; // Pending image to send { dataUrl, file }
+    this.fileLinks = new Map(); // link ID -> FileLink (served from this page while it is open)
+    this.fileLinkFile = null; // File picked in the download link modal
 
     // Trusted devices - auto-accept files from these devices
     this.trustedDevices = this.loadTrustedDevices();
 
+    // Identity keys seen per device - a different key later means a possible interception
+    this.pinnedIdentities = this.loadPinnedIdentities();
+
+    // Devices whose safety code the user compared - identity fingerprint -> { name, verifiedAt }
+    this.verifiedDevices = this.loadVerifiedDevices();
+    this.verifyingPeerId = null; // Peer shown in the verify modal
+
     // App settings
     this.settings = this.loadSettings();
 
     // Room password state
     this.roomPassword = null; // Room password (plaintext, only in memory)
-    this.roomPasswordHash = null; // Password hash for server verification
+    this.passwordHandshake = null; // SRP state while proving the room password { a, A, M2 }
     this.isSecureRoom = false; // Whether current room is password-protected
+
+    // Room owner state - the owner token is handed out when creating a secure room
+    this.roomOwnerTokens = this.loadRoomOwnerTokens(); // room code -> owner token
+    this.isRoomOwner = false; // Server accepted our owner token for the current room
+    this.roomLocked = false; // Current room refuses new joins
+    this.roomTtl = null; // Idle TTL of the current room (ms, reported by the server)
+
+    // Last rate limit reported by the server { error, retryAfter } - decides how to reconnect
+    this.rateLimit = null;
   }
 
   /**
@@ -119,7 +159,7 @@ class CloudDrop {
 
   /**
    * Load trusted devices from localStorage
-   * Stores device fingerprint (name + deviceType + browserInfo hash)
+   * Keyed by identity key fingerprint (entries from older versions use the name hash until migrated)
    */
   loadTrustedDevices() {
     try {
@@ -144,10 +184,20 @@ class CloudDrop {
   }
 
   /**
-   * Generate a fingerprint for a device (for trust identification)
-   * Uses name + deviceType + browserInfo to create a stable identifier
+   * Get the fingerprint a device is trusted by: the SHA-256 of its identity key
+   * Survives renames and cannot be copied by another device; known after the key exchange
+   * @returns {string|null} Null until the key exchange, or for peers without an identity key
    */
   getDeviceFingerprint(peer) {
+    return peer.identity || null;
+  }
+
+  /**
+   * Hash of name + deviceType + browserInfo
+   * Only used to recognise a device by what it calls itself: identity pinning and
+   * migrating trusted devices saved by older versions - never to grant trust
+   */
+  getNameFingerprint(peer) {
     const str = `${peer.name}|${peer.deviceType}|${peer.browserInfo || ''}`;
     // Simple hash for fingerprint
     let hash = 0;
@@ -163,8 +213,10 @@ class CloudDrop {
    * Check if a device is trusted
    */
   isDeviceTrusted(peer) {
+    // No auto-accept while the device's identity key does not match the pinned one
+    if (peer.identityMismatch) return false;
     const fingerprint = this.getDeviceFingerprint(peer);
-    return this.trustedDevices.has(fingerprint);
+    return !!fingerprint && this.trustedDevices.has(fingerprint);
   }
 
   /**
@@ -172,10 +224,16 @@ class CloudDrop {
    */
   trustDevice(peer) {
     const fingerprint = this.getDeviceFingerprint(peer);
+    if (!fingerprint) {
+      // Older client without an identity key - nothing unforgeable to trust
+      ui.showToast(i18n.t('toast.trustUnavailable', { name: peer.name }), 'warning');
+      return;
+    }
     this.trustedDevices.set(fingerprint, {
       name: peer.name,
       deviceType: peer.deviceType,
       browserInfo: peer.browserInfo,
+      dropKey: peer.dropKey || null, // Lets us leave files for the device while it is offline
       trustedAt: Date.now()
     });
     this.saveTrustedDevices();
@@ -188,11 +246,24 @@ class CloudDrop {
    */
   untrustDevice(peer) {
     const fingerprint = this.getDeviceFingerprint(peer);
+    if (!fingerprint) return;
     this.trustedDevices.delete(fingerprint);
     this.saveTrustedDevices();
     this.updateTrustedBadge(peer.id, false);
   }
 
+  /**
+   * Keep the drop key of a trusted device up to date (devices trusted before drop keys existed get one here)
+   * The key is signed by the identity the entry is stored under, so it is safe to take over as is
+   */
+  updateTrustedDropKey(peer) {
+    const info = peer.identity && this.trustedDevices.get(peer.identity);
+    if (!info || !peer.dropKey || info.dropKey === peer.dropKey) return;
+
+    info.dropKey = peer.dropKey;
+    this.saveTrustedDevices();
+  }
+
   /**
    * Update trusted badge on peer card
    */
@@ -234,6 +305,267 @@ class CloudDrop {
     }
   }
 
+  /**
+   * Handle a trust entry saved by an older version (name hash) once the device's identity key is known
+   * Anyone can copy a device name, so the trust only moves to the key after the user confirms it
+   * or compared the safety code - until then the old entry grants nothing
+   */
+  migrateTrustedDevice(peer) {
+    const legacyFingerprint = this.getNameFingerprint(peer);
+    if (!this.getDeviceFingerprint(peer) || !this.trustedDevices.has(legacyFingerprint)) return;
+
+    if (this.isPeerVerified(peer)) {
+      this.moveTrustedDevice(peer, legacyFingerprint);
+    } else {
+      this.showLegacyTrustPrompt(peer);
+    }
+  }
+
+  /**
+   * Ask whether a device that was trusted by name is the same device now showing an identity key
+   */
+  async showLegacyTrustPrompt(peer) {
+    if (peer.legacyTrustPromptOpen) return;
+    peer.legacyTrustPromptOpen = true;
+
+    const confirmed = await ui.showConfirmDialog({
+      title: i18n.t('identity.legacyTrustTitle'),
+      message: i18n.t('identity.legacyTrustMessage', { name: ui.escapeHtml(peer.name) }),
+      confirmText: i18n.t('settings.keepTrust'),
+      cancelText: i18n.t('identity.keepWarning'),
+      type: 'warning'
+    });
+    peer.legacyTrustPromptOpen = false;
+
+    // The peer may have left, or been verified (which moves the trust) while the dialog was open
+    const legacyFingerprint = this.getNameFingerprint(peer);
+    if (!confirmed || !this.peers.has(peer.id) || !this.trustedDevices.has(legacyFingerprint)) return;
+    this.moveTrustedDevice(peer, legacyFingerprint);
+  }
+
+  /**
+   * Move a legacy trust entry to the device's identity key
+   */
+  moveTrustedDevice(peer, legacyFingerprint) {
+    const fingerprint = this.getDeviceFingerprint(peer);
+    const info = this.trustedDevices.get(legacyFingerprint);
+    this.trustedDevices.delete(legacyFingerprint);
+    if (!this.trustedDevices.has(fingerprint)) {
+      this.trustedDevices.set(fingerprint, { ...info, name: peer.name, dropKey: peer.dropKey || null });
+    }
+    this.saveTrustedDevices();
+    this.updateTrustedBadge(peer.id, this.isDeviceTrusted(peer));
+    console.log(`[App] Migrated trusted device to identity key: ${peer.name}`);
+  }
+
+  /**
+   * Load pinned identity keys from localStorage
+   * Maps device fingerprint -> { identity, name, pinnedAt }
+   */
+  loadPinnedIdentities() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEYS.PINNED_IDENTITIES);
+      return saved ? new Map(JSON.parse(saved)) : new Map();
+    } catch (e) {
+      console.warn('Failed to load pinned identities:', e);
+      return new Map();
+    }
+  }
+
+  /**
+   * Save pinned identity keys to localStorage
+   */
+  savePinnedIdentities() {
+    try {
+      localStorage.setItem(STORAGE_KEYS.PINNED_IDENTITIES,
+        JSON.stringify(Array.from(this.pinnedIdentities.entries())));
+    } catch (e) {
+      console.warn('Failed to save pinned identities:', e);
+    }
+  }
+
+  /**
+   * Pin the identity key a device uses (trust on first use)
+   */
+  pinIdentity(peer, identity) {
+    this.pinnedIdentities.set(this.getNameFingerprint(peer), {
+      identity,
+      name: peer.name,
+      pinnedAt: Date.now()
+    });
+    this.savePinnedIdentities();
+  }
+
+  /**
+   * Check a peer's verified identity key against the one pinned for its device
+   * Called after every key exchange; first contact pins the key
+   */
+  handlePeerIdentity({ peerId, identity, valid, dropKey }) {
+    const peer = this.peers.get(peerId);
+    if (!peer) return;
+
+    if (!valid) {
+      ui.showToast(i18n.t('identity.invalidSignature', { name: peer.name }), 'error', UI.TOAST_DURATION_LONG);
+      return;
+    }
+
+    // Key exchange runs for every offer/answer - only act when something changed
+    if (peer.identity === identity) return;
+    peer.identity = identity;
+    peer.dropKey = dropKey || null;
+    this.updateTrustedDropKey(peer);
+    ui.updatePeerVerifiedBadge(peer.id, this.isPeerVerified(peer));
+
+    const pinned = this.pinnedIdentities.get(this.getNameFingerprint(peer));
+    if (!pinned) {
+      if (identity) this.pinIdentity(peer, identity);
+      this.migrateTrustedDevice(peer);
+      this.updateTrustedBadge(peer.id, this.isDeviceTrusted(peer));
+      return;
+    }
+
+    if (pinned.identity === identity) {
+      this.migrateTrustedDevice(peer);
+      this.setIdentityMismatch(peer, false);
+      return;
+    }
+
+    // A pinned device showed up with a different key, or without one (downgrade)
+    this.setIdentityMismatch(peer, true);
+    this.showIdentityWarning(peer);
+  }
+
+  /**
+   * Ask the user what to do about a device whose identity key changed
+   */
+  async showIdentityWarning(peer) {
+    if (peer.identityWarningOpen) return;
+    peer.identityWarningOpen = true;
+
+    const confirmed = await ui.showConfirmDialog({
+      title: i18n.t('identity.changedTitle'),
+      message: i18n.t(peer.identity ? 'identity.changedMessage' : 'identity.missingMessage', { name: ui.escapeHtml(peer.name) }),
+      confirmText: i18n.t('identity.acceptNewKey'),
+      cancelText: i18n.t('identity.keepWarning'),
+      type: 'danger'
+    });
+    peer.identityWarningOpen = false;
+
+    // The peer may have left while the dialog was open
+    if (!confirmed || !this.peers.has(peer.id)) return;
+
+    if (peer.identity) {
+      this.pinIdentity(peer, peer.identity);
+    } else {
+      // Accepted a device without an identity key - pin again once it sends one
+      this.pinnedIdentities.delete(this.getNameFingerprint(peer));
+      this.savePinnedIdentities();
+    }
+    this.setIdentityMismatch(peer, false);
+  }
+
+  /**
+   * Mark a peer card with (or clear) the identity-changed warning
+   */
+  setIdentityMismatch(peer, mismatch) {
+    peer.identityMismatch = mismatch;
+    this.updateTrustedBadge(peer.id, this.isDeviceTrusted(peer));
+
+    const card = document.querySelector(`[data-peer-id="${peer.id}"]`);
+    if (!card) return;
+
+    const existingBadge = card.querySelector('.peer-identity-warning');
+    if (mismatch && !existingBadge) {
+      const badge = document.createElement('div');
+      badge.className = 'peer-identity-warning';
+      badge.title = i18n.t('identity.changedTitle');
+      badge.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"/><path d="M12 9v4M12 17h.01"/></svg>`;
+
+      // Click to review the warning again
+      badge.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const current = this.peers.get(peer.id);
+        if (current) this.showIdentityWarning(current);
+      });
+
+      card.appendChild(badge);
+    } else if (!mismatch && existingBadge) {
+      existingBadge.remove();
+    }
+  }
+
+  /**
+   * Load verified devices from localStorage
+   */
+  loadVerifiedDevices() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEYS.VERIFIED_DEVICES);
+      return saved ? new Map(JSON.parse(saved)) : new Map();
+    } catch (e) {
+      console.warn('Failed to load verified devices:', e);
+      return new Map();
+    }
+  }
+
+  /**
+   * Save verified devices to localStorage
+   */
+  saveVerifiedDevices() {
+    try {
+      localStorage.setItem(STORAGE_KEYS.VERIFIED_DEVICES,
+        JSON.stringify(Array.from(this.verifiedDevices.entries())));
+    } catch (e) {
+      console.warn('Failed to save verified devices:', e);
+    }
+  }
+
+  /**
+   * Check if the user compared the safety code with this device
+   * Stored per identity key, so a changed key is no longer verified;
+   * peers without an identity key can only be verified for the session
+   */
+  isPeerVerified(peer) {
+    return peer.identity ? this.verifiedDevices.has(peer.identity) : !!peer.sessionVerified;
+  }
+
+  /**
+   * Mark or unmark a peer as verified
+   */
+  setPeerVerified(peer, verified) {
+    if (peer.identity) {
+      if (verified) {
+        this.verifiedDevices.set(peer.identity, { name: peer.name, verifiedAt: Date.now() });
+      } else {
+        this.verifiedDevices.delete(peer.identity);
+      }
+      this.saveVerifiedDevices();
+      // Comparing the safety code also confirms a device trusted by an older version
+      if (verified) this.migrateTrustedDevice(peer);
+    } else {
+      peer.sessionVerified = verified;
+    }
+    ui.updatePeerVerifiedBadge(peer.id, verified);
+  }
+
+  /**
+   * Show the safety code for a peer so both users can compare it
+   */
+  async openVerifyModal(peer) {
+    let code;
+    try {
+      code = await this.webrtc.getSafetyCode(peer.id);
+    } catch (e) {
+      console.error('[App] Could not get safety code:', e);
+    }
+    if (!code) {
+      ui.showToast(i18n.t('verify.unavailable'), 'error');
+      return;
+    }
+
+    this.verifyingPeerId = peer.id;
+    ui.showVerifyModal({ peerName: peer.name, code, verified: this.isPeerVerified(peer) });
+  }
+
   /**
    * Get list of all trusted devices
    */
@@ -266,8 +598,9 @@ class CloudDrop {
    * Create a secure room with password
    * @param {string} roomCode - Room code
    * @param {string} password - Room password (min 6 characters)
+   * @param {number} ttl - How long the room survives after the last device leaves (ms, one of ROOM.EXPIRY_OPTIONS)
    */
-  async createSecureRoom(roomCode, password) {
+  async createSecureRoom(roomCode, password, ttl = ROOM.DEFAULT_EXPIRY) {
     // Validate password
     if (!password || password.length < ROOM.PASSWORD_MIN_LENGTH) {
       ui.showToast(i18n.t('room.passwordMinLength'), 'error');
@@ -281,30 +614,47 @@ class CloudDrop {
     }
 
     try {
-      // Generate password hash for server
-      const passwordHash = await cryptoManager.hashPasswordForServer(password, roomCode);
+      // Only the SRP verifier goes to the server - never the password or anything replayable
+      const { salt, verifier } = await createPasswordVerifier(password, roomCode);
 
       // Set room password on server
       const response = await fetch(`/api/room/set-password?room=${roomCode}`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ passwordHash })
+        body: JSON.stringify({ salt, verifier, ttl })
       });
 
       const result = await response.json();
 
+      if (response.status === 429) {
+        this.showRateLimitToast(result.retryAfter);
+        return false;
+      }
+
+      // Someone is in that room already - only a new room can be made secure
+      if (response.status === 409) {
+        ui.showToast(i18n.t('room.inUse'), 'error');
+        return false;
+      }
+
       if (!result.success) {
         ui.showToast(i18n.t('errors.connectionFailed'), 'error');
         return false;
       }
 
+      // Keep the owner token so this browser can manage the room later
+      if (result.ownerToken) {
+        this.roomOwnerTokens.set(roomCode.toUpperCase(), result.ownerToken);
+        this.saveRoomOwnerTokens();
+      }
+
       // Set room password for client-side encryption
       await cryptoManager.setRoomPassword(password, roomCode);
 
       // Store password info locally
       this.roomPassword = password;
-      this.roomPasswordHash = passwordHash;
       this.isSecureRoom = true;
+      this.roomTtl = result.ttl || ttl;
 
       // Update security badge
       this.updateRoomSecurityBadge();
@@ -327,6 +677,9 @@ class CloudDrop {
     try {
       const response = await fetch(`/api/room/check-password?room=${roomCode}`);
       const result = await response.json();
+      if (response.status === 429) {
+        this.showRateLimitToast(result.retryAfter);
+      }
       return result.hasPassword || false;
     } catch (error) {
       console.error('[App] Failed to check room password:', error);
@@ -349,15 +702,11 @@ class CloudDrop {
     const normalizedRoomCode = roomCode.toUpperCase();
 
     try {
-      // Generate password hash (using normalized room code)
-      const passwordHash = await cryptoManager.hashPasswordForServer(password, normalizedRoomCode);
-
       // Set room password for client-side encryption
       await cryptoManager.setRoomPassword(password, normalizedRoomCode);
 
-      // Store password info
+      // Store password info (proven to the server with the SRP handshake once connected)
       this.roomPassword = password;
-      this.roomPasswordHash = passwordHash;
       this.isSecureRoom = true;
 
       // Update security badge
@@ -377,21 +726,221 @@ class CloudDrop {
    */
   clearRoomPassword() {
     this.roomPassword = null;
-    this.roomPasswordHash = null;
+    this.passwordHandshake = null;
     this.isSecureRoom = false;
     cryptoManager.clearRoomPassword();
     this.updateRoomSecurityBadge();
     console.log('[App] Room password cleared');
   }
 
+  /**
+   * Load room owner tokens from localStorage
+   */
+  loadRoomOwnerTokens() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEYS.ROOM_OWNER_TOKENS);
+      return saved ? new Map(JSON.parse(saved)) : new Map();
+    } catch (e) {
+      console.warn('Failed to load room owner tokens:', e);
+      return new Map();
+    }
+  }
+
+  /**
+   * Save room owner tokens to localStorage
+   */
+  saveRoomOwnerTokens() {
+    try {
+      localStorage.setItem(STORAGE_KEYS.ROOM_OWNER_TOKENS,
+        JSON.stringify(Array.from(this.roomOwnerTokens.entries())));
+    } catch (e) {
+      console.warn('Failed to save room owner tokens:', e);
+    }
+  }
+
+  /**
+   * Send an owner control to the room (the server checks we joined with the owner token)
+   * @param {string} action - 'set-password', 'remove-password', 'kick' or 'lock'
+   * @param {Object} data - Action parameters
+   */
+  sendRoomAdmin(action, data = {}) {
+    if (!this.isRoomOwner || this.ws?.readyState !== WebSocket.OPEN) return false;
+    this.ws.send(JSON.stringify({ type: 'room-admin', data: { action, ...data } }));
+    return true;
+  }
+
+  /**
+   * Change (or set again) the room password
+   * Everyone else is disconnected and has to join with the new password
+   * @param {string} password - New password
+   */
+  async changeRoomPassword(password) {
+    if (!password || password.length < ROOM.PASSWORD_MIN_LENGTH) {
+      ui.showToast(i18n.t('room.passwordMinLength'), 'error');
+      return false;
+    }
+
+    const confirmed = await ui.showConfirmDialog({
+      title: i18n.t('roomOwner.changePasswordTitle'),
+      message: i18n.t('roomOwner.changePasswordMessage'),
+      confirmText: i18n.t('roomOwner.changePassword'),
+      cancelText: i18n.t('common.cancel'),
+      type: 'warning'
+    });
+    if (!confirmed) return false;
+
+    try {
+      const { salt, verifier } = await createPasswordVerifier(password, this.roomCode);
+      if (!this.sendRoomAdmin('set-password', { salt, verifier })) {
+        ui.showToast(i18n.t('roomOwner.actionFailed'), 'error');
+        return false;
+      }
+
+      // Our own socket stays in the room - switch encryption to the new password right away
+      await cryptoManager.setRoomPassword(password, this.roomCode);
+      this.roomPassword = password;
+      this.isSecureRoom = true;
+      this.updateRoomSecurityBadge();
+      ui.showToast(i18n.t('roomOwner.passwordChanged'), 'success');
+      return true;
+    } catch (error) {
+      console.error('[App] Failed to change room password:', error);
+      ui.showToast(i18n.t('roomOwner.actionFailed'), 'error');
+      return false;
+    }
+  }
+
+  /**
+   * Remove the room password (peers are told through room-updated)
+   */
+  async removeRoomPassword() {
+    const confirmed = await ui.showConfirmDialog({
+      title: i18n.t('roomOwner.removePasswordTitle'),
+      message: i18n.t('roomOwner.removePasswordMessage'),
+      confirmText: i18n.t('roomOwner.removePassword'),
+      cancelText: i18n.t('common.cancel'),
+      type: 'danger'
+    });
+    if (!confirmed) return;
+
+    if (!this.sendRoomAdmin('remove-password')) {
+      ui.showToast(i18n.t('roomOwner.actionFailed'), 'error');
+    }
+  }
+
+  /**
+   * Disconnect a peer from the room
+   * @param {string} peerId - Peer to kick
+   */
+  async kickPeer(peerId) {
+    const peer = this.peers.get(peerId);
+    if (!peer) return;
+
+    const confirmed = await ui.showConfirmDialog({
+      title: i18n.t('roomOwner.kickTitle'),
+      message: i18n.t('roomOwner.kickMessage', { name: ui.escapeHtml(peer.name) }),
+      confirmText: i18n.t('roomOwner.kick'),
+      cancelText: i18n.t('common.cancel'),
+      type: 'danger'
+    });
+    if (!confirmed) return;
+
+    if (!this.sendRoomAdmin('kick', { peerId })) {
+      ui.showToast(i18n.t('roomOwner.actionFailed'), 'error');
+    }
+  }
+
+  /**
+   * Lock or unlock the room against new joins
+   * @param {boolean} locked
+   */
+  setRoomLocked(locked) {
+    if (!this.sendRoomAdmin('lock', { locked })) {
+      ui.showToast(i18n.t('roomOwner.actionFailed'), 'error');
+      this.updateRoomOwnerUI();
+    }
+  }
+
+  /**
+   * Apply room settings changed by the owner
+   * @param {Object} data - { hasPassword, locked }
+   */
+  handleRoomUpdated(data) {
+    if (data.locked !== this.roomLocked) {
+      this.roomLocked = !!data.locked;
+      ui.showToast(i18n.t(this.roomLocked ? 'roomOwner.roomLocked' : 'roomOwner.roomUnlocked'), 'info');
+    }
+
+    // Password removed - stop adding the room-level encryption layer
+    if (!data.hasPassword && this.isSecureRoom) {
+      this.clearRoomPassword();
+      ui.showToast(i18n.t('roomOwner.passwordRemoved'), 'warning');
+    }
+
+    this.updateRoomOwnerUI();
+  }
+
+  /**
+   * Show or refresh the owner controls in the settings popover
+   */
+  updateRoomOwnerUI() {
+    const section = document.getElementById('popoverRoomOwnerSection');
+    if (!section) return;
+
+    section.hidden = !this.isRoomOwner;
+    if (!this.isRoomOwner) return;
+
+    const lockToggle = document.getElementById('popoverRoomLocked');
+    if (lockToggle) lockToggle.checked = this.roomLocked;
+
+    const removeBtn = document.getElementById('popoverRoomPasswordRemove');
+    if (removeBtn) removeBtn.disabled = !this.isSecureRoom;
+
+    const container = document.getElementById('popoverRoomPeersList');
+    if (!container) return;
+
+    if (this.peers.size === 0) {
+      container.innerHTML = `<p class="settings-popover-empty" data-i18n="roomOwner.noPeers">${i18n.t('roomOwner.noPeers')}</p>`;
+      return;
+    }
+
+    container.innerHTML = Array.from(this.peers.values()).map(peer => `
+      <div class="trusted-device-item" data-peer-id="${peer.id}">
+        <div class="trusted-device-info">
+          <span class="trusted-device-name">${ui.escapeHtml(peer.name)}</span>
+          <span class="trusted-device-type">${peer.browserInfo || i18n.t('settings.unknownBrowser')}</span>
+        </div>
+        <button class="btn-untrust btn-kick" data-peer-id="${peer.id}" title="${i18n.t('roomOwner.kick')}">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M16 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"/>
+            <circle cx="8.5" cy="7" r="4"/>
+            <path d="M18 8l5 5M23 8l-5 5"/>
+          </svg>
+        </button>
+      </div>
+    `).join('');
+
+    container.querySelectorAll('.btn-kick').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.kickPeer(btn.dataset.peerId);
+      });
+    });
+  }
+
   async init() {
     // Initialize i18n first
     await i18n.init({ defaultLocale: 'zh' });
 
+    // Closing the tab is a real leave - peers should not wait for us to resume
+    window.addEventListener('pagehide', () => this.sendLeave());
+
     // Setup language switcher early so it's available during connection
     this.setupLanguageSwitcher();
 
     await cryptoManager.generateKeyPair();
+    // Register download service worker early so streaming downloads are ready when files arrive
+    registerDownloadWorker();
     // Check URL for room code - only use explicit room parameter
     // If no room param, let server assign room based on IP
     const params = new URLSearchParams(location.search);
@@ -650,12 +1199,15 @@ class CloudDrop {
     // Close existing WebSocket connection
     if (this.ws) {
       this.ws.onclose = null; // Prevent auto-reconnect
+      this.sendLeave();
       this.ws.close();
     }
+    this.resumeToken = null;
 
     // Clear peers
     this.peers.clear();
     ui.clearPeersGrid(document.getElementById('peersGrid'));
+    this.updatePeersToolbar();
     this.webrtc?.closeAll();
 
     // Update room code
@@ -673,48 +1225,52 @@ class CloudDrop {
   }
 
   connectWebSocket() {
+    // Connecting by hand (room switch, password entered) replaces any planned retry
+    this.reconnect.cancel();
+
     const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
     // If roomCode is set, use it; otherwise let server assign based on IP
-    let wsUrl = this.roomCode
-      ? `${protocol}//${location.host}/ws?room=${this.roomCode}`
-      : `${protocol}//${location.host}/ws`;
+    // Secure rooms prove the password over the socket (SRP) - nothing password-related goes in the URL
+    const query = this.roomCode ? `?room=${this.roomCode}` : '';
 
-    // For WebSocket connections, we can't use custom headers directly,
-    // but we can pass auth info via subprotocol or upgrade request modifications
-    // Cloudflare Workers can access request headers during upgrade
-    // We'll use a custom header through fetch API upgrade mechanism
-
-    // Create connection with password hash if available
-    if (this.isSecureRoom && this.roomPasswordHash) {
-      // Note: Browser WebSocket doesn't support custom headers directly
-      // But Cloudflare Workers can intercept the upgrade request
-      // We pass the password hash through a query parameter (over WSS it's encrypted)
-      wsUrl += `${this.roomCode ? '&' : '?'}passwordHash=${encodeURIComponent(this.roomPasswordHash)}`;
-    }
-
-    this.ws = new WebSocket(wsUrl);
+    // Same room and messages either way - only the transport differs
+    this.ws = this.useHttpSignaling
+      ? new HttpSignalingSocket(`${location.protocol}//${location.host}/sse${query}`)
+      : new WebSocket(`${protocol}//${location.host}/ws${query}`);
+    this.ws.binaryType = 'arraybuffer'; // Binary messages are relay chunk frames
+    let opened = false;
 
     this.ws.onopen = () => {
+      opened = true;
+      this.wsOpenFailures = 0;
       ui.updateConnectionStatus('connected');
 
-      // Clear existing peers on reconnect to avoid duplicates
-      this.peers.clear();
-      ui.clearPeersGrid(document.getElementById('peersGrid'));
-      this.webrtc?.closeAll(); // Also close stale WebRTC connections
-
-      this.ws.send(JSON.stringify({
-        type: 'join',
-        data: {
-          name: this.deviceName,
-          deviceType: this.deviceType,
-          browserInfo: this.browserInfo
-        }
-      }));
+      // Known peers are kept until joined tells whether our session was resumed
+      if (this.isSecureRoom) {
+        this.startPasswordHandshake();
+      } else {
+        this.sendJoin();
+      }
     };
 
     this.ws.onmessage = (e) => {
-      const message = JSON.parse(e.data);
-
+      if (typeof e.data !== 'string') {
+        this.webrtc?.handleRelayFrame(e.data);
+        return;
+      }
+
+      const message = JSON.parse(e.data);
+
+      // Room password handshake (secure rooms, before join)
+      if (message.type === 'auth-challenge') {
+        this.answerPasswordChallenge(message.data);
+        return;
+      }
+      if (message.type === 'auth-ok') {
+        this.finishPasswordHandshake(message.data);
+        return;
+      }
+
       // Handle password error messages
       if (message.type === 'error') {
         if (message.error === 'PASSWORD_REQUIRED' || message.error === 'PASSWORD_INCORRECT') {
@@ -723,6 +1279,48 @@ class CloudDrop {
           // WebSocket will be closed by server, onclose handler will show join modal
           return;
         }
+        if (message.error === 'PASSWORD_NOT_REQUIRED') {
+          // Password was removed while we were away
+          this.clearRoomPassword();
+          this.sendJoin();
+          return;
+        }
+        if (message.error === 'ROOM_LOCKED' || message.error === 'ROOM_OUTDATED') {
+          // WebSocket will be closed by server, onclose handler shows the toast
+          return;
+        }
+        if (message.error === 'NOT_OWNER' || message.error === 'INVALID_REQUEST') {
+          ui.showToast(i18n.t('roomOwner.actionFailed'), 'error');
+          return;
+        }
+        if (message.error === 'RATE_LIMITED' || message.error === 'TOO_MANY_ATTEMPTS') {
+          this.rateLimit = { error: message.error, retryAfter: message.retryAfter || 0 };
+          this.showRateLimitToast(message.retryAfter, message.error === 'TOO_MANY_ATTEMPTS'
+            ? 'errors.tooManyPasswordAttempts'
+            : 'errors.rateLimited');
+          return;
+        }
+        if (message.error === 'MESSAGE_TOO_LARGE') {
+          ui.showToast(i18n.t('errors.messageTooLarge'), 'error');
+          return;
+        }
+        if (message.error === 'PEER_NOT_FOUND') {
+          // A reconnecting peer is not reachable until it is back - wait for peer-resumed or peer-left
+          if (this.peers.get(message.to)?.reconnecting) return;
+          // We missed the peer-left - drop the stale device
+          console.warn('[Signaling] Peer gone:', message.to, message.messageType);
+          if (this.peers.has(message.to)) {
+            this.removePeer(message.to);
+          }
+          return;
+        }
+        if (message.error === 'INVALID_NAME') {
+          ui.showToast(i18n.t('errors.invalidName'), 'error');
+          return;
+        }
+        // Protocol errors (INVALID_MESSAGE, UNKNOWN_TYPE, NOT_JOINED, ...) point at a client bug
+        console.warn('[Signaling] Server error:', message.error, message.message);
+        return;
       }
 
       this.handleSignaling(message);
@@ -742,8 +1340,64 @@ class CloudDrop {
         return;
       }
 
-      ui.updateConnectionStatus('disconnected');
-      setTimeout(() => this.connectWebSocket(), 3000);
+      // Removed by the room owner (4003 = kicked, 4004 = room locked) or a password room from an older
+      // version that has to be created again (4007) - don't auto-reconnect
+      if (event.code === 4003 || event.code === 4004 || event.code === 4007) {
+        const toastKey = { 4003: 'roomOwner.kicked', 4004: 'roomOwner.lockedOut', 4007: 'room.outdated' }[event.code];
+        ui.updateConnectionStatus('disconnected');
+        ui.showToast(i18n.t(toastKey), 'error', UI.TOAST_DURATION_LONG);
+        this.isRoomOwner = false;
+        this.peers.clear();
+        ui.clearPeersGrid(document.getElementById('peersGrid'));
+        this.updatePeersToolbar();
+        this.updateRoomOwnerUI();
+        this.webrtc?.closeAll();
+        return;
+      }
+
+      // Rate limited (4029) - wait as long as the server asked before trying again
+      if (event.code === 4029) {
+        const rateLimit = this.rateLimit;
+        this.rateLimit = null;
+        ui.updateConnectionStatus('disconnected');
+
+        // Locked out after wrong passwords - let the user retry by hand
+        if (rateLimit?.error === 'TOO_MANY_ATTEMPTS') {
+          this.clearRoomPassword();
+          if (this.roomCode) {
+            ui.showJoinRoomModal(this.roomCode, true);
+          }
+          return;
+        }
+
+        this.reconnect.schedule(rateLimit?.retryAfter || 0);
+        return;
+      }
+
+      // Owner changed the password - ask for the new one
+      if (event.code === 4005) {
+        ui.updateConnectionStatus('disconnected');
+        ui.showToast(i18n.t('roomOwner.passwordChangedByOwner'), 'warning', UI.TOAST_DURATION_LONG);
+        this.clearRoomPassword();
+        if (this.roomCode) {
+          ui.showJoinRoomModal(this.roomCode, true);
+        }
+        return;
+      }
+
+      // The WebSocket keeps failing to open while we are online - assume the network blocks
+      // WebSockets and use HTTP signaling until a background attempt gets through
+      if (!opened && !this.useHttpSignaling && navigator.onLine &&
+          ++this.wsOpenFailures >= SIGNALING.WS_FAILURES_BEFORE_HTTP) {
+        console.warn('[Signaling] WebSocket unavailable, switching to HTTP signaling');
+        this.useHttpSignaling = true;
+        this.scheduleWebSocketProbe();
+        this.connectWebSocket();
+        return;
+      }
+
+      // Retry with backoff (shown as "reconnecting in Ns"); our peer ID survives via the resume token
+      this.reconnect.schedule();
     };
 
     this.ws.onerror = (event) => {
@@ -751,8 +1405,166 @@ class CloudDrop {
       ui.updateConnectionStatus('disconnected');
     };
 
+    // WebRTC manager outlives the socket so interrupted transfers can resume after reconnect
+    if (!this.webrtc) {
+      this.setupWebRTC();
+    }
+  }
+
+  /**
+   * Try a WebSocket again after SIGNALING.WS_RETRY_INTERVAL (while on HTTP signaling)
+   */
+  scheduleWebSocketProbe() {
+    clearTimeout(this.wsProbeTimer);
+    this.wsProbeTimer = setTimeout(() => this.probeWebSocket(), SIGNALING.WS_RETRY_INTERVAL);
+  }
+
+  /**
+   * Check whether WebSockets get through again (e.g. after leaving a restrictive network)
+   * The probe is closed as soon as it opens; signaling then moves back to a WebSocket
+   */
+  probeWebSocket() {
+    clearTimeout(this.wsProbeTimer);
+    this.wsProbeTimer = null;
+    if (!this.useHttpSignaling || this.wsProbe) return;
+
+    const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const query = this.roomCode ? `?room=${this.roomCode}` : '';
+    const probe = new WebSocket(`${protocol}//${location.host}/ws${query}`);
+    this.wsProbe = probe;
+
+    probe.onopen = () => {
+      probe.onclose = null;
+      probe.close();
+      this.wsProbe = null;
+      this.leaveHttpSignaling();
+    };
+    probe.onclose = () => {
+      this.wsProbe = null;
+      if (this.useHttpSignaling) this.scheduleWebSocketProbe();
+    };
+  }
+
+  /**
+   * Move signaling from HTTP back to a WebSocket
+   * Our peer ID survives the switch via the resume token, like after any reconnect
+   */
+  leaveHttpSignaling() {
+    if (!this.useHttpSignaling) return;
+
+    // Relay chunks still queued for POSTing would be lost - try again once transfers are done
+    if (this.webrtc?.activeTransfers.size > 0) {
+      this.scheduleWebSocketProbe();
+      return;
+    }
+
+    console.log('[Signaling] WebSocket reachable again, leaving HTTP signaling');
+    this.useHttpSignaling = false;
+    this.wsOpenFailures = 0;
+
+    // While the HTTP session is down a planned retry connects over WebSocket by itself
+    if (this.ws && this.ws.readyState !== WebSocket.CLOSED) {
+      const httpSocket = this.ws;
+      httpSocket.onopen = httpSocket.onmessage = httpSocket.onclose = httpSocket.onerror = null;
+      httpSocket.close();
+      this.connectWebSocket();
+    }
+  }
+
+  /**
+   * Tell the user the server is throttling us
+   * @param {number} retryAfter - Wait reported by the server (ms)
+   * @param {string} key - Message key (gets the wait in seconds as {{seconds}})
+   */
+  showRateLimitToast(retryAfter, key = 'errors.rateLimited') {
+    const seconds = Math.max(1, Math.ceil((retryAfter || 0) / 1000));
+    ui.showToast(i18n.t(key, { seconds }), 'warning', UI.TOAST_DURATION_LONG);
+  }
+
+  /**
+   * Announce this device to the room
+   */
+  sendJoin() {
+    this.ws.send(JSON.stringify({
+      type: 'join',
+      data: {
+        name: this.deviceName,
+        deviceType: this.deviceType,
+        browserInfo: this.browserInfo,
+        capabilities: [RELAY.BINARY_CAPABILITY],
+        ownerToken: this.roomCode ? this.roomOwnerTokens.get(this.roomCode) : undefined,
+        resumeToken: this.resumeToken || undefined
+      }
+    }));
+  }
+
+  /**
+   * Tell the room we are leaving on purpose, so others drop us at once instead of waiting for a resume
+   */
+  sendLeave() {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify({ type: 'leave' }));
+    }
+  }
+
+  /**
+   * SRP step 1: send our public value A
+   */
+  startPasswordHandshake() {
+    const { a, A } = startPasswordHandshake();
+    this.passwordHandshake = { a, A, M2: null };
+    this.ws.send(JSON.stringify({ type: 'auth-init', data: { A } }));
+  }
+
+  /**
+   * SRP step 2: answer the room's challenge with our proof M1
+   */
+  async answerPasswordChallenge(data) {
+    const handshake = this.passwordHandshake;
+    if (!handshake || !this.roomPassword) return;
+
+    try {
+      const { M1, M2 } = await answerPasswordChallenge({
+        password: this.roomPassword,
+        roomCode: this.roomCode,
+        a: handshake.a,
+        A: handshake.A,
+        salt: data.salt,
+        B: data.B
+      });
+      handshake.M2 = M2;
+      this.ws.send(JSON.stringify({ type: 'auth-proof', data: { M1 } }));
+    } catch (error) {
+      console.error('[App] Password handshake failed:', error);
+      this.ws.close();
+    }
+  }
+
+  /**
+   * SRP step 3: check the room's proof M2 (it holds the real verifier), then join
+   */
+  finishPasswordHandshake(data) {
+    const handshake = this.passwordHandshake;
+    this.passwordHandshake = null;
+
+    if (!handshake?.M2 || data?.M2 !== handshake.M2) {
+      console.error('[App] Room could not prove it knows the password verifier');
+      ui.showToast(i18n.t('errors.connectionFailed'), 'error');
+      this.ws.close();
+      return;
+    }
+
+    this.sendJoin();
+  }
+
+  /**
+   * Create the WebRTC manager and wire its callbacks (once per page)
+   */
+  setupWebRTC() {
     this.webrtc = new WebRTCManager({
-      send: (msg) => this.ws.readyState === WebSocket.OPEN && this.ws.send(JSON.stringify(msg))
+      send: (msg) => this.ws.readyState === WebSocket.OPEN && this.ws.send(JSON.stringify(msg)),
+      sendBinary: (buffer) => this.ws.readyState === WebSocket.OPEN && this.ws.send(buffer),
+      isOpen: () => this.ws?.readyState === WebSocket.OPEN
     });
 
     // 应用用户设置到 WebRTC
@@ -763,10 +1575,21 @@ class CloudDrop {
 
       // Update modal title to show actual transfer (in case it was "waiting for confirmation")
       const modalTitle = document.getElementById('modalTitle');
-      if (modalTitle && modalTitle.textContent === i18n.t('transfer.waitingConfirm')) {
+      if (modalTitle && (modalTitle.textContent === i18n.t('transfer.waitingConfirm') ||
+          modalTitle.textContent === i18n.t('transfer.corruptedWaiting'))) {
         modalTitle.textContent = i18n.t('transfer.sending');
       }
 
+      if (this.getBatchFileIndex(p.fileId) !== -1) {
+        this.updateBatchProgress(p, isRelayMode ? 'relay' : 'p2p');
+        return;
+      }
+
+      if (this.getBroadcastRecipientIndex(p.fileId) !== -1) {
+        this.updateBroadcastProgress(p, isRelayMode ? 'relay' : 'p2p');
+        return;
+      }
+
       ui.updateTransferProgress({
         fileName: p.fileName,
         fileSize: p.fileSize,
@@ -776,11 +1599,20 @@ class CloudDrop {
       });
     };
 
-    this.webrtc.onFileReceived = (peerId, name, blob) => {
+    this.webrtc.onFileReceived = (peerId, name, result, fileId) => {
+      // Part of a batch - mark it done and keep the transfer modal open for the rest
+      const batchIndex = this.getBatchFileIndex(fileId);
+      if (batchIndex !== -1) {
+        if (result.blob) this.currentBatch.unsaved.push({ name, blob: result.blob });
+        this.setBatchFileStatus(batchIndex, 'done');
+        this.finishReceivingBatchIfComplete();
+        return;
+      }
+
       ui.hideModal('transferModal');
 
-      // Show download modal instead of auto-download (better mobile support)
-      this.showFileDownloadModal(name, blob);
+      // File is already on disk - show where it went (or a save button for in-memory fallback)
+      this.showFileDownloadModal(name, result);
       this.currentTransfer = null;
     };
 
@@ -789,8 +1621,16 @@ class CloudDrop {
     this.webrtc.onFileRequest = (peerId, info) => {
       // For P2P data channel messages (file-start), if we haven't confirmed yet
       // This is for backward compatibility - normally requests go through signaling
-      const transfer = this.webrtc.incomingTransfers.get(peerId);
-      if (transfer && transfer.confirmed) {
+      const transfer = this.webrtc.incomingTransfers.get(info.fileId);
+      if (transfer && transfer.batchId) {
+        // Next file of an accepted batch is starting
+        const batchIndex = this.getBatchFileIndex(info.fileId);
+        if (batchIndex !== -1) {
+          this.currentTransfer.fileId = info.fileId;
+          this.setBatchFileStatus(batchIndex, 'active');
+          if (this.currentTransfer.paused) this.webrtc.setTransferPaused(info.fileId, peerId, true);
+        }
+      } else if (transfer && transfer.confirmed) {
         // Already confirmed via signaling, just update progress modal
         const isRelayMode = this.webrtc.relayMode.get(peerId) || false;
         ui.showReceivingModal(info.name, info.size, isRelayMode ? 'relay' : 'p2p');
@@ -853,17 +1693,92 @@ class CloudDrop {
     };
 
     // Transfer start callback (for tracking fileId)
-    this.webrtc.onTransferStart = ({ peerId, fileId, fileName, direction }) => {
-      this.currentTransfer = { peerId, fileId, fileName, direction };
+    this.webrtc.onTransferStart = ({ peerId, fileId, fileName, direction, batchId }) => {
+      // The next file of a paused batch starts paused too
+      const paused = Boolean(batchId && this.currentTransfer?.batchId === batchId && this.currentTransfer.paused);
+      this.currentTransfer = { peerId, fileId, fileName, direction, batchId, paused };
+      if (paused) this.webrtc.setTransferPaused(fileId, peerId, true);
+    };
+
+    // Per-file status of an outgoing batch
+    this.webrtc.onBatchUpdate = ({ batchId, index, fileId, status }) => {
+      if (!this.currentBatch || this.currentBatch.direction !== 'send') return;
+      this.currentBatch.batchId = batchId;
+      this.currentBatch.files[index].fileId = fileId;
+      if (status !== 'pending') {
+        this.setBatchFileStatus(index, status);
+      } else if (!this.currentTransfer) {
+        // Allow cancelling while the recipient is still deciding
+        this.currentTransfer = {
+          peerId: this.currentBatch.peerId,
+          fileId: null,
+          fileName: this.currentBatch.displayName,
+          direction: 'send',
+          batchId
+        };
+      }
+    };
+
+    // Per-recipient status of a file sent to several peers
+    this.webrtc.onBroadcastUpdate = ({ broadcastId, index, peerId, fileId, status }) => {
+      const recipient = this.currentBroadcast?.recipients[index];
+      if (!recipient) return;
+
+      this.currentBroadcast.broadcastId = broadcastId;
+      Object.assign(recipient, { peerId, fileId, status });
+      // Accepted while the whole send is paused
+      if (status === 'active' && this.currentBroadcast.paused) {
+        recipient.status = 'paused';
+        this.webrtc.setTransferPaused(fileId, peerId, true);
+      }
+      if (status === 'done') recipient.percent = 100;
+      ui.updateTransferRecipient(index, recipient);
+    };
+
+    // A peer's session key was checked against its identity key
+    this.webrtc.onPeerIdentity = (info) => this.handlePeerIdentity(info);
+
+    // The other side paused or resumed
+    this.webrtc.onTransferPaused = ({ peerId, fileId, paused }) => {
+      const recipientIndex = this.getBroadcastRecipientIndex(fileId);
+      if (recipientIndex !== -1) {
+        const recipient = this.currentBroadcast.recipients[recipientIndex];
+        recipient.status = paused ? 'paused' : 'active';
+        ui.updateTransferRecipient(recipientIndex, recipient);
+        return;
+      }
+
+      if (this.currentTransfer?.fileId !== fileId) return;
+      this.currentTransfer.paused = paused;
+      ui.setTransferPaused(paused, {
+        direction: this.currentTransfer.direction,
+        peerName: this.peers.get(peerId)?.name || i18n.t('deviceTypes.unknown')
+      });
     };
 
     // Transfer cancelled callback
     this.webrtc.onTransferCancelled = (peerId, fileId, reason) => {
       const peer = this.peers.get(peerId);
+
+      // One recipient of a multi-peer send cancelled - the others carry on
+      if (this.getBroadcastRecipientIndex(fileId) !== -1) return;
+
+      // Sender cancelled a request we have not answered yet
+      if ((this.pendingFileRequest?.batchId || this.pendingFileRequest?.fileId === fileId) &&
+          this.pendingFileRequest.peerId === peerId) {
+        ui.hideModal('receiveModal');
+        this.pendingFileRequest = null;
+      }
+
       ui.hideModal('transferModal');
+      ui.hideTransferFileList();
+      this.currentBatch?.zip?.abort();
+      this.currentBatch = null;
 
       if (reason === 'user') {
         ui.showToast(i18n.t('transfer.transferCancelled'), 'warning');
+      } else if (reason === 'error') {
+        ui.showToast(i18n.t('transfer.saveFailed'), 'error');
       } else {
         ui.showToast(i18n.t('transfer.transferCancelled'), 'info');
       }
@@ -871,6 +1786,49 @@ class CloudDrop {
       this.currentTransfer = null;
     };
 
+    // Transfer interrupted by a connection drop - keep the modal open while waiting to resume
+    this.webrtc.onTransferSuspended = ({ fileId }) => {
+      if (this.currentTransfer?.fileId !== fileId) return;
+      document.getElementById('modalTitle').textContent = i18n.t('transfer.interrupted');
+    };
+
+    // Interrupted transfer continues (peer may have a new ID after reconnecting)
+    this.webrtc.onTransferResumed = ({ peerId, fileId, direction }) => {
+      if (this.currentTransfer?.fileId !== fileId) return;
+      this.currentTransfer.peerId = peerId;
+      if (this.currentTransfer.paused) {
+        ui.setTransferPaused(true, { direction });
+      } else {
+        document.getElementById('modalTitle').textContent =
+          i18n.t(direction === 'send' ? 'transfer.sending' : 'transfer.receiving');
+      }
+    };
+
+    // Received file failed its checksum - offer a retry instead of saving it
+    this.webrtc.onTransferCorrupted = ({ peerId, fileId, fileName, direction }) => {
+      const batchIndex = this.getBatchFileIndex(fileId);
+      if (batchIndex !== -1) this.setBatchFileStatus(batchIndex, 'corrupted');
+
+      const recipientIndex = this.getBroadcastRecipientIndex(fileId);
+      if (recipientIndex !== -1) {
+        const recipient = this.currentBroadcast.recipients[recipientIndex];
+        recipient.status = 'corrupted';
+        ui.updateTransferRecipient(recipientIndex, recipient);
+        return;
+      }
+
+      if (direction === 'send') {
+        document.getElementById('modalTitle').textContent = i18n.t('transfer.corruptedWaiting');
+        return;
+      }
+
+      if (this.currentTransfer) {
+        this.currentTransfer.peerId = peerId;
+        this.currentTransfer.fileId = fileId;
+      }
+      ui.showTransferCorrupted(fileName);
+    };
+
     // Connection state change handler
     this.webrtc.onConnectionStateChange = ({ peerId, status, message }) => {
       const toastId = `connection-${peerId}`;
@@ -908,8 +1866,25 @@ class CloudDrop {
     console.log('[Signaling] Received:', msg.type, msg);
     switch (msg.type) {
       case 'joined':
+        if (msg.resumed && msg.peerId === this.peerId) {
+          // Same session as before the drop - keep peers, chats and transfers, only catch up on changes
+          this.syncPeers(msg.peers || []);
+        } else {
+          // New session: clear existing peers to avoid duplicates
+          // (remembered so interrupted transfers can find them again under new IDs)
+          for (const peer of this.peers.values()) this.rememberDepartedPeer(peer);
+          this.peers.clear();
+          ui.clearPeersGrid(document.getElementById('peersGrid'));
+          this.updatePeersToolbar();
+          this.webrtc?.closeAll(); // Also close stale WebRTC connections
+          msg.peers?.forEach(p => this.addPeer(p));
+          this.checkDropBox();
+        }
+        this.resumeToken = msg.resumeToken || null;
+        this.reconnect.reset();
+
         this.peerId = msg.peerId;
-        console.log('[Signaling] My peer ID:', this.peerId);
+        console.log('[Signaling] My peer ID:', this.peerId, msg.resumed ? '(resumed)' : '');
         // Set peer ID for Perfect Negotiation pattern
         this.webrtc.setMyPeerId(this.peerId);
         // Update room code from server if auto-assigned
@@ -918,7 +1893,12 @@ class CloudDrop {
           this.updateRoomDisplay();
           console.log('[Signaling] Room code:', this.roomCode);
         }
-        msg.peers?.forEach(p => this.addPeer(p));
+
+        this.isRoomOwner = !!msg.owner;
+        this.roomLocked = !!msg.locked;
+        this.roomTtl = msg.ttl || null;
+        this.updateRoomOwnerUI();
+        this.updateRoomSecurityBadge();
 
         // Show room info hint if no peers (help users understand they need to share room code)
         if (!msg.peers || msg.peers.length === 0) {
@@ -939,6 +1919,15 @@ class CloudDrop {
       case 'peer-left':
         this.removePeer(msg.data.id);
         break;
+      case 'peer-reconnecting':
+        this.setPeerReconnecting(msg.data.id, true);
+        break;
+      case 'peer-resumed':
+        this.handlePeerResumed(msg.data);
+        break;
+      case 'room-updated':
+        this.handleRoomUpdated(msg.data);
+        break;
       case 'offer':
         this.webrtc.handleOffer(msg.from, msg.data);
         break;
@@ -958,32 +1947,60 @@ class CloudDrop {
         this.handleNameChanged(msg.from, msg.data.name);
         break;
       case 'file-request':
-        this.handleFileRequest(msg.from, msg.data);
+      case 'file-batch-request':
+        // Request details are end-to-end encrypted - the server only routes them
+        this.webrtc.openSignalingData(msg.from, msg.data)
+          .then((data) => this.handleFileRequest(msg.from, data))
+          .catch((error) => console.error('[App] Could not decrypt file request:', error));
         break;
       case 'file-response':
         this.webrtc.handleFileResponse(msg.from, msg.data);
         break;
+      case 'file-batch-response':
+        this.webrtc.handleFileBatchResponse(msg.from, msg.data);
+        break;
       case 'file-cancel':
         this.webrtc.handleFileCancel(msg.from, msg.data);
         break;
+      case 'file-pause':
+      case 'file-continue':
+        this.webrtc.handleFilePause(msg.from, msg.data, msg.type === 'file-pause');
+        break;
+      case 'file-resume':
+        this.webrtc.handleFileResume(msg.from, msg.data);
+        break;
+      case 'file-resume-response':
+        this.webrtc.handleFileResumeResponse(msg.from, msg.data);
+        break;
+      case 'file-verify':
+        this.webrtc.handleFileVerify(msg.from, msg.data);
+        break;
+      case 'file-retry':
+        this.webrtc.handleFileRetry(msg.from, msg.data);
+        break;
     }
   }
 
   /**
    * Handle incoming file request - show confirmation dialog or auto-accept if trusted
+   * Batch requests (file-batch-request) carry a manifest in data.files
    */
   handleFileRequest(peerId, data) {
     const peer = this.peers.get(peerId);
     const isRelayMode = data.transferMode === 'relay';
+    const isBatch = Array.isArray(data.files);
+    const displayName = isBatch ? this.getBatchDisplayName(data.files) : data.name;
 
     // Store pending request info
-    this.pendingFileRequest = { peerId, fileId: data.fileId, data };
+    this.pendingFileRequest = isBatch
+      ? { peerId, batchId: data.batchId, data }
+      : { peerId, fileId: data.fileId, data };
 
     // Check if this device is trusted - auto-accept if so
     if (peer && this.isDeviceTrusted(peer)) {
       console.log(`[App] Auto-accepting file from trusted device: ${peer.name}`);
-      ui.showToast(i18n.t('toast.autoAccepting', { name: peer.name, file: data.name }), 'info');
-      this.acceptFileRequest();
+      ui.showToast(i18n.t('toast.autoAccepting', { name: peer.name, file: displayName }), 'info');
+      this.acceptFileRequest({ interactive: false });
       return;
     }
 
@@ -992,9 +2009,10 @@ class CloudDrop {
       senderName: peer?.name || i18n.t('deviceTypes.unknown'),
       senderDeviceType: peer?.deviceType || 'desktop',
       senderBrowserInfo: peer?.browserInfo,
-      fileName: data.name,
-      fileSize: data.size,
-      mode: isRelayMode ? 'relay' : 'p2p'
+      fileName: displayName,
+      fileSize: isBatch ? data.totalSize : data.size,
+      mode: isRelayMode ? 'relay' : 'p2p',
+      files: isBatch ? data.files : null
     });
 
     // Trigger notification (vibration)
@@ -1005,7 +2023,7 @@ class CloudDrop {
       ui.showBrowserNotification({
         type: 'file',
         senderName: peer?.name || i18n.t('deviceTypes.unknown'),
-        fileName: data.name
+        fileName: displayName
       });
     }
 
@@ -1015,11 +2033,52 @@ class CloudDrop {
 
   /**
    * Accept the pending file request
+   * Opens the destination file first so chunks can be streamed straight to disk
+   * @param {Object} options
+   * @param {boolean} options.interactive - Called from a user click (allows the save picker)
    */
-  acceptFileRequest() {
+  async acceptFileRequest({ interactive = true } = {}) {
     if (!this.pendingFileRequest) return;
 
-    const { peerId, fileId, data } = this.pendingFileRequest;
+    const request = this.pendingFileRequest;
+    if (request.batchId) {
+      // Trusted auto-accept takes every file; otherwise only the checked ones
+      const fileIds = interactive
+        ? ui.getSelectedReceiveFiles()
+        : request.data.files.map(f => f.fileId);
+      await this.acceptFileBatch(request, fileIds, { interactive });
+      return;
+    }
+
+    const { peerId, fileId, data } = request;
+    const fileMeta = {
+      name: data.name,
+      size: data.size,
+      mimeType: data.mimeType || 'application/octet-stream'
+    };
+
+    // Pick the destination before accepting - must run inside the click gesture
+    let sink;
+    if (interactive) {
+      try {
+        sink = await createFileSink(fileMeta, { interactive: true });
+      } catch (error) {
+        // Save dialog dismissed - treat as decline
+        if (this.pendingFileRequest === request) {
+          this.declineFileRequest();
+        }
+        return;
+      }
+    } else {
+      // No user gesture - stream to the browser's downloads folder
+      sink = await createFileSink(fileMeta);
+    }
+
+    // Request may have been cancelled by the sender while the sink was being set up (e.g. picker open)
+    if (this.pendingFileRequest !== request) {
+      sink.abort();
+      return;
+    }
 
     // Send acceptance
     this.webrtc.respondToFileRequest(peerId, fileId, true);
@@ -1038,13 +2097,13 @@ class CloudDrop {
     ui.showReceivingModal(data.name, data.size, isRelayMode ? 'relay' : 'p2p');
 
     // Initialize transfer state for receiving
-    this.webrtc.incomingTransfers.set(peerId, {
+    this.webrtc.incomingTransfers.set(fileId, {
       fileId: fileId,
-      name: data.name,
-      size: data.size,
-      mimeType: data.mimeType || 'application/octet-stream', // Save MIME type
+      peerId,
+      ...fileMeta,
       totalChunks: data.totalChunks,
-      chunks: [],
+      sink, // Destination for streamed chunks (see download.js)
+      receivedIndices: new Set(), // Received chunk bitmap (for resuming)
       received: 0,
       startTime: Date.now(),
       confirmed: true
@@ -1053,16 +2112,245 @@ class CloudDrop {
     this.pendingFileRequest = null;
   }
 
+  /**
+   * Accept some or all files of a pending batch request
+   * Files are streamed to the browser's downloads (one save dialog per file would be unusable).
+   * Folders are recreated in a directory the user picks, or packed into a ZIP download.
+   * @param {Object} request - Pending batch request
+   * @param {string[]} fileIds - Selected fileIds
+   * @param {Object} options
+   * @param {boolean} options.interactive - Called from a user gesture (allows the directory picker)
+   */
+  async acceptFileBatch(request, fileIds, { interactive = true } = {}) {
+    if (fileIds.length === 0) {
+      this.declineFileRequest();
+      return;
+    }
+
+    const { peerId, batchId, data } = request;
+    const selected = new Set(fileIds);
+    const selectedFiles = data.files.filter(f => selected.has(f.fileId));
+    const isFolder = hasFolderPaths(data.files);
+
+    // Decide where folder contents go before accepting
+    let directory = null;
+    let zip = null;
+    if (isFolder) {
+      if (interactive && supportsDirectoryPicker()) {
+        try {
+          directory = await pickDirectory();
+        } catch (error) {
+          // User dismissed the picker - treat as decline
+          if (error.name === 'AbortError') {
+            if (this.pendingFileRequest === request) this.declineFileRequest();
+            return;
+          }
+          console.warn('[App] Directory picker failed, falling back to ZIP:', error.message);
+        }
+      }
+
+      // Request was cancelled while the picker was open
+      if (this.pendingFileRequest !== request) return;
+
+      if (!directory) {
+        zip = new ZipStreamWriter(createFileSink({
+          name: `${getFolderName(data.files, APP.NAME)}.zip`,
+          size: 0, // Unknown until the archive is complete
+          mimeType: 'application/zip'
+        }));
+      }
+    }
+
+    // Initialize transfer state for every accepted file
+    const usedPaths = new Set();
+    for (const file of selectedFiles) {
+      // A path with nothing usable in it ('..') falls back to the file name, then to the file ID
+      const path = isFolder
+        ? makeUniquePath(sanitizeRelativePath(file.path || file.name) || sanitizeRelativePath(file.name) || file.fileId, usedPaths)
+        : null;
+      let sinkFactory;
+      if (directory) {
+        sinkFactory = () => createDirectoryFileSink(directory, path);
+      } else if (zip) {
+        sinkFactory = () => zip.createEntrySink(path, file.size);
+      }
+
+      this.webrtc.incomingTransfers.set(file.fileId, {
+        fileId: file.fileId,
+        peerId,
+        batchId,
+        name: file.name,
+        size: file.size,
+        mimeType: file.mimeType || 'application/octet-stream',
+        totalChunks: file.totalChunks,
+        receivedIndices: new Set(),
+        received: 0,
+        startTime: Date.now(),
+        confirmed: true,
+        sinkFactory
+      });
+    }
+
+    // Send acceptance with the chosen files
+    this.webrtc.respondToFileBatch(peerId, batchId, fileIds);
+
+    this.currentBatch = {
+      batchId,
+      peerId,
+      direction: 'receive',
+      files: data.files.map(f => ({
+        fileId: f.fileId,
+        name: f.path || f.name,
+        size: f.size,
+        status: selected.has(f.fileId) ? 'pending' : 'skipped'
+      })),
+      totalSize: selectedFiles.reduce((sum, f) => sum + f.size, 0),
+      completedBytes: 0,
+      unsaved: [], // In-memory fallback results, saved when the batch finishes
+      folderName: isFolder ? getFolderName(data.files, APP.NAME) : null,
+      zip
+    };
+
+    // Save current transfer state for cancellation
+    this.currentTransfer = {
+      peerId,
+      fileId: null,
+      fileName: this.getBatchDisplayName(selectedFiles),
+      direction: 'receive',
+      batchId
+    };
+
+    // Hide confirmation, show receiving progress with per-file status
+    ui.hideModal('receiveModal');
+    const isRelayMode = data.transferMode === 'relay';
+    ui.showReceivingModal(this.currentTransfer.fileName, this.currentBatch.totalSize, isRelayMode ? 'relay' : 'p2p');
+    ui.showTransferFileList(this.currentBatch.files);
+
+    this.pendingFileRequest = null;
+  }
+
+  /**
+   * Name shown for a batch: the folder name for folders, otherwise "N files"
+   * @param {Array<File|{path?: string, name: string}>} files - Files or manifest entries
+   */
+  getBatchDisplayName(files) {
+    return hasFolderPaths(files)
+      ? getFolderName(files, APP.NAME)
+      : i18n.t('transfer.fileCount', { count: files.length });
+  }
+
+  /**
+   * Get a file's position in the current batch
+   * @returns {number} Index, or -1 if the file is not part of the current batch
+   */
+  getBatchFileIndex(fileId) {
+    if (!this.currentBatch || !fileId) return -1;
+    return this.currentBatch.files.findIndex(f => f.fileId === fileId);
+  }
+
+  /**
+   * Update a batch file's status (pending/active/done/skipped/failed)
+   */
+  setBatchFileStatus(index, status) {
+    const batch = this.currentBatch;
+    const file = batch?.files[index];
+    if (!file || file.status === status) return;
+
+    if (status === 'skipped') {
+      batch.totalSize -= file.size;
+    } else if (status === 'done' || status === 'failed') {
+      batch.completedBytes += file.size;
+    }
+
+    file.status = status;
+    ui.updateTransferFileStatus(index, status);
+  }
+
+  /**
+   * Show overall batch progress from a single file's progress event
+   */
+  updateBatchProgress(p, mode) {
+    const batch = this.currentBatch;
+    const index = this.getBatchFileIndex(p.fileId);
+    const activeFiles = batch.files.filter(f => f.status !== 'skipped');
+    const percent = batch.totalSize > 0
+      ? Math.min(((batch.completedBytes + p.sent) / batch.totalSize) * 100, 100)
+      : 100;
+
+    if (['pending', 'corrupted'].includes(batch.files[index].status)) {
+      this.setBatchFileStatus(index, 'active');
+    }
+
+    ui.updateTransferProgress({ fileName: p.fileName, percent, speed: p.speed, mode });
+    document.getElementById('transferFileSize').textContent = i18n.t('transfer.batchProgress', {
+      current: activeFiles.indexOf(batch.files[index]) + 1,
+      total: activeFiles.length
+    });
+  }
+
+  /**
+   * Close the receiving batch once every accepted file has arrived
+   */
+  async finishReceivingBatchIfComplete() {
+    const batch = this.currentBatch;
+    if (batch.files.some(f => ['pending', 'active', 'corrupted'].includes(f.status))) return;
+
+    this.currentBatch = null;
+    this.currentTransfer = null;
+
+    ui.hideModal('transferModal');
+    ui.hideTransferFileList();
+
+    // Browsers without streaming support buffered these in memory
+    for (const { name, blob } of batch.unsaved) {
+      this.saveBlob(name, blob);
+    }
+
+    // Write the ZIP central directory so the download completes
+    if (batch.zip) {
+      try {
+        const result = await batch.zip.close();
+        if (result.blob) this.saveBlob(result.location, result.blob);
+      } catch (error) {
+        console.error('[App] Failed to finish ZIP download:', error);
+        ui.showToast(i18n.t('toast.sendFailed', { error: error.message }), 'error');
+        return;
+      }
+    }
+
+    const received = batch.files.filter(f => f.status === 'done').length;
+    ui.showToast(i18n.t('toast.batchReceived', {
+      files: batch.folderName || i18n.t('transfer.fileCount', { count: received })
+    }), 'success');
+    ui.triggerNotification('file');
+  }
+
+  /**
+   * Save an in-memory file through a temporary download link
+   */
+  saveBlob(fileName, blob) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  }
+
   /**
    * Decline the pending file request
    */
   declineFileRequest() {
     if (!this.pendingFileRequest) return;
 
-    const { peerId, fileId } = this.pendingFileRequest;
+    const { peerId, fileId, batchId } = this.pendingFileRequest;
 
     // Send decline
-    this.webrtc.respondToFileRequest(peerId, fileId, false);
+    if (batchId) {
+      this.webrtc.respondToFileBatch(peerId, batchId, []);
+    } else {
+      this.webrtc.respondToFileRequest(peerId, fileId, false);
+    }
 
     ui.hideModal('receiveModal');
     ui.showToast(i18n.t('common.decline'), 'info');
@@ -1092,45 +2380,167 @@ class CloudDrop {
    * Cancel the current active transfer
    */
   cancelCurrentTransfer() {
+    // Multi-peer send - cancel every recipient; sendFileToPeers closes the modal once they stop
+    if (this.currentBroadcast?.broadcastId) {
+      this.webrtc.cancelBroadcast(this.currentBroadcast.broadcastId);
+      return;
+    }
+
     if (!this.currentTransfer) {
       ui.hideModal('transferModal');
       return;
     }
 
-    const { peerId, fileId, fileName, direction } = this.currentTransfer;
+    const { peerId, fileId, fileName, direction, batchId } = this.currentTransfer;
 
-    // Cancel the transfer via WebRTC
-    this.webrtc.cancelTransfer(fileId, peerId, 'user');
+    // Cancel the transfer via WebRTC (a batch is cancelled as a whole)
+    if (batchId) {
+      this.webrtc.cancelBatch(batchId, peerId, fileId, 'user');
+    } else {
+      this.webrtc.cancelTransfer(fileId, peerId, 'user');
+    }
 
     // Hide modal and show feedback
     ui.hideModal('transferModal');
+    ui.hideTransferFileList();
     ui.showToast(i18n.t('transfer.transferCancelled'), 'info');
 
-    this.currentTransfer = null;
+    this.currentBatch?.zip?.abort();
+    this.currentTransfer = null;
+    this.currentBatch = null;
+  }
+
+  /**
+   * Ask the sender to resend a file that failed its checksum
+   * Single files get a fresh save location; batch files reuse their folder/ZIP/download sink
+   */
+  async retryCorruptedTransfer() {
+    if (!this.currentTransfer?.fileId) return;
+
+    const { fileId } = this.currentTransfer;
+    const transfer = this.webrtc.incomingTransfers.get(fileId);
+    if (!transfer?.corrupted) return;
+
+    let sink = null;
+    if (!transfer.batchId) {
+      try {
+        sink = await createFileSink(transfer, { interactive: true });
+      } catch (error) {
+        // Picker dismissed - stay in the corrupted state
+        if (error.name === 'AbortError') return;
+        throw error;
+      }
+    }
+
+    if (!this.webrtc.retryIncomingTransfer(fileId, sink)) return;
+
+    const batchIndex = this.getBatchFileIndex(fileId);
+    if (batchIndex !== -1) this.setBatchFileStatus(batchIndex, 'active');
+
+    ui.hideTransferCorrupted();
+    document.getElementById('modalTitle').textContent = i18n.t('transfer.receiving');
+    ui.updateTransferProgress({ percent: 0, speed: 0 });
+  }
+
+  addPeer(peer) {
+    this.peers.set(peer.id, peer);
+    ui.addPeerToGrid(peer, document.getElementById('peersGrid'), (p, e) => this.onPeerClick(p, e));
+    this.updatePeersToolbar();
+    this.updateRoomOwnerUI();
+
+    // Trusted badge appears once the key exchange reveals the device's identity (handlePeerIdentity)
+
+    // Prewarm WebRTC connection for faster first transfer
+    if (this.webrtc) {
+      this.webrtc.setPeerCapabilities(peer.id, peer.capabilities || []);
+      this.webrtc.prewarmConnection(peer.id);
+      // Continue any transfer that was interrupted when this device (or we) dropped
+      this.webrtc.resumeTransfers(peer.id, this.takePreviousPeerIds(peer));
+    }
+  }
+
+  /**
+   * Bring the peer list up to date after our own session was resumed
+   * @param {Object[]} peers - Peers from joined (dropped ones carry reconnecting: true)
+   */
+  syncPeers(peers) {
+    const current = new Set(peers.map(p => p.id));
+    for (const peerId of Array.from(this.peers.keys())) {
+      if (!current.has(peerId)) this.removePeer(peerId);
+    }
+
+    for (const peer of peers) {
+      if (this.peers.has(peer.id)) {
+        this.setPeerReconnecting(peer.id, !!peer.reconnecting);
+      } else {
+        this.addPeer(peer);
+      }
+    }
+  }
+
+  /**
+   * A peer's connection dropped (or came back) - it keeps its ID, card and transfers meanwhile
+   */
+  setPeerReconnecting(peerId, reconnecting) {
+    const peer = this.peers.get(peerId);
+    if (!peer) return;
+
+    peer.reconnecting = reconnecting;
+    ui.updatePeerReconnecting(peerId, reconnecting);
   }
 
-  addPeer(peer) {
-    this.peers.set(peer.id, peer);
-    ui.addPeerToGrid(peer, document.getElementById('peersGrid'), (p, e) => this.onPeerClick(p, e));
+  /**
+   * A reconnecting peer is back under the same ID
+   */
+  handlePeerResumed(data) {
+    const peer = this.peers.get(data.id);
+    if (!peer) {
+      this.addPeer(data);
+      return;
+    }
 
-    // Check if this device is trusted and show badge
-    if (this.isDeviceTrusted(peer)) {
-      // Small delay to ensure DOM is ready
-      setTimeout(() => this.updateTrustedBadge(peer.id, true), 50);
+    this.setPeerReconnecting(data.id, false);
+    if (data.name !== peer.name) {
+      this.handleNameChanged(data.id, data.name);
     }
+    this.webrtc?.setPeerCapabilities(data.id, data.capabilities || []);
+  }
 
-    // Prewarm WebRTC connection for faster first transfer
-    if (this.webrtc) {
-      this.webrtc.prewarmConnection(peer.id);
+  /**
+   * Remember a peer that left so it can be recognised if it reconnects with a new ID
+   */
+  rememberDepartedPeer(peer) {
+    this.departedPeers.set(peer.id, { name: peer.name, deviceType: peer.deviceType, leftAt: Date.now() });
+  }
+
+  /**
+   * Find IDs previously used by the same device (matched by name and device type)
+   * @returns {string[]} Previous peer IDs (removed from the departed list)
+   */
+  takePreviousPeerIds(peer) {
+    const ids = [];
+    for (const [id, departed] of this.departedPeers) {
+      if (Date.now() - departed.leftAt > RESUME.SUSPEND_TIMEOUT) {
+        this.departedPeers.delete(id);
+      } else if (departed.name === peer.name && departed.deviceType === peer.deviceType) {
+        ids.push(id);
+        this.departedPeers.delete(id);
+      }
     }
+    return ids;
   }
 
   removePeer(peerId) {
     const peer = this.peers.get(peerId);
     if (peer) ui.showToast(i18n.t('toast.peerLeft', { name: peer.name }), 'info');
+    if (peer) this.rememberDepartedPeer(peer);
     this.peers.delete(peerId);
     ui.removePeerFromGrid(peerId, document.getElementById('peersGrid'));
+    this.selectedPeerIds?.delete(peerId);
+    this.updatePeersToolbar();
+    this.updateRoomOwnerUI();
     this.webrtc.closeConnection(peerId);
+    this.webrtc.setPeerCapabilities(peerId, null);
   }
 
   updateDeviceNameDisplay() {
@@ -1166,6 +2576,13 @@ class CloudDrop {
         if (nameEl) nameEl.textContent = newName;
       }
 
+      // Trust follows the identity key - keep the saved name current
+      const trusted = this.trustedDevices.get(this.getDeviceFingerprint(peer));
+      if (trusted) {
+        trusted.name = newName;
+        this.saveTrustedDevices();
+      }
+
       ui.showToast(i18n.t('toast.peerRenamed', { oldName, newName }), 'info');
     }
   }
@@ -1178,16 +2595,33 @@ class CloudDrop {
       return;
     }
 
+    // Multi-select mode: clicking a card toggles it
+    if (this.selectedPeerIds) {
+      if (e?.stopPropagation) e.stopPropagation();
+      this.togglePeerSelection(peer.id);
+      return;
+    }
+
+    // Folder button: pick a whole directory
+    const pickFolder = Boolean(e && e.target.closest('[data-action="folder"]'));
+    if (pickFolder && e.stopPropagation) e.stopPropagation();
+
     // Default: select file
     this.selectedPeer = peer;
     const input = document.createElement('input');
     input.type = 'file';
     input.multiple = true;
+    input.webkitdirectory = pickFolder;
     input.onchange = () => this.sendFiles(peer.id, Array.from(input.files));
     input.click();
   }
 
   async sendFiles(peerId, files) {
+    // Several files or a folder - one confirmation for the whole drop
+    if (files.length > 1 || hasFolderPaths(files)) {
+      return this.sendFileBatch(peerId, files);
+    }
+
     const peer = this.peers.get(peerId);
     for (const file of files) {
       // Show waiting for confirmation
@@ -1203,21 +2637,223 @@ class CloudDrop {
         ui.showToast(i18n.t('toast.fileSent', { name: file.name }), 'success');
       } catch (e) {
         ui.hideModal('transferModal');
-        if (e.message.includes('拒绝') || e.message.includes('declined')) {
-          ui.showToast(i18n.t('toast.fileDeclined', { name: peer?.name || i18n.t('deviceTypes.unknown') }), 'warning');
-        } else if (e.message.includes('超时') || e.message.includes('timeout')) {
-          ui.showToast(i18n.t('toast.fileTimeout'), 'warning');
-        } else if (e.message.includes('取消') || e.message.includes('cancelled')) {
-          ui.showToast(i18n.t('transfer.transferCancelled'), 'info');
-        } else {
-          ui.showToast(i18n.t('toast.sendFailed', { error: e.message }), 'error');
-        }
+        this.showSendError(e, peer);
       } finally {
         this.currentTransfer = null;
       }
     }
   }
 
+  /**
+   * Send several files as one batch (single accept prompt on the recipient side)
+   */
+  async sendFileBatch(peerId, files) {
+    const peer = this.peers.get(peerId);
+    const peerName = peer?.name || i18n.t('deviceTypes.unknown');
+
+    const displayName = this.getBatchDisplayName(files);
+    this.showWaitingForConfirmation(peerName, displayName);
+
+    // batchId and fileIds are filled in by onBatchUpdate
+    this.currentBatch = {
+      batchId: null,
+      peerId,
+      direction: 'send',
+      displayName,
+      files: files.map(f => ({ fileId: null, name: getRelativePath(f), size: f.size, status: 'pending' })),
+      totalSize: files.reduce((sum, f) => sum + f.size, 0),
+      completedBytes: 0
+    };
+    ui.showTransferFileList(this.currentBatch.files);
+
+    try {
+      const summary = await this.webrtc.sendFileBatch(peerId, files);
+
+      ui.hideModal('transferModal');
+      if (summary.failed > 0) {
+        ui.showToast(i18n.t('toast.batchPartial', { failed: summary.failed, total: summary.sent + summary.failed }), 'warning');
+      } else {
+        ui.showToast(i18n.t('toast.fileSent', { name: i18n.t('transfer.fileCount', { count: summary.sent }) }), 'success');
+      }
+    } catch (e) {
+      ui.hideModal('transferModal');
+      this.showSendError(e, peer);
+    } finally {
+      ui.hideTransferFileList();
+      this.currentBatch = null;
+      this.currentTransfer = null;
+    }
+  }
+
+  /**
+   * Turn multi-select mode on the peer grid on or off
+   */
+  setPeerSelectionMode(active) {
+    this.selectedPeerIds = active ? new Set() : null;
+    ui.setPeerSelectionMode(active);
+    this.updatePeersToolbar();
+  }
+
+  togglePeerSelection(peerId) {
+    const selected = !this.selectedPeerIds.has(peerId);
+    if (selected) {
+      this.selectedPeerIds.add(peerId);
+    } else {
+      this.selectedPeerIds.delete(peerId);
+    }
+    ui.setPeerSelected(peerId, selected);
+    this.updatePeersToolbar();
+  }
+
+  /**
+   * Show the multi-select toolbar when there is more than one peer (leaves selection mode otherwise)
+   */
+  updatePeersToolbar() {
+    if (this.selectedPeerIds && this.peers.size < 2) {
+      this.selectedPeerIds = null;
+      ui.setPeerSelectionMode(false);
+    }
+
+    ui.updatePeersToolbar({
+      visible: this.peers.size > 1,
+      selecting: Boolean(this.selectedPeerIds),
+      count: this.selectedPeerIds?.size || 0
+    });
+  }
+
+  /**
+   * Pick a file and send it to every selected peer
+   */
+  selectFileForPeers() {
+    if (!this.selectedPeerIds?.size) return;
+
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.onchange = () => {
+      if (input.files.length) this.sendFileToSelectedPeers(input.files[0]);
+    };
+    input.click();
+  }
+
+  sendFileToSelectedPeers(file) {
+    const peerIds = [...this.selectedPeerIds].filter(id => this.peers.has(id));
+    this.setPeerSelectionMode(false);
+    if (peerIds.length) this.sendFileToPeers(peerIds, file);
+  }
+
+  /**
+   * Send one file to several peers; each recipient accepts or declines on its own
+   */
+  async sendFileToPeers(peerIds, file) {
+    this.currentBroadcast = {
+      broadcastId: null, // Filled in by onBroadcastUpdate
+      fileName: file.name,
+      paused: false,
+      recipients: peerIds.map(peerId => ({
+        peerId,
+        fileId: null,
+        name: this.peers.get(peerId)?.name || i18n.t('deviceTypes.unknown'),
+        status: 'pending',
+        percent: 0
+      }))
+    };
+
+    this.showWaitingForConfirmation(i18n.t('transfer.deviceCount', { count: peerIds.length }), file.name);
+    ui.showTransferRecipientList(this.currentBroadcast.recipients);
+
+    try {
+      const summary = await this.webrtc.sendFileToPeers(peerIds, file);
+
+      ui.hideModal('transferModal');
+      if (summary.sent === peerIds.length) {
+        ui.showToast(i18n.t('broadcast.sent', {
+          name: file.name,
+          devices: i18n.t('transfer.deviceCount', { count: summary.sent })
+        }), 'success');
+      } else if (summary.cancelled === peerIds.length) {
+        ui.showToast(i18n.t('transfer.transferCancelled'), 'info');
+      } else {
+        ui.showToast(i18n.t('broadcast.partial', { name: file.name, sent: summary.sent, total: peerIds.length }), 'warning');
+      }
+    } catch (e) {
+      ui.hideModal('transferModal');
+      this.showSendError(e, null);
+    } finally {
+      ui.hideTransferFileList();
+      this.currentBroadcast = null;
+    }
+  }
+
+  /**
+   * Get a transfer's recipient position in the current multi-peer send
+   * @returns {number} Index, or -1 if the file is not part of it
+   */
+  getBroadcastRecipientIndex(fileId) {
+    if (!this.currentBroadcast || !fileId) return -1;
+    return this.currentBroadcast.recipients.findIndex(r => r.fileId === fileId);
+  }
+
+  /**
+   * Show one recipient's progress and the average over everyone still receiving the file
+   */
+  updateBroadcastProgress(p, mode) {
+    const broadcast = this.currentBroadcast;
+    const index = this.getBroadcastRecipientIndex(p.fileId);
+    const recipient = broadcast.recipients[index];
+    if (!['pending', 'active', 'corrupted'].includes(recipient.status)) return;
+
+    recipient.status = 'active';
+    recipient.percent = p.percent;
+    ui.updateTransferRecipient(index, recipient);
+
+    const receiving = broadcast.recipients.filter(r => ['active', 'paused', 'done', 'corrupted'].includes(r.status));
+    const percent = receiving.reduce((sum, r) => sum + r.percent, 0) / receiving.length;
+
+    ui.updateTransferProgress({ fileName: broadcast.fileName, percent, speed: p.speed, mode });
+    document.getElementById('transferFileSize').textContent = i18n.t('broadcast.progress', {
+      done: receiving.filter(r => r.status === 'done').length,
+      total: receiving.length
+    });
+  }
+
+  /**
+   * Pause or resume what the transfer modal shows (every unfinished recipient of a multi-peer send)
+   */
+  toggleTransferPause() {
+    const state = this.currentBroadcast || this.currentTransfer;
+    if (!state) return;
+
+    state.paused = !state.paused;
+
+    if (this.currentBroadcast) {
+      this.currentBroadcast.recipients.forEach((recipient, index) => {
+        if (!['active', 'paused'].includes(recipient.status)) return;
+        recipient.status = state.paused ? 'paused' : 'active';
+        this.webrtc.setTransferPaused(recipient.fileId, recipient.peerId, state.paused);
+        ui.updateTransferRecipient(index, recipient);
+      });
+    } else if (this.currentTransfer.fileId) {
+      this.webrtc.setTransferPaused(this.currentTransfer.fileId, this.currentTransfer.peerId, state.paused);
+    }
+
+    ui.setTransferPaused(state.paused, { direction: this.currentTransfer?.direction || 'send' });
+  }
+
+  /**
+   * Show a toast for a failed send (declined, timeout, cancelled or other error)
+   */
+  showSendError(e, peer) {
+    if (e.message.includes('拒绝') || e.message.includes('declined')) {
+      ui.showToast(i18n.t('toast.fileDeclined', { name: peer?.name || i18n.t('deviceTypes.unknown') }), 'warning');
+    } else if (e.message.includes('超时') || e.message.includes('timeout')) {
+      ui.showToast(i18n.t('toast.fileTimeout'), 'warning');
+    } else if (e.message.includes('取消') || e.message.includes('cancelled')) {
+      ui.showToast(i18n.t('transfer.transferCancelled'), 'info');
+    } else {
+      ui.showToast(i18n.t('toast.sendFailed', { error: e.message }), 'error');
+    }
+  }
+
   /**
    * Show modal indicating waiting for recipient to accept
    */
@@ -1233,6 +2869,8 @@ class CloudDrop {
     document.querySelector('.transfer-info')?.classList.add('waiting');
     document.querySelector('.progress-container')?.classList.add('waiting');
     document.querySelector('.transfer-stats')?.classList.add('waiting');
+    ui.hideTransferCorrupted();
+    ui.resetPauseButton();
 
     // Update mode indicator to show waiting (with icon)
     ui.updateTransferModeIndicator('waiting');
@@ -1241,24 +2879,42 @@ class CloudDrop {
   }
 
   /**
-   * Show file download modal (for mobile-friendly download)
+   * Show file received modal
+   * Streamed files are already saved - the modal only confirms where they went.
+   * In-memory fallback keeps the save button (mobile-friendly download).
+   * @param {string} fileName - File name
+   * @param {Object} result - Sink result from download.js ({ kind, size, location, blob? })
    */
-  showFileDownloadModal(fileName, blob) {
+  showFileDownloadModal(fileName, result) {
     // Store blob URL for cleanup
     if (this._pendingDownloadUrl) {
       URL.revokeObjectURL(this._pendingDownloadUrl);
+      this._pendingDownloadUrl = null;
     }
-    this._pendingDownloadUrl = URL.createObjectURL(blob);
     this._pendingDownloadName = fileName;
 
     // Update modal content
     document.getElementById('downloadFileName').textContent = fileName;
-    document.getElementById('downloadFileSize').textContent = ui.formatFileSize(blob.size);
+    document.getElementById('downloadFileSize').textContent = ui.formatFileSize(result.size);
 
-    // Set download link
     const downloadBtn = document.getElementById('downloadFileBtn');
-    downloadBtn.href = this._pendingDownloadUrl;
-    downloadBtn.download = fileName;
+    const savedLocation = document.getElementById('downloadSavedLocation');
+
+    if (result.blob) {
+      // Set download link
+      this._pendingDownloadUrl = URL.createObjectURL(result.blob);
+      downloadBtn.href = this._pendingDownloadUrl;
+      downloadBtn.download = fileName;
+      downloadBtn.style.display = '';
+      savedLocation.style.display = 'none';
+    } else {
+      downloadBtn.removeAttribute('href');
+      downloadBtn.style.display = 'none';
+      savedLocation.textContent = result.kind === 'picker'
+        ? i18n.t('download.savedTo', { location: result.location })
+        : i18n.t('download.savedToDownloads');
+      savedLocation.style.display = 'block';
+    }
 
     // Show modal
     ui.showModal('fileDownloadModal');
@@ -1315,7 +2971,9 @@ class CloudDrop {
     if (lockIcon) {
       if (this.isSecureRoom) {
         lockIcon.classList.add('locked');
-        lockIcon.title = i18n.t('room.secureRoomActive');
+        lockIcon.title = this.roomTtl
+          ? `${i18n.t('room.secureRoomActive')} · ${i18n.t('room.expiry.active', { time: this.formatRoomTtl(this.roomTtl) })}`
+          : i18n.t('room.secureRoomActive');
       } else {
         lockIcon.classList.remove('locked');
         lockIcon.title = i18n.t('room.clickToCreateSecure');
@@ -1323,6 +2981,17 @@ class CloudDrop {
     }
   }
 
+  /**
+   * Format a room TTL for display, e.g. "24 hours" or "7 days"
+   * @param {number} ttl - TTL in ms
+   */
+  formatRoomTtl(ttl) {
+    const hours = Math.round(ttl / (60 * 60 * 1000));
+    return hours % 24 === 0
+      ? i18n.t('room.expiry.days', { count: hours / 24 })
+      : i18n.t('room.expiry.hours', { count: hours });
+  }
+
   saveMessage(peerId, message) {
     if (!this.messageHistory.has(peerId)) {
       this.messageHistory.set(peerId, []);
@@ -1747,18 +3416,33 @@ class CloudDrop {
       e.preventDefault();
       dragCounter = 0;
       ui.hideDropZone();
-      const files = Array.from(e.dataTransfer.files);
-      if (files.length && this.peers.size === 1) {
-        const [peerId] = this.peers.keys();
-        this.sendFiles(peerId, files);
-      } else if (files.length && this.peers.size > 1) {
-        ui.showToast(i18n.t('toast.selectDevice'), 'warning');
-      }
+      // Folders are expanded into their files (with relative paths)
+      getDroppedFiles(e.dataTransfer).then((files) => {
+        if (files.length && this.selectedPeerIds?.size) {
+          // Dropped onto a multi-selection - one file goes to every selected peer
+          if (files.length === 1 && !hasFolderPaths(files)) {
+            this.sendFileToSelectedPeers(files[0]);
+          } else {
+            ui.showToast(i18n.t('broadcast.singleFile'), 'warning');
+          }
+        } else if (files.length && this.peers.size === 1) {
+          const [peerId] = this.peers.keys();
+          this.sendFiles(peerId, files);
+        } else if (files.length && this.peers.size > 1) {
+          ui.showToast(i18n.t('toast.selectDevice'), 'warning');
+        }
+      }).catch((error) => {
+        console.error('[App] Failed to read dropped folder:', error);
+        ui.showToast(i18n.t('toast.sendFailed', { error: error.message }), 'error');
+      });
     });
 
     // Desktop share popover
     this.setupDesktopSharePopover();
 
+    // One-time download links
+    this.setupFileLinkModal();
+
     // Mobile bottom navigation
     this.setupMobileNavigation();
 
@@ -1894,6 +3578,8 @@ class CloudDrop {
     document.getElementById('createSecureRoomConfirm')?.addEventListener('click', async () => {
       const roomCode = document.getElementById('secureRoomCode').value.trim().toUpperCase();
       const password = document.getElementById('secureRoomPassword').value;
+      const expiry = parseInt(document.getElementById('secureRoomExpiry')?.value);
+      const ttl = ROOM.EXPIRY_OPTIONS.includes(expiry) ? expiry : ROOM.DEFAULT_EXPIRY;
 
       if (!roomCode) {
         ui.showToast(i18n.t('room.roomCodePlaceholder'), 'error');
@@ -1905,7 +3591,7 @@ class CloudDrop {
         return;
       }
 
-      const success = await this.createSecureRoom(roomCode, password);
+      const success = await this.createSecureRoom(roomCode, password, ttl);
       if (success) {
         ui.hideModal('createSecureRoomModal');
         ui.showToast(i18n.t('room.createSuccess'), 'success');
@@ -1948,6 +3634,27 @@ class CloudDrop {
       this.triggerHaptic('medium');
       this.cancelCurrentTransfer();
     });
+
+    document.getElementById('retryTransfer')?.addEventListener('click', () => {
+      this.retryCorruptedTransfer();
+    });
+
+    document.getElementById('pauseTransfer')?.addEventListener('click', () => {
+      this.triggerHaptic('light');
+      this.toggleTransferPause();
+    });
+
+    // Cancel a single recipient of a multi-peer send
+    document.getElementById('transferFileList')?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action="cancel-recipient"]');
+      if (!button || !this.currentBroadcast?.broadcastId) return;
+      this.webrtc.cancelBroadcast(this.currentBroadcast.broadcastId, Number(button.closest('li').dataset.index));
+    });
+
+    // Multi-select toolbar (send one file to several peers)
+    document.getElementById('selectPeersBtn')?.addEventListener('click', () => this.setPeerSelectionMode(true));
+    document.getElementById('broadcastCancel')?.addEventListener('click', () => this.setPeerSelectionMode(false));
+    document.getElementById('broadcastSend')?.addEventListener('click', () => this.selectFileForPeers());
     document.getElementById('receiveModalClose')?.addEventListener('click', () => {
       this.declineFileRequest();
     });
@@ -2000,6 +3707,30 @@ class CloudDrop {
 
     // Chat panel events
     document.getElementById('closeChatPanel')?.addEventListener('click', () => this.closeChatPanel());
+    document.getElementById('verifyPeerBtn')?.addEventListener('click', () => {
+      if (this.currentChatPeer) this.openVerifyModal(this.currentChatPeer);
+    });
+
+    // Verify device modal
+    const closeVerifyModal = () => {
+      this.verifyingPeerId = null;
+      ui.hideModal('verifyModal');
+    };
+    document.getElementById('verifyModalClose')?.addEventListener('click', closeVerifyModal);
+    document.getElementById('verifyCancel')?.addEventListener('click', closeVerifyModal);
+    document.getElementById('verifyConfirm')?.addEventListener('click', () => {
+      const peer = this.peers.get(this.verifyingPeerId);
+      if (!peer) {
+        closeVerifyModal();
+        return;
+      }
+      const verified = !this.isPeerVerified(peer);
+      this.setPeerVerified(peer, verified);
+      ui.setVerifyModalState(verified);
+      if (verified) {
+        ui.showToast(i18n.t('verify.markedVerified', { name: peer.name }), 'success');
+      }
+    });
 
     document.getElementById('sendChatMessage')?.addEventListener('click', async () => {
       if (!this.currentChatPeer) return;
@@ -2259,6 +3990,12 @@ class CloudDrop {
       setTimeout(() => copyLinkBtn.classList.remove('copied'), 1000);
     });
 
+    // Send a file to someone outside the room
+    document.getElementById('sharePopoverFileLink')?.addEventListener('click', () => {
+      hidePopover();
+      this.showFileLinkModal();
+    });
+
     // Close on Escape key
     document.addEventListener('keydown', (e) => {
       if (e.key === 'Escape' && popover.classList.contains('active')) {
@@ -2267,6 +4004,128 @@ class CloudDrop {
     });
   }
 
+  /**
+   * One-time download link modal: pick a file, limits and an optional password
+   */
+  setupFileLinkModal() {
+    document.getElementById('fileLinkClose')?.addEventListener('click', () => ui.hideModal('fileLinkModal'));
+
+    document.getElementById('fileLinkPick')?.addEventListener('click', () => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.addEventListener('change', () => {
+        const file = input.files[0];
+        if (!file) return;
+        this.fileLinkFile = file;
+        const label = document.getElementById('fileLinkFileName');
+        delete label.dataset.i18n;
+        label.textContent = `${file.name} (${ui.formatFileSize(file.size)})`;
+      });
+      input.click();
+    });
+
+    document.getElementById('fileLinkCreate')?.addEventListener('click', () => this.createFileLink());
+  }
+
+  showFileLinkModal() {
+    this.renderFileLinks();
+    ui.showModal('fileLinkModal');
+  }
+
+  /**
+   * Start serving the picked file under a new link and copy the link
+   */
+  async createFileLink() {
+    const file = this.fileLinkFile;
+    if (!file) {
+      ui.showToast(i18n.t('link.noFile'), 'warning');
+      return;
+    }
+
+    const maxDownloads = parseInt(document.getElementById('fileLinkMaxDownloads').value);
+    const expiresIn = parseInt(document.getElementById('fileLinkExpiry').value);
+    const passwordInput = document.getElementById('fileLinkPassword');
+
+    const link = new FileLink(file, {
+      sender: { name: this.deviceName, deviceType: this.deviceType, browserInfo: this.browserInfo },
+      maxDownloads: LINK.MAX_DOWNLOAD_OPTIONS.includes(maxDownloads) ? maxDownloads : LINK.DEFAULT_MAX_DOWNLOADS,
+      expiresIn: LINK.EXPIRY_OPTIONS.includes(expiresIn) ? expiresIn : LINK.DEFAULT_EXPIRY,
+      password: passwordInput.value,
+      useHttpSignaling: this.useHttpSignaling,
+      onChange: (changed) => this.handleFileLinkChange(changed)
+    });
+    this.fileLinks.set(link.id, link);
+    await link.open();
+
+    // Ready for the next file
+    this.fileLinkFile = null;
+    passwordInput.value = '';
+    const label = document.getElementById('fileLinkFileName');
+    label.dataset.i18n = 'link.chooseFile';
+    label.textContent = i18n.t('link.chooseFile');
+
+    this.renderFileLinks();
+    this.copyFileLink(link.id);
+  }
+
+  copyFileLink(id) {
+    const link = this.fileLinks.get(id);
+    if (!link) return;
+
+    navigator.clipboard.writeText(link.url).then(
+      () => ui.showToast(i18n.t('link.copied'), 'success'),
+      // Password derivation can outlast the click's clipboard permission - the list still has the link
+      () => ui.showToast(i18n.t('link.created'), 'info')
+    );
+  }
+
+  /**
+   * A link's downloads or state changed - closed links leave the list
+   */
+  handleFileLinkChange(link) {
+    if (link.closed && this.fileLinks.delete(link.id) && link.closed !== 'revoked') {
+      ui.showToast(i18n.t(`link.closed.${link.closed}`, { name: link.file.name }), 'info', UI.TOAST_DURATION_LONG);
+    }
+    this.renderFileLinks();
+  }
+
+  renderFileLinks() {
+    const container = document.getElementById('fileLinksList');
+    if (!container) return;
+
+    const locale = i18n.getLanguageTag(i18n.locale);
+    container.innerHTML = [...this.fileLinks.values()].map(link => `
+      <div class="trusted-device-item">
+        <div class="trusted-device-details">
+          <div class="trusted-device-name">${link.password ? '🔒 ' : ''}${ui.escapeHtml(link.file.name)}</div>
+          <div class="trusted-device-meta">${i18n.t('link.status', {
+            downloads: link.downloads,
+            max: link.maxDownloads,
+            active: link.activeDownloads,
+            time: new Date(link.expiresAt).toLocaleString(locale, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+          })}</div>
+        </div>
+        <button class="btn-copy-link" title="${i18n.t('link.copy')}" data-link="${link.id}">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <rect x="9" y="9" width="13" height="13" rx="2"/><path d="M5 15H4a2 2 0 01-2-2V4a2 2 0 012-2h9a2 2 0 012 2v1"/>
+          </svg>
+        </button>
+        <button class="btn-untrust" title="${i18n.t('link.revoke')}" data-link="${link.id}">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M18 6L6 18M6 6l12 12"/>
+          </svg>
+        </button>
+      </div>
+    `).join('');
+
+    container.querySelectorAll('.btn-copy-link').forEach(btn => {
+      btn.addEventListener('click', (e) => this.copyFileLink(e.currentTarget.dataset.link));
+    });
+    container.querySelectorAll('.btn-untrust').forEach(btn => {
+      btn.addEventListener('click', (e) => this.fileLinks.get(e.currentTarget.dataset.link)?.close('revoked'));
+    });
+  }
+
   // Mobile navigation setup
   setupMobileNavigation() {
     // Bottom nav buttons
@@ -2349,6 +4208,11 @@ class CloudDrop {
       ui.showToast(i18n.t('share.linkCopied'), 'success');
     });
 
+    document.getElementById('shareFileLink')?.addEventListener('click', () => {
+      ui.hideModal('mobileShareModal');
+      this.showFileLinkModal();
+    });
+
     document.getElementById('shareNative')?.addEventListener('click', async () => {
       if (navigator.share) {
         try {
@@ -2559,7 +4423,7 @@ class CloudDrop {
       if (dotEl) {
         dotEl.style.background = currentStatus === 'connected'
           ? 'var(--status-success)'
-          : currentStatus === 'disconnected'
+          : currentStatus === 'disconnected' || currentStatus === 'offline'
             ? 'var(--status-error)'
             : 'var(--status-warning)';
       }
@@ -2606,6 +4470,12 @@ class CloudDrop {
             <div class="trusted-device-meta">${device.browserInfo || i18n.t('settings.unknownBrowser')}</div>
           </div>
         </div>
+        ${device.dropKey ? `
+        <button class="btn-drop" title="${i18n.t('dropbox.send')}" data-fingerprint="${device.fingerprint}">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M22 12h-6l-2 3h-4l-2-3H2"/><path d="M5.45 5.11L2 12v6a2 2 0 002 2h16a2 2 0 002-2v-6l-3.45-6.89A2 2 0 0016.76 4H7.24a2 2 0 00-1.79 1.11z"/>
+          </svg>
+        </button>` : ''}
         <button class="btn-untrust" title="${i18n.t('settings.untrust')}" data-fingerprint="${device.fingerprint}">
           <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
             <path d="M18 6L6 18M6 6l12 12"/>
@@ -2614,6 +4484,10 @@ class CloudDrop {
       </div>
     `).join('');
 
+    container.querySelectorAll('.btn-drop').forEach(btn => {
+      btn.addEventListener('click', (e) => this.pickFileToDrop(e.currentTarget.dataset.fingerprint));
+    });
+
     // Add click handlers for untrust buttons
     container.querySelectorAll('.btn-untrust').forEach(btn => {
       btn.addEventListener('click', async (e) => {
@@ -2641,6 +4515,119 @@ class CloudDrop {
     });
   }
 
+  /**
+   * Let the user pick a file to leave in a trusted device's drop box
+   */
+  pickFileToDrop(fingerprint) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.addEventListener('change', () => {
+      if (input.files[0]) this.dropFile(fingerprint, input.files[0]);
+    });
+    input.click();
+  }
+
+  /**
+   * Seal a file for a trusted device and upload it; the device picks it up on its next join
+   */
+  async dropFile(fingerprint, file) {
+    const device = this.trustedDevices.get(fingerprint);
+    if (!device?.dropKey) return;
+
+    if (file.size > DROPBOX.MAX_FILE_SIZE) {
+      ui.showToast(i18n.t('dropbox.tooLarge', { size: ui.formatFileSize(DROPBOX.MAX_FILE_SIZE) }), 'error');
+      return;
+    }
+
+    const toastId = `drop-${crypto.randomUUID()}`;
+    ui.showPersistentToast(toastId, i18n.t('dropbox.uploading', { name: file.name }), 'info');
+    try {
+      await sendDrop({ fingerprint, dropKey: device.dropKey }, file, this.deviceName);
+      ui.showToast(i18n.t('dropbox.sent', { name: file.name, device: device.name }), 'success');
+    } catch (error) {
+      console.error('[Dropbox] Upload failed:', error);
+      const message = {
+        MAILBOX_FULL: i18n.t('dropbox.mailboxFull', { device: device.name }),
+        DROPBOX_DISABLED: i18n.t('dropbox.disabled')
+      }[error.code] || i18n.t('dropbox.sendFailed', { error: error.message });
+      ui.showToast(message, 'error');
+    } finally {
+      ui.hidePersistentToast(toastId);
+    }
+  }
+
+  /**
+   * Fetch files other devices dropped for us while we were away (runs on every new session)
+   */
+  async checkDropBox() {
+    if (this.dropBoxChecking) return;
+    this.dropBoxChecking = true;
+
+    try {
+      const drops = await listDrops();
+      if (drops.length === 0) return;
+
+      const confirmed = await ui.showConfirmDialog({
+        title: i18n.t('dropbox.waitingTitle'),
+        message: i18n.t('dropbox.waitingMessage', { count: drops.length }),
+        confirmText: i18n.t('dropbox.download'),
+        cancelText: i18n.t('dropbox.later'),
+        type: 'info'
+      });
+      if (!confirmed) return;
+
+      for (const drop of drops) {
+        await this.receiveDrop(drop);
+      }
+    } catch (error) {
+      // Servers without a drop box bucket answer 503 - nothing to pick up there
+      if (error.code !== 'DROPBOX_DISABLED') {
+        console.warn('[Dropbox] Check failed:', error);
+      }
+    } finally {
+      this.dropBoxChecking = false;
+    }
+  }
+
+  /**
+   * Download, open and save one drop, then remove it from the server
+   */
+  async receiveDrop(drop) {
+    const sealed = await downloadDrop(drop.id);
+
+    let opened;
+    try {
+      opened = await cryptoManager.openDrop(sealed);
+    } catch (error) {
+      // Not sealed to our current drop key (e.g. browser data was cleared) - it can never be opened
+      console.error('[Dropbox] Failed to open drop:', error);
+      ui.showToast(i18n.t('dropbox.openFailed'), 'error');
+      await deleteDrop(drop.id);
+      return;
+    }
+
+    const { meta, data, sender } = opened;
+    const trusted = this.trustedDevices.get(sender);
+    if (!trusted) {
+      // Anyone can upload to a mailbox - only drops from trusted devices are saved without asking
+      const save = await ui.showConfirmDialog({
+        title: i18n.t('dropbox.unknownSenderTitle'),
+        message: i18n.t('dropbox.unknownSenderMessage', { name: ui.escapeHtml(meta.name), device: ui.escapeHtml(meta.from || '?') }),
+        confirmText: i18n.t('dropbox.save'),
+        cancelText: i18n.t('dropbox.discard'),
+        type: 'danger'
+      });
+      if (!save) {
+        await deleteDrop(drop.id);
+        return;
+      }
+    }
+
+    this.saveBlob(meta.name, new Blob([data], { type: meta.type || 'application/octet-stream' }));
+    await deleteDrop(drop.id);
+    ui.showToast(i18n.t('dropbox.received', { name: meta.name, device: trusted ? trusted.name : meta.from }), 'success');
+  }
+
   // Show mobile share modal
   showMobileShareModal() {
     const shareRoomCodeEl = document.getElementById('shareRoomCode');
@@ -2784,6 +4771,7 @@ class CloudDrop {
       // 先同步设置值到桌面端 Popover 控件
       this.syncSettingsToUI('popover');
       this.syncTrustedDevicesToUI('popover');
+      this.updateRoomOwnerUI();
       settingsPopover.classList.toggle('active');
     });
 
@@ -2798,6 +4786,22 @@ class CloudDrop {
         settingsPopover.classList.remove('active');
       }
     });
+
+    // 房主控制
+    document.getElementById('popoverRoomLocked')?.addEventListener('change', (e) => {
+      this.setRoomLocked(e.target.checked);
+    });
+
+    document.getElementById('popoverRoomPasswordSave')?.addEventListener('click', async () => {
+      const input = document.getElementById('popoverRoomPassword');
+      if (await this.changeRoomPassword(input.value)) {
+        input.value = '';
+      }
+    });
+
+    document.getElementById('popoverRoomPasswordRemove')?.addEventListener('click', () => {
+      this.removeRoomPassword();
+    });
   }
 
   /**
@@ -19,6 +19,9 @@ export const STORAGE_KEYS = {
   DEVICE_NAME: 'clouddrop_device_name',
   TRUSTED_DEVICES: 'clouddrop_trusted_devices',
   SETTINGS: 'clouddrop_settings',
+  PINNED_IDENTITIES: 'clouddrop_pinned_identities',
+  VERIFIED_DEVICES: 'clouddrop_verified_devices',
+  ROOM_OWNER_TOKENS: 'clouddrop_room_owner_tokens',
 };
 
 // =============================================================================
@@ -80,6 +83,48 @@ export const TRANSFER = {
 
   // Progress update throttle
   PROGRESS_THROTTLE: 100, // Update progress every 100ms max
+
+  // Received chunks waiting for the disk: above HIGH the sender is asked to hold, below LOW to go on
+  RECEIVE_QUEUE_HIGH: 16 * 1024 * 1024, // 16MB
+  RECEIVE_QUEUE_LOW: 4 * 1024 * 1024,   // 4MB
+};
+
+// =============================================================================
+// Transfer Resume Configuration
+// =============================================================================
+export const RESUME = {
+  // How long an interrupted transfer waits for the peer to come back
+  // (long enough for a laptop to wake from sleep)
+  SUSPEND_TIMEOUT: 30 * 60 * 1000, // 30 minutes
+};
+
+// =============================================================================
+// File Integrity Configuration
+// =============================================================================
+export const INTEGRITY = {
+  // Max wait for the receiver's checksum verdict after file-end
+  VERIFY_TIMEOUT: 30000, // 30 seconds
+
+  // How long the sender keeps a corrupted file ready for the receiver's "retry"
+  RETRY_TIMEOUT: 5 * 60 * 1000, // 5 minutes
+};
+
+// =============================================================================
+// Streaming Download Configuration
+// =============================================================================
+export const DOWNLOAD = {
+  // Service worker that turns received chunks into a browser download
+  SERVICE_WORKER_URL: '/sw.js',
+
+  // Path (relative to the service worker scope) served as a streaming download
+  // Must match STREAM_PATH in sw.js
+  STREAM_PATH: 'download-stream/',
+
+  // Max wait for the service worker to accept a stream
+  SERVICE_WORKER_TIMEOUT: 3000, // 3 seconds
+
+  // Delay before removing the hidden download iframe
+  FRAME_CLEANUP_DELAY: 60000, // 60 seconds
 };
 
 // =============================================================================
@@ -103,6 +148,26 @@ export const RELAY = {
 
   // Transfer timeout (no progress)
   TRANSFER_TIMEOUT: 30000, // 30 seconds
+
+  // NACK: wait for the receiver's missing-chunk list after file-end
+  NACK_TIMEOUT: 5000, // 5 seconds
+
+  // Max file-end/NACK rounds before the transfer fails
+  MAX_NACK_ROUNDS: 5,
+
+  // Max chunk indices listed in a single NACK (the rest follow in later rounds)
+  NACK_MAX_INDICES: 1000,
+
+  // Announced in join; chunks go as binary WebSocket frames only to peers that announce it
+  BINARY_CAPABILITY: 'binary-relay',
+};
+
+// =============================================================================
+// Multi-Peer Send Configuration
+// =============================================================================
+export const BROADCAST = {
+  // Chunks kept in memory for recipients that are behind (the rest are read from disk again)
+  MAX_CACHED_CHUNKS: 128, // 8MB at 64KB chunks
 };
 
 // =============================================================================
@@ -123,6 +188,58 @@ export const UI = {
   BREAKPOINT_TABLET: 768,
 };
 
+// =============================================================================
+// Signaling Transport Configuration
+// =============================================================================
+export const SIGNALING = {
+  // WebSocket attempts that fail to open before switching to HTTP signaling (SSE + POST)
+  WS_FAILURES_BEFORE_HTTP: 2,
+  // While on HTTP signaling, try a WebSocket this often (and when the network comes back) and switch back once it opens
+  WS_RETRY_INTERVAL: 60000,
+  // Largest POST body when queued messages are sent over HTTP
+  HTTP_BATCH_SIZE: 1024 * 1024,
+  // Empty POST while idle, so the room knows we are still there (it gives up after 45s)
+  HTTP_KEEPALIVE_INTERVAL: 20000,
+};
+
+// =============================================================================
+// Signaling Reconnect Configuration
+// =============================================================================
+export const RECONNECT = {
+  BASE_DELAY: 1000,  // First retry after about a second, doubled with every failed try
+  MAX_DELAY: 30000,  // Longest wait between tries (stays below the Room's 60s resume grace)
+  JITTER: 0.5,       // Up to half of each delay is random, so devices don't all return at once
+};
+
+// =============================================================================
+// Drop Box Configuration (files left for trusted devices that are offline)
+// =============================================================================
+export const DROPBOX = {
+  API_PATH: '/api/dropbox/',
+  // Largest file that can be dropped - src/dropbox.ts allows this plus room for the envelope
+  MAX_FILE_SIZE: 50 * 1024 * 1024,
+};
+
+// =============================================================================
+// One-Time Download Link Configuration (files served from this browser to people outside the room)
+// =============================================================================
+export const LINK = {
+  // Links look like /d/<id>#<key> - must match LINK_ID_PATTERN in src/index.ts
+  PATH: '/d/',
+  ID_PATTERN: /^[0-9a-f]{32}$/,
+
+  // Announced in join by the sending browser, so the download page knows whom to ask
+  HOST_CAPABILITY: 'link-host',
+
+  MAX_DOWNLOAD_OPTIONS: [1, 3, 10],
+  DEFAULT_MAX_DOWNLOADS: 1,
+  EXPIRY_OPTIONS: [10 * 60 * 1000, 60 * 60 * 1000, 24 * 60 * 60 * 1000],
+  DEFAULT_EXPIRY: 60 * 60 * 1000, // 1 hour
+
+  // Wrong passwords before the link is closed (stops guessing)
+  MAX_PASSWORD_FAILURES: 10,
+};
+
 // =============================================================================
 // Room Configuration
 // =============================================================================
@@ -136,6 +253,11 @@ export const ROOM = {
 
   // Password requirements
   PASSWORD_MIN_LENGTH: 6,
+
+  // Idle TTL of secure rooms - stored state is deleted this long after the last device leaves
+  // Must match ROOM_TTL_OPTIONS in src/room.ts
+  EXPIRY_OPTIONS: [60 * 60 * 1000, 24 * 60 * 60 * 1000, 7 * 24 * 60 * 60 * 1000],
+  DEFAULT_EXPIRY: 24 * 60 * 60 * 1000, // 24 hours
 };
 
 // =============================================================================
@@ -152,4 +274,8 @@ export const CRYPTO = {
   // PBKDF2 configuration for password derivation
   PBKDF2_ITERATIONS: 100000,
   PBKDF2_HASH: 'SHA-256',
+
+  // IndexedDB location of the device identity key (signs the per-session ECDH keys)
+  IDENTITY_DB: 'clouddrop_identity',
+  IDENTITY_STORE: 'keys',
 };
@@ -1,12 +1,49 @@
 /**
  * CloudDrop - End-to-End Encryption Module
  * Implements ECDH key exchange + AES-256-GCM encryption
+ *
+ * Session ECDH keys are signed with a long-lived ECDSA identity key kept in IndexedDB,
+ * so a peer can tell whether the key it received really comes from the device it pinned
+ *
+ * A second long-lived ECDH "drop key" (also signed by the identity) lets trusted devices seal files
+ * for this device while it is offline - see sealDrop/openDrop and dropbox.js
  */
 
+import { CRYPTO } from './config.js';
+
+const IDENTITY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGNATURE_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+const ECDH_ALGORITHM = { name: 'ECDH', namedCurve: 'P-256' };
+
+// Prefixes for what the identity key signs besides session keys, so one signature can't pass for another
+const DROP_KEY_CONTEXT = 'clouddrop-drop-key|';
+const DROP_SENDER_CONTEXT = 'clouddrop-drop-sender|';
+
+// Sealed drop: [envelope length(4, big-endian)][envelope JSON][AES-GCM ciphertext]
+// Plaintext: [meta length(4, big-endian)][meta JSON][file data]
+const DROP_VERSION = 1;
+
+// 64 easily told-apart emoji - each encodes 6 bits of the safety code
+const SAFETY_EMOJI = [
+  '🐶', '🐱', '🦁', '🐴', '🦄', '🐷', '🐘', '🐰',
+  '🐼', '🐓', '🐧', '🐢', '🐟', '🐙', '🦋', '🌷',
+  '🌳', '🌵', '🍄', '🌏', '🌙', '☁️', '🔥', '🍌',
+  '🍎', '🍓', '🌽', '🍕', '🎂', '❤️', '😀', '🤖',
+  '🎩', '👓', '🔧', '🎅', '👍', '☂️', '⌛', '⏰',
+  '🎁', '💡', '📕', '✏️', '📎', '✂️', '🔒', '🔑',
+  '🔨', '☎️', '🏁', '🚂', '🚲', '✈️', '🚀', '🏆',
+  '⚽', '🎸', '🎺', '🔔', '⚓', '🎧', '📁', '📌'
+];
+
 export class CryptoManager {
   constructor() {
     this.keyPair = null;
+    this.identityKeyPair = null; // Long-lived ECDSA pair (private key is non-extractable)
+    this.keySignature = null; // Identity signature over the current session public key
+    this.dropKeyPair = null; // Promise of the long-lived ECDH pair others seal drop box files to (private key is non-extractable)
+    this.dropKeySignature = null; // Identity signature over the drop public key
     this.sharedSecrets = new Map(); // peerId -> CryptoKey
+    this.safetyCodes = new Map(); // peerId -> { digits, emoji } (compared out of band to rule out interception)
     this.roomKey = null; // Room-level encryption key (derived from password)
     this.roomPasswordSet = false; // Flag to track if room password is set
   }
@@ -23,9 +60,221 @@ export class CryptoManager {
       true, // extractable
       ['deriveKey', 'deriveBits']
     );
+
+    // Sign the session key with the device identity
+    const identity = await this.loadIdentityKeyPair();
+    const publicKey = await crypto.subtle.exportKey('spki', this.keyPair.publicKey);
+    this.keySignature = await crypto.subtle.sign(SIGNATURE_ALGORITHM, identity.privateKey, publicKey);
     return this.keyPair;
   }
 
+  /**
+   * Load the device identity key pair, creating it on first use
+   * Stored as CryptoKey objects in IndexedDB - the private key never leaves the browser
+   * Falls back to a session-only identity where IndexedDB is unavailable (e.g. private browsing)
+   * @returns {Promise<CryptoKeyPair>}
+   */
+  async loadIdentityKeyPair() {
+    if (!this.identityKeyPair) {
+      this.identityKeyPair = await loadStoredKeyPair('identity',
+        () => crypto.subtle.generateKey(IDENTITY_ALGORITHM, false, ['sign', 'verify']));
+    }
+    return this.identityKeyPair;
+  }
+
+  /**
+   * Load the device drop key pair (and sign it with the identity), creating it on first use
+   * Stored next to the identity key; if IndexedDB is unavailable, drops sealed to it are lost with the session
+   * @returns {Promise<CryptoKeyPair>}
+   */
+  loadDropKeyPair() {
+    // Key bundles for several peers are exported at once - they must not each create a key
+    if (!this.dropKeyPair) {
+      this.dropKeyPair = (async () => {
+        const identity = await this.loadIdentityKeyPair();
+        const dropKeyPair = await loadStoredKeyPair('drop',
+          () => crypto.subtle.generateKey(ECDH_ALGORITHM, false, ['deriveKey']));
+        const publicKey = await crypto.subtle.exportKey('spki', dropKeyPair.publicKey);
+        this.dropKeySignature = await crypto.subtle.sign(SIGNATURE_ALGORITHM, identity.privateKey, withContext(DROP_KEY_CONTEXT, publicKey));
+        return dropKeyPair;
+      })();
+    }
+    return this.dropKeyPair;
+  }
+
+  /**
+   * Export the session public key together with the identity key and signature
+   * Spread into offer/answer/key-exchange payloads
+   * @returns {Promise<{publicKey: string, identityKey: string, signature: string, dropKey: string, dropKeySignature: string}>}
+   */
+  async exportKeyBundle() {
+    const publicKey = await this.exportPublicKey();
+    const identityKey = await crypto.subtle.exportKey('spki', this.identityKeyPair.publicKey);
+    const dropKeyPair = await this.loadDropKeyPair();
+    const dropKey = await crypto.subtle.exportKey('spki', dropKeyPair.publicKey);
+    return {
+      publicKey,
+      identityKey: this.arrayBufferToBase64(identityKey),
+      signature: this.arrayBufferToBase64(this.keySignature),
+      dropKey: this.arrayBufferToBase64(dropKey),
+      dropKeySignature: this.arrayBufferToBase64(this.dropKeySignature)
+    };
+  }
+
+  /**
+   * Get the fingerprint of our own identity key (same format as verifyPeerKey returns)
+   * @returns {Promise<string>} Hex-encoded SHA-256 of the identity public key
+   */
+  async getIdentityFingerprint() {
+    const identity = await this.loadIdentityKeyPair();
+    return this.hash(await crypto.subtle.exportKey('spki', identity.publicKey));
+  }
+
+  /**
+   * Check that a peer's session key is signed by the identity key it came with
+   * @param {Object} bundle - Payload with publicKey, identityKey and signature
+   * @returns {Promise<string|null>} Identity fingerprint, or null if the peer sent no identity (older client)
+   * @throws {Error} If the signature does not match
+   */
+  async verifyPeerKey({ publicKey, identityKey, signature }) {
+    if (!identityKey || !signature) return null;
+
+    const identityBuffer = this.base64ToArrayBuffer(identityKey);
+    const peerIdentity = await crypto.subtle.importKey('spki', identityBuffer, IDENTITY_ALGORITHM, false, ['verify']);
+    const valid = await crypto.subtle.verify(
+      SIGNATURE_ALGORITHM,
+      peerIdentity,
+      this.base64ToArrayBuffer(signature),
+      this.base64ToArrayBuffer(publicKey)
+    );
+    if (!valid) {
+      throw new Error('Invalid session key signature');
+    }
+    return this.hash(identityBuffer);
+  }
+
+  /**
+   * Check the drop key in a peer's bundle (call after verifyPeerKey accepted the identity)
+   * @param {Object} bundle - Payload with identityKey, dropKey and dropKeySignature
+   * @returns {Promise<string|null>} The drop key, or null if missing (older client) or not signed by the identity
+   */
+  async verifyDropKey({ identityKey, dropKey, dropKeySignature }) {
+    if (!identityKey || !dropKey || !dropKeySignature) return null;
+
+    const peerIdentity = await crypto.subtle.importKey('spki', this.base64ToArrayBuffer(identityKey), IDENTITY_ALGORITHM, false, ['verify']);
+    const valid = await crypto.subtle.verify(
+      SIGNATURE_ALGORITHM,
+      peerIdentity,
+      this.base64ToArrayBuffer(dropKeySignature),
+      withContext(DROP_KEY_CONTEXT, this.base64ToArrayBuffer(dropKey))
+    );
+    return valid ? dropKey : null;
+  }
+
+  /**
+   * Sign an API request with the identity key (proves we own the drop box mailbox)
+   * Must match verifyMailboxOwner in src/dropbox.ts
+   * @param {string} method - HTTP method
+   * @param {string} path - URL path
+   * @returns {Promise<Object>} Headers to send with the request
+   */
+  async signRequest(method, path) {
+    const identity = await this.loadIdentityKeyPair();
+    const timestamp = String(Date.now());
+    const signature = await crypto.subtle.sign(
+      SIGNATURE_ALGORITHM,
+      identity.privateKey,
+      new TextEncoder().encode(`${method}\n${path}\n${timestamp}`)
+    );
+    return {
+      'X-Identity-Key': this.arrayBufferToBase64(await crypto.subtle.exportKey('spki', identity.publicKey)),
+      'X-Timestamp': timestamp,
+      'X-Signature': this.arrayBufferToBase64(signature)
+    };
+  }
+
+  /**
+   * Seal a file for a device's drop key
+   * A fresh ECDH key per drop gives the AES key; it is signed with our identity so the
+   * recipient can tell who sent the drop
+   * @param {string} dropKeyBase64 - Recipient's verified drop key (see verifyDropKey)
+   * @param {Object} meta - File metadata ({ name, size, type, from })
+   * @param {ArrayBuffer} data - File contents
+   * @returns {Promise<ArrayBuffer>} Sealed drop (opaque to the server)
+   */
+  async sealDrop(dropKeyBase64, meta, data) {
+    const recipientKey = await crypto.subtle.importKey('spki', this.base64ToArrayBuffer(dropKeyBase64), ECDH_ALGORITHM, false, []);
+    const ephemeral = await crypto.subtle.generateKey(ECDH_ALGORITHM, true, ['deriveKey']);
+    const key = await crypto.subtle.deriveKey(
+      { name: 'ECDH', public: recipientKey },
+      ephemeral.privateKey,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt']
+    );
+
+    const identity = await this.loadIdentityKeyPair();
+    const ephemeralKey = await crypto.subtle.exportKey('spki', ephemeral.publicKey);
+    const signature = await crypto.subtle.sign(SIGNATURE_ALGORITHM, identity.privateKey, withContext(DROP_SENDER_CONTEXT, ephemeralKey));
+
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, withLength(new TextEncoder().encode(JSON.stringify(meta)), data));
+
+    const envelope = new TextEncoder().encode(JSON.stringify({
+      version: DROP_VERSION,
+      ephemeralKey: this.arrayBufferToBase64(ephemeralKey),
+      identityKey: this.arrayBufferToBase64(await crypto.subtle.exportKey('spki', identity.publicKey)),
+      signature: this.arrayBufferToBase64(signature),
+      iv: this.arrayBufferToBase64(iv)
+    }));
+    return withLength(envelope, ciphertext).buffer;
+  }
+
+  /**
+   * Open a drop sealed to our drop key
+   * @param {ArrayBuffer} sealed - Output of sealDrop
+   * @returns {Promise<{meta: Object, data: ArrayBuffer, sender: string}>} sender is the identity fingerprint
+   * @throws {Error} If the drop is malformed, not signed by its sender, or not sealed to our key
+   */
+  async openDrop(sealed) {
+    const [envelopeBytes, ciphertext] = splitLength(sealed);
+    const envelope = JSON.parse(new TextDecoder().decode(envelopeBytes));
+    if (envelope.version !== DROP_VERSION) {
+      throw new Error(`Unsupported drop version: ${envelope.version}`);
+    }
+
+    const identityBuffer = this.base64ToArrayBuffer(envelope.identityKey);
+    const ephemeralBuffer = this.base64ToArrayBuffer(envelope.ephemeralKey);
+    const senderIdentity = await crypto.subtle.importKey('spki', identityBuffer, IDENTITY_ALGORITHM, false, ['verify']);
+    const valid = await crypto.subtle.verify(
+      SIGNATURE_ALGORITHM,
+      senderIdentity,
+      this.base64ToArrayBuffer(envelope.signature),
+      withContext(DROP_SENDER_CONTEXT, ephemeralBuffer)
+    );
+    if (!valid) {
+      throw new Error('Invalid drop signature');
+    }
+
+    const dropKeyPair = await this.loadDropKeyPair();
+    const ephemeralKey = await crypto.subtle.importKey('spki', ephemeralBuffer, ECDH_ALGORITHM, false, []);
+    const key = await crypto.subtle.deriveKey(
+      { name: 'ECDH', public: ephemeralKey },
+      dropKeyPair.privateKey,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['decrypt']
+    );
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: this.base64ToArrayBuffer(envelope.iv) }, key, ciphertext);
+
+    const [metaBytes, data] = splitLength(plaintext);
+    return {
+      meta: JSON.parse(new TextDecoder().decode(metaBytes)),
+      data: data.slice().buffer,
+      sender: await this.hash(identityBuffer)
+    };
+  }
+
   /**
    * Export public key for sharing with peers
    * @returns {Promise<string>} Base64-encoded public key
@@ -42,8 +291,9 @@ export class CryptoManager {
    * Import peer's public key and derive shared secret
    * @param {string} peerId - Peer identifier
    * @param {string} publicKeyBase64 - Base64-encoded public key
+   * @param {string|null} identityKeyBase64 - Peer's verified identity key (see verifyPeerKey)
    */
-  async importPeerPublicKey(peerId, publicKeyBase64) {
+  async importPeerPublicKey(peerId, publicKeyBase64, identityKeyBase64 = null) {
     const publicKeyBuffer = this.base64ToArrayBuffer(publicKeyBase64);
     
     const peerPublicKey = await crypto.subtle.importKey(
@@ -72,10 +322,45 @@ export class CryptoManager {
       ['encrypt', 'decrypt']
     );
 
+    // Identity keys give a code that stays the same across sessions; older peers only have session keys
+    const ownKey = identityKeyBase64
+      ? this.arrayBufferToBase64(await crypto.subtle.exportKey('spki', this.identityKeyPair.publicKey))
+      : await this.exportPublicKey();
+    this.safetyCodes.set(peerId, await this.deriveSafetyCode(ownKey, identityKeyBase64 || publicKeyBase64));
+
+    // Set last - callers polling hasSharedSecret then see the whole key exchange finished
     this.sharedSecrets.set(peerId, sharedSecret);
     return sharedSecret;
   }
 
+  /**
+   * Derive a short authentication string from two public keys
+   * Both sides get the same code; a key swapped in transit gives each side a different one
+   * @param {string} keyA - Base64-encoded public key
+   * @param {string} keyB - Base64-encoded public key
+   * @returns {Promise<{digits: string, emoji: string[]}>}
+   */
+  async deriveSafetyCode(keyA, keyB) {
+    const [first, second] = [keyA, keyB].sort();
+    const digest = new Uint8Array(await crypto.subtle.digest(
+      'SHA-256',
+      new TextEncoder().encode(`clouddrop-safety|${first}|${second}`)
+    ));
+
+    const number = new DataView(digest.buffer).getUint32(0) % 1000000;
+    const emoji = Array.from(digest.slice(4, 9), byte => SAFETY_EMOJI[byte & 0x3f]);
+    return { digits: String(number).padStart(6, '0'), emoji };
+  }
+
+  /**
+   * Get the safety code for a peer (available after the key exchange)
+   * @param {string} peerId - Peer identifier
+   * @returns {{digits: string, emoji: string[]}|null}
+   */
+  getSafetyCode(peerId) {
+    return this.safetyCodes.get(peerId) || null;
+  }
+
   /**
    * Encrypt data for a specific peer
    * @param {string} peerId - Target peer ID
@@ -213,6 +498,7 @@ export class CryptoManager {
    */
   removePeer(peerId) {
     this.sharedSecrets.delete(peerId);
+    this.safetyCodes.delete(peerId);
   }
 
   /**
@@ -224,6 +510,37 @@ export class CryptoManager {
     return this.sharedSecrets.has(peerId);
   }
 
+  // ============================================
+  // One-Time Download Links
+  // ============================================
+
+  /**
+   * Generate the key of a download link
+   * It only ever travels in the link's #fragment, so the server never sees it
+   * @returns {string} Base64url encoded 256-bit AES key
+   */
+  generateLinkKey() {
+    const raw = crypto.getRandomValues(new Uint8Array(32));
+    return this.arrayBufferToBase64(raw.buffer).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  /**
+   * Use a link key as the shared secret with a peer
+   * Both ends of a link transfer hold the key already, so no key exchange is needed and
+   * encrypt/encryptChunk work as with any other peer (the optional password is the room key layer)
+   * @param {string} peerId - The other end of the link transfer
+   * @param {string} linkKey - Key from generateLinkKey
+   */
+  async importLinkKey(peerId, linkKey) {
+    const raw = this.base64ToArrayBuffer(linkKey.replace(/-/g, '+').replace(/_/g, '/'));
+    if (raw.byteLength !== 32) {
+      throw new Error('Invalid link key');
+    }
+
+    const key = await crypto.subtle.importKey('raw', raw, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+    this.sharedSecrets.set(peerId, key);
+  }
+
   // ============================================
   // Room-Level Encryption (Password-Based)
   // ============================================
@@ -355,20 +672,6 @@ export class CryptoManager {
     return decrypted;
   }
 
-  /**
-   * Generate password hash for server verification (SHA-256)
-   * @param {string} password - Room password
-   * @param {string} roomCode - Room code (used as salt)
-   * @returns {Promise<string>} Hex-encoded hash
-   */
-  async hashPasswordForServer(password, roomCode) {
-    const encoder = new TextEncoder();
-    const data = encoder.encode(`${password}:${roomCode}:clouddrop`);
-    const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-    return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-  }
-
   // ============================================
   // Utility Methods
   // ============================================
@@ -416,5 +719,92 @@ export class CryptoManager {
   }
 }
 
+/**
+ * Load a key pair from the identity store, creating and storing it on first use
+ * Falls back to a session-only key pair where IndexedDB is unavailable (e.g. private browsing)
+ * @param {string} name - Store key ('identity' or 'drop')
+ * @param {Function} generate - Creates the key pair
+ * @returns {Promise<CryptoKeyPair>}
+ */
+async function loadStoredKeyPair(name, generate) {
+  let db = null;
+  try {
+    db = await openIdentityStore();
+    const stored = await idbRequest(db.transaction(CRYPTO.IDENTITY_STORE).objectStore(CRYPTO.IDENTITY_STORE).get(name));
+    if (stored) return stored;
+  } catch (e) {
+    console.warn(`[Crypto] Identity store unavailable, using a session-only ${name} key:`, e);
+  }
+
+  const keyPair = await generate();
+
+  if (db) {
+    try {
+      const store = db.transaction(CRYPTO.IDENTITY_STORE, 'readwrite').objectStore(CRYPTO.IDENTITY_STORE);
+      await idbRequest(store.put(keyPair, name));
+      console.log(`[Crypto] Created device ${name} key`);
+    } catch (e) {
+      console.warn(`[Crypto] Failed to persist ${name} key:`, e);
+    }
+  }
+  return keyPair;
+}
+
+/**
+ * Prefix signed data with a context string
+ */
+function withContext(context, data) {
+  const prefix = new TextEncoder().encode(context);
+  const result = new Uint8Array(prefix.byteLength + data.byteLength);
+  result.set(prefix);
+  result.set(new Uint8Array(data), prefix.byteLength);
+  return result;
+}
+
+/**
+ * Concatenate [length of first(4, big-endian)][first][second]
+ * @returns {Uint8Array}
+ */
+function withLength(first, second) {
+  const result = new Uint8Array(4 + first.byteLength + second.byteLength);
+  new DataView(result.buffer).setUint32(0, first.byteLength);
+  result.set(new Uint8Array(first), 4);
+  result.set(new Uint8Array(second), 4 + first.byteLength);
+  return result;
+}
+
+/**
+ * Split what withLength joined
+ * @returns {Uint8Array[]} [first, second]
+ */
+function splitLength(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const length = new DataView(bytes.buffer, bytes.byteOffset).getUint32(0);
+  if (4 + length > bytes.byteLength) {
+    throw new Error('Malformed drop');
+  }
+  return [bytes.subarray(4, 4 + length), bytes.subarray(4 + length)];
+}
+
+/**
+ * Open the IndexedDB database holding the identity key
+ * @returns {Promise<IDBDatabase>}
+ */
+function openIdentityStore() {
+  const request = indexedDB.open(CRYPTO.IDENTITY_DB, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore(CRYPTO.IDENTITY_STORE);
+  return idbRequest(request);
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
 // Singleton instance
 export const cryptoManager = new CryptoManager();
@@ -0,0 +1,323 @@
+/**
+ * CloudDrop - Streaming File Sink
+ * Writes received chunks straight to disk instead of buffering whole files in memory
+ *
+ * Sink strategies (in order of preference):
+ * 1. File System Access API (showSaveFilePicker) - user picks location, random-access writes
+ * 2. Service worker download stream - browser download backed by a ReadableStream
+ * 3. In-memory Blob - last resort for browsers without either API
+ *
+ * Folders are written into a directory chosen with showDirectoryPicker (see createDirectoryFileSink)
+ */
+
+import { DOWNLOAD } from './config.js';
+
+let downloadWorkerPromise = null;
+
+/**
+ * Register the download service worker (called once at startup)
+ * Safe to call repeatedly - registration is cached
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export function registerDownloadWorker() {
+  if (downloadWorkerPromise) return downloadWorkerPromise;
+
+  if (!('serviceWorker' in navigator) || !window.isSecureContext) {
+    downloadWorkerPromise = Promise.resolve(null);
+    return downloadWorkerPromise;
+  }
+
+  downloadWorkerPromise = navigator.serviceWorker.register(DOWNLOAD.SERVICE_WORKER_URL)
+    .then(() => navigator.serviceWorker.ready)
+    .catch((error) => {
+      console.warn('[Download] Service worker registration failed:', error);
+      return null;
+    });
+
+  return downloadWorkerPromise;
+}
+
+/**
+ * Check if the File System Access save picker is available
+ */
+export function supportsSavePicker() {
+  return typeof window.showSaveFilePicker === 'function';
+}
+
+/**
+ * Check if the File System Access directory picker is available
+ */
+export function supportsDirectoryPicker() {
+  return typeof window.showDirectoryPicker === 'function';
+}
+
+/**
+ * Ask the user where to recreate a received folder (must run inside a user gesture)
+ * @returns {Promise<FileSystemDirectoryHandle>} Rejects with AbortError if dismissed
+ */
+export function pickDirectory() {
+  return window.showDirectoryPicker({ mode: 'readwrite' });
+}
+
+/**
+ * Create a sink for a file inside a picked directory, creating sub-folders as needed
+ * @param {FileSystemDirectoryHandle} root - Directory chosen with pickDirectory()
+ * @param {string} path - Sanitized relative path ('/' separated)
+ * @returns {Promise<Object>} Sink with write(chunk), close() and abort()
+ */
+export async function createDirectoryFileSink(root, path) {
+  const segments = path.split('/');
+  const fileName = segments.pop();
+
+  let dir = root;
+  for (const segment of segments) {
+    dir = await dir.getDirectoryHandle(segment, { create: true });
+  }
+
+  const handle = await dir.getFileHandle(fileName, { create: true });
+  return createHandleSink(handle, path);
+}
+
+/**
+ * Create a sink for an incoming file
+ * @param {Object} meta - File metadata
+ * @param {string} meta.name - File name
+ * @param {number} meta.size - File size in bytes
+ * @param {string} meta.mimeType - MIME type
+ * @param {Object} options
+ * @param {boolean} options.interactive - Whether we are inside a user gesture (allows the save picker)
+ * @returns {Promise<Object>} Sink with write(chunk), close() and abort()
+ */
+export async function createFileSink(meta, { interactive = false } = {}) {
+  if (interactive && supportsSavePicker()) {
+    try {
+      return await createPickerSink(meta);
+    } catch (error) {
+      // User dismissed the picker - let the caller decide (usually decline)
+      if (error.name === 'AbortError') throw error;
+      console.warn('[Download] Save picker unavailable, falling back:', error.message);
+    }
+  }
+
+  const registration = await registerDownloadWorker();
+  if (registration?.active) {
+    try {
+      return await createServiceWorkerSink(registration.active, meta);
+    } catch (error) {
+      console.warn('[Download] Service worker stream failed, falling back to memory:', error.message);
+    }
+  }
+
+  return createMemorySink(meta);
+}
+
+/**
+ * File System Access API sink
+ */
+async function createPickerSink(meta) {
+  const handle = await window.showSaveFilePicker({ suggestedName: meta.name });
+  return createHandleSink(handle, handle.name);
+}
+
+/**
+ * Sink writing to a FileSystemFileHandle
+ */
+async function createHandleSink(handle, location) {
+  const writable = await handle.createWritable();
+  let written = 0;
+
+  return {
+    kind: 'picker',
+    async write(chunk) {
+      await writable.write(chunk);
+      written += chunk.byteLength;
+    },
+    async close() {
+      await writable.close();
+      return { kind: 'picker', size: written, location };
+    },
+    async abort() {
+      try {
+        await writable.abort();
+      } catch (e) {
+        // Already closed
+      }
+    }
+  };
+}
+
+/**
+ * Service worker sink - streams chunks to a download handled by sw.js
+ */
+function createServiceWorkerSink(worker, meta) {
+  return new Promise((resolve, reject) => {
+    const channel = new MessageChannel();
+    const id = crypto.randomUUID();
+    let written = 0;
+    let cancelled = false;
+    let frame = null;
+    let flowControl = false;
+    const waiting = []; // Writes waiting for the worker's ack, oldest first: { resolve, reject }
+
+    // Download cancelled in the browser or aborted here - nothing will be acknowledged any more
+    const stop = (message) => {
+      cancelled = true;
+      for (const write of waiting.splice(0)) {
+        write.reject(new Error(message));
+      }
+    };
+
+    const timeoutId = setTimeout(() => {
+      channel.port1.close();
+      reject(new Error('Service worker did not respond'));
+    }, DOWNLOAD.SERVICE_WORKER_TIMEOUT);
+
+    channel.port1.onmessage = ({ data }) => {
+      if (data?.type === 'ready') {
+        clearTimeout(timeoutId);
+        // Workers from before flow control never ack - their writes resolve at once
+        flowControl = data.flowControl === true;
+
+        // Navigate a hidden iframe to the stream URL so the browser starts the download
+        frame = document.createElement('iframe');
+        frame.hidden = true;
+        frame.src = data.url;
+        document.body.appendChild(frame);
+
+        resolve({
+          kind: 'downloads',
+          async write(chunk) {
+            if (cancelled) throw new Error('Download cancelled');
+            // Copy so the transfer does not detach a buffer the caller still uses
+            const copy = chunk.slice();
+            channel.port1.postMessage(copy.buffer, [copy.buffer]);
+            written += chunk.byteLength;
+            // Resolve only once the stream has room, so chunks wait on the network side, not in memory
+            if (flowControl) {
+              await new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+            }
+          },
+          async close() {
+            channel.port1.postMessage({ type: 'end' });
+            // Keep the iframe around long enough for the download to be handed off
+            setTimeout(() => frame?.remove(), DOWNLOAD.FRAME_CLEANUP_DELAY);
+            return { kind: 'downloads', size: written, location: meta.name };
+          },
+          async abort() {
+            stop('Download aborted');
+            channel.port1.postMessage({ type: 'abort' });
+            frame?.remove();
+          }
+        });
+      } else if (data?.type === 'ack') {
+        waiting.shift()?.resolve();
+      } else if (data?.type === 'cancel') {
+        // User cancelled the download in the browser UI
+        stop('Download cancelled');
+      }
+    };
+
+    worker.postMessage({
+      type: 'stream-download',
+      id,
+      name: meta.name,
+      size: meta.size,
+      mimeType: meta.mimeType || 'application/octet-stream'
+    }, [channel.port2]);
+  });
+}
+
+/**
+ * In-memory sink (legacy behaviour) - used only when nothing else is available
+ */
+function createMemorySink(meta) {
+  let chunks = [];
+  let written = 0;
+
+  return {
+    kind: 'memory',
+    async write(chunk) {
+      chunks.push(chunk);
+      written += chunk.byteLength;
+    },
+    async close() {
+      const blob = new Blob(chunks, { type: meta.mimeType || 'application/octet-stream' });
+      chunks = [];
+      return { kind: 'memory', size: written, location: meta.name, blob };
+    },
+    async abort() {
+      chunks = [];
+    }
+  };
+}
+
+/**
+ * Writes indexed chunks to a sink strictly in order
+ * Out-of-order chunks (relay retransmissions) are held until the gap is filled
+ */
+export class OrderedChunkWriter {
+  /**
+   * @param {Object|Promise<Object>} sink - Sink or a promise resolving to one
+   */
+  constructor(sink) {
+    this.nextIndex = 0;
+    this.buffered = new Map(); // index -> Uint8Array
+    this.bytesWritten = 0;
+    this.sink = null;
+    this.queue = Promise.resolve(sink).then((s) => { this.sink = s; });
+  }
+
+  /**
+   * Queue a chunk for writing
+   * @param {number} index - Chunk index
+   * @param {Uint8Array} data - Decrypted chunk data
+   * @returns {Promise<void>} Settles when everything queued so far is written (rejects if a write failed)
+   */
+  push(index, data) {
+    if (index < this.nextIndex || this.buffered.has(index)) return this.queue;
+
+    this.buffered.set(index, data);
+    while (this.buffered.has(this.nextIndex)) {
+      const chunk = this.buffered.get(this.nextIndex);
+      this.buffered.delete(this.nextIndex);
+      this.nextIndex++;
+      this._enqueue(chunk);
+    }
+    return this.queue;
+  }
+
+  _enqueue(chunk) {
+    this.queue = this.queue.then(async () => {
+      await this.sink.write(chunk);
+      this.bytesWritten += chunk.byteLength;
+    });
+  }
+
+  /**
+   * Flush remaining chunks and close the sink
+   * Chunks after a gap are written in index order (the gap is skipped)
+   * @returns {Promise<Object>} Sink result
+   */
+  async close() {
+    const remaining = Array.from(this.buffered.keys()).sort((a, b) => a - b);
+    for (const index of remaining) {
+      this._enqueue(this.buffered.get(index));
+    }
+    this.buffered.clear();
+    await this.queue;
+    return this.sink.close();
+  }
+
+  /**
+   * Abort the sink and drop buffered chunks
+   */
+  async abort() {
+    this.buffered.clear();
+    try {
+      await this.queue;
+    } catch (e) {
+      // Ignore write errors while aborting
+    }
+    await this.sink?.abort();
+  }
+}
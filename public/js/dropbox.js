@@ -0,0 +1,87 @@
+/**
+ * CloudDrop - Drop box client
+ * Leaves files for a trusted device that is offline: the file is sealed to the device's drop key
+ * (cryptoManager.sealDrop) and uploaded to its mailbox; the device lists, downloads and deletes
+ * its drops with requests signed by its identity key.
+ *
+ * Must match src/dropbox.ts
+ */
+
+import { DROPBOX } from './config.js';
+import { cryptoManager } from './crypto.js';
+
+/**
+ * Seal a file for a device and upload it
+ * @param {Object} device - Trusted device ({ fingerprint, dropKey })
+ * @param {File} file - File to drop
+ * @param {string} from - Our device name (shown to the recipient next to the verified sender)
+ * @returns {Promise<{id: string, expiresAt: number}>}
+ */
+export async function sendDrop(device, file, from) {
+  const meta = { name: file.name, size: file.size, type: file.type, from };
+  const sealed = await cryptoManager.sealDrop(device.dropKey, meta, await file.arrayBuffer());
+
+  const response = await fetch(`${DROPBOX.API_PATH}${device.fingerprint}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/octet-stream' },
+    body: sealed
+  });
+  return parseResponse(response);
+}
+
+/**
+ * List the drops waiting for this device
+ * @returns {Promise<Array<{id: string, size: number, uploadedAt: number, expiresAt: number}>>}
+ */
+export async function listDrops() {
+  const { drops } = await parseResponse(await signedFetch('GET', await mailboxPath()));
+  return drops;
+}
+
+/**
+ * Download a drop (still sealed - see cryptoManager.openDrop)
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function downloadDrop(id) {
+  const response = await signedFetch('GET', `${await mailboxPath()}/${id}`);
+  if (!response.ok) {
+    await parseResponse(response);
+  }
+  return response.arrayBuffer();
+}
+
+/**
+ * Delete a drop once it is saved (or could not be opened)
+ */
+export async function deleteDrop(id) {
+  const response = await signedFetch('DELETE', `${await mailboxPath()}/${id}`);
+  if (!response.ok) {
+    await parseResponse(response);
+  }
+}
+
+async function mailboxPath() {
+  return `${DROPBOX.API_PATH}${await cryptoManager.getIdentityFingerprint()}`;
+}
+
+async function signedFetch(method, path) {
+  return fetch(path, {
+    method,
+    headers: await cryptoManager.signRequest(method, path),
+    cache: 'no-store'
+  });
+}
+
+/**
+ * Read a JSON reply, throwing on errors
+ * The thrown Error carries the server's error code (e.g. MAILBOX_FULL) as `code`
+ */
+async function parseResponse(response) {
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(body.message || `HTTP ${response.status}`);
+    error.code = body.error || 'HTTP_ERROR';
+    throw error;
+  }
+  return body;
+}
@@ -0,0 +1,126 @@
+/**
+ * CloudDrop - Folder Transfer Helpers
+ * Collects files from dropped or picked folders together with their relative paths,
+ * and turns received paths back into a safe directory tree
+ *
+ * Paths always use '/' and start with the top-level folder name, e.g. "Project/src/index.js"
+ */
+
+/**
+ * Get all files from a drop, walking into dropped folders
+ * Must be called synchronously from the drop handler - the DataTransfer is emptied afterwards
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<File[]>} Files; those from folders carry a relativePath property
+ */
+export function getDroppedFiles(dataTransfer) {
+  const files = Array.from(dataTransfer.files);
+  const entries = Array.from(dataTransfer.items || [])
+    .filter(item => item.kind === 'file')
+    .map(item => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+
+  // No folders dropped (or entries API unavailable) - plain file list
+  if (!entries.some(entry => entry.isDirectory)) {
+    return Promise.resolve(files);
+  }
+
+  return (async () => {
+    const collected = [];
+    for (const entry of entries) {
+      await collectEntry(entry, collected);
+    }
+    return collected;
+  })();
+}
+
+/**
+ * Recursively read a FileSystemEntry into the file list
+ */
+async function collectEntry(entry, files) {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    file.relativePath = entry.fullPath.replace(/^\//, '');
+    files.push(file);
+    return;
+  }
+
+  // readEntries returns children in batches until it yields an empty array
+  const reader = entry.createReader();
+  let batch;
+  do {
+    batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    for (const child of batch) {
+      await collectEntry(child, files);
+    }
+  } while (batch.length > 0);
+}
+
+/**
+ * Get a file's path relative to the dropped/picked folder
+ * (webkitRelativePath is set by <input webkitdirectory>)
+ * @param {File} file
+ * @returns {string} Relative path, or the plain file name for loose files
+ */
+export function getRelativePath(file) {
+  return file.relativePath || file.webkitRelativePath || file.name;
+}
+
+/**
+ * Check if any file in a list came from a folder
+ * @param {Array<File|{path?: string}>} files - Files or manifest entries
+ */
+export function hasFolderPaths(files) {
+  return files.some(file => (file.path ?? getRelativePath(file)).includes('/'));
+}
+
+/**
+ * Make a received path safe to recreate on any OS
+ * Drops empty, '.' and '..' segments, replaces characters Windows rejects
+ * and renames device names Windows reserves (CON, NUL, COM1, ... - also with an extension)
+ * @param {string} path
+ * @returns {string} Safe path - empty if nothing usable was left
+ */
+export function sanitizeRelativePath(path) {
+  return String(path || '')
+    .split(/[\\/]+/)
+    .map(segment => segment
+      .replace(/[<>:"|?*\x00-\x1f]/g, '_')
+      .replace(/[. ]+$/, '')
+      .replace(/^(con|prn|aux|nul|com[1-9]|lpt[1-9])(?=\.|$)/i, '$1_'))
+    .filter(Boolean)
+    .join('/');
+}
+
+/**
+ * Give a sanitized path a ' (1)', ' (2)', ... suffix if an earlier file already took it
+ * (different names can sanitize to the same path, e.g. 'a?.txt' and 'a*.txt')
+ * @param {string} path - Sanitized relative path
+ * @param {Set<string>} used - Paths taken so far (lower case - most file systems ignore case); updated
+ * @returns {string}
+ */
+export function makeUniquePath(path, used) {
+  const slash = path.lastIndexOf('/');
+  const dir = path.slice(0, slash + 1);
+  const name = path.slice(slash + 1);
+  const dot = name.lastIndexOf('.');
+  const base = dot > 0 ? name.slice(0, dot) : name;
+  const ext = dot > 0 ? name.slice(dot) : '';
+
+  let unique = path;
+  for (let n = 1; used.has(unique.toLowerCase()); n++) {
+    unique = `${dir}${base} (${n})${ext}`;
+  }
+  used.add(unique.toLowerCase());
+  return unique;
+}
+
+/**
+ * Name for a folder transfer: the shared top-level folder, if there is one
+ * @param {Array<File|{path?: string}>} files - Files or manifest entries
+ * @param {string} fallback - Name used when files come from several roots
+ */
+export function getFolderName(files, fallback) {
+  const roots = new Set(files.map(file => sanitizeRelativePath(file.path ?? getRelativePath(file)).split('/')[0]));
+  const [root] = roots;
+  return roots.size === 1 && root ? root : fallback;
+}
@@ -0,0 +1,405 @@
+/**
+ * CloudDrop - Download page of a one-time link (/d/<id>#<key>)
+ * Joins the link's room as a guest, proves it holds the key (and password) to the sender's browser
+ * and downloads the file over the relay path, decrypting it here. Protocol: see share.js
+ */
+
+import { cryptoManager } from './crypto.js';
+import { decodeRelayFrame } from './webrtc.js';
+import { createFileSink, registerDownloadWorker } from './download.js';
+import { ReconnectController } from './reconnect.js';
+import { openLinkSocket } from './share.js';
+import { formatFileSize, detectDeviceType, getDetailedDeviceInfo } from './ui.js';
+import { RELAY, SIGNALING, LINK } from './config.js';
+import { i18n } from './i18n.js';
+
+// Link keys are 32 bytes as base64url (see CryptoManager.generateLinkKey)
+const KEY_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+
+class LinkPage {
+  constructor() {
+    this.linkId = location.pathname.slice(LINK.PATH.length);
+    this.key = location.hash.slice(1);
+
+    this.socket = null;
+    this.useHttpSignaling = false;
+    this.wsOpenFailures = 0;
+    this.reconnect = new ReconnectController({
+      connect: () => this.connect(),
+      onStatus: () => this.setStatus('link.page.connecting')
+    });
+
+    this.hosts = new Set(); // Peers announcing LINK.HOST_CAPABILITY (the real one answers the challenge)
+    this.host = null; // Peer ID of the sender, once its challenge decrypted with our key
+    this.nonce = null;
+    this.password = ''; // Entered password, reused when the sender asks again after a reconnect
+    this.meta = null;
+    this.transfer = null; // { id, sink, next, received }
+    this.chunkQueue = Promise.resolve(); // Chunks are decrypted and written one after another
+    this.finished = false; // Downloaded, or the link is closed for good
+  }
+
+  async init() {
+    await i18n.init({ defaultLocale: 'zh' });
+    document.title = i18n.t('link.page.title');
+
+    if (!LINK.ID_PATTERN.test(this.linkId) || !KEY_PATTERN.test(this.key)) {
+      this.fail('link.page.invalid');
+      return;
+    }
+    registerDownloadWorker();
+
+    document.getElementById('linkPasswordForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.sendProof(document.getElementById('linkPassword').value);
+    });
+    document.getElementById('linkDownload').addEventListener('click', () => this.startDownload());
+    document.getElementById('linkRetry').addEventListener('click', () => this.retry());
+    window.addEventListener('beforeunload', () => {
+      if (this.socket?.readyState === WebSocket.OPEN) {
+        this.socket.send(JSON.stringify({ type: 'leave' }));
+      }
+    });
+
+    this.connect();
+  }
+
+  connect() {
+    this.reconnect.cancel();
+
+    const socket = openLinkSocket(this.linkId, this.useHttpSignaling);
+    this.socket = socket;
+    let opened = false;
+
+    socket.onopen = () => {
+      opened = true;
+      this.wsOpenFailures = 0;
+      socket.send(JSON.stringify({
+        type: 'join',
+        data: {
+          name: i18n.t('link.page.guestName'),
+          deviceType: detectDeviceType(),
+          browserInfo: getDetailedDeviceInfo(),
+          capabilities: [RELAY.BINARY_CAPABILITY]
+        }
+      }));
+    };
+
+    socket.onmessage = (e) => {
+      if (typeof e.data !== 'string') {
+        const frame = decodeRelayFrame(e.data);
+        if (frame) {
+          this.chunkQueue = this.chunkQueue.then(() => this.handleChunk(frame));
+        }
+        return;
+      }
+      this.handleMessage(JSON.parse(e.data));
+    };
+
+    socket.onclose = () => {
+      if (this.finished) return;
+      this.abortDownload('link.page.interrupted');
+
+      if (!opened && !this.useHttpSignaling && navigator.onLine &&
+          ++this.wsOpenFailures >= SIGNALING.WS_FAILURES_BEFORE_HTTP) {
+        this.useHttpSignaling = true;
+        this.connect();
+        return;
+      }
+      this.reconnect.schedule();
+    };
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case 'joined':
+        this.reconnect.reset();
+        this.hosts.clear();
+        this.host = null;
+        for (const peer of message.peers || []) {
+          this.addPeer(peer);
+        }
+        if (this.hosts.size === 0) {
+          this.setStatus('link.page.waiting');
+        }
+        break;
+      case 'peer-joined':
+        this.addPeer(message.data);
+        break;
+      case 'peer-left':
+        this.hosts.delete(message.data.id);
+        if (message.data.id === this.host) {
+          this.host = null;
+          this.abortDownload('link.page.senderLeft');
+          if (!this.finished && !this.transfer) this.setStatus('link.page.waiting');
+        }
+        break;
+      case 'peer-reconnecting':
+        // Chunks in flight are lost - start over once the sender is back
+        if (message.data.id === this.host) {
+          this.abortDownload('link.page.interrupted');
+        }
+        break;
+      case 'peer-resumed':
+        if (message.data.id === this.host && !this.finished) {
+          this.sendToHost('link-hello');
+        }
+        break;
+      case 'relay-data':
+        this.handleHostMessage(message.from, message.data || {}).catch(error => {
+          console.warn('[Link] Message from sender failed:', error);
+        });
+        break;
+      case 'error':
+        console.warn('[Link] Server error:', message.error, message.message);
+        break;
+    }
+  }
+
+  addPeer(peer) {
+    if (!peer.capabilities?.includes(LINK.HOST_CAPABILITY) || this.finished) return;
+    this.hosts.add(peer.id);
+    this.send(peer.id, 'link-hello');
+  }
+
+  async handleHostMessage(peerId, data) {
+    if (this.finished || !this.hosts.has(peerId)) return;
+
+    if (data.type === 'link-challenge') {
+      if (this.host && this.host !== peerId) return;
+
+      // Only the sender has the key - anyone else announcing the capability fails here
+      try {
+        await cryptoManager.importLinkKey(peerId, this.key);
+        this.nonce = await cryptoManager.decrypt(
+          peerId,
+          cryptoManager.base64ToArrayBuffer(data.nonce),
+          new Uint8Array(cryptoManager.base64ToArrayBuffer(data.iv))
+        );
+      } catch (e) {
+        cryptoManager.removePeer(peerId);
+        return;
+      }
+
+      this.host = peerId;
+      if (data.password && !this.password) {
+        this.showPasswordForm(false);
+      } else {
+        this.sendProof(data.password ? this.password : '');
+      }
+      return;
+    }
+
+    if (peerId !== this.host) return;
+
+    switch (data.type) {
+      case 'link-meta':
+        this.meta = JSON.parse(new TextDecoder().decode(
+          await cryptoManager.decryptChunk(peerId, cryptoManager.base64ToArrayBuffer(data.meta))
+        ));
+        this.showFile();
+        break;
+      case 'link-denied':
+        if (data.reason === 'password') {
+          this.password = '';
+          this.showPasswordForm(true);
+        } else {
+          this.abortDownload(null);
+          this.fail(`link.page.denied.${['exhausted', 'expired'].includes(data.reason) ? data.reason : 'revoked'}`);
+        }
+        break;
+    }
+  }
+
+  /**
+   * Answer the challenge: the nonce encrypted with the link key (and the password, if the link has one)
+   */
+  async sendProof(password) {
+    this.password = password;
+    if (password) {
+      await cryptoManager.setRoomPassword(password, this.linkId);
+    } else {
+      cryptoManager.clearRoomPassword();
+    }
+    const proof = await cryptoManager.encryptChunk(this.host, this.nonce);
+    this.setStatus('link.page.connecting');
+    this.sendToHost('link-proof', { proof: cryptoManager.arrayBufferToBase64(proof) });
+  }
+
+  async startDownload() {
+    if (!this.meta || this.transfer) return;
+
+    let sink;
+    try {
+      sink = await createFileSink(this.meta, { interactive: true });
+    } catch (error) {
+      // Save dialog dismissed
+      return;
+    }
+
+    this.transfer = { id: crypto.randomUUID(), sink, next: 0, received: 0 };
+    document.getElementById('linkDownload').hidden = true;
+    document.getElementById('linkProgress').hidden = false;
+    this.updateProgress();
+    this.setStatus('link.page.downloading');
+    this.sendToHost('link-start', { transferId: this.transfer.id });
+
+    if (this.meta.totalChunks === 0) {
+      this.chunkQueue = this.chunkQueue.then(() => this.finishDownload());
+    }
+  }
+
+  async handleChunk(frame) {
+    const transfer = this.transfer;
+    if (!transfer || frame.peerId !== this.host || frame.fileId !== transfer.id) return;
+
+    try {
+      const chunk = await cryptoManager.decryptChunk(this.host, frame.payload);
+      const index = new DataView(chunk).getUint32(0);
+      // Chunks come in order over the socket - anything else was tampered with
+      if (index !== frame.index || index !== transfer.next) {
+        throw new Error(`Unexpected chunk ${frame.index} (wanted ${transfer.next})`);
+      }
+
+      const data = new Uint8Array(chunk, 4);
+      await transfer.sink.write(data);
+      transfer.next++;
+      transfer.received += data.byteLength;
+      this.updateProgress();
+
+      const last = transfer.next === this.meta.totalChunks;
+      if (last || transfer.next % RELAY.ACK_BATCH_SIZE === 0) {
+        this.sendToHost('link-ack', { transferId: transfer.id, index });
+      }
+      if (last) {
+        await this.finishDownload();
+      }
+    } catch (error) {
+      console.error('[Link] Download failed:', error);
+      this.sendToHost('link-cancel', { transferId: transfer.id });
+      this.abortDownload('link.page.failed');
+    }
+  }
+
+  async finishDownload() {
+    const transfer = this.transfer;
+    // The sender counts the download at our last ack and may close the link right away -
+    // from here on nothing it says may abort the file
+    this.transfer = null;
+    this.finished = true;
+
+    let result;
+    try {
+      result = await transfer.sink.close();
+    } catch (error) {
+      console.error('[Link] Saving the file failed:', error);
+      this.fail('link.page.failed');
+      return;
+    }
+    this.sendToHost('link-done', { transferId: transfer.id });
+
+    if (result.blob) {
+      // No streaming download available - hand over the file from memory
+      const url = URL.createObjectURL(result.blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = result.location;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    }
+
+    document.getElementById('linkProgress').hidden = true;
+    this.setStatus('link.page.done');
+    if (this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify({ type: 'leave' }));
+    }
+    this.socket.close();
+  }
+
+  /**
+   * Drop a running download
+   * @param {string|null} reason - Message key to show, or null to leave the status alone
+   */
+  abortDownload(reason) {
+    const transfer = this.transfer;
+    if (!transfer) return;
+
+    this.transfer = null;
+    transfer.sink.abort();
+    document.getElementById('linkProgress').hidden = true;
+    if (reason) {
+      this.setStatus(reason);
+      document.getElementById('linkRetry').hidden = false;
+    }
+  }
+
+  /**
+   * Ask the sender again (after an interrupted download)
+   */
+  retry() {
+    document.getElementById('linkRetry').hidden = true;
+    this.meta = null;
+    document.getElementById('linkFile').hidden = true;
+    this.setStatus('link.page.connecting');
+    for (const peerId of this.hosts) {
+      this.send(peerId, 'link-hello');
+    }
+  }
+
+  showPasswordForm(wrong) {
+    document.getElementById('linkPasswordForm').hidden = false;
+    document.getElementById('linkFile').hidden = true;
+    this.setStatus(wrong ? 'link.page.passwordWrong' : 'link.page.passwordRequired');
+    document.getElementById('linkPassword').focus();
+  }
+
+  showFile() {
+    document.getElementById('linkPasswordForm').hidden = true;
+    document.getElementById('linkRetry').hidden = true;
+    document.getElementById('linkFile').hidden = false;
+    document.getElementById('linkDownload').hidden = false;
+    document.getElementById('linkFileName').textContent = this.meta.name;
+    document.getElementById('linkFileInfo').textContent = i18n.t('link.page.fileInfo', {
+      size: formatFileSize(this.meta.size),
+      name: this.meta.from
+    });
+    this.setStatus('link.page.ready');
+  }
+
+  updateProgress() {
+    const percent = this.meta.size > 0 ? (this.transfer.received / this.meta.size) * 100 : 100;
+    document.getElementById('linkProgressFill').style.width = `${percent}%`;
+  }
+
+  /**
+   * The link cannot be used (any more)
+   */
+  fail(key) {
+    this.finished = true;
+    document.getElementById('linkPasswordForm').hidden = true;
+    document.getElementById('linkFile').hidden = true;
+    document.getElementById('linkRetry').hidden = true;
+    this.setStatus(key);
+    if (this.socket) {
+      this.socket.onclose = null;
+      this.socket.close();
+    }
+  }
+
+  setStatus(key) {
+    const status = document.getElementById('linkStatus');
+    status.dataset.i18n = key;
+    status.textContent = i18n.t(key);
+  }
+
+  sendToHost(type, data = {}) {
+    if (this.host) this.send(this.host, type, data);
+  }
+
+  send(peerId, type, data = {}) {
+    if (this.socket?.readyState !== WebSocket.OPEN) return;
+    this.socket.send(JSON.stringify({ type: 'relay-data', to: peerId, data: { type, ...data } }));
+  }
+}
+
+new LinkPage().init();
@@ -0,0 +1,125 @@
+/**
+ * CloudDrop - Signaling reconnect controller
+ * Retries the WebSocket with jittered exponential backoff. Retries wait while the browser is offline
+ * or the tab is hidden, and happen at once when the network comes back or the tab is shown again.
+ */
+
+import { RECONNECT } from './config.js';
+
+export class ReconnectController {
+  /**
+   * @param {Object} options
+   * @param {Function} options.connect - Opens a new connection
+   * @param {Function} options.onStatus - Called with (status, seconds):
+   *   'reconnecting' (seconds until the next try), 'offline', 'disconnected' (paused while hidden) or 'connecting'
+   */
+  constructor({ connect, onStatus }) {
+    this.connect = connect;
+    this.onStatus = onStatus;
+    this.attempt = 0;
+    this.pending = false; // A retry is due (connection lost and not yet retried)
+    this.notBefore = 0; // Earliest retry the server allows (rate limiting)
+    this.retryAt = 0;
+    this.timer = null;
+    this.countdownTimer = null;
+
+    window.addEventListener('online', () => this.retryNow());
+    window.addEventListener('offline', () => this.pause());
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) {
+        this.pause();
+      } else {
+        this.retryNow();
+      }
+    });
+  }
+
+  /**
+   * The connection is up again - the next drop starts from the shortest delay
+   */
+  reset() {
+    this.attempt = 0;
+    this.cancel();
+  }
+
+  /**
+   * Connection lost - plan the next try
+   * @param {number} minDelay - Wait at least this long (ms), e.g. when the server asked us to back off
+   */
+  schedule(minDelay = 0) {
+    this.cancel();
+    this.pending = true;
+    this.notBefore = Date.now() + minDelay;
+
+    if (!navigator.onLine || document.hidden) {
+      this.pause();
+      return;
+    }
+
+    const delay = Math.max(minDelay, this.nextDelay());
+    this.attempt++;
+    this.retryAt = Date.now() + delay;
+    this.timer = setTimeout(() => this.fire(), delay);
+    this.countdownTimer = setInterval(() => this.reportCountdown(), 1000);
+    this.reportCountdown();
+  }
+
+  /**
+   * Drop any planned retry (connected, switched rooms, or reconnecting by hand)
+   */
+  cancel() {
+    this.pending = false;
+    this.clearTimers();
+  }
+
+  /**
+   * Exponential delay with jitter, so devices that lost the server together don't return in lockstep
+   */
+  nextDelay() {
+    const delay = Math.min(RECONNECT.MAX_DELAY, RECONNECT.BASE_DELAY * 2 ** this.attempt);
+    return Math.round(delay * (1 - RECONNECT.JITTER * Math.random()));
+  }
+
+  /**
+   * Stop counting down until we are online and visible again
+   */
+  pause() {
+    if (!this.pending) return;
+
+    this.clearTimers();
+    this.onStatus(navigator.onLine ? 'disconnected' : 'offline');
+  }
+
+  /**
+   * Network is back or the tab was shown - don't wait out the backoff
+   * (a delay the server asked for is still respected)
+   */
+  retryNow() {
+    if (!this.pending || !navigator.onLine || document.hidden) return;
+
+    const wait = this.notBefore - Date.now();
+    if (wait > 0) {
+      this.schedule(wait);
+      return;
+    }
+    this.fire();
+  }
+
+  fire() {
+    this.cancel();
+    this.onStatus('connecting');
+    this.connect();
+  }
+
+  reportCountdown() {
+    const seconds = Math.max(0, Math.ceil((this.retryAt - Date.now()) / 1000));
+    this.onStatus('reconnecting', seconds);
+  }
+
+  clearTimers() {
+    clearTimeout(this.timer);
+    clearInterval(this.countdownTimer);
+    this.timer = null;
+    this.countdownTimer = null;
+  }
+}
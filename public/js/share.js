@@ -0,0 +1,391 @@
+/**
+ * CloudDrop - One-time download links
+ * Lets someone outside the room download a file straight from the sender's browser.
+ * A link is /d/<id>#<key>: the ID names a room of its own (/ws?link=<id>) that this browser joins as
+ * link host, the key never leaves the #fragment. The download page (linkpage.js) joins the same room,
+ * and the file goes over the relay path like any relay transfer - encrypted with the link key,
+ * plus the password as room key layer when the link has one (see CryptoManager.importLinkKey).
+ *
+ * Messages (relay-data, guest -> host unless noted):
+ *   link-hello                                        ask for the file
+ *   link-challenge { nonce, iv, password }   host -> prove the key (nonce encrypted with the link key)
+ *   link-proof { proof }                              the nonce again, through encryptChunk (key + password)
+ *   link-meta { meta }                       host -> file details (encryptChunk'd JSON)
+ *   link-denied { reason }                   host -> 'password', 'exhausted', 'expired' or 'revoked'
+ *   link-start { transferId }                         send the file; chunks follow as relay frames
+ *   link-ack { transferId, index }                    flow control (every RELAY.ACK_BATCH_SIZE chunks and the last one)
+ *                                                     the ack of the last chunk counts as one download
+ *   link-done { transferId }                          file saved (informational - the host already counted it)
+ *   link-cancel { transferId }                        stop sending
+ * Chunk payload: encryptChunk([index(4, big-endian)][data]) - the index inside is checked against the frame
+ */
+
+import { CryptoManager } from './crypto.js';
+import { encodeRelayFrame } from './webrtc.js';
+import { HttpSignalingSocket } from './signaling.js';
+import { ReconnectController } from './reconnect.js';
+import { WEBRTC, RELAY, SIGNALING, LINK } from './config.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Chunks are not sent while more than this is waiting in the socket
+const MAX_BUFFERED_AMOUNT = 1024 * 1024;
+
+/**
+ * Open the signaling connection of a link's room
+ * @param {string} linkId - Link ID
+ * @param {boolean} useHttp - Use HTTP signaling (networks that block WebSockets)
+ * @returns {WebSocket|HttpSignalingSocket}
+ */
+export function openLinkSocket(linkId, useHttp) {
+  const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+  const socket = useHttp
+    ? new HttpSignalingSocket(`${location.protocol}//${location.host}/sse?link=${linkId}`)
+    : new WebSocket(`${protocol}//${location.host}/ws?link=${linkId}`);
+  socket.binaryType = 'arraybuffer';
+  return socket;
+}
+
+/**
+ * A file offered through a one-time link (lives as long as this page is open)
+ */
+export class FileLink {
+  /**
+   * @param {File} file - File to share
+   * @param {Object} options
+   * @param {Object} options.sender - { name, deviceType, browserInfo } announced in the link's room
+   * @param {number} options.maxDownloads - Completed downloads before the link closes
+   * @param {number} options.expiresIn - Lifetime (ms)
+   * @param {string} [options.password] - Extra secret the downloader has to type in
+   * @param {boolean} [options.useHttpSignaling] - Start with HTTP signaling
+   * @param {Function} [options.onChange] - Called with the link whenever downloads or state change
+   */
+  constructor(file, { sender, maxDownloads, expiresIn, password = '', useHttpSignaling = false, onChange = () => {} }) {
+    this.file = file;
+    this.sender = sender;
+    this.maxDownloads = maxDownloads;
+    this.expiresAt = Date.now() + expiresIn;
+    this.password = password;
+    this.useHttpSignaling = useHttpSignaling;
+    this.onChange = onChange;
+
+    this.id = Array.from(crypto.getRandomValues(new Uint8Array(16)), b => b.toString(16).padStart(2, '0')).join('');
+    this.crypto = new CryptoManager(); // Link key per guest + password layer, apart from the room's keys
+    this.key = this.crypto.generateLinkKey();
+    this.url = `${location.origin}${LINK.PATH}${this.id}#${this.key}`;
+
+    this.downloads = 0;
+    this.passwordFailures = 0;
+    this.guests = new Map(); // peerId -> { nonce, verified, transfer }
+    this.closed = null; // Reason once closed: 'expired', 'exhausted', 'password' or 'revoked'
+
+    this.socket = null;
+    this.peerId = null;
+    this.resumeToken = null;
+    this.wsOpenFailures = 0;
+    this.reconnect = new ReconnectController({
+      connect: () => this.connect(),
+      onStatus: () => {} // The link list shows nothing per connection
+    });
+    this.expiryTimer = null;
+  }
+
+  /**
+   * Start serving the link
+   */
+  async open() {
+    if (this.password) {
+      // The link ID salts the password, like the room code does for room passwords
+      await this.crypto.setRoomPassword(this.password, this.id);
+    }
+    this.expiryTimer = setTimeout(() => this.close('expired'), this.expiresAt - Date.now());
+    this.connect();
+  }
+
+  /**
+   * Stop serving the link - guests that are still around are told why
+   * @param {string} reason - 'expired', 'exhausted', 'password' or 'revoked'
+   */
+  close(reason = 'revoked') {
+    if (this.closed) return;
+    this.closed = reason;
+
+    clearTimeout(this.expiryTimer);
+    this.reconnect.cancel();
+    for (const peerId of this.guests.keys()) {
+      this.cancelTransfer(peerId);
+      // 'password' to a guest means "try again" - after too many failures the link is simply gone
+      this.sendToGuest(peerId, 'link-denied', { reason: reason === 'password' ? 'revoked' : reason });
+    }
+    this.guests.clear();
+
+    if (this.socket) {
+      this.socket.onclose = null;
+      if (this.socket.readyState === WebSocket.OPEN) {
+        this.socket.send(JSON.stringify({ type: 'leave' }));
+      }
+      this.socket.close();
+    }
+    this.crypto.clearRoomPassword();
+    this.onChange(this);
+  }
+
+  /**
+   * Downloads running right now
+   */
+  get activeDownloads() {
+    let count = 0;
+    for (const guest of this.guests.values()) {
+      if (guest.transfer) count++;
+    }
+    return count;
+  }
+
+  connect() {
+    this.reconnect.cancel();
+
+    const socket = openLinkSocket(this.id, this.useHttpSignaling);
+    this.socket = socket;
+    let opened = false;
+
+    socket.onopen = () => {
+      opened = true;
+      this.wsOpenFailures = 0;
+      socket.send(JSON.stringify({
+        type: 'join',
+        data: {
+          name: this.sender.name,
+          deviceType: this.sender.deviceType,
+          browserInfo: this.sender.browserInfo,
+          capabilities: [LINK.HOST_CAPABILITY, RELAY.BINARY_CAPABILITY],
+          resumeToken: this.resumeToken || undefined
+        }
+      }));
+    };
+
+    socket.onmessage = (e) => {
+      // Guests never send chunks
+      if (typeof e.data !== 'string') return;
+
+      const message = JSON.parse(e.data);
+      switch (message.type) {
+        case 'joined':
+          this.peerId = message.peerId;
+          this.resumeToken = message.resumeToken || null;
+          this.reconnect.reset();
+          break;
+        case 'peer-left':
+          this.cancelTransfer(message.data.id);
+          this.guests.delete(message.data.id);
+          this.crypto.removePeer(message.data.id);
+          this.onChange(this);
+          break;
+        case 'relay-data':
+          this.handleGuestMessage(message.from, message.data).catch(error => {
+            console.warn('[Link] Guest message failed:', error);
+          });
+          break;
+        case 'error':
+          console.warn('[Link] Server error:', message.error, message.message);
+          break;
+      }
+    };
+
+    socket.onclose = () => {
+      // Chunks sent from now on would be lost - the guests start over once we are back
+      for (const peerId of this.guests.keys()) {
+        this.cancelTransfer(peerId);
+      }
+      this.onChange(this);
+
+      if (!opened && !this.useHttpSignaling && navigator.onLine &&
+          ++this.wsOpenFailures >= SIGNALING.WS_FAILURES_BEFORE_HTTP) {
+        this.useHttpSignaling = true;
+        this.connect();
+        return;
+      }
+      this.reconnect.schedule();
+    };
+  }
+
+  async handleGuestMessage(peerId, data) {
+    if (this.closed || !data) return;
+
+    if (data.type === 'link-hello') {
+      if (Date.now() >= this.expiresAt) {
+        this.sendToGuest(peerId, 'link-denied', { reason: 'expired' });
+        this.close('expired');
+        return;
+      }
+
+      await this.crypto.importLinkKey(peerId, this.key);
+      const nonce = crypto.getRandomValues(new Uint8Array(32));
+      const { encrypted, iv } = await this.crypto.encrypt(peerId, nonce);
+      this.cancelTransfer(peerId);
+      this.guests.set(peerId, { nonce, verified: false, transfer: null });
+
+      this.sendToGuest(peerId, 'link-challenge', {
+        nonce: this.crypto.arrayBufferToBase64(encrypted),
+        iv: this.crypto.arrayBufferToBase64(iv),
+        password: !!this.password
+      });
+      return;
+    }
+
+    const guest = this.guests.get(peerId);
+    if (!guest) return;
+
+    switch (data.type) {
+      case 'link-proof':
+        await this.checkProof(peerId, guest, data.proof);
+        break;
+      case 'link-start': {
+        if (!guest.verified || guest.transfer || !UUID_PATTERN.test(data.transferId)) return;
+        if (this.downloads + this.activeDownloads >= this.maxDownloads) {
+          this.sendToGuest(peerId, 'link-denied', { reason: 'exhausted' });
+          return;
+        }
+        // Reserves a download until the last chunk is acked (released if the guest goes away first)
+        const transfer = { id: data.transferId, acked: -1, lastAckTime: Date.now(), sent: 0, cancelled: false };
+        guest.transfer = transfer;
+        this.onChange(this);
+        this.sendFile(peerId, transfer).then(() => {
+          // Nothing to acknowledge for an empty file - it is delivered once started
+          if (chunkCount(this.file.size) === 0) this.completeTransfer(peerId, transfer);
+        }).catch(error => {
+          console.warn('[Link] Transfer failed:', error.message);
+          this.cancelTransfer(peerId);
+          this.onChange(this);
+        });
+        break;
+      }
+      case 'link-ack': {
+        if (guest.transfer?.id === data.transferId && Number.isInteger(data.index)) {
+          guest.transfer.acked = Math.max(guest.transfer.acked, data.index);
+          guest.transfer.lastAckTime = Date.now();
+
+          // Every chunk went out and the guest has the last one - counted here, not on the guest's word
+          const totalChunks = chunkCount(this.file.size);
+          if (guest.transfer.sent === totalChunks && data.index === totalChunks - 1) {
+            this.completeTransfer(peerId, guest.transfer);
+          }
+        }
+        break;
+      }
+      case 'link-cancel':
+        if (guest.transfer?.id === data.transferId) {
+          this.cancelTransfer(peerId);
+          this.onChange(this);
+        }
+        break;
+    }
+  }
+
+  /**
+   * Check that the guest could encrypt our nonce - it has the key (and the password, if set)
+   */
+  async checkProof(peerId, guest, proof) {
+    let valid = false;
+    try {
+      const nonce = new Uint8Array(await this.crypto.decryptChunk(peerId, this.crypto.base64ToArrayBuffer(proof)));
+      valid = nonce.length === guest.nonce.length && nonce.every((b, i) => b === guest.nonce[i]);
+    } catch (e) {
+      // Wrong password (or not encrypted with the link key at all)
+    }
+
+    if (!valid) {
+      this.sendToGuest(peerId, 'link-denied', { reason: 'password' });
+      if (++this.passwordFailures >= LINK.MAX_PASSWORD_FAILURES) {
+        this.close('password');
+      }
+      return;
+    }
+
+    guest.verified = true;
+    const meta = {
+      name: this.file.name,
+      size: this.file.size,
+      mimeType: this.file.type,
+      totalChunks: chunkCount(this.file.size),
+      from: this.sender.name
+    };
+    const sealed = await this.crypto.encryptChunk(peerId, new TextEncoder().encode(JSON.stringify(meta)));
+    this.sendToGuest(peerId, 'link-meta', { meta: this.crypto.arrayBufferToBase64(sealed) });
+  }
+
+  /**
+   * Send the file as relay frames, at most RELAY.WINDOW_SIZE chunks ahead of the guest's acks
+   */
+  async sendFile(peerId, transfer) {
+    const totalChunks = chunkCount(this.file.size);
+
+    for (let index = 0; index < totalChunks; index++) {
+      while (index - transfer.acked > RELAY.WINDOW_SIZE || this.socket.bufferedAmount > MAX_BUFFERED_AMOUNT) {
+        this.checkTransfer(transfer);
+        await sleep(50);
+      }
+      this.checkTransfer(transfer);
+
+      const start = index * WEBRTC.CHUNK_SIZE;
+      const data = new Uint8Array(await this.file.slice(start, start + WEBRTC.CHUNK_SIZE).arrayBuffer());
+      const chunk = new Uint8Array(4 + data.byteLength);
+      new DataView(chunk.buffer).setUint32(0, index);
+      chunk.set(data, 4);
+
+      const payload = await this.crypto.encryptChunk(peerId, chunk.buffer);
+      this.checkTransfer(transfer);
+      this.socket.send(encodeRelayFrame(peerId, transfer.id, index, payload));
+      transfer.sent = index + 1;
+
+      await sleep(RELAY.CHUNK_INTERVAL);
+    }
+  }
+
+  /**
+   * Count a delivered file as one download, closing the link once the last one is used
+   */
+  completeTransfer(peerId, transfer) {
+    const guest = this.guests.get(peerId);
+    if (!guest || guest.transfer !== transfer) return;
+    guest.transfer = null;
+    this.downloads++;
+    if (this.downloads >= this.maxDownloads) {
+      this.close('exhausted');
+    } else {
+      this.onChange(this);
+    }
+  }
+
+  checkTransfer(transfer) {
+    if (transfer.cancelled) {
+      throw new Error('Transfer cancelled');
+    }
+    if (Date.now() - transfer.lastAckTime > RELAY.TRANSFER_TIMEOUT) {
+      throw new Error('Guest stopped acknowledging');
+    }
+  }
+
+  cancelTransfer(peerId) {
+    const guest = this.guests.get(peerId);
+    if (guest?.transfer) {
+      guest.transfer.cancelled = true;
+      guest.transfer = null;
+    }
+  }
+
+  sendToGuest(peerId, type, data = {}) {
+    if (this.socket?.readyState !== WebSocket.OPEN) return;
+    this.socket.send(JSON.stringify({ type: 'relay-data', to: peerId, data: { type, ...data } }));
+  }
+}
+
+/**
+ * Number of chunks a file of this size is sent in
+ */
+export function chunkCount(size) {
+  return Math.ceil(size / WEBRTC.CHUNK_SIZE);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,221 @@
+/**
+ * CloudDrop - Signaling over HTTP
+ * Fallback for networks that block WebSocket upgrades: messages from the room arrive as a
+ * Server-Sent Events stream, messages to it are POSTed in batches (one request in flight, so order is kept).
+ * An empty POST is sent as keepalive when idle - the room drops sessions that stop POSTing.
+ * HttpSignalingSocket looks like a WebSocket to the app (readyState, send, close, onopen/onmessage/onclose/onerror),
+ * so nothing else needs to know which transport is in use.
+ *
+ * Must match src/httpsession.ts (events and batch format)
+ */
+
+import { SIGNALING } from './config.js';
+
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSING = 2;
+const CLOSED = 3;
+
+// POST body framing: [kind(1): 0 = text, 1 = binary][length(4, big-endian)][payload]
+const FRAME_HEADER_SIZE = 5;
+const FRAME_TEXT = 0;
+const FRAME_BINARY = 1;
+
+const encoder = new TextEncoder();
+
+export class HttpSignalingSocket {
+  /**
+   * @param {string} url - http(s) URL of the /sse endpoint (with the room parameter)
+   */
+  constructor(url) {
+    this.url = url;
+    this.readyState = CONNECTING;
+    this.binaryType = 'arraybuffer'; // Binary messages always arrive as ArrayBuffers
+    this.bufferedAmount = 0; // Bytes queued but not yet POSTed
+    this.onopen = null;
+    this.onmessage = null;
+    this.onclose = null;
+    this.onerror = null;
+
+    this.sessionId = null;
+    this.queue = []; // Encoded frames waiting to be POSTed
+    this.sending = false;
+    this.closeEvent = null; // { code, reason } from the room's close event
+    this.abort = new AbortController();
+    this.keepaliveTimer = null;
+
+    this.listen();
+  }
+
+  /**
+   * Queue a message (string or binary) for the room
+   */
+  send(data) {
+    if (this.readyState === CONNECTING) {
+      throw new DOMException('Still connecting', 'InvalidStateError');
+    }
+    if (this.readyState !== OPEN) return;
+
+    const isText = typeof data === 'string';
+    const payload = isText
+      ? encoder.encode(data)
+      : new Uint8Array(data instanceof ArrayBuffer ? data : data.buffer, data.byteOffset || 0, data.byteLength);
+
+    const frame = new Uint8Array(FRAME_HEADER_SIZE + payload.byteLength);
+    const view = new DataView(frame.buffer);
+    view.setUint8(0, isText ? FRAME_TEXT : FRAME_BINARY);
+    view.setUint32(1, payload.byteLength);
+    frame.set(payload, FRAME_HEADER_SIZE);
+
+    this.queue.push(frame);
+    this.bufferedAmount += frame.byteLength;
+    this.flush();
+  }
+
+  close(code = 1000, reason = '') {
+    if (this.readyState === CLOSING || this.readyState === CLOSED) return;
+
+    this.readyState = CLOSING;
+    this.abort.abort();
+    this.finish({ code, reason, wasClean: true });
+  }
+
+  /**
+   * Read the event stream until it ends
+   */
+  async listen() {
+    try {
+      const response = await fetch(this.url, {
+        headers: { Accept: 'text/event-stream' },
+        cache: 'no-store',
+        signal: this.abort.signal
+      });
+      if (!response.ok || !response.body) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+      let buffer = '';
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += value;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          this.handleEvent(buffer.slice(0, end));
+          buffer = buffer.slice(end + 2);
+        }
+      }
+    } catch (error) {
+      if (this.readyState === CLOSING || this.readyState === CLOSED) return;
+      console.warn('[Signaling] HTTP stream failed:', error);
+      this.onerror?.({ type: 'error', error });
+    }
+
+    this.finish(this.closeEvent
+      ? { ...this.closeEvent, wasClean: true }
+      : { code: 1006, reason: '', wasClean: false });
+  }
+
+  /**
+   * Handle one Server-Sent Event block
+   */
+  handleEvent(block) {
+    let event = 'message';
+    const data = [];
+    for (const line of block.split('\n')) {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+      // Lines starting with ':' are heartbeats
+    }
+    if (data.length === 0) return;
+    const text = data.join('\n');
+
+    switch (event) {
+      case 'session':
+        this.sessionId = JSON.parse(text).id;
+        this.readyState = OPEN;
+        this.keepaliveTimer = setInterval(() => this.flush(true), SIGNALING.HTTP_KEEPALIVE_INTERVAL);
+        this.onopen?.({ type: 'open' });
+        break;
+      case 'binary':
+        this.onmessage?.({ type: 'message', data: fromBase64(text) });
+        break;
+      case 'close':
+        this.closeEvent = JSON.parse(text);
+        break;
+      default:
+        this.onmessage?.({ type: 'message', data: text });
+    }
+  }
+
+  /**
+   * POST queued messages, one batch at a time
+   * @param {boolean} keepalive - POST even if nothing is queued
+   */
+  async flush(keepalive = false) {
+    if (this.sending || this.readyState !== OPEN || (this.queue.length === 0 && !keepalive)) return;
+    this.sending = true;
+
+    // Up to HTTP_BATCH_SIZE per request (but always at least one message)
+    let size = 0;
+    let count = 0;
+    while (count < this.queue.length && (count === 0 || size + this.queue[count].byteLength <= SIGNALING.HTTP_BATCH_SIZE)) {
+      size += this.queue[count].byteLength;
+      count++;
+    }
+    const frames = this.queue.splice(0, count);
+    const body = new Uint8Array(size);
+    let offset = 0;
+    for (const frame of frames) {
+      body.set(frame, offset);
+      offset += frame.byteLength;
+    }
+
+    try {
+      const response = await fetch(this.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/octet-stream', 'X-Session-Id': this.sessionId },
+        body,
+        signal: this.abort.signal
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      this.bufferedAmount -= size;
+    } catch (error) {
+      // The session is gone (or unreachable) - behave like a dropped WebSocket
+      if (this.readyState === OPEN) {
+        console.warn('[Signaling] HTTP send failed:', error);
+        this.readyState = CLOSING;
+        this.abort.abort();
+        this.finish({ code: 1006, reason: '', wasClean: false });
+      }
+      return;
+    } finally {
+      this.sending = false;
+    }
+
+    this.flush();
+  }
+
+  finish(event) {
+    if (this.readyState === CLOSED) return;
+
+    this.readyState = CLOSED;
+    clearInterval(this.keepaliveTimer);
+    this.queue = [];
+    this.bufferedAmount = 0;
+    this.onclose?.({ type: 'close', ...event });
+  }
+}
+
+function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
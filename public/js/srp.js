@@ -0,0 +1,145 @@
+/**
+ * CloudDrop - SRP-6a room password handshake (client side)
+ * Proves knowledge of the room password to the Room without sending it or anything replayable;
+ * the Room only ever stores the verifier created in createPasswordVerifier
+ *
+ * Must match src/srp.ts (group, padding and proof format)
+ */
+
+import { CRYPTO } from './config.js';
+
+// RFC 5054 2048-bit group
+const N = BigInt('0x' +
+  'AC6BDB41324A9A9BF166DE5E1389582FAF72B6651987EE07FC3192943DB56050A37329CBB4A099ED' +
+  '8193E0757767A13DD52312AB4B03310DCD7F48A9DA04FD50E8083969EDB767B0CF6095179A163AB3' +
+  '661A05FBD5FAAAE82918A9962F0B93B855F97993EC975EEAA80D740ADBF4FF747359D041D5C33EA7' +
+  '1D281E446B14773BCA97B43A23FB801676BD207A436C6481F1D2B9078717461A5B9D32E688F87748' +
+  '544523B524B0D57D5EA77A2775D2ECFA032CFBDBF52FB3786160279004E57AE6AF874E7303CE5329' +
+  '9CCC041C7BC308D82A5698F3A8D0C38271AE35F8E9DBFBB694B5C803D89F7AE435DE236D525F5475' +
+  '9B65E372FCD68EF20FA7111F9E4AFF73');
+const G = 2n;
+const N_BYTES = 256;
+
+const SALT_BYTES = 16;
+const SECRET_BYTES = 32;
+
+/**
+ * Create the salt and verifier the Room stores for a new secure room
+ * @param {string} password - Room password
+ * @param {string} roomCode - Room code (bound into the verifier)
+ * @returns {Promise<{salt: string, verifier: string}>} Hex strings
+ */
+export async function createPasswordVerifier(password, roomCode) {
+  const salt = toHex(crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+  const x = await derivePrivateKey(password, roomCode, salt);
+  return { salt, verifier: modPow(G, x, N).toString(16) };
+}
+
+/**
+ * Start a handshake
+ * @returns {{a: bigint, A: string}} Secret a (kept locally) and public value A (sent in auth-init)
+ */
+export function startPasswordHandshake() {
+  const a = BigInt('0x' + toHex(crypto.getRandomValues(new Uint8Array(SECRET_BYTES))));
+  return { a, A: modPow(G, a, N).toString(16) };
+}
+
+/**
+ * Answer the Room's challenge
+ * @param {Object} params
+ * @param {string} params.password - Room password
+ * @param {string} params.roomCode - Room code
+ * @param {bigint} params.a - Secret from startPasswordHandshake
+ * @param {string} params.A - Public value from startPasswordHandshake
+ * @param {string} params.salt - Salt from the challenge (hex)
+ * @param {string} params.B - Room public value from the challenge (hex)
+ * @returns {Promise<{M1: string, M2: string}>} Proof to send, and the proof the Room must answer with
+ */
+export async function answerPasswordChallenge({ password, roomCode, a, A, salt, B }) {
+  const bigA = BigInt('0x' + A);
+  const bigB = BigInt('0x' + B);
+  if (bigB % N === 0n) {
+    throw new Error('Invalid server value');
+  }
+
+  const u = await hashToBigInt(pad(bigA), pad(bigB));
+  if (u === 0n) {
+    throw new Error('Invalid server value');
+  }
+
+  const x = await derivePrivateKey(password, roomCode, salt);
+  const k = await hashToBigInt(pad(N), pad(G));
+
+  // S = (B - k*g^x)^(a + u*x)
+  const base = ((bigB - k * modPow(G, x, N)) % N + N) % N;
+  const S = modPow(base, a + u * x, N);
+  const K = await sha256(pad(S));
+
+  const M1 = await sha256(pad(bigA), pad(bigB), K);
+  const M2 = await sha256(pad(bigA), M1, K);
+  return { M1: toHex(M1), M2: toHex(M2) };
+}
+
+/**
+ * x = PBKDF2(password) - slow on purpose, so a leaked verifier is expensive to brute-force
+ */
+async function derivePrivateKey(password, roomCode, salt) {
+  const encoder = new TextEncoder();
+  const keyMaterial = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    {
+      name: 'PBKDF2',
+      salt: encoder.encode(`clouddrop-srp|${roomCode.toUpperCase()}|${salt}`),
+      iterations: CRYPTO.PBKDF2_ITERATIONS,
+      hash: CRYPTO.PBKDF2_HASH
+    },
+    keyMaterial,
+    256
+  );
+  return BigInt('0x' + toHex(new Uint8Array(bits)));
+}
+
+function modPow(base, exponent, modulus) {
+  let result = 1n;
+  base %= modulus;
+  while (exponent > 0n) {
+    if (exponent & 1n) result = (result * base) % modulus;
+    base = (base * base) % modulus;
+    exponent >>= 1n;
+  }
+  return result;
+}
+
+/**
+ * Big-endian bytes of a group element, left-padded to the size of N
+ */
+function pad(value) {
+  return fromHex(value.toString(16).padStart(N_BYTES * 2, '0'));
+}
+
+async function sha256(...parts) {
+  const data = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    data.set(part, offset);
+    offset += part.length;
+  }
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+}
+
+async function hashToBigInt(...parts) {
+  return BigInt('0x' + toHex(await sha256(...parts)));
+}
+
+function toHex(bytes) {
+  return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function fromHex(hex) {
+  const padded = hex.length % 2 ? '0' + hex : hex;
+  const bytes = new Uint8Array(padded.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(padded.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
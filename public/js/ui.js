@@ -4,6 +4,7 @@
 
 // Import i18n for dynamic content translation
 import { i18n } from './i18n.js';
+import { hasFolderPaths } from './folder.js';
 
 // Export i18n for use in other modules
 export { i18n };
@@ -187,7 +188,7 @@ export function getFileTypeInfo(filename) {
  * Update the receive confirmation modal with file and sender info
  * @param {Object} options - Options
  */
-export function updateReceiveModal({ senderName, senderDeviceType, senderBrowserInfo, fileName, fileSize, mode }) {
+export function updateReceiveModal({ senderName, senderDeviceType, senderBrowserInfo, fileName, fileSize, mode, files = null }) {
   // Update sender info
   const senderNameEl = document.getElementById('senderName');
   const senderDeviceInfoEl = document.getElementById('senderDeviceInfo');
@@ -210,7 +211,9 @@ export function updateReceiveModal({ senderName, senderDeviceType, senderBrowser
   if (fileNameEl) fileNameEl.textContent = fileName || i18n.t('fileTypes.file');
   if (fileSizeEl) fileSizeEl.textContent = formatFileSize(fileSize || 0);
 
-  const fileTypeInfo = getFileTypeInfo(fileName || '');
+  const fileTypeInfo = files
+    ? { type: 'default', label: i18n.t(hasFolderPaths(files) ? 'fileTypes.folder' : 'fileTypes.batch') }
+    : getFileTypeInfo(fileName || '');
   if (fileTypeEl) fileTypeEl.textContent = fileTypeInfo.label;
 
   if (fileIconEl) {
@@ -218,6 +221,9 @@ export function updateReceiveModal({ senderName, senderDeviceType, senderBrowser
     fileIconEl.innerHTML = fileTypeIcons[fileTypeInfo.type] || fileTypeIcons.default;
   }
 
+  // Batch requests list every file with a checkbox
+  renderReceiveFileList(files);
+
   // Update transfer mode badge
   const modeBadge = document.getElementById('receiveModeBadge');
   if (modeBadge) {
@@ -235,6 +241,51 @@ export function updateReceiveModal({ senderName, senderDeviceType, senderBrowser
   }
 }
 
+/**
+ * Render the selectable file list of a batch request (hidden for single files)
+ * @param {Array<{fileId: string, name: string, path?: string, size: number}>|null} files
+ */
+function renderReceiveFileList(files) {
+  const listEl = document.getElementById('receiveFileList');
+  const acceptBtn = document.getElementById('receiveAccept');
+  if (!listEl) return;
+
+  if (acceptBtn) acceptBtn.disabled = false;
+
+  if (!files) {
+    listEl.style.display = 'none';
+    listEl.innerHTML = '';
+    return;
+  }
+
+  listEl.innerHTML = `
+    <span class="receive-file-list-title">${escapeHtml(i18n.t('fileRequest.selectFiles'))}</span>
+    ${files.map(file => `
+      <label class="receive-file-item">
+        <input type="checkbox" value="${escapeHtml(file.fileId)}" checked>
+        <span class="receive-file-item-name">${escapeHtml(file.path || file.name)}</span>
+        <span class="receive-file-item-size">${formatFileSize(file.size)}</span>
+      </label>
+    `).join('')}
+  `;
+
+  // Nothing selected - nothing to accept
+  listEl.onchange = () => {
+    if (acceptBtn) acceptBtn.disabled = getSelectedReceiveFiles().length === 0;
+  };
+
+  listEl.style.display = '';
+}
+
+/**
+ * Get the fileIds checked in the receive modal's batch list
+ * @returns {string[]}
+ */
+export function getSelectedReceiveFiles() {
+  return Array.from(document.querySelectorAll('#receiveFileList input[type="checkbox"]:checked'))
+    .map(input => input.value);
+}
+
 /**
  * Get device label from device type
  */
@@ -354,7 +405,7 @@ export function showBrowserNotification(options = {}) {
 // Create peer card
 export function createPeerCard(peer) {
   const card = document.createElement('div');
-  card.className = 'peer-card';
+  card.className = peer.reconnecting ? 'peer-card reconnecting' : 'peer-card';
   card.dataset.peerId = peer.id;
   const icon = deviceIcons[peer.deviceType] || deviceIcons.desktop;
   const deviceLabel = getDeviceLabel(peer.deviceType);
@@ -367,9 +418,13 @@ export function createPeerCard(peer) {
     <span class="peer-name">${escapeHtml(peer.name)}</span>
     <span class="peer-device">${deviceLabel}</span>
     <span class="peer-browser">${escapeHtml(peer.browserInfo || '')}</span>
+    <span class="peer-reconnecting">${i18n.t('common.reconnecting')}</span>
     <button class="peer-action-btn" data-peer-id="${peer.id}" data-action="message" title="${i18n.t('chat.placeholder')}">
       <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21 15a2 2 0 01-2 2H7l-4 4V5a2 2 0 012-2h14a2 2 0 012 2z"/></svg>
     </button>
+    <button class="peer-action-btn peer-action-folder" data-peer-id="${peer.id}" data-action="folder" title="${i18n.t('transfer.sendFolder')}">
+      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M22 19a2 2 0 01-2 2H4a2 2 0 01-2-2V5a2 2 0 012-2h5l2 3h9a2 2 0 012 2z"/></svg>
+    </button>
   `;
   return card;
 }
@@ -412,6 +467,73 @@ export function updatePeerConnectionMode(peerId, mode) {
   badge.title = config.title;
 }
 
+/**
+ * Mark a peer card as reconnecting (its signaling connection dropped, it may come back under the same ID)
+ * @param {string} peerId - Peer ID
+ * @param {boolean} reconnecting
+ */
+export function updatePeerReconnecting(peerId, reconnecting) {
+  const card = document.querySelector(`[data-peer-id="${peerId}"]`);
+  if (card) card.classList.toggle('reconnecting', reconnecting);
+}
+
+/**
+ * Show or remove the "verified" badge next to the connection mode indicator
+ * @param {string} peerId - Peer ID
+ * @param {boolean} verified - Whether the user compared the safety code with this device
+ */
+export function updatePeerVerifiedBadge(peerId, verified) {
+  const card = document.querySelector(`[data-peer-id="${peerId}"]`);
+  if (!card) return;
+
+  const existingBadge = card.querySelector('.peer-verified-badge');
+  if (verified && !existingBadge) {
+    const badge = document.createElement('div');
+    badge.className = 'peer-verified-badge';
+    badge.title = i18n.t('verify.verifiedTooltip');
+    badge.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5"><path d="M20 6L9 17l-5-5"/></svg>`;
+    card.querySelector('.connection-mode-badge')?.after(badge);
+  } else if (!verified && existingBadge) {
+    existingBadge.remove();
+  }
+}
+
+/**
+ * Show the safety code modal for a peer
+ * @param {Object} options
+ * @param {string} options.peerName - Peer display name
+ * @param {{digits: string, emoji: string[]}} options.code - Safety code from CryptoManager
+ * @param {boolean} options.verified - Current verification state
+ */
+export function showVerifyModal({ peerName, code, verified }) {
+  document.getElementById('verifyDescription').innerHTML = i18n.t('verify.description', { name: escapeHtml(peerName) });
+  document.getElementById('safetyEmoji').textContent = code.emoji.join(' ');
+  document.getElementById('safetyDigits').textContent = `${code.digits.slice(0, 3)} ${code.digits.slice(3)}`;
+
+  const canvas = document.getElementById('safetyQRCode');
+  if (canvas) {
+    try {
+      generateQRCode(canvas, `clouddrop-safety:${code.digits}`, { size: 120 });
+    } catch (e) {
+      console.error('[UI] Failed to draw safety QR code:', e);
+    }
+  }
+
+  setVerifyModalState(verified);
+  showModal('verifyModal');
+}
+
+/**
+ * Update the verified state shown in the safety code modal
+ * @param {boolean} verified
+ */
+export function setVerifyModalState(verified) {
+  const status = document.getElementById('verifyStatus');
+  status.textContent = verified ? i18n.t('verify.verified') : i18n.t('verify.notVerified');
+  status.classList.toggle('verified', verified);
+  document.getElementById('verifyConfirm').textContent = verified ? i18n.t('verify.unmark') : i18n.t('verify.mark');
+}
+
 // Add peer to grid
 // Add peer to grid
 export function addPeerToGrid(peer, grid, onClick) {
@@ -445,6 +567,42 @@ export function clearPeersGrid(grid) {
   updateEmptyState();
 }
 
+/**
+ * Turn multi-select mode on the peer grid on or off (clears selection marks when off)
+ */
+export function setPeerSelectionMode(active) {
+  const grid = document.getElementById('peersGrid');
+  if (!grid) return;
+
+  grid.classList.toggle('selecting', active);
+  if (!active) {
+    grid.querySelectorAll('.peer-card.selected').forEach(card => card.classList.remove('selected'));
+  }
+}
+
+export function setPeerSelected(peerId, selected) {
+  const card = document.querySelector(`.peer-card[data-peer-id="${peerId}"]`);
+  if (card) card.classList.toggle('selected', selected);
+}
+
+/**
+ * Update the multi-select toolbar above the peer grid
+ * @param {Object} state
+ * @param {boolean} state.visible - Whether there are enough peers to select several
+ * @param {boolean} state.selecting - Whether multi-select mode is on
+ * @param {number} state.count - Number of selected peers
+ */
+export function updatePeersToolbar({ visible, selecting, count }) {
+  const toolbar = document.getElementById('peersToolbar');
+  if (!toolbar) return;
+
+  toolbar.style.display = visible ? '' : 'none';
+  document.getElementById('selectPeersBtn').style.display = selecting ? 'none' : '';
+  document.getElementById('broadcastActions').style.display = selecting ? '' : 'none';
+  document.getElementById('broadcastCount').textContent = i18n.t('broadcast.selected', { count });
+  document.getElementById('broadcastSend').disabled = count === 0;
+}
+
 // Update empty state
 export function updateEmptyState() {
   const grid = document.getElementById('peersGrid');
@@ -586,6 +744,8 @@ export function setupModalCloseHandlers() {
 // Transfer progress
 export function updateTransferProgress({ fileName, fileSize, percent, speed, mode }) {
   // Remove waiting state classes when actual transfer starts
+  const pauseBtn = document.getElementById('pauseTransfer');
+  if (pauseBtn) pauseBtn.style.display = '';
   document.querySelector('.transfer-info')?.classList.remove('waiting');
   document.querySelector('.progress-container')?.classList.remove('waiting');
   document.querySelector('.transfer-stats')?.classList.remove('waiting');
@@ -631,13 +791,154 @@ export function updateTransferModeIndicator(mode) {
   }
 }
 
+/**
+ * Show per-file status of a batch in the transfer modal
+ * @param {Array<{name: string, status: string}>} files
+ */
+export function showTransferFileList(files) {
+  const listEl = document.getElementById('transferFileList');
+  if (!listEl) return;
+
+  listEl.innerHTML = files.map((file, index) => `
+    <li class="transfer-file-item" data-index="${index}" data-status="${file.status}">
+      <span class="transfer-file-item-name">${escapeHtml(file.name)}</span>
+      <span class="transfer-file-item-status">${escapeHtml(i18n.t(`transfer.fileStatus.${file.status}`))}</span>
+    </li>
+  `).join('');
+  listEl.style.display = '';
+}
+
+/**
+ * Update one file's status in the batch list
+ * @param {number} index - File index in the batch
+ * @param {'pending'|'active'|'done'|'skipped'|'failed'} status
+ */
+export function updateTransferFileStatus(index, status) {
+  const item = document.querySelector(`#transferFileList [data-index="${index}"]`);
+  if (!item) return;
+
+  item.dataset.status = status;
+  item.querySelector('.transfer-file-item-status').textContent = i18n.t(`transfer.fileStatus.${status}`);
+  if (status === 'active') item.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Show per-recipient status for a file sent to several devices (reuses the batch list)
+ * @param {Array<{name: string, status: string, percent: number}>} recipients
+ */
+export function showTransferRecipientList(recipients) {
+  const listEl = document.getElementById('transferFileList');
+  if (!listEl) return;
+
+  listEl.innerHTML = recipients.map((recipient, index) => `
+    <li class="transfer-file-item transfer-recipient-item" data-index="${index}" data-status="${recipient.status}">
+      <span class="transfer-file-item-name">${escapeHtml(recipient.name)}</span>
+      <span class="transfer-file-item-status">${escapeHtml(getRecipientStatusText(recipient))}</span>
+      <button class="transfer-recipient-cancel" data-action="cancel-recipient" title="${i18n.t('transfer.cancelTransfer')}">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>
+      </button>
+    </li>
+  `).join('');
+  listEl.style.display = '';
+}
+
+/**
+ * Update one recipient's row (status and progress)
+ * @param {number} index - Recipient index
+ * @param {{status: string, percent: number}} recipient
+ */
+export function updateTransferRecipient(index, recipient) {
+  const item = document.querySelector(`#transferFileList [data-index="${index}"]`);
+  if (!item) return;
+
+  item.dataset.status = recipient.status;
+  item.querySelector('.transfer-file-item-status').textContent = getRecipientStatusText(recipient);
+}
+
+function getRecipientStatusText({ status, percent }) {
+  return status === 'active' ? `${Math.round(percent)}%` : i18n.t(`transfer.fileStatus.${status}`);
+}
+
+export function hideTransferFileList() {
+  const listEl = document.getElementById('transferFileList');
+  if (!listEl) return;
+
+  listEl.style.display = 'none';
+  listEl.innerHTML = '';
+}
+
+/**
+ * Show the "file corrupted - retry?" state in the transfer modal
+ * @param {string} fileName - File that failed its checksum
+ */
+export function showTransferCorrupted(fileName) {
+  document.getElementById('modalTitle').textContent = i18n.t('transfer.corrupted');
+
+  const hintEl = document.getElementById('transferCorrupted');
+  if (hintEl) {
+    hintEl.textContent = i18n.t('transfer.corruptedHint', { name: fileName });
+    hintEl.style.display = '';
+  }
+
+  const retryBtn = document.getElementById('retryTransfer');
+  if (retryBtn) retryBtn.style.display = '';
+
+  resetPauseButton();
+}
+
+/**
+ * Show a transfer as paused or running again
+ * @param {boolean} paused
+ * @param {Object} options
+ * @param {'send'|'receive'} options.direction - Restores the title when resuming
+ * @param {string|null} options.peerName - Set when the other side paused
+ */
+export function setTransferPaused(paused, { direction = 'send', peerName = null } = {}) {
+  const title = document.getElementById('modalTitle');
+  if (paused) {
+    title.textContent = peerName ? i18n.t('transfer.pausedBy', { name: peerName }) : i18n.t('transfer.paused');
+  } else {
+    title.textContent = i18n.t(direction === 'send' ? 'transfer.sending' : 'transfer.receiving');
+  }
+
+  const pauseBtn = document.getElementById('pauseTransfer');
+  if (pauseBtn) {
+    pauseBtn.classList.toggle('paused', paused);
+    pauseBtn.querySelector('span').textContent = i18n.t(paused ? 'transfer.resume' : 'transfer.pause');
+  }
+}
+
+/**
+ * Hide the pause button until data is flowing (waiting for confirmation, corrupted, new transfer)
+ */
+export function resetPauseButton() {
+  const pauseBtn = document.getElementById('pauseTransfer');
+  if (!pauseBtn) return;
+
+  pauseBtn.style.display = 'none';
+  pauseBtn.classList.remove('paused');
+  pauseBtn.querySelector('span').textContent = i18n.t('transfer.pause');
+}
+
+export function hideTransferCorrupted() {
+  const hintEl = document.getElementById('transferCorrupted');
+  if (hintEl) hintEl.style.display = 'none';
+
+  const retryBtn = document.getElementById('retryTransfer');
+  if (retryBtn) retryBtn.style.display = 'none';
+}
+
 export function showSendingModal(fileName, fileSize, mode = 'p2p') {
+  hideTransferCorrupted();
+  resetPauseButton();
   document.getElementById('modalTitle').textContent = i18n.t('transfer.sending');
   updateTransferProgress({ fileName, fileSize, percent: 0, speed: 0, mode });
   showModal('transferModal');
 }
 
 export function showReceivingModal(fileName, fileSize, mode = 'p2p') {
+  hideTransferCorrupted();
+  resetPauseButton();
   document.getElementById('modalTitle').textContent = i18n.t('transfer.receiving');
   updateTransferProgress({ fileName, fileSize, percent: 0, speed: 0, mode });
   showModal('transferModal');
@@ -663,16 +964,23 @@ export function showToast(message, type = 'info', duration = 3000) {
 // Connection status
 // 存储当前连接状态，用于语言切换时重新应用
 let currentConnectionStatus = 'connecting';
+let currentConnectionSeconds = null;
 
-export function updateConnectionStatus(status) {
+/**
+ * @param {'connecting'|'connected'|'disconnected'|'reconnecting'|'offline'} status
+ * @param {number} [seconds] - Countdown to the next reconnect ('reconnecting' only; kept on re-apply)
+ */
+export function updateConnectionStatus(status, seconds = status === currentConnectionStatus ? currentConnectionSeconds : null) {
   currentConnectionStatus = status;
+  currentConnectionSeconds = seconds ?? null;
   const el = document.getElementById('connectionStatus');
   if (el) {
     el.className = `connection-status ${status}`;
 
     // 使用 i18n 获取翻译文本
-    const statusTextKey = `common.${status}`;
-    el.querySelector('.status-text').textContent = i18n.t(statusTextKey);
+    el.querySelector('.status-text').textContent = status === 'reconnecting' && seconds != null
+      ? i18n.t('common.reconnectingIn', { seconds })
+      : i18n.t(`common.${status}`);
 
     // 设置 hover 提示，说明是否已连接到主服务器
     el.title = i18n.t(`header.connectionStatus.${status}`);
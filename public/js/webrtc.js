@@ -11,7 +11,9 @@
  */
 
 import { cryptoManager } from './crypto.js';
-import { WEBRTC, P2P_RETRY, RELAY } from './config.js';
+import { createFileSink, OrderedChunkWriter } from './download.js';
+import { getRelativePath } from './folder.js';
+import { WEBRTC, P2P_RETRY, RELAY, RESUME, INTEGRITY, BROADCAST, TRANSFER } from './config.js';
 import { i18n } from './i18n.js';
 
 // Destructure config for convenience
@@ -70,6 +72,233 @@ function base64ToUint8Array(base64) {
   return bytes;
 }
 
+// =============================================================================
+// UUID <-> bytes (frame headers)
+// =============================================================================
+
+/**
+ * Write a UUID string as 16 bytes
+ */
+function writeUuid(target, offset, uuid) {
+  const hex = uuid.replace(/-/g, '');
+  for (let i = 0; i < 16; i++) {
+    target[offset + i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+}
+
+/**
+ * Read 16 bytes as a UUID string
+ */
+function readUuid(bytes, offset) {
+  const hex = Array.from(bytes.subarray(offset, offset + 16), b => b.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// =============================================================================
+// Framed binary chunks (data channel)
+// =============================================================================
+
+// Frame layout: [version(1)][fileId(16, UUID bytes)][chunkIndex(4, big-endian)][encrypted chunk]
+// Version byte never collides with an encrypted chunk's first byte (room IV length: 0 or 12)
+const CHUNK_FRAME_VERSION = 1;
+const CHUNK_FRAME_HEADER_SIZE = 21;
+
+/**
+ * Wrap an encrypted chunk with its fileId and index so transfers can be multiplexed
+ * @param {string} fileId - Transfer UUID
+ * @param {number} index - Chunk index
+ * @param {ArrayBuffer} payload - Encrypted chunk
+ * @returns {ArrayBuffer} Framed chunk
+ */
+function encodeChunkFrame(fileId, index, payload) {
+  const frame = new Uint8Array(CHUNK_FRAME_HEADER_SIZE + payload.byteLength);
+  const view = new DataView(frame.buffer);
+
+  frame[0] = CHUNK_FRAME_VERSION;
+  writeUuid(frame, 1, fileId);
+  view.setUint32(17, index);
+  frame.set(new Uint8Array(payload), CHUNK_FRAME_HEADER_SIZE);
+
+  return frame.buffer;
+}
+
+/**
+ * Parse a framed chunk
+ * @param {ArrayBuffer} buffer - Framed chunk from the data channel
+ * @returns {{ fileId: string, index: number, payload: ArrayBuffer }|null} null if not a chunk frame
+ */
+function decodeChunkFrame(buffer) {
+  const bytes = new Uint8Array(buffer);
+  if (bytes.length < CHUNK_FRAME_HEADER_SIZE || bytes[0] !== CHUNK_FRAME_VERSION) return null;
+
+  const fileId = readUuid(bytes, 1);
+  const index = new DataView(buffer).getUint32(17);
+
+  return { fileId, index, payload: buffer.slice(CHUNK_FRAME_HEADER_SIZE) };
+}
+
+// =============================================================================
+// Binary relay frames (WebSocket)
+// =============================================================================
+
+// Frame layout: [version(1)][peerId(16)][fileId(16)][chunkIndex(4, big-endian)][encrypted chunk]
+// peerId is the target when sending; the Room swaps in the sender's ID before forwarding.
+// Also used by one-time download links (share.js, linkpage.js).
+// Must match RELAY_FRAME_* in src/room.ts
+const RELAY_FRAME_VERSION = 1;
+const RELAY_FRAME_HEADER_SIZE = 37;
+
+/**
+ * Build a relay frame for an encrypted chunk
+ * @param {string} peerId - Target peer UUID
+ * @param {string} fileId - Transfer UUID
+ * @param {number} index - Chunk index
+ * @param {ArrayBuffer} payload - Encrypted chunk
+ * @returns {ArrayBuffer} Relay frame
+ */
+export function encodeRelayFrame(peerId, fileId, index, payload) {
+  const frame = new Uint8Array(RELAY_FRAME_HEADER_SIZE + payload.byteLength);
+
+  frame[0] = RELAY_FRAME_VERSION;
+  writeUuid(frame, 1, peerId);
+  writeUuid(frame, 17, fileId);
+  new DataView(frame.buffer).setUint32(33, index);
+  frame.set(new Uint8Array(payload), RELAY_FRAME_HEADER_SIZE);
+
+  return frame.buffer;
+}
+
+/**
+ * Parse a relay frame forwarded by the Room
+ * @param {ArrayBuffer} buffer - Binary WebSocket message
+ * @returns {{ peerId: string, fileId: string, index: number, payload: ArrayBuffer }|null} null if malformed
+ */
+export function decodeRelayFrame(buffer) {
+  const bytes = new Uint8Array(buffer);
+  if (bytes.length < RELAY_FRAME_HEADER_SIZE || bytes[0] !== RELAY_FRAME_VERSION) return null;
+
+  return {
+    peerId: readUuid(bytes, 1),
+    fileId: readUuid(bytes, 17),
+    index: new DataView(buffer).getUint32(33),
+    payload: buffer.slice(RELAY_FRAME_HEADER_SIZE)
+  };
+}
+
+// =============================================================================
+// Received-chunk bitmap (used to resume interrupted transfers)
+// =============================================================================
+
+/**
+ * Encode a set of received chunk indices as a base64 bitmap
+ * @param {Set<number>} indices - Received chunk indices
+ * @param {number} totalChunks - Total number of chunks
+ * @returns {string} Base64 encoded bitmap (bit i set = chunk i received)
+ */
+function encodeChunkBitmap(indices, totalChunks) {
+  const bitmap = new Uint8Array(Math.ceil(totalChunks / 8));
+  for (const index of indices) {
+    if (index < totalChunks) bitmap[index >> 3] |= 1 << (index & 7);
+  }
+  return arrayBufferToBase64(bitmap.buffer);
+}
+
+/**
+ * List chunk indices missing from a base64 bitmap
+ * @param {string} base64 - Bitmap from encodeChunkBitmap
+ * @param {number} totalChunks - Total number of chunks
+ * @returns {number[]} Missing chunk indices in ascending order
+ */
+function getMissingChunks(base64, totalChunks) {
+  const bitmap = base64 ? base64ToUint8Array(base64) : new Uint8Array(0);
+  const missing = [];
+  for (let i = 0; i < totalChunks; i++) {
+    if (!((bitmap[i >> 3] || 0) & (1 << (i & 7)))) missing.push(i);
+  }
+  return missing;
+}
+
+/**
+ * Combine per-chunk SHA-256 digests into the file checksum carried by file-end
+ * WebCrypto has no streaming digest, so the file checksum is the SHA-256 of the
+ * concatenated (hex) chunk digests in index order
+ * @param {string[]} chunkHashes - Hex digest per chunk index
+ * @param {number} totalChunks - Expected number of chunks
+ * @returns {Promise<string|null>} Hex checksum, or null if a chunk digest is missing
+ */
+async function combineChunkHashes(chunkHashes, totalChunks) {
+  for (let i = 0; i < totalChunks; i++) {
+    if (!chunkHashes[i]) return null;
+  }
+  return cryptoManager.hash(new TextEncoder().encode(chunkHashes.slice(0, totalChunks).join('')));
+}
+
+/**
+ * Reads a file's chunks once for several recipients (multi-peer send)
+ * A chunk stays cached until every recipient still in the transfer has read it.
+ * If one recipient falls far behind, the oldest chunks are dropped and it reads them from disk again.
+ */
+class SharedChunkReader {
+  /**
+   * @param {File} file - File being sent
+   * @param {string[]} readerIds - One fileId per recipient
+   */
+  constructor(file, readerIds) {
+    this.file = file;
+    this.readers = new Set(readerIds);
+    this.cache = new Map(); // index -> { promise, readBy: Set<fileId> }
+  }
+
+  /**
+   * @param {string} readerId - Recipient's fileId
+   * @param {number} index - Chunk index
+   * @returns {Promise<ArrayBuffer>} Plaintext chunk
+   */
+  read(readerId, index) {
+    let entry = this.cache.get(index);
+    if (!entry) {
+      const offset = index * CHUNK_SIZE;
+      entry = { promise: this.file.slice(offset, offset + CHUNK_SIZE).arrayBuffer(), readBy: new Set() };
+      this.cache.set(index, entry);
+
+      // Map keeps insertion order - the first entries are the oldest
+      while (this.cache.size > BROADCAST.MAX_CACHED_CHUNKS) {
+        this.cache.delete(this.cache.keys().next().value);
+      }
+    }
+
+    entry.readBy.add(readerId);
+    if (this._readByAll(entry)) this.cache.delete(index);
+    return entry.promise;
+  }
+
+  /**
+   * Stop keeping chunks for a recipient (finished, declined, failed or cancelled)
+   */
+  release(readerId) {
+    this.readers.delete(readerId);
+    for (const [index, entry] of this.cache) {
+      if (this._readByAll(entry)) this.cache.delete(index);
+    }
+  }
+
+  _readByAll(entry) {
+    for (const id of this.readers) {
+      if (!entry.readBy.has(id)) return false;
+    }
+    return true;
+  }
+}
+
+/**
+ * Error thrown when the link to the peer drops mid-transfer (transfer can be resumed)
+ */
+function connectionLostError() {
+  const error = new Error('连接已断开，等待恢复传输');
+  error.code = 'CONNECTION_LOST';
+  return error;
+}
+
 // Cache for ICE servers with health check results
 let cachedIceServers = null;
 let cachedIceServersTimestamp = 0;
@@ -260,13 +489,17 @@ export class WebRTCManager {
     this.connections = new Map(); // peerId -> RTCPeerConnection
     this.dataChannels = new Map(); // peerId -> RTCDataChannel
     this.pendingFiles = new Map(); // peerId -> { file, resolve, reject }
-    this.incomingTransfers = new Map(); // peerId -> transfer state
+    this.incomingTransfers = new Map(); // fileId -> transfer state (includes sender peerId)
     this.pendingConnections = new Map(); // peerId -> Promise
     this.pendingCandidates = new Map(); // peerId -> Array<RTCIceCandidate>
     this.iceRestartCounts = new Map(); // peerId -> number
     this.disconnectedTimers = new Map(); // peerId -> timeout id
     this.makingOffer = new Map(); // peerId -> boolean (for perfect negotiation)
     this.ignoreOffer = new Map(); // peerId -> boolean
+    this.messageQueues = new Map(); // peerId -> Promise (serializes data channel and relay messages)
+    this.receiveQueueBytes = new Map(); // peerId -> chunk bytes waiting in its message queue
+    this.receiveHolds = new Set(); // peerIds we asked to stop sending until the queue drains
+    this.sendHolds = new Set(); // peerIds that asked us to stop sending (their disk is behind)
 
     this.onFileReceived = null;
     this.onFileRequest = null; // Called when file request needs user confirmation
@@ -286,13 +519,29 @@ export class WebRTCManager {
     this.connectionRacing = new Map(); // peerId -> { p2pPromise, resolved, winner }
 
     // File transfer request tracking
-    this.pendingFileRequests = new Map(); // fileId -> { peerId, file, resolve, reject }
+    this.pendingFileRequests = new Map(); // fileId|batchId -> { peerId, file, resolve, reject }
     this.FILE_REQUEST_TIMEOUT = 60000; // 60 seconds to respond
 
     // Active transfer tracking for cancellation support
     this.activeTransfers = new Map(); // fileId -> { peerId, direction: 'send'|'receive', cancelled: boolean }
     this.onTransferCancelled = null; // Callback when transfer is cancelled by peer
 
+    // Resumable transfer tracking (survives connection drops and reconnects)
+    this.outgoingTransfers = new Map(); // fileId -> { fileId, file, peerId, totalChunks, chunkHashes, reader, resume, verify }
+    this.outgoingBatches = new Map(); // batchId -> { batchId, peerId, cancelled }
+    this.onBatchUpdate = null; // Callback with per-file batch status ({ batchId, index, fileId, status })
+    this.outgoingBroadcasts = new Map(); // broadcastId -> { broadcastId, recipients: [{ peerId, fileId, cancelled, finished }] }
+    this.onBroadcastUpdate = null; // Callback with per-recipient status ({ broadcastId, index, peerId, fileId, status })
+    this.onTransferSuspended = null; // Callback when a transfer is interrupted and waiting to resume
+    this.onTransferResumed = null; // Callback when an interrupted transfer continues
+    this.onTransferCorrupted = null; // Callback when a received file fails its checksum
+    this.pausedTransfers = new Set(); // fileIds paused by either side (sender holds between chunks)
+    this.pauseSequence = new Map(); // fileId -> last pause/continue seq from the peer (drops stale duplicates)
+    this.pauseCounter = 0; // Seq for our own pause/continue messages
+    this.onTransferPaused = null; // Callback when the peer pauses or resumes ({ peerId, fileId, paused })
+    this.peerCapabilities = new Map(); // peerId -> capabilities announced in join (e.g. binary relay frames)
+    this.onPeerIdentity = null; // Callback after a peer's session key is checked ({ peerId, identity, valid, dropKey })
+
     // Pre-fetch ICE servers eagerly
     fetchIceServers();
 
@@ -775,11 +1024,11 @@ export class WebRTCManager {
       const offer = await pc.createOffer({ iceRestart: true });
       await pc.setLocalDescription(offer);
 
-      const publicKey = await cryptoManager.exportPublicKey();
+      const keyBundle = await cryptoManager.exportKeyBundle();
       this.signaling.send({
         type: 'offer',
         to: peerId,
-        data: { sdp: offer, publicKey, iceRestart: true }
+        data: { sdp: offer, ...keyBundle, iceRestart: true }
       });
 
       console.log(`[WebRTC] ICE restart offer sent to ${peerId}`);
@@ -821,11 +1070,19 @@ export class WebRTCManager {
       this._notifyConnectionState(peerId, 'connected', null);
     };
 
-    channel.onmessage = (e) => this.handleMessage(peerId, e.data);
+    // Process messages strictly in arrival order - chunks are written to disk sequentially
+    channel.onmessage = (e) => {
+      const size = typeof e.data === 'string' ? 0 : e.data.byteLength;
+      this._trackReceiveQueue(peerId, size);
+      this._queueMessage(peerId, () => this.handleMessage(peerId, e.data))
+        .then(() => this._trackReceiveQueue(peerId, -size));
+    };
 
     channel.onclose = () => {
       console.log(`[WebRTC] DataChannel closed with ${peerId}`);
       this.dataChannels.delete(peerId);
+      this.receiveHolds.delete(peerId);
+      this.sendHolds.delete(peerId);
     };
 
     channel.onerror = (e) => console.error('[WebRTC] DataChannel error:', e);
@@ -853,7 +1110,7 @@ export class WebRTCManager {
       const channel = pc.createDataChannel('file-transfer', { ordered: true });
       this.setupDataChannel(peerId, channel);
 
-      const publicKey = await cryptoManager.exportPublicKey();
+      const keyBundle = await cryptoManager.exportKeyBundle();
 
       const offer = await pc.createOffer();
       await pc.setLocalDescription(offer);
@@ -862,7 +1119,7 @@ export class WebRTCManager {
       this.signaling.send({
         type: 'offer',
         to: peerId,
-        data: { sdp: offer, publicKey }
+        data: { sdp: offer, ...keyBundle }
       });
     } catch (e) {
       console.error(`[WebRTC] Error creating offer for ${peerId}:`, e);
@@ -917,10 +1174,10 @@ export class WebRTCManager {
       await this._flushPendingCandidates(peerId, pc);
 
       if (data.publicKey) {
-        await cryptoManager.importPeerPublicKey(peerId, data.publicKey);
+        await this._importPeerKey(peerId, data);
       }
 
-      const publicKey = await cryptoManager.exportPublicKey();
+      const keyBundle = await cryptoManager.exportKeyBundle();
       const answer = await pc.createAnswer();
       await pc.setLocalDescription(answer);
 
@@ -928,7 +1185,7 @@ export class WebRTCManager {
       this.signaling.send({
         type: 'answer',
         to: peerId,
-        data: { sdp: answer, publicKey }
+        data: { sdp: answer, ...keyBundle }
       });
     } catch (e) {
       console.error(`[WebRTC] Error handling offer from ${peerId}:`, e);
@@ -960,7 +1217,7 @@ export class WebRTCManager {
       await this._flushPendingCandidates(peerId, pc);
 
       if (data.publicKey) {
-        await cryptoManager.importPeerPublicKey(peerId, data.publicKey);
+        await this._importPeerKey(peerId, data);
         console.log(`[WebRTC] Imported public key from ${peerId}`);
       }
     } catch (e) {
@@ -1016,261 +1273,1192 @@ export class WebRTCManager {
     }
 
     // Step 2: Actually transfer the file
-    if (isRelayMode) {
-      console.log(`[WebRTC] Sending file to ${peerId} via relay`);
-      return this._sendFileDataViaRelay(peerId, file, fileId);
-    }
+    await this._transferFile(peerId, file, fileId);
+  }
 
-    // Verify we have a working P2P channel
-    const dc = this.dataChannels.get(peerId);
-    if (!dc || dc.readyState !== 'open') {
-      console.log(`[WebRTC] No P2P channel available, using relay for ${peerId}`);
-      this._switchToRelay(peerId, null, true);
-      return this._sendFileDataViaRelay(peerId, file, fileId);
-    }
+  /**
+   * Send several files after a single confirmation from the recipient
+   * The recipient may deselect files; each accepted file is then sent in turn.
+   * Per-file status is reported through onBatchUpdate.
+   * @param {string} peerId - Recipient peer ID
+   * @param {File[]} files - Files to send
+   * @returns {Promise<{ sent: number, skipped: number, failed: number }>} Batch summary
+   */
+  async sendFileBatch(peerId, files) {
+    // Try to establish connection (may result in P2P or relay)
+    await this.ensureConnection(peerId);
 
-    console.log(`[WebRTC] Sending file to ${peerId} via P2P`);
-    return this._sendFileDataViaP2P(peerId, file, fileId, dc);
+    const batchId = crypto.randomUUID();
+    const entries = files.map(file => ({ fileId: crypto.randomUUID(), file }));
+    const isRelayMode = this.relayMode.get(peerId);
+
+    const batch = { batchId, peerId, cancelled: false };
+    this.outgoingBatches.set(batchId, batch);
+    entries.forEach(({ fileId }, index) => this._notifyBatchUpdate(batchId, index, fileId, 'pending'));
+
+    try {
+      // Step 1: One request with the whole manifest
+      console.log(`[WebRTC] Requesting batch transfer of ${files.length} files from ${peerId}`);
+      const acceptedIds = await this._requestFileBatch(peerId, batchId, entries, isRelayMode);
+
+      if (!acceptedIds) {
+        throw new Error('对方拒绝了文件接收');
+      }
+
+      // Step 2: Send accepted files one by one
+      const summary = { sent: 0, skipped: 0, failed: 0 };
+      for (let index = 0; index < entries.length; index++) {
+        const { fileId, file } = entries[index];
+
+        if (batch.cancelled) {
+          throw new Error('传输已取消');
+        }
+
+        if (!acceptedIds.includes(fileId)) {
+          summary.skipped++;
+          this._notifyBatchUpdate(batchId, index, fileId, 'skipped');
+          continue;
+        }
+
+        if (this.onTransferStart) {
+          this.onTransferStart({
+            peerId: batch.peerId, fileId, fileName: file.name, fileSize: file.size,
+            direction: 'send', batchId, batchIndex: index
+          });
+        }
+        this._notifyBatchUpdate(batchId, index, fileId, 'active');
+
+        try {
+          batch.peerId = await this._transferFile(batch.peerId, file, fileId);
+          summary.sent++;
+          this._notifyBatchUpdate(batchId, index, fileId, 'done');
+        } catch (error) {
+          if (batch.cancelled || error.message.includes('取消')) {
+            throw error;
+          }
+          // One bad file should not stop the rest of the batch
+          console.error(`[WebRTC] Batch file ${file.name} failed:`, error);
+          summary.failed++;
+          this._notifyBatchUpdate(batchId, index, fileId, 'failed');
+        }
+      }
+
+      return summary;
+    } finally {
+      this.outgoingBatches.delete(batchId);
+    }
   }
 
   /**
-   * Request file transfer permission from recipient
-   * @returns {Promise<boolean>} - true if accepted, false if declined
+   * Request permission for a batch of files
+   * @returns {Promise<string[]|null>} Accepted fileIds, or null if declined
    */
-  async _requestFileTransfer(peerId, file, fileId, isRelayMode) {
+  async _requestFileBatch(peerId, batchId, entries, isRelayMode) {
+    const files = entries.map(({ fileId, file }) => ({
+      fileId,
+      name: file.name,
+      path: getRelativePath(file), // Folder structure (equals name for loose files)
+      size: file.size,
+      mimeType: file.type || 'application/octet-stream',
+      totalChunks: Math.ceil(file.size / CHUNK_SIZE)
+    }));
+
+    // The manifest (names, paths, sizes) is end-to-end encrypted
+    const payload = await this._sealSignalingData(peerId, {
+      batchId,
+      files,
+      totalSize: files.reduce((sum, f) => sum + f.size, 0),
+      transferMode: isRelayMode ? 'relay' : 'p2p'
+    });
+
     return new Promise((resolve, reject) => {
       const timeoutId = setTimeout(() => {
-        this.pendingFileRequests.delete(fileId);
+        this.pendingFileRequests.delete(batchId);
         reject(new Error('文件请求超时，对方未响应'));
       }, this.FILE_REQUEST_TIMEOUT);
 
-      this.pendingFileRequests.set(fileId, {
+      this.pendingFileRequests.set(batchId, {
         peerId,
-        file,
-        resolve: (accepted) => {
+        resolve: (fileIds) => {
           clearTimeout(timeoutId);
-          this.pendingFileRequests.delete(fileId);
-          resolve(accepted);
+          this.pendingFileRequests.delete(batchId);
+          resolve(fileIds);
         },
         reject: (error) => {
           clearTimeout(timeoutId);
-          this.pendingFileRequests.delete(fileId);
+          this.pendingFileRequests.delete(batchId);
           reject(error);
         }
       });
 
-      // Send file request via signaling (always goes through server)
+      // Send batch manifest via signaling (always goes through server)
       this.signaling.send({
-        type: 'file-request',
+        type: 'file-batch-request',
         to: peerId,
-        data: {
-          fileId,
-          name: file.name,
-          size: file.size,
-          mimeType: file.type || 'application/octet-stream', // Add MIME type
-          totalChunks: Math.ceil(file.size / CHUNK_SIZE),
-          transferMode: isRelayMode ? 'relay' : 'p2p'
-        }
+        data: payload
       });
     });
   }
 
   /**
-   * Handle incoming file request (called by app.js)
-   */
-  handleFileRequest(peerId, data) {
-    console.log(`[WebRTC] Received file request from ${peerId}:`, data);
-    // This is now handled by signaling, forwarded to onFileRequest callback
-    if (this.onFileRequest) {
-      this.onFileRequest(peerId, data);
-    }
-  }
-
-  /**
-   * Respond to a file request (called by app.js when user accepts/declines)
+   * Respond to a batch request (called by app.js when user accepts/declines)
    * @param {string} peerId - Sender's peer ID
-   * @param {string} fileId - File ID
-   * @param {boolean} accept - true to accept, false to decline
+   * @param {string} batchId - Batch ID
+   * @param {string[]} fileIds - Accepted fileIds (empty = decline)
    */
-  respondToFileRequest(peerId, fileId, accept) {
-    console.log(`[WebRTC] Responding to file request ${fileId}: ${accept ? 'accept' : 'decline'}`);
+  respondToFileBatch(peerId, batchId, fileIds) {
+    console.log(`[WebRTC] Responding to batch ${batchId}: ${fileIds.length} files accepted`);
 
     this.signaling.send({
-      type: 'file-response',
+      type: 'file-batch-response',
       to: peerId,
-      data: { fileId, accepted: accept }
+      data: { batchId, accepted: fileIds.length > 0, fileIds }
     });
-
-    if (accept) {
-      // Prepare to receive file - initialize transfer state
-      // The actual transfer state will be set when file-start arrives
-    }
   }
 
   /**
-   * Handle file response (accept/decline from recipient)
+   * Handle batch response (accept/decline from recipient)
    */
-  handleFileResponse(peerId, data) {
-    console.log(`[WebRTC] Received file response from ${peerId}:`, data);
-    const pending = this.pendingFileRequests.get(data.fileId);
+  handleFileBatchResponse(peerId, data) {
+    console.log(`[WebRTC] Received batch response from ${peerId}:`, data);
+    const pending = this.pendingFileRequests.get(data.batchId);
 
     if (pending) {
-      pending.resolve(data.accepted);
-    }
-
-    // Also notify via callback for UI updates
-    if (this.onFileRequestResponse) {
-      this.onFileRequestResponse(peerId, data.fileId, data.accepted);
+      pending.resolve(data.accepted ? (data.fileIds || []) : null);
     }
   }
 
   /**
-   * Cancel an active transfer (either sending or receiving)
-   * @param {string} fileId - File ID to cancel
+   * Cancel every remaining file of a batch (either direction)
+   * @param {string} batchId - Batch ID
    * @param {string} peerId - Peer ID involved in transfer
-   * @param {string} reason - Optional reason for cancellation
+   * @param {string|null} fileId - File currently in flight, if any
    */
-  cancelTransfer(fileId, peerId, reason = 'user') {
-    console.log(`[WebRTC] Cancelling transfer ${fileId} with ${peerId}, reason: ${reason}`);
+  cancelBatch(batchId, peerId, fileId = null, reason = 'user') {
+    const batch = this.outgoingBatches.get(batchId);
+    if (batch) batch.cancelled = true;
 
-    // Mark as cancelled in active transfers
-    const transfer = this.activeTransfers.get(fileId);
-    if (transfer) {
-      transfer.cancelled = true;
-    }
+    // Still waiting for the recipient to confirm
+    this.pendingFileRequests.get(batchId)?.reject(new Error('传输已取消'));
 
-    // Clean up incoming transfer state
-    const incomingTransfer = this.incomingTransfers.get(peerId);
-    if (incomingTransfer && incomingTransfer.fileId === fileId) {
-      this.incomingTransfers.delete(peerId);
+    for (const transfer of this.incomingTransfers.values()) {
+      if (transfer.batchId === batchId && transfer.fileId !== fileId) {
+        this._discardIncomingTransfer(transfer.fileId);
+      }
     }
 
-    // Notify the other peer
-    this.signaling.send({
-      type: 'file-cancel',
-      to: peerId,
-      data: { fileId, reason }
-    });
+    this.cancelTransfer(fileId, peerId, reason, batchId);
+  }
 
-    // Also send via data channel if available (faster)
-    const dc = this.dataChannels.get(peerId);
-    if (dc && dc.readyState === 'open') {
-      try {
-        dc.send(JSON.stringify({ type: 'file-cancel', fileId, reason }));
-      } catch (e) {
-        console.warn('[WebRTC] Failed to send cancel via data channel:', e);
-      }
+  _notifyBatchUpdate(batchId, index, fileId, status) {
+    if (this.onBatchUpdate) {
+      this.onBatchUpdate({ batchId, index, fileId, status });
     }
   }
 
   /**
-   * Handle incoming file cancel message
+   * Send one file to several peers at once
+   * Every recipient confirms or declines on its own and gets its own fileId, encryption
+   * and progress; chunks are read from disk once and shared between recipients.
+   * Per-recipient status is reported through onBroadcastUpdate.
+   * @param {string[]} peerIds - Recipient peer IDs
+   * @param {File} file - File to send
+   * @returns {Promise<{ sent: number, declined: number, failed: number, cancelled: number }>} Summary
    */
-  handleFileCancel(peerId, data) {
-    console.log(`[WebRTC] Received file cancel from ${peerId}:`, data);
+  async sendFileToPeers(peerIds, file) {
+    const broadcastId = crypto.randomUUID();
+    const recipients = peerIds.map(peerId => ({
+      peerId,
+      fileId: crypto.randomUUID(),
+      cancelled: false,
+      finished: false
+    }));
+    const reader = new SharedChunkReader(file, recipients.map(r => r.fileId));
 
-    const { fileId, reason } = data;
+    this.outgoingBroadcasts.set(broadcastId, { broadcastId, recipients });
+    recipients.forEach((recipient, index) => this._notifyBroadcastUpdate(broadcastId, index, recipient, 'pending'));
 
-    // Mark transfer as cancelled
-    const transfer = this.activeTransfers.get(fileId);
-    if (transfer) {
-      transfer.cancelled = true;
+    const summary = { sent: 0, declined: 0, failed: 0, cancelled: 0 };
+    try {
+      await Promise.all(recipients.map(async (recipient, index) => {
+        const result = await this._sendToRecipient(broadcastId, index, recipient, file, reader);
+        summary[result]++;
+        this._notifyBroadcastUpdate(broadcastId, index, recipient, result === 'sent' ? 'done' : result);
+      }));
+      return summary;
+    } finally {
+      this.outgoingBroadcasts.delete(broadcastId);
     }
+  }
 
-    // Clean up incoming transfer state
-    const incomingTransfer = this.incomingTransfers.get(peerId);
-    if (incomingTransfer && incomingTransfer.fileId === fileId) {
-      this.incomingTransfers.delete(peerId);
-    }
+  /**
+   * Request, then send, the file to one recipient of a multi-peer send
+   * @returns {Promise<'sent'|'declined'|'failed'|'cancelled'>} Outcome (never rejects)
+   */
+  async _sendToRecipient(broadcastId, index, recipient, file, reader) {
+    try {
+      await this.ensureConnection(recipient.peerId);
+      if (recipient.cancelled) return 'cancelled';
 
-    // Also check pending file requests (cancel during confirmation wait)
-    const pendingRequest = this.pendingFileRequests.get(fileId);
-    if (pendingRequest) {
-      pendingRequest.reject(new Error('对方取消了传输'));
-    }
+      const isRelayMode = this.relayMode.get(recipient.peerId);
+      const accepted = await this._requestFileTransfer(recipient.peerId, file, recipient.fileId, isRelayMode);
+      if (!accepted) return 'declined';
 
-    // Notify via callback
-    if (this.onTransferCancelled) {
-      this.onTransferCancelled(peerId, fileId, reason);
+      this._notifyBroadcastUpdate(broadcastId, index, recipient, 'active');
+      recipient.peerId = await this._transferFile(recipient.peerId, file, recipient.fileId, reader);
+      return 'sent';
+    } catch (error) {
+      if (recipient.cancelled || error.message.includes('取消')) return 'cancelled';
+      console.error(`[WebRTC] Sending ${file.name} to ${recipient.peerId} failed:`, error);
+      return 'failed';
+    } finally {
+      recipient.finished = true;
+      reader.release(recipient.fileId);
     }
   }
 
   /**
-   * Get current active transfer info
+   * Cancel a multi-peer send for every recipient, or just one
+   * @param {string} broadcastId - Broadcast ID
+   * @param {number|null} index - Recipient to cancel (null = all)
    */
-  getActiveTransfer(peerId) {
-    // Find transfer involving this peer
-    for (const [fileId, transfer] of this.activeTransfers.entries()) {
-      if (transfer.peerId === peerId && !transfer.cancelled) {
-        return { fileId, ...transfer };
-      }
-    }
-    // Check incoming transfers
-    const incoming = this.incomingTransfers.get(peerId);
-    if (incoming && !incoming.cancelled) {
-      return { fileId: incoming.fileId, peerId, direction: 'receive', ...incoming };
+  cancelBroadcast(broadcastId, index = null) {
+    const broadcast = this.outgoingBroadcasts.get(broadcastId);
+    if (!broadcast) return;
+
+    broadcast.recipients.forEach((recipient, i) => {
+      if ((index !== null && i !== index) || recipient.cancelled || recipient.finished) return;
+
+      recipient.cancelled = true;
+      // Still waiting for this recipient to confirm
+      this.pendingFileRequests.get(recipient.fileId)?.reject(new Error('传输已取消'));
+      // The recipient may have reconnected under a new ID mid-transfer
+      const peerId = this.outgoingTransfers.get(recipient.fileId)?.peerId || recipient.peerId;
+      this.cancelTransfer(recipient.fileId, peerId, 'user');
+    });
+  }
+
+  _notifyBroadcastUpdate(broadcastId, index, { peerId, fileId }, status) {
+    if (this.onBroadcastUpdate) {
+      this.onBroadcastUpdate({ broadcastId, index, peerId, fileId, status });
     }
-    return null;
   }
 
   /**
-   * Send file data via P2P (after confirmation)
+   * Transfer an accepted file's data
+   * If the connection drops, wait for the peer to come back and send only what it is missing
+   * @param {SharedChunkReader|null} reader - Chunk reader shared with other recipients (multi-peer send)
+   * @returns {Promise<string>} Peer ID the file was delivered to (changes if the peer reconnected)
    */
-  async _sendFileDataViaP2P(peerId, file, fileId, dc) {
-    // Register active transfer
-    this.activeTransfers.set(fileId, { peerId, direction: 'send', cancelled: false });
-
-    const totalChunks = Math.ceil(file.size / CHUNK_SIZE);
-
-    dc.send(JSON.stringify({
-      type: 'file-start',
+  async _transferFile(peerId, file, fileId, reader = null) {
+    const outgoing = {
       fileId,
-      name: file.name,
-      size: file.size,
-      mimeType: file.type || 'application/octet-stream', // Add MIME type
-      totalChunks
-    }));
-
-    let offset = 0, chunkIndex = 0, startTime = Date.now();
+      file,
+      peerId,
+      previousPeerIds: [], // IDs the receiver used before reconnecting (see resumeTransfers)
+      totalChunks: Math.ceil(file.size / CHUNK_SIZE),
+      chunkHashes: [], // Hex SHA-256 per chunk index, combined into the file-end checksum
+      reader,
+      resume: null,
+      verify: null
+    };
+    this.outgoingTransfers.set(fileId, outgoing);
 
     try {
-      while (offset < file.size) {
-        // Check if transfer was cancelled
-        const transfer = this.activeTransfers.get(fileId);
-        if (!transfer || transfer.cancelled) {
+      let indices = null; // null = send every chunk
+      while (true) {
+        try {
+          await this._sendFileData(outgoing, indices);
+        } catch (error) {
+          if (error.code !== 'CONNECTION_LOST') throw error;
+          console.log(`[WebRTC] Transfer ${fileId} interrupted, waiting to resume`);
+          indices = await this._waitForResume(outgoing);
+          continue;
+        }
+
+        // Receiver checks the checksum before saving; a corrupted copy may be sent again
+        let retry;
+        try {
+          retry = await this._waitForVerification(outgoing);
+        } catch (error) {
+          if (error.code === 'VERIFY_TIMEOUT') this.cancelTransfer(fileId, outgoing.peerId, 'timeout');
+          throw error;
+        }
+        if (!retry) return outgoing.peerId;
+
+        console.log(`[WebRTC] Receiver asked to retry ${fileId}, sending all chunks again`);
+        indices = Array.from({ length: outgoing.totalChunks }, (_, i) => i);
+      }
+    } finally {
+      this.outgoingTransfers.delete(fileId);
+      this._clearPause(fileId);
+    }
+  }
+
+  /**
+   * Send file data over whichever transport is currently live
+   * @param {Object} outgoing - Outgoing transfer state
+   * @param {number[]|null} indices - Chunks to send (null = whole file)
+   */
+  async _sendFileData(outgoing, indices) {
+    const { peerId, file, fileId } = outgoing;
+
+    // Resuming after a drop - re-establish P2P or fall back to relay first
+    if (indices) {
+      await this.ensureConnection(peerId);
+    }
+
+    if (this.relayMode.get(peerId)) {
+      console.log(`[WebRTC] Sending file to ${peerId} via relay`);
+      return this._sendFileDataViaRelay(peerId, file, fileId, indices);
+    }
+
+    // Verify we have a working P2P channel
+    const dc = this.dataChannels.get(peerId);
+    if (!dc || dc.readyState !== 'open') {
+      console.log(`[WebRTC] No P2P channel available, using relay for ${peerId}`);
+      this._switchToRelay(peerId, null, true);
+      return this._sendFileDataViaRelay(peerId, file, fileId, indices);
+    }
+
+    console.log(`[WebRTC] Sending file to ${peerId} via P2P`);
+    return this._sendFileDataViaP2P(peerId, file, fileId, dc, indices);
+  }
+
+  /**
+   * Read one plaintext chunk of an outgoing file
+   * Recipients of a multi-peer send share a reader so each chunk is read from disk once
+   */
+  _readChunk(fileId, file, index) {
+    const reader = this.outgoingTransfers.get(fileId)?.reader;
+    if (reader) return reader.read(fileId, index);
+
+    const offset = index * CHUNK_SIZE;
+    return file.slice(offset, offset + CHUNK_SIZE).arrayBuffer();
+  }
+
+  /**
+   * Suspend an interrupted outgoing transfer until the receiver reports what it has
+   * @param {Object} outgoing - Outgoing transfer state
+   * @returns {Promise<number[]>} Chunk indices the receiver is missing
+   */
+  _waitForResume(outgoing) {
+    return new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => {
+        outgoing.resume = null;
+        reject(new Error(i18n.t('transfer.resumeTimeout')));
+      }, RESUME.SUSPEND_TIMEOUT);
+
+      outgoing.resume = {
+        resolve: (indices) => {
+          clearTimeout(timeoutId);
+          outgoing.resume = null;
+          resolve(indices);
+        },
+        reject: (error) => {
+          clearTimeout(timeoutId);
+          outgoing.resume = null;
+          reject(error);
+        }
+      };
+
+      if (this.onTransferSuspended) {
+        this.onTransferSuspended({ peerId: outgoing.peerId, fileId: outgoing.fileId, direction: 'send' });
+      }
+
+      // The peer may still be reachable (e.g. only P2P dropped) - ask right away
+      this._requestResume(outgoing);
+    });
+  }
+
+  /**
+   * Wait for the receiver's checksum verdict after file-end
+   * @param {Object} outgoing - Outgoing transfer state
+   * @returns {Promise<boolean>} false when verified, true when the receiver wants the file again
+   */
+  _waitForVerification(outgoing) {
+    return new Promise((resolve, reject) => {
+      let timeoutId;
+      const arm = (ms) => {
+        clearTimeout(timeoutId);
+        timeoutId = setTimeout(() => {
+          outgoing.verify = null;
+          const error = new Error(i18n.t('transfer.verifyTimeout'));
+          error.code = 'VERIFY_TIMEOUT';
+          reject(error);
+        }, ms);
+      };
+
+      outgoing.verify = {
+        resolve: (retry) => {
+          clearTimeout(timeoutId);
+          outgoing.verify = null;
+          resolve(retry);
+        },
+        reject: (error) => {
+          clearTimeout(timeoutId);
+          outgoing.verify = null;
+          reject(error);
+        },
+        // Receiver got a corrupted copy - give its user time to choose "retry"
+        awaitRetry: () => arm(INTEGRITY.RETRY_TIMEOUT)
+      };
+
+      arm(INTEGRITY.VERIFY_TIMEOUT);
+    });
+  }
+
+  /**
+   * Handle checksum verdict from receiver
+   */
+  handleFileVerify(peerId, data) {
+    const outgoing = this.outgoingTransfers.get(data.fileId);
+    if (!outgoing || !outgoing.verify || !this._isOutgoingPeer(outgoing, peerId)) return;
+
+    if (data.ok) {
+      console.log(`[WebRTC] ${data.fileId} verified by ${peerId}`);
+      outgoing.verify.resolve(false);
+      return;
+    }
+
+    console.warn(`[WebRTC] ${peerId} reported ${data.fileId} as corrupted`);
+    outgoing.verify.awaitRetry();
+    if (this.onTransferCorrupted) {
+      this.onTransferCorrupted({ peerId, fileId: data.fileId, fileName: outgoing.file.name, direction: 'send' });
+    }
+  }
+
+  /**
+   * Handle retry request for a corrupted file - resend it from the start
+   */
+  handleFileRetry(peerId, data) {
+    const outgoing = this.outgoingTransfers.get(data.fileId);
+    if (!outgoing || !outgoing.verify || !this._isOutgoingPeer(outgoing, peerId)) return;
+
+    outgoing.verify.resolve(true);
+  }
+
+  /**
+   * Whether a message about an outgoing transfer comes from its receiver
+   * (under its current peer ID or one recorded by resumeTransfers)
+   */
+  _isOutgoingPeer(outgoing, peerId) {
+    return outgoing.peerId === peerId || outgoing.previousPeerIds.includes(peerId);
+  }
+
+  /**
+   * Record a sent chunk's digest for the file-end checksum
+   */
+  async _recordChunkHash(fileId, index, buffer) {
+    const outgoing = this.outgoingTransfers.get(fileId);
+    if (outgoing) {
+      outgoing.chunkHashes[index] = await cryptoManager.hash(buffer);
+    }
+  }
+
+  /**
+   * Checksum for file-end (null for transfers sent outside _transferFile)
+   */
+  _getFileChecksum(fileId) {
+    const outgoing = this.outgoingTransfers.get(fileId);
+    return outgoing ? combineChunkHashes(outgoing.chunkHashes, outgoing.totalChunks) : null;
+  }
+
+  /**
+   * Check a fully received file against the sender's checksum, then finalize it
+   * A corrupted or incomplete file is discarded and waits for retryIncomingTransfer()
+   * @param {string} peerId - Sender peer ID
+   * @param {Object} transfer - Incoming transfer state
+   * @param {string|null} checksum - Checksum from file-end (older senders omit it)
+   */
+  async _finishIncomingTransfer(peerId, transfer, checksum) {
+    const { fileId } = transfer;
+    const received = transfer.receivedIndices ? transfer.receivedIndices.size : 0;
+    let intact = received >= transfer.totalChunks;
+    if (intact && checksum) {
+      intact = await combineChunkHashes(transfer.chunkHashes || [], transfer.totalChunks) === checksum;
+    }
+
+    if (!intact) {
+      this.signaling.send({
+        type: 'file-verify',
+        to: peerId,
+        data: { fileId, ok: false }
+      });
+
+      console.error(`[WebRTC] Integrity check failed for ${transfer.name}: ${received}/${transfer.totalChunks} chunks`);
+      await this._resetIncomingTransfer(transfer);
+      if (this.onTransferCorrupted) {
+        this.onTransferCorrupted({ peerId, fileId, fileName: transfer.name, direction: 'receive' });
+      }
+      return;
+    }
+
+    // Flush remaining chunks to disk and finalize the file - only a saved file is confirmed to the sender
+    let result;
+    try {
+      result = await this._getWriter(transfer).close();
+    } catch (error) {
+      this._failIncomingTransfer(transfer, error);
+      return;
+    }
+    // Cancelled while the file was being finalized
+    if (this.incomingTransfers.get(fileId) !== transfer) return;
+
+    this.signaling.send({
+      type: 'file-verify',
+      to: peerId,
+      data: { fileId, ok: true }
+    });
+
+    this.incomingTransfers.delete(fileId);
+    this.activeTransfers.delete(fileId);
+    this._clearPause(fileId);
+
+    console.log(`[WebRTC] Transfer complete and verified: ${transfer.name}, size: ${result.size}`);
+
+    if (this.onFileReceived) this.onFileReceived(peerId, transfer.name, result, fileId);
+  }
+
+  /**
+   * Throw away a corrupted file's data but keep the transfer so it can be retried
+   */
+  async _resetIncomingTransfer(transfer) {
+    const { writer, sink } = transfer;
+    transfer.writer = null;
+    transfer.sink = null;
+    transfer.receivedIndices = new Set();
+    transfer.chunkHashes = [];
+    transfer.pendingAcks = [];
+    transfer.received = 0;
+    transfer.corrupted = true;
+
+    if (writer) {
+      await writer.abort();
+    } else if (sink) {
+      await sink.abort();
+    }
+  }
+
+  /**
+   * Ask the sender to send a corrupted file again
+   * @param {string} fileId - File ID
+   * @param {Object|null} sink - Fresh sink chosen by the user (null = default sink)
+   * @returns {boolean} Whether a retry was requested
+   */
+  retryIncomingTransfer(fileId, sink = null) {
+    const transfer = this.incomingTransfers.get(fileId);
+    if (!transfer || !transfer.corrupted) {
+      sink?.abort();
+      return false;
+    }
+
+    transfer.corrupted = false;
+    transfer.sink = sink;
+    transfer.startTime = Date.now();
+
+    this.signaling.send({
+      type: 'file-retry',
+      to: transfer.peerId,
+      data: { fileId }
+    });
+    return true;
+  }
+
+  /**
+   * Ask the receiver which chunks it already has ("what do you have?")
+   */
+  _requestResume(outgoing) {
+    if (!outgoing.resume) return;
+
+    console.log(`[WebRTC] Asking ${outgoing.peerId} to resume ${outgoing.fileId}`);
+    this.signaling.send({
+      type: 'file-resume',
+      to: outgoing.peerId,
+      data: { fileId: outgoing.fileId }
+    });
+  }
+
+  /**
+   * Retry interrupted outgoing transfers after a peer (re)appears
+   * Called by app.js when a peer joins or after our own reconnect
+   * @param {string} peerId - Current peer ID
+   * @param {string[]} previousPeerIds - IDs the same device used before it reconnected
+   */
+  resumeTransfers(peerId, previousPeerIds = []) {
+    // Remaining files of a batch go to the peer's new ID
+    for (const batch of this.outgoingBatches.values()) {
+      if (previousPeerIds.includes(batch.peerId)) batch.peerId = peerId;
+    }
+
+    for (const outgoing of this.outgoingTransfers.values()) {
+      if (!outgoing.resume && !outgoing.verify) continue;
+
+      if (previousPeerIds.includes(outgoing.peerId)) {
+        // A verdict sent before the reconnect may still arrive from the old ID
+        outgoing.previousPeerIds.push(outgoing.peerId);
+        outgoing.peerId = peerId;
+      }
+      if (outgoing.resume && outgoing.peerId === peerId) this._requestResume(outgoing);
+    }
+  }
+
+  /**
+   * Handle resume query from sender - reply with our received-chunk bitmap
+   * The sender may have a new peer ID, so the transfer is looked up by fileId
+   */
+  handleFileResume(peerId, data) {
+    const { fileId } = data;
+    const transfer = this.incomingTransfers.get(fileId);
+
+    if (!transfer) {
+      console.log(`[WebRTC] Cannot resume unknown transfer ${fileId}`);
+      this.signaling.send({
+        type: 'file-resume-response',
+        to: peerId,
+        data: { fileId, accepted: false }
+      });
+      return;
+    }
+
+    // Re-bind the transfer to the sender's current peer ID
+    if (transfer.suspendTimer) {
+      clearTimeout(transfer.suspendTimer);
+      transfer.suspendTimer = null;
+    }
+    transfer.peerId = peerId;
+    if (!transfer.receivedIndices) transfer.receivedIndices = new Set();
+    this.activeTransfers.set(fileId, { peerId, direction: 'receive', cancelled: false });
+
+    console.log(`[WebRTC] Resuming ${fileId} from ${peerId}: have ${transfer.receivedIndices.size}/${transfer.totalChunks} chunks`);
+
+    this.signaling.send({
+      type: 'file-resume-response',
+      to: peerId,
+      data: {
+        fileId,
+        accepted: true,
+        received: encodeChunkBitmap(transfer.receivedIndices, transfer.totalChunks)
+      }
+    });
+
+    if (this.onTransferResumed) {
+      this.onTransferResumed({ peerId, fileId, direction: 'receive' });
+    }
+  }
+
+  /**
+   * Handle resume reply from receiver - continue with the missing chunks
+   */
+  handleFileResumeResponse(peerId, data) {
+    const outgoing = this.outgoingTransfers.get(data.fileId);
+    if (!outgoing || !outgoing.resume || !this._isOutgoingPeer(outgoing, peerId)) return;
+
+    if (!data.accepted) {
+      outgoing.resume.reject(new Error(i18n.t('transfer.resumeFailed')));
+      return;
+    }
+
+    const missing = getMissingChunks(data.received, outgoing.totalChunks);
+    console.log(`[WebRTC] Resuming ${data.fileId} to ${peerId}: ${missing.length} chunks missing`);
+
+    if (this.onTransferResumed) {
+      this.onTransferResumed({ peerId, fileId: data.fileId, direction: 'send' });
+    }
+
+    outgoing.resume.resolve(missing);
+  }
+
+  /**
+   * Keep incoming transfers alive after their sender disconnects
+   * Each is discarded if the sender does not resume within RESUME.SUSPEND_TIMEOUT
+   * @param {string|null} peerId - Sender's peer ID (null = all senders)
+   */
+  _suspendIncomingTransfers(peerId) {
+    for (const transfer of this.incomingTransfers.values()) {
+      if (transfer.suspendTimer || (peerId && transfer.peerId !== peerId)) continue;
+
+      const { fileId } = transfer;
+      console.log(`[WebRTC] Incoming transfer ${fileId} suspended, waiting for sender`);
+      this.activeTransfers.delete(fileId);
+
+      transfer.suspendTimer = setTimeout(() => {
+        transfer.suspendTimer = null;
+        if (this.incomingTransfers.get(fileId) !== transfer) return;
+
+        console.log(`[WebRTC] Incoming transfer ${fileId} was not resumed, discarding`);
+        this._discardIncomingTransfer(fileId);
+        if (this.onTransferCancelled) this.onTransferCancelled(transfer.peerId, fileId, 'timeout');
+      }, RESUME.SUSPEND_TIMEOUT);
+
+      if (this.onTransferSuspended) {
+        this.onTransferSuspended({ peerId: transfer.peerId, fileId, direction: 'receive' });
+      }
+    }
+  }
+
+  /**
+   * Request file transfer permission from recipient
+   * @returns {Promise<boolean>} - true if accepted, false if declined
+   */
+  async _requestFileTransfer(peerId, file, fileId, isRelayMode) {
+    // File name, size and type are end-to-end encrypted
+    const payload = await this._sealSignalingData(peerId, {
+      fileId,
+      name: file.name,
+      size: file.size,
+      mimeType: file.type || 'application/octet-stream', // Add MIME type
+      totalChunks: Math.ceil(file.size / CHUNK_SIZE),
+      transferMode: isRelayMode ? 'relay' : 'p2p'
+    });
+
+    return new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => {
+        this.pendingFileRequests.delete(fileId);
+        reject(new Error('文件请求超时，对方未响应'));
+      }, this.FILE_REQUEST_TIMEOUT);
+
+      this.pendingFileRequests.set(fileId, {
+        peerId,
+        file,
+        resolve: (accepted) => {
+          clearTimeout(timeoutId);
+          this.pendingFileRequests.delete(fileId);
+          resolve(accepted);
+        },
+        reject: (error) => {
+          clearTimeout(timeoutId);
+          this.pendingFileRequests.delete(fileId);
+          reject(error);
+        }
+      });
+
+      // Send file request via signaling (always goes through server)
+      this.signaling.send({
+        type: 'file-request',
+        to: peerId,
+        data: payload
+      });
+    });
+  }
+
+  /**
+   * Encrypt a signaling payload end to end so the Room only sees routing fields
+   * Uses the same dual-layer format as file chunks
+   * @param {string} peerId - Recipient peer ID
+   * @param {Object} data - Payload
+   * @returns {Promise<{ encrypted: string }>} Base64 ciphertext
+   */
+  async _sealSignalingData(peerId, data) {
+    if (!cryptoManager.hasSharedSecret(peerId)) {
+      console.log(`[WebRTC] No shared key for ${peerId}, exchanging keys via signaling...`);
+      await this._exchangeKeysViaSignaling(peerId);
+    }
+
+    const encrypted = await cryptoManager.encryptChunk(peerId, new TextEncoder().encode(JSON.stringify(data)));
+    return { encrypted: arrayBufferToBase64(encrypted) };
+  }
+
+  /**
+   * Decrypt a payload sealed by the peer's _sealSignalingData
+   * @param {string} peerId - Sender peer ID
+   * @param {{ encrypted: string }} data - Signaling payload
+   * @returns {Promise<Object>} Original payload
+   */
+  async openSignalingData(peerId, data) {
+    if (!data?.encrypted) {
+      throw new Error('Unencrypted signaling payload');
+    }
+
+    // Our half of the key exchange may still be in progress
+    if (!cryptoManager.hasSharedSecret(peerId)) {
+      await this.waitForEncryptionKey(peerId, 5000);
+    }
+
+    const decrypted = await cryptoManager.decryptChunk(peerId, base64ToUint8Array(data.encrypted).buffer);
+    return JSON.parse(new TextDecoder().decode(decrypted));
+  }
+
+  /**
+   * Handle incoming file request (called by app.js)
+   */
+  handleFileRequest(peerId, data) {
+    console.log(`[WebRTC] Received file request from ${peerId}:`, data);
+    // This is now handled by signaling, forwarded to onFileRequest callback
+    if (this.onFileRequest) {
+      this.onFileRequest(peerId, data);
+    }
+  }
+
+  /**
+   * Respond to a file request (called by app.js when user accepts/declines)
+   * @param {string} peerId - Sender's peer ID
+   * @param {string} fileId - File ID
+   * @param {boolean} accept - true to accept, false to decline
+   */
+  respondToFileRequest(peerId, fileId, accept) {
+    console.log(`[WebRTC] Responding to file request ${fileId}: ${accept ? 'accept' : 'decline'}`);
+
+    this.signaling.send({
+      type: 'file-response',
+      to: peerId,
+      data: { fileId, accepted: accept }
+    });
+
+    if (accept) {
+      // Prepare to receive file - initialize transfer state
+      // The actual transfer state will be set when file-start arrives
+    }
+  }
+
+  /**
+   * Handle file response (accept/decline from recipient)
+   */
+  handleFileResponse(peerId, data) {
+    console.log(`[WebRTC] Received file response from ${peerId}:`, data);
+    const pending = this.pendingFileRequests.get(data.fileId);
+
+    if (pending) {
+      pending.resolve(data.accepted);
+    }
+
+    // Also notify via callback for UI updates
+    if (this.onFileRequestResponse) {
+      this.onFileRequestResponse(peerId, data.fileId, data.accepted);
+    }
+  }
+
+  /**
+   * Cancel an active transfer (either sending or receiving)
+   * @param {string} fileId - File ID to cancel
+   * @param {string} peerId - Peer ID involved in transfer
+   * @param {string} reason - Optional reason for cancellation
+   * @param {string|null} batchId - Batch the file belongs to (cancels the rest of the batch too)
+   */
+  cancelTransfer(fileId, peerId, reason = 'user', batchId = null) {
+    console.log(`[WebRTC] Cancelling transfer ${fileId} with ${peerId}, reason: ${reason}`);
+
+    // Mark as cancelled in active transfers
+    const transfer = this.activeTransfers.get(fileId);
+    if (transfer) {
+      transfer.cancelled = true;
+    }
+
+    // Stop waiting if the transfer is suspended or awaiting verification
+    const outgoing = this.outgoingTransfers.get(fileId);
+    outgoing?.resume?.reject(new Error('传输已取消'));
+    outgoing?.verify?.reject(new Error('传输已取消'));
+
+    // Clean up incoming transfer state
+    this._discardIncomingTransfer(fileId);
+
+    // Notify the other peer
+    const cancelData = batchId ? { fileId, batchId, reason } : { fileId, reason };
+    this.signaling.send({
+      type: 'file-cancel',
+      to: peerId,
+      data: cancelData
+    });
+
+    // Also send via data channel if available (faster)
+    const dc = this.dataChannels.get(peerId);
+    if (dc && dc.readyState === 'open') {
+      try {
+        dc.send(JSON.stringify({ type: 'file-cancel', ...cancelData }));
+      } catch (e) {
+        console.warn('[WebRTC] Failed to send cancel via data channel:', e);
+      }
+    }
+  }
+
+  /**
+   * Handle incoming file cancel message
+   */
+  handleFileCancel(peerId, data) {
+    console.log(`[WebRTC] Received file cancel from ${peerId}:`, data);
+
+    const { fileId, batchId, reason } = data;
+
+    // Whole batch cancelled - stop sending and drop the remaining incoming files
+    if (batchId) {
+      const batch = this.outgoingBatches.get(batchId);
+      if (batch) batch.cancelled = true;
+
+      for (const t of this.incomingTransfers.values()) {
+        if (t.batchId === batchId) this._discardIncomingTransfer(t.fileId);
+      }
+
+      this.pendingFileRequests.get(batchId)?.reject(new Error('对方取消了传输'));
+    }
+
+    // Mark transfer as cancelled
+    const transfer = this.activeTransfers.get(fileId);
+    if (transfer) {
+      transfer.cancelled = true;
+    }
+
+    // Stop waiting if the transfer is suspended or awaiting verification
+    const outgoing = this.outgoingTransfers.get(fileId);
+    outgoing?.resume?.reject(new Error('传输已取消'));
+    outgoing?.verify?.reject(new Error('传输已取消'));
+
+    // Clean up incoming transfer state
+    this._discardIncomingTransfer(fileId);
+
+    // Also check pending file requests (cancel during confirmation wait)
+    const pendingRequest = this.pendingFileRequests.get(fileId);
+    if (pendingRequest) {
+      pendingRequest.reject(new Error('对方取消了传输'));
+    }
+
+    // Notify via callback
+    if (this.onTransferCancelled) {
+      this.onTransferCancelled(peerId, fileId, reason);
+    }
+  }
+
+  /**
+   * Pause or resume a transfer (either side may do it)
+   * The sender holds between chunks; the receiver keeps everything received so far
+   * @param {string} fileId - File ID
+   * @param {string} peerId - Peer ID involved in transfer
+   * @param {boolean} paused - true to pause, false to resume
+   */
+  setTransferPaused(fileId, peerId, paused) {
+    console.log(`[WebRTC] ${paused ? 'Pausing' : 'Resuming'} transfer ${fileId} with ${peerId}`);
+
+    if (paused) {
+      this.pausedTransfers.add(fileId);
+    } else {
+      this.pausedTransfers.delete(fileId);
+    }
+
+    // Sent over both paths like file-cancel; seq lets the peer drop the slower duplicate
+    const message = { type: paused ? 'file-pause' : 'file-continue', fileId, seq: ++this.pauseCounter };
+    this.signaling.send({ type: message.type, to: peerId, data: message });
+
+    const dc = this.dataChannels.get(peerId);
+    if (dc && dc.readyState === 'open') {
+      try {
+        dc.send(JSON.stringify(message));
+      } catch (e) {
+        console.warn('[WebRTC] Failed to send pause via data channel:', e);
+      }
+    }
+  }
+
+  /**
+   * Handle file-pause / file-continue from the peer
+   * @param {boolean} paused - true for file-pause, false for file-continue
+   */
+  handleFilePause(peerId, data, paused) {
+    const { fileId, seq } = data;
+    if (seq <= (this.pauseSequence.get(fileId) || 0)) return; // Duplicate from the other path
+    this.pauseSequence.set(fileId, seq);
+
+    console.log(`[WebRTC] Peer ${peerId} ${paused ? 'paused' : 'resumed'} transfer ${fileId}`);
+    if (paused) {
+      this.pausedTransfers.add(fileId);
+    } else {
+      this.pausedTransfers.delete(fileId);
+    }
+
+    if (this.onTransferPaused) {
+      this.onTransferPaused({ peerId, fileId, paused });
+    }
+  }
+
+  isTransferPaused(fileId) {
+    return this.pausedTransfers.has(fileId);
+  }
+
+  /**
+   * Hold a sender loop while its transfer is paused
+   * @param {Function} check - Throws if the transfer was cancelled or lost its connection
+   * @returns {Promise<number>} Milliseconds spent paused (0 if it was not paused)
+   */
+  async _waitWhilePaused(fileId, check) {
+    if (!this.pausedTransfers.has(fileId)) return 0;
+
+    const pausedAt = Date.now();
+    while (this.pausedTransfers.has(fileId)) {
+      check();
+      await new Promise(r => setTimeout(r, 100));
+    }
+    check();
+    return Date.now() - pausedAt;
+  }
+
+  _clearPause(fileId) {
+    this.pausedTransfers.delete(fileId);
+    this.pauseSequence.delete(fileId);
+  }
+
+  /**
+   * Drop an incoming transfer and abort its partially written file
+   * @param {string} fileId - File ID
+   */
+  _discardIncomingTransfer(fileId) {
+    this._clearPause(fileId);
+
+    const incomingTransfer = this.incomingTransfers.get(fileId);
+    if (incomingTransfer) {
+      this.incomingTransfers.delete(fileId);
+      clearTimeout(incomingTransfer.suspendTimer);
+      if (incomingTransfer.writer) {
+        incomingTransfer.writer.abort();
+      } else if (incomingTransfer.sink) {
+        incomingTransfer.sink.abort();
+      }
+    }
+  }
+
+  /**
+   * Get (or lazily create) the ordered disk writer for an incoming transfer
+   * Transfers accepted in the UI already carry a sink; others get a non-interactive one
+   */
+  _getWriter(transfer) {
+    if (!transfer.writer) {
+      // sinkFactory lets the app decide where a file goes (e.g. inside a received folder)
+      const sink = transfer.sink || (transfer.sinkFactory ? transfer.sinkFactory() : createFileSink(transfer));
+      transfer.writer = new OrderedChunkWriter(sink);
+    }
+    return transfer.writer;
+  }
+
+  /**
+   * Queue a decrypted chunk for writing
+   * A failed write (disk full, file removed, ...) cancels the transfer on both sides
+   * @returns {Promise<void>} Settles once the chunk (and every one before it) reached the sink -
+   *   awaited in the peer's message queue, so a slow disk holds up further chunks
+   */
+  _writeChunk(transfer, index, data) {
+    return this._getWriter(transfer).push(index, data).catch(error => this._failIncomingTransfer(transfer, error));
+  }
+
+  /**
+   * Cancel an incoming transfer whose file could not be saved
+   */
+  _failIncomingTransfer(transfer, error) {
+    const { fileId, peerId, batchId } = transfer;
+    // Every chunk queued after the failure rejects too - cancel only once
+    if (this.incomingTransfers.get(fileId) !== transfer) return;
+
+    console.error(`[WebRTC] Failed to save ${transfer.name}:`, error);
+    if (batchId) {
+      this.cancelBatch(batchId, peerId, fileId, 'error');
+    } else {
+      this.cancelTransfer(fileId, peerId, 'error');
+    }
+    if (this.onTransferCancelled) this.onTransferCancelled(peerId, fileId, 'error');
+  }
+
+  /**
+   * Get info for all transfers currently in flight with a peer (both directions)
+   */
+  getActiveTransfers(peerId) {
+    const transfers = [];
+    for (const [fileId, transfer] of this.activeTransfers.entries()) {
+      if (transfer.peerId === peerId && !transfer.cancelled) {
+        transfers.push({ fileId, ...transfer });
+      }
+    }
+    // Confirmed incoming transfers that have not started yet
+    for (const incoming of this.incomingTransfers.values()) {
+      if (incoming.peerId === peerId && !this.activeTransfers.has(incoming.fileId)) {
+        transfers.push({ ...incoming, direction: 'receive' });
+      }
+    }
+    return transfers;
+  }
+
+  /**
+   * Send file data via P2P (after confirmation)
+   * @param {number[]|null} indices - Chunks to send when resuming (null = whole file)
+   */
+  async _sendFileDataViaP2P(peerId, file, fileId, dc, indices = null) {
+    // Register active transfer
+    this.activeTransfers.set(fileId, { peerId, direction: 'send', cancelled: false, interrupted: false });
+
+    const totalChunks = Math.ceil(file.size / CHUNK_SIZE);
+    const resuming = indices !== null;
+    const chunkIndices = indices ?? Array.from({ length: totalChunks }, (_, i) => i);
+    const alreadyDelivered = totalChunks - chunkIndices.length;
+
+    if (!resuming) {
+      dc.send(JSON.stringify({
+        type: 'file-start',
+        fileId,
+        name: file.name,
+        size: file.size,
+        mimeType: file.type || 'application/octet-stream', // Add MIME type
+        totalChunks
+      }));
+    }
+
+    let startTime = Date.now(), sentBytes = 0;
+
+    try {
+      for (let i = 0; i < chunkIndices.length; i++) {
+        const chunkIndex = chunkIndices[i];
+
+        // Check if transfer was cancelled
+        const transfer = this.activeTransfers.get(fileId);
+        if (!transfer || transfer.cancelled) {
           console.log(`[WebRTC] Transfer ${fileId} was cancelled`);
           throw new Error('传输已取消');
         }
+        if (transfer.interrupted || dc.readyState !== 'open') {
+          throw connectionLostError();
+        }
+
+        // Paused by either side - hold here (the pause does not count towards the speed)
+        startTime += await this._waitWhilePaused(fileId, () => {
+          const t = this.activeTransfers.get(fileId);
+          if (!t || t.cancelled) throw new Error('传输已取消');
+          if (t.interrupted || dc.readyState !== 'open') throw connectionLostError();
+        });
 
-        const chunk = file.slice(offset, offset + CHUNK_SIZE);
-        const buffer = await chunk.arrayBuffer();
+        const buffer = await this._readChunk(fileId, file, chunkIndex);
+        await this._recordChunkHash(fileId, chunkIndex, buffer);
         const encrypted = await cryptoManager.encryptChunk(peerId, buffer);
 
-        while (dc.bufferedAmount > 1024 * 1024) {
+        // Wait for the channel to drain, and for the receiver while it asked us to hold
+        while (dc.bufferedAmount > 1024 * 1024 || this.sendHolds.has(peerId)) {
           // Check cancellation during buffer wait
           const t = this.activeTransfers.get(fileId);
           if (!t || t.cancelled) {
             throw new Error('传输已取消');
           }
+          if (t.interrupted || dc.readyState !== 'open') {
+            throw connectionLostError();
+          }
           await new Promise(r => setTimeout(r, 10));
         }
 
-        dc.send(encrypted);
-        offset += CHUNK_SIZE;
-        chunkIndex++;
+        try {
+          dc.send(encodeChunkFrame(fileId, chunkIndex, encrypted));
+        } catch (e) {
+          if (dc.readyState !== 'open') throw connectionLostError();
+          throw e;
+        }
+        sentBytes += buffer.byteLength;
 
         if (this.onProgress) {
           const elapsed = (Date.now() - startTime) / 1000;
+          const sent = Math.min((alreadyDelivered + i + 1) * CHUNK_SIZE, file.size);
           this.onProgress({
             peerId, fileId, fileName: file.name, fileSize: file.size,
-            sent: offset, total: file.size,
-            percent: (offset / file.size) * 100,
-            speed: offset / elapsed
+            sent, total: file.size,
+            percent: (sent / file.size) * 100,
+            speed: sentBytes / elapsed
           });
         }
       }
 
-      dc.send(JSON.stringify({ type: 'file-end', fileId }));
+      const checksum = await this._getFileChecksum(fileId);
+      if (dc.readyState !== 'open') throw connectionLostError();
+      dc.send(JSON.stringify({ type: 'file-end', fileId, checksum }));
     } finally {
       this.activeTransfers.delete(fileId);
     }
@@ -1291,16 +2479,19 @@ export class WebRTCManager {
   /**
    * Send file data via relay with reliability (after confirmation)
    * Features: flow control, ACK, retransmission, timeout handling
+   * @param {number[]|null} indices - Chunks to send when resuming (null = whole file)
    */
-  async _sendFileDataViaRelay(peerId, file, fileId) {
+  async _sendFileDataViaRelay(peerId, file, fileId, indices = null) {
     // Register active transfer with enhanced state
     const transferState = {
       peerId,
       direction: 'send',
       cancelled: false,
+      interrupted: false,          // Set when the peer or signaling connection drops
       ackedChunks: new Set(),      // Chunks that have been acknowledged
-      pendingChunks: new Map(),    // Chunks waiting for ACK: index -> {data, retries, sentAt}
+      pendingChunks: new Map(),    // Chunks waiting for ACK: index -> {payload, retries, sentAt}
       lastAckTime: Date.now(),     // Last ACK received time
+      nackWaiter: null,            // Resolves with the receiver's missing-chunk list after file-end
     };
     this.activeTransfers.set(fileId, transferState);
 
@@ -1311,128 +2502,215 @@ export class WebRTCManager {
     }
 
     const totalChunks = Math.ceil(file.size / CHUNK_SIZE);
-
-    // Send file-start with total chunks for integrity check
-    this.signaling.send({
-      type: 'relay-data',
-      to: peerId,
-      data: {
-        type: 'file-start',
-        fileId,
+    const resuming = indices !== null;
+    const chunkIndices = indices ?? Array.from({ length: totalChunks }, (_, i) => i);
+    const alreadyDelivered = totalChunks - chunkIndices.length;
+
+    // Send file-start with total chunks for integrity check (receiver keeps its state when resuming)
+    // File metadata is encrypted; fileId and totalChunks stay readable so chunks can be tracked
+    if (!resuming) {
+      const meta = await this._sealSignalingData(peerId, {
         name: file.name,
         size: file.size,
-        mimeType: file.type || 'application/octet-stream',
-        totalChunks
-      }
-    });
+        mimeType: file.type || 'application/octet-stream'
+      });
+      this.signaling.send({
+        type: 'relay-data',
+        to: peerId,
+        data: { type: 'file-start', fileId, totalChunks, ...meta }
+      });
+    }
 
-    let offset = 0, chunkIndex = 0, startTime = Date.now();
+    let sentCount = 0, sentBytes = 0, startTime = Date.now();
+    const reportProgress = (bytes) => {
+      sentCount++;
+      sentBytes += bytes;
+
+      if (this.onProgress) {
+        const elapsed = (Date.now() - startTime) / 1000;
+        const sent = Math.min((alreadyDelivered + sentCount) * CHUNK_SIZE, file.size);
+        this.onProgress({
+          peerId, fileId, fileName: file.name, fileSize: file.size,
+          sent, total: file.size,
+          percent: Math.min((sent / file.size) * 100, 100),
+          speed: sentBytes / elapsed
+        });
+      }
+    };
 
     try {
-      while (offset < file.size) {
-        // Check if transfer was cancelled
-        const transfer = this.activeTransfers.get(fileId);
-        if (!transfer || transfer.cancelled) {
-          console.log(`[WebRTC] Relay transfer ${fileId} was cancelled`);
-          throw new Error('传输已取消');
+      await this._sendRelayChunks(peerId, file, fileId, transferState, chunkIndices, reportProgress);
+
+      // Wait for all chunks to be acknowledged (with timeout)
+      const ackWaitStart = Date.now();
+      while (transferState.ackedChunks.size < chunkIndices.length) {
+        if (Date.now() - ackWaitStart > RELAY.ACK_TIMEOUT * 2) {
+          console.warn(`[WebRTC] ACK timeout, ${chunkIndices.length - transferState.ackedChunks.size} chunks unacked`);
+          break;
         }
+        this._checkRelayTransfer(fileId);
+        await new Promise(r => setTimeout(r, 100));
+      }
 
-        // Flow control: wait if too many unacknowledged chunks
-        while (transfer.pendingChunks.size >= RELAY.WINDOW_SIZE) {
-          // Check for timeout
-          if (Date.now() - transfer.lastAckTime > RELAY.ACK_TIMEOUT) {
-            // Retransmit oldest unacked chunk
-            const oldestPending = this._getOldestPendingChunk(transfer);
-            if (oldestPending) {
-              const { index, data, retries } = oldestPending;
-              if (retries >= RELAY.MAX_CHUNK_RETRIES) {
-                console.error(`[WebRTC] Chunk ${index} failed after ${retries} retries`);
-                throw new Error('传输失败：数据块重传次数过多');
-              }
-              console.log(`[WebRTC] Retransmitting chunk ${index}, retry ${retries + 1}`);
-              this._sendChunk(peerId, fileId, index, data.base64, retries + 1);
-              transfer.pendingChunks.get(index).retries = retries + 1;
-              transfer.pendingChunks.get(index).sentAt = Date.now();
-            }
-          }
+      // Send file-end and retransmit whatever the receiver NACKs until it has every chunk
+      const checksum = await this._getFileChecksum(fileId);
+      for (let round = 0; ; round++) {
+        this._checkRelayTransfer(fileId);
+        this.signaling.send({
+          type: 'relay-data',
+          to: peerId,
+          data: { type: 'file-end', fileId, totalChunks, checksum }
+        });
 
-          // Check cancellation during wait
-          if (transfer.cancelled) {
-            throw new Error('传输已取消');
-          }
+        const missing = await this._waitForRelayNack(transferState);
+        if (missing && missing.length === 0) break;
 
-          await new Promise(r => setTimeout(r, 50));
+        if (round >= RELAY.MAX_NACK_ROUNDS) {
+          console.error(`[WebRTC] Relay transfer ${fileId} still incomplete after ${round} NACK rounds`);
+          throw new Error('传输失败：数据块重传次数过多');
         }
 
-        // Check transfer timeout (no progress)
-        if (Date.now() - transfer.lastAckTime > RELAY.TRANSFER_TIMEOUT && chunkIndex > 0) {
-          throw new Error('传输超时：接收方无响应');
+        if (missing) {
+          console.log(`[WebRTC] Receiver is missing ${missing.length} chunks, retransmitting (round ${round + 1})`);
+          await this._sendRelayChunks(peerId, file, fileId, transferState, missing, null);
+        } else {
+          console.log(`[WebRTC] No reply to file-end for ${fileId}, sending it again`);
         }
+      }
 
-        const chunk = file.slice(offset, offset + CHUNK_SIZE);
-        const buffer = await chunk.arrayBuffer();
-        const encrypted = await cryptoManager.encryptChunk(peerId, buffer);
-
-        const base64Data = arrayBufferToBase64(encrypted);
-
-        // Track pending chunk
-        transfer.pendingChunks.set(chunkIndex, {
-          base64: base64Data,
-          retries: 0,
-          sentAt: Date.now()
-        });
+      transferState.pendingChunks.clear();
+      console.log(`[WebRTC] Relay transfer complete: ${totalChunks} chunks delivered`);
+    } finally {
+      this.activeTransfers.delete(fileId);
+    }
+  }
 
-        this._sendChunk(peerId, fileId, chunkIndex, base64Data, 0);
+  /**
+   * Send chunks over the relay with flow control and ACK-timeout retransmission
+   * @param {number[]} chunkIndices - Chunks to send
+   * @param {Function|null} onChunkSent - Called with the plaintext size of each new chunk
+   */
+  async _sendRelayChunks(peerId, file, fileId, transfer, chunkIndices, onChunkSent) {
+    for (const chunkIndex of chunkIndices) {
+      this._checkRelayTransfer(fileId);
 
-        offset += CHUNK_SIZE;
-        chunkIndex++;
+      // Paused by either side - no ACKs arrive meanwhile, so don't count the pause as a stall
+      if (await this._waitWhilePaused(fileId, () => this._checkRelayTransfer(fileId))) {
+        transfer.lastAckTime = Date.now();
+      }
 
-        if (this.onProgress) {
-          const elapsed = (Date.now() - startTime) / 1000;
-          this.onProgress({
-            peerId, fileId, fileName: file.name, fileSize: file.size,
-            sent: Math.min(offset, file.size), total: file.size,
-            percent: Math.min((offset / file.size) * 100, 100),
-            speed: offset / elapsed
-          });
+      // Flow control: wait if too many unacknowledged chunks
+      while (transfer.pendingChunks.size >= RELAY.WINDOW_SIZE) {
+        // Check for timeout
+        if (Date.now() - transfer.lastAckTime > RELAY.ACK_TIMEOUT) {
+          // Retransmit oldest unacked chunk
+          const oldestPending = this._getOldestPendingChunk(transfer);
+          if (oldestPending) {
+            const { index, payload, retries } = oldestPending;
+            if (retries >= RELAY.MAX_CHUNK_RETRIES) {
+              console.error(`[WebRTC] Chunk ${index} failed after ${retries} retries`);
+              throw new Error('传输失败：数据块重传次数过多');
+            }
+            console.log(`[WebRTC] Retransmitting chunk ${index}, retry ${retries + 1}`);
+            this._sendChunk(peerId, fileId, index, payload, retries + 1);
+            transfer.pendingChunks.get(index).retries = retries + 1;
+            transfer.pendingChunks.get(index).sentAt = Date.now();
+          }
         }
 
-        await new Promise(r => setTimeout(r, RELAY.CHUNK_INTERVAL));
+        // Check cancellation during wait
+        this._checkRelayTransfer(fileId);
+
+        await new Promise(r => setTimeout(r, 50));
       }
 
-      // Wait for all chunks to be acknowledged (with timeout)
-      const ackWaitStart = Date.now();
-      while (transferState.ackedChunks.size < totalChunks) {
-        if (Date.now() - ackWaitStart > RELAY.ACK_TIMEOUT * 2) {
-          console.warn(`[WebRTC] ACK timeout, ${totalChunks - transferState.ackedChunks.size} chunks unacked`);
-          break;
-        }
-        if (transferState.cancelled) {
-          throw new Error('传输已取消');
-        }
-        await new Promise(r => setTimeout(r, 100));
+      // Check transfer timeout (no progress)
+      if (Date.now() - transfer.lastAckTime > RELAY.TRANSFER_TIMEOUT && transfer.pendingChunks.size > 0) {
+        throw new Error('传输超时：接收方无响应');
       }
 
-      // Extra delay to ensure last chunk is fully processed before file-end
-      await new Promise(r => setTimeout(r, 500));
+      const buffer = await this._readChunk(fileId, file, chunkIndex);
+      await this._recordChunkHash(fileId, chunkIndex, buffer);
+      const encrypted = await cryptoManager.encryptChunk(peerId, buffer);
 
-      // Send file-end
-      this.signaling.send({
-        type: 'relay-data',
-        to: peerId,
-        data: { type: 'file-end', fileId, totalChunks }
+      // Track pending chunk (a NACKed chunk starts over)
+      transfer.ackedChunks.delete(chunkIndex);
+      transfer.pendingChunks.set(chunkIndex, {
+        payload: encrypted,
+        retries: 0,
+        sentAt: Date.now()
       });
 
-      console.log(`[WebRTC] Relay transfer complete: ${totalChunks} chunks sent`);
-    } finally {
-      this.activeTransfers.delete(fileId);
+      this._sendChunk(peerId, fileId, chunkIndex, encrypted, 0);
+
+      if (onChunkSent) onChunkSent(buffer.byteLength);
+
+      await new Promise(r => setTimeout(r, RELAY.CHUNK_INTERVAL));
+    }
+  }
+
+  /**
+   * Throw if a relay send was cancelled or lost its connection
+   */
+  _checkRelayTransfer(fileId) {
+    const transfer = this.activeTransfers.get(fileId);
+    if (!transfer || transfer.cancelled) {
+      console.log(`[WebRTC] Relay transfer ${fileId} was cancelled`);
+      throw new Error('传输已取消');
     }
+    if (transfer.interrupted || !this._isSignalingOpen()) {
+      throw connectionLostError();
+    }
+  }
+
+  /**
+   * Wait for the receiver's reply to file-end
+   * @returns {Promise<number[]|null>} Missing chunk indices (empty = complete), or null on timeout
+   */
+  _waitForRelayNack(transfer) {
+    return new Promise((resolve) => {
+      const timeoutId = setTimeout(() => {
+        transfer.nackWaiter = null;
+        resolve(null);
+      }, RELAY.NACK_TIMEOUT);
+
+      transfer.nackWaiter = (missing) => {
+        clearTimeout(timeoutId);
+        transfer.nackWaiter = null;
+        resolve(missing);
+      };
+    });
+  }
+
+  /**
+   * Handle NACK from receiver - the chunks it is still missing after file-end
+   */
+  handleRelayNack(peerId, data) {
+    const transfer = this.activeTransfers.get(data.fileId);
+    if (!transfer || transfer.direction !== 'send' || !transfer.nackWaiter) return;
+
+    transfer.lastAckTime = Date.now();
+    transfer.nackWaiter(Array.isArray(data.missing) ? data.missing : []);
+  }
+
+  /**
+   * Check whether the signaling server connection is usable
+   */
+  _isSignalingOpen() {
+    return this.signaling.isOpen ? this.signaling.isOpen() : true;
   }
 
   /**
    * Send a single chunk via relay
+   * Uses a binary frame when the Room and the receiver support it, base64-in-JSON otherwise
+   * @param {ArrayBuffer} payload - Encrypted chunk
    */
-  _sendChunk(peerId, fileId, index, base64Data, retryCount) {
+  _sendChunk(peerId, fileId, index, payload, retryCount) {
+    if (this._supportsBinaryRelay(peerId)) {
+      this.signaling.sendBinary(encodeRelayFrame(peerId, fileId, index, payload));
+      return;
+    }
+
     this.signaling.send({
       type: 'relay-data',
       to: peerId,
@@ -1440,12 +2718,87 @@ export class WebRTCManager {
         type: 'chunk',
         fileId,
         index,
-        data: base64Data,
+        data: arrayBufferToBase64(payload),
         retry: retryCount > 0
       }
     });
   }
 
+  /**
+   * Record what a peer announced it supports (from the Room's peer list)
+   * @param {string} peerId - Peer ID
+   * @param {string[]|null} capabilities - Announced capabilities (null to forget the peer)
+   */
+  setPeerCapabilities(peerId, capabilities) {
+    if (capabilities) {
+      this.peerCapabilities.set(peerId, capabilities);
+    } else {
+      this.peerCapabilities.delete(peerId);
+    }
+  }
+
+  /**
+   * Handle a peer's message only after all earlier ones (data channel and relay share the queue),
+   * so e.g. file-end never overtakes chunks that are still being decrypted
+   */
+  _queueMessage(peerId, handler) {
+    const queue = (this.messageQueues.get(peerId) || Promise.resolve())
+      .then(handler)
+      .catch(err => console.error(`[WebRTC] Error handling message from ${peerId}:`, err));
+    this.messageQueues.set(peerId, queue);
+    return queue;
+  }
+
+  /**
+   * Count chunk bytes waiting in a peer's message queue, and hold the sender while too many are
+   * (a data channel hands over messages as fast as they arrive - it never waits for the page)
+   */
+  _trackReceiveQueue(peerId, delta) {
+    const queued = Math.max(0, (this.receiveQueueBytes.get(peerId) || 0) + delta);
+    this.receiveQueueBytes.set(peerId, queued);
+
+    const holding = this.receiveHolds.has(peerId);
+    if (!holding && queued > TRANSFER.RECEIVE_QUEUE_HIGH) {
+      this.receiveHolds.add(peerId);
+    } else if (holding && queued < TRANSFER.RECEIVE_QUEUE_LOW) {
+      this.receiveHolds.delete(peerId);
+    } else {
+      return;
+    }
+
+    const dc = this.dataChannels.get(peerId);
+    if (dc && dc.readyState === 'open') {
+      dc.send(JSON.stringify({ type: 'flow', hold: !holding }));
+    }
+  }
+
+  /**
+   * Binary relay frames need a binary-capable signaling socket and a receiver that parses them
+   */
+  _supportsBinaryRelay(peerId) {
+    return Boolean(this.signaling.sendBinary) &&
+      (this.peerCapabilities.get(peerId) || []).includes(RELAY.BINARY_CAPABILITY);
+  }
+
+  /**
+   * Handle a binary relay frame from the signaling socket
+   * @param {ArrayBuffer} buffer - Frame forwarded by the Room (peerId = sender)
+   */
+  async handleRelayFrame(buffer) {
+    const frame = decodeRelayFrame(buffer);
+    if (!frame) {
+      console.warn('[WebRTC] Ignoring malformed relay frame');
+      return;
+    }
+
+    await this.handleRelayData(frame.peerId, {
+      type: 'chunk',
+      fileId: frame.fileId,
+      index: frame.index,
+      payload: frame.payload
+    });
+  }
+
   /**
    * Get the oldest pending chunk for retransmission
    */
@@ -1501,9 +2854,13 @@ export class WebRTCManager {
 
       if (msg.type === 'file-start') {
         // Check if we have a pre-confirmed transfer (from file-request flow)
-        const existingTransfer = this.incomingTransfers.get(peerId);
+        const existingTransfer = this.incomingTransfers.get(msg.fileId);
+        if (existingTransfer && existingTransfer.peerId !== peerId) {
+          console.warn(`[WebRTC] Ignoring file-start for ${msg.fileId} from ${peerId}, not its sender`);
+          return;
+        }
 
-        if (existingTransfer && existingTransfer.confirmed && existingTransfer.fileId === msg.fileId) {
+        if (existingTransfer && existingTransfer.confirmed) {
           // Transfer was already confirmed, update with actual start time
           existingTransfer.startTime = Date.now();
           // Register as active transfer for cancellation support
@@ -1512,10 +2869,10 @@ export class WebRTCManager {
         } else {
           // Legacy flow or direct P2P without confirmation
           // Initialize new transfer
-          this.incomingTransfers.set(peerId, {
-            fileId: msg.fileId, name: msg.name, size: msg.size,
+          this.incomingTransfers.set(msg.fileId, {
+            fileId: msg.fileId, peerId, name: msg.name, size: msg.size,
             mimeType: msg.mimeType || 'application/octet-stream', // Save MIME type
-            totalChunks: msg.totalChunks, chunks: [], received: 0, startTime: Date.now(),
+            totalChunks: msg.totalChunks, receivedIndices: new Set(), received: 0, startTime: Date.now(),
             confirmed: true // Mark as confirmed since it's already starting
           });
           // Register as active transfer
@@ -1526,26 +2883,50 @@ export class WebRTCManager {
         // Notify for progress modal update
         if (this.onFileRequest) this.onFileRequest(peerId, msg);
       } else if (msg.type === 'file-end') {
-        const transfer = this.incomingTransfers.get(peerId);
+        const transfer = this.incomingTransfers.get(msg.fileId);
         if (transfer) {
-          const blob = new Blob(transfer.chunks, { type: transfer.mimeType || 'application/octet-stream' }); // Use MIME type
-          if (this.onFileReceived) this.onFileReceived(peerId, transfer.name, blob);
-          this.incomingTransfers.delete(peerId);
-          this.activeTransfers.delete(transfer.fileId);
+          await this._finishIncomingTransfer(peerId, transfer, msg.checksum);
         }
       } else if (msg.type === 'file-cancel') {
         // Handle cancel message from data channel
         this.handleFileCancel(peerId, msg);
+      } else if (msg.type === 'file-pause' || msg.type === 'file-continue') {
+        this.handleFilePause(peerId, msg, msg.type === 'file-pause');
+      } else if (msg.type === 'flow') {
+        // Receiver's disk is behind (hold) or caught up again
+        if (msg.hold) {
+          this.sendHolds.add(peerId);
+        } else {
+          this.sendHolds.delete(peerId);
+        }
       } else if (msg.type === 'text') {
         if (this.onTextReceived) this.onTextReceived(peerId, msg.content);
       }
     } else {
-      const transfer = this.incomingTransfers.get(peerId);
-      if (transfer) {
-        const decrypted = await cryptoManager.decryptChunk(peerId, data);
-        transfer.chunks.push(new Uint8Array(decrypted));
+      // Binary data is a framed chunk: fileId + chunk index + encrypted payload
+      const frame = decodeChunkFrame(data);
+      if (!frame) {
+        console.warn(`[WebRTC] Ignoring unframed binary message from ${peerId}`);
+        return;
+      }
+
+      const transfer = this.incomingTransfers.get(frame.fileId);
+      if (transfer && transfer.peerId === peerId) {
+        const chunkIndex = frame.index;
+        if (!transfer.receivedIndices) transfer.receivedIndices = new Set();
+        if (transfer.receivedIndices.has(chunkIndex)) return;
+
+        const decrypted = await cryptoManager.decryptChunk(peerId, frame.payload);
+        const written = this._writeChunk(transfer, chunkIndex, new Uint8Array(decrypted));
+        if (!transfer.chunkHashes) transfer.chunkHashes = [];
+        transfer.chunkHashes[chunkIndex] = await cryptoManager.hash(decrypted);
+        transfer.receivedIndices.add(chunkIndex);
         transfer.received += decrypted.byteLength;
 
+        // Wait for the disk before handling the next message (the sender is held, see _trackReceiveQueue)
+        await written;
+        if (this.incomingTransfers.get(transfer.fileId) !== transfer) return;
+
         if (this.onProgress) {
           const elapsed = (Date.now() - transfer.startTime) / 1000;
           this.onProgress({
@@ -1559,8 +2940,12 @@ export class WebRTCManager {
     }
   }
 
-  // Handle incoming relay data
-  async handleRelayData(peerId, data) {
+  // Handle incoming relay data (in arrival order, see _queueMessage)
+  handleRelayData(peerId, data) {
+    return this._queueMessage(peerId, () => this._handleRelayData(peerId, data));
+  }
+
+  async _handleRelayData(peerId, data) {
     if (!this.relayMode.get(peerId)) {
       console.log(`[WebRTC] Received relay data from ${peerId}, switching to relay mode`);
       this.relayMode.set(peerId, true);
@@ -1571,34 +2956,44 @@ export class WebRTCManager {
 
     if (data.type === 'file-start') {
       // Check if we have a pre-confirmed transfer (from file-request flow)
-      const existingTransfer = this.incomingTransfers.get(peerId);
+      const existingTransfer = this.incomingTransfers.get(data.fileId);
+      if (existingTransfer && existingTransfer.peerId !== peerId) {
+        console.warn(`[WebRTC] Ignoring relay file-start for ${data.fileId} from ${peerId}, not its sender`);
+        return;
+      }
 
-      if (existingTransfer && existingTransfer.confirmed && existingTransfer.fileId === data.fileId) {
-        // Transfer was already confirmed - RESET chunks array to avoid stale data!
+      if (existingTransfer && existingTransfer.confirmed) {
+        // Transfer was already confirmed - reset counters to avoid stale state
         existingTransfer.startTime = Date.now();
-        existingTransfer.chunks = [];  // Critical: clear any residual chunks
         existingTransfer.received = 0;
         existingTransfer.totalChunks = data.totalChunks;
         existingTransfer.receivedIndices = new Set(); // Track received chunk indices
+        existingTransfer.chunkHashes = [];
         // Register as active transfer for cancellation support
         this.activeTransfers.set(data.fileId, { peerId, direction: 'receive', cancelled: false });
-        console.log(`[WebRTC] Starting confirmed relay file transfer: ${data.name} (chunks reset)`);
+        console.log(`[WebRTC] Starting confirmed relay file transfer: ${existingTransfer.name} (chunks reset)`);
       } else {
+        // Metadata is encrypted (confirmed transfers already have it from the file request)
+        let meta;
+        try {
+          meta = await this.openSignalingData(peerId, data);
+        } catch (e) {
+          console.error(`[WebRTC] Failed to decrypt relay file-start from ${peerId}:`, e);
+          return;
+        }
+
         // Clean up any stale transfer first
         if (existingTransfer) {
-          console.log(`[WebRTC] Cleaning up stale transfer for peer ${peerId}`);
-          this.incomingTransfers.delete(peerId);
-          if (existingTransfer.fileId) {
-            this.activeTransfers.delete(existingTransfer.fileId);
-          }
+          console.log(`[WebRTC] Cleaning up stale transfer ${data.fileId}`);
+          this._discardIncomingTransfer(data.fileId);
+          this.activeTransfers.delete(data.fileId);
         }
 
         // Initialize new transfer with fresh state
-        this.incomingTransfers.set(peerId, {
-          fileId: data.fileId, name: data.name, size: data.size,
-          mimeType: data.mimeType || 'application/octet-stream',
+        this.incomingTransfers.set(data.fileId, {
+          fileId: data.fileId, peerId, name: meta.name, size: meta.size,
+          mimeType: meta.mimeType || 'application/octet-stream',
           totalChunks: data.totalChunks,
-          chunks: [],           // Fresh empty array
           receivedIndices: new Set(), // Track received chunk indices
           received: 0,
           startTime: Date.now(),
@@ -1606,83 +3001,53 @@ export class WebRTCManager {
         });
         // Register as active transfer
         this.activeTransfers.set(data.fileId, { peerId, direction: 'receive', cancelled: false });
-        console.log(`[WebRTC] Relay file transfer started (direct): ${data.name}`);
+        console.log(`[WebRTC] Relay file transfer started (direct): ${meta.name}`);
       }
 
       // Notify for progress modal update
-      if (this.onFileRequest) this.onFileRequest(peerId, data);
+      const { name, size, mimeType } = this.incomingTransfers.get(data.fileId);
+      if (this.onFileRequest) {
+        this.onFileRequest(peerId, { fileId: data.fileId, name, size, mimeType, totalChunks: data.totalChunks });
+      }
     } else if (data.type === 'file-cancel') {
       // Handle cancel message
       this.handleFileCancel(peerId, data);
     } else if (data.type === 'file-end') {
-      const transfer = this.incomingTransfers.get(peerId);
-      if (transfer) {
+      const transfer = this.incomingTransfers.get(data.fileId);
+      if (transfer && transfer.peerId === peerId) {
         // Send any remaining ACKs immediately
         if (transfer.pendingAcks && transfer.pendingAcks.length > 0) {
           this._sendChunkAck(peerId, transfer.fileId, transfer.pendingAcks);
           transfer.pendingAcks = [];
         }
 
-        // Verify integrity: check all chunks are present
-        const expectedCount = data.totalChunks || transfer.totalChunks;
-        let receivedCount = transfer.receivedIndices ? transfer.receivedIndices.size : 0;
-
-        // If chunks are missing, wait a bit for them to arrive (they might be in-flight)
-        if (receivedCount < expectedCount) {
-          console.log(`[WebRTC] Waiting for missing chunks: ${receivedCount}/${expectedCount}`);
-          const waitStart = Date.now();
-          const maxWait = 3000; // Wait up to 3 seconds for missing chunks
-
-          await new Promise(resolve => {
-            const checkInterval = setInterval(() => {
-              receivedCount = transfer.receivedIndices ? transfer.receivedIndices.size : 0;
-              if (receivedCount >= expectedCount || Date.now() - waitStart > maxWait) {
-                clearInterval(checkInterval);
-                resolve();
-              }
-            }, 100);
-          });
-
-          receivedCount = transfer.receivedIndices ? transfer.receivedIndices.size : 0;
-        }
-
-        if (receivedCount !== expectedCount) {
-          console.error(`[WebRTC] Transfer incomplete: expected ${expectedCount} chunks, received ${receivedCount}`);
-          // Find missing chunks
-          const missing = [];
-          for (let i = 0; i < expectedCount; i++) {
-            if (!transfer.receivedIndices || !transfer.receivedIndices.has(i)) {
-              missing.push(i);
-            }
-          }
-          console.error(`[WebRTC] Missing chunks: ${missing.join(', ')}`);
-        }
-
-        // Build blob from chunks in correct order
-        const orderedChunks = [];
-        for (let i = 0; i < expectedCount; i++) {
-          if (transfer.chunks[i]) {
-            orderedChunks.push(transfer.chunks[i]);
+        // NACK whatever is still missing - the sender retransmits exactly those chunks
+        // and sends file-end again; an empty list confirms we have everything
+        const missing = [];
+        for (let i = 0; i < transfer.totalChunks && missing.length < RELAY.NACK_MAX_INDICES; i++) {
+          if (!transfer.receivedIndices || !transfer.receivedIndices.has(i)) {
+            missing.push(i);
           }
         }
 
-        const blob = new Blob(orderedChunks, { type: transfer.mimeType || 'application/octet-stream' });
+        this.signaling.send({
+          type: 'relay-data',
+          to: peerId,
+          data: { type: 'nack', fileId: transfer.fileId, missing }
+        });
 
-        // Verify size
-        if (blob.size !== transfer.size) {
-          console.warn(`[WebRTC] Size mismatch: expected ${transfer.size}, got ${blob.size}`);
+        if (missing.length > 0) {
+          console.log(`[WebRTC] NACK ${missing.length} missing chunks of ${transfer.name}`);
+          return;
         }
 
-        console.log(`[WebRTC] Transfer complete: ${receivedCount}/${expectedCount} chunks, size: ${blob.size}`);
-
-        if (this.onFileReceived) this.onFileReceived(peerId, transfer.name, blob);
-        this.incomingTransfers.delete(peerId);
-        this.activeTransfers.delete(transfer.fileId);
+        // Incomplete or corrupted files are not saved - the receiver can ask for a retry
+        await this._finishIncomingTransfer(peerId, transfer, data.checksum);
       }
     } else if (data.type === 'chunk') {
-      const transfer = this.incomingTransfers.get(peerId);
-      if (transfer && transfer.fileId === data.fileId) {
-        const chunkIndex = data.index !== undefined ? data.index : transfer.chunks.length;
+      const transfer = this.incomingTransfers.get(data.fileId);
+      if (transfer && transfer.peerId === peerId) {
+        const chunkIndex = data.index !== undefined ? data.index : transfer.receivedIndices.size;
 
         // Skip duplicate chunks (from retransmission)
         if (transfer.receivedIndices && transfer.receivedIndices.has(chunkIndex)) {
@@ -1693,18 +3058,27 @@ export class WebRTCManager {
         }
 
         try {
-          const bytes = base64ToUint8Array(data.data);
+          // Binary relay frames carry the payload as-is; JSON relay messages carry base64
+          const encrypted = data.payload || base64ToUint8Array(data.data).buffer;
 
-          const decrypted = await cryptoManager.decryptChunk(peerId, bytes.buffer);
+          const decrypted = await cryptoManager.decryptChunk(peerId, encrypted);
 
-          // Place chunk in correct position
-          transfer.chunks[chunkIndex] = new Uint8Array(decrypted);
+          // Write chunk to disk (held until preceding chunks arrive)
+          const written = this._writeChunk(transfer, chunkIndex, new Uint8Array(decrypted));
           transfer.received += decrypted.byteLength;
 
+          // Digest for the checksum verified at file-end
+          if (!transfer.chunkHashes) transfer.chunkHashes = [];
+          transfer.chunkHashes[chunkIndex] = await cryptoManager.hash(decrypted);
+
           // Mark as received
           if (!transfer.receivedIndices) transfer.receivedIndices = new Set();
           transfer.receivedIndices.add(chunkIndex);
 
+          // Acknowledge only what reached the disk - the sender's window then follows the disk's pace
+          await written;
+          if (this.incomingTransfers.get(transfer.fileId) !== transfer) return;
+
           // Batch ACK: send ACK every N chunks
           if (!transfer.pendingAcks) transfer.pendingAcks = [];
           transfer.pendingAcks.push(chunkIndex);
@@ -1731,8 +3105,26 @@ export class WebRTCManager {
     } else if (data.type === 'ack') {
       // Handle ACK from receiver
       this.handleRelayAck(peerId, data);
+    } else if (data.type === 'nack') {
+      // Receiver is missing chunks after file-end
+      this.handleRelayNack(peerId, data);
     } else if (data.type === 'text') {
-      if (this.onTextReceived) this.onTextReceived(peerId, data.content);
+      // Plaintext would have been readable (and forgeable) by the server - drop it
+      if (!data.encrypted) {
+        console.warn(`[WebRTC] Ignoring unencrypted relay text from ${peerId}`);
+        return;
+      }
+
+      let text;
+      try {
+        const decrypted = await cryptoManager.decryptChunk(peerId, base64ToUint8Array(data.encrypted).buffer);
+        text = new TextDecoder().decode(decrypted);
+      } catch (e) {
+        console.error(`[WebRTC] Failed to decrypt relay text from ${peerId}:`, e);
+        return;
+      }
+
+      if (this.onTextReceived) this.onTextReceived(peerId, text);
     }
   }
 
@@ -1767,10 +3159,13 @@ export class WebRTCManager {
       await this._exchangeKeysViaSignaling(peerId);
     }
 
+    // Same dual-layer format as file chunks (room key + peer key) - the server only sees ciphertext
+    const encrypted = await cryptoManager.encryptChunk(peerId, new TextEncoder().encode(text));
+
     this.signaling.send({
       type: 'relay-data',
       to: peerId,
-      data: { type: 'text', content: text }
+      data: { type: 'text', encrypted: arrayBufferToBase64(encrypted) }
     });
   }
 
@@ -1778,13 +3173,13 @@ export class WebRTCManager {
    * Exchange encryption keys via signaling server (for relay mode)
    */
   async _exchangeKeysViaSignaling(peerId) {
-    const publicKey = await cryptoManager.exportPublicKey();
+    const keyBundle = await cryptoManager.exportKeyBundle();
 
-    // Send our public key
+    // Send our signed public key
     this.signaling.send({
       type: 'key-exchange',
       to: peerId,
-      data: { publicKey }
+      data: keyBundle
     });
 
     // Wait for peer's public key
@@ -1797,7 +3192,7 @@ export class WebRTCManager {
    */
   async handleKeyExchange(peerId, data) {
     if (data.publicKey) {
-      await cryptoManager.importPeerPublicKey(peerId, data.publicKey);
+      await this._importPeerKey(peerId, data);
       console.log(`[WebRTC] Imported public key from ${peerId} via key-exchange`);
 
       // Send our public key back if they don't have it
@@ -1805,16 +3200,49 @@ export class WebRTCManager {
         if (!this._keyExchangeSent) this._keyExchangeSent = new Set();
         this._keyExchangeSent.add(peerId);
 
-        const publicKey = await cryptoManager.exportPublicKey();
+        const keyBundle = await cryptoManager.exportKeyBundle();
         this.signaling.send({
           type: 'key-exchange',
           to: peerId,
-          data: { publicKey }
+          data: keyBundle
         });
       }
     }
   }
 
+  /**
+   * Get the safety code to compare with a peer, exchanging keys first if needed
+   * @param {string} peerId
+   * @returns {Promise<{digits: string, emoji: string[]}|null>}
+   */
+  async getSafetyCode(peerId) {
+    if (!cryptoManager.hasSharedSecret(peerId)) {
+      await this._exchangeKeysViaSignaling(peerId);
+    }
+    return cryptoManager.getSafetyCode(peerId);
+  }
+
+  /**
+   * Verify a peer's signed session key and derive the shared secret
+   * A bad signature aborts the key exchange; the identity (and drop key, if signed) is reported for pinning
+   * @param {string} peerId
+   * @param {Object} data - Payload with publicKey (and identityKey/signature from current clients)
+   */
+  async _importPeerKey(peerId, data) {
+    let identity;
+    try {
+      identity = await cryptoManager.verifyPeerKey(data);
+    } catch (e) {
+      console.error(`[WebRTC] Rejected session key from ${peerId}:`, e);
+      if (this.onPeerIdentity) this.onPeerIdentity({ peerId, identity: null, valid: false });
+      throw e;
+    }
+
+    await cryptoManager.importPeerPublicKey(peerId, data.publicKey, identity ? data.identityKey : null);
+    const dropKey = identity ? await cryptoManager.verifyDropKey(data) : null;
+    if (this.onPeerIdentity) this.onPeerIdentity({ peerId, identity, valid: true, dropKey });
+  }
+
   // Wait for channel to open with fail-fast on ICE failure
   waitForChannel(peerId, timeout = CONNECTION_TIMEOUT) {
     return new Promise((resolve, reject) => {
@@ -2074,14 +3502,14 @@ export class WebRTCManager {
       const channel = pc.createDataChannel('file-transfer', { ordered: true });
       this.setupDataChannel(peerId, channel);
 
-      const publicKey = await cryptoManager.exportPublicKey();
+      const keyBundle = await cryptoManager.exportKeyBundle();
       const offer = await pc.createOffer();
       await pc.setLocalDescription(offer);
 
       this.signaling.send({
         type: 'offer',
         to: peerId,
-        data: { sdp: pc.localDescription, publicKey }
+        data: { sdp: pc.localDescription, ...keyBundle }
       });
     } finally {
       this.makingOffer.set(peerId, false);
@@ -2150,6 +3578,14 @@ export class WebRTCManager {
     // Stop background P2P retry
     this._stopBackgroundP2PRetry(peerId);
 
+    // Interrupt outgoing transfers (they wait to resume) and keep incoming ones alive
+    for (const transfer of this.activeTransfers.values()) {
+      if (transfer.peerId === peerId && transfer.direction === 'send') {
+        transfer.interrupted = true;
+      }
+    }
+    this._suspendIncomingTransfers(peerId);
+
     this.dataChannels.get(peerId)?.close();
     this.connections.get(peerId)?.close();
     this.dataChannels.delete(peerId);
@@ -2159,6 +3595,10 @@ export class WebRTCManager {
     this.iceRestartCounts.delete(peerId);
     this.makingOffer.delete(peerId);
     this.ignoreOffer.delete(peerId);
+    this.messageQueues.delete(peerId);
+    this.receiveQueueBytes.delete(peerId);
+    this.receiveHolds.delete(peerId);
+    this.sendHolds.delete(peerId);
 
     // Clean up new tracking state
     this.candidateTypes.delete(peerId);
@@ -2173,5 +3613,11 @@ export class WebRTCManager {
   // Close all
   closeAll() {
     for (const peerId of this.connections.keys()) this.closeConnection(peerId);
+
+    // Relay-only peers have no RTCPeerConnection - interrupt their transfers too
+    for (const transfer of this.activeTransfers.values()) {
+      if (transfer.direction === 'send') transfer.interrupted = true;
+    }
+    this._suspendIncomingTransfers(null);
   }
 }
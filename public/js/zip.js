@@ -0,0 +1,273 @@
+/**
+ * CloudDrop - Streaming ZIP Writer
+ * Packs received folder contents into a single ZIP download as the files arrive,
+ * without holding them in memory
+ *
+ * Entries are stored uncompressed (method 0) with data descriptors, so the CRC and size
+ * are written after the data. ZIP64 records are added only when sizes or offsets need them.
+ */
+
+const MAX_32 = 0xFFFFFFFF;
+const MAX_16 = 0xFFFF;
+
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+const FLAG_UTF8 = 0x0800;
+
+const encoder = new TextEncoder();
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Update a running CRC-32 (start with 0xFFFFFFFF, finish with ^ 0xFFFFFFFF)
+ */
+function updateCrc32(crc, data) {
+  for (let i = 0; i < data.length; i++) {
+    crc = CRC_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return crc >>> 0;
+}
+
+/**
+ * Convert a Date to MS-DOS time and date fields
+ */
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Little-endian byte builder
+ */
+class ByteWriter {
+  constructor(size) {
+    this.bytes = new Uint8Array(size);
+    this.view = new DataView(this.bytes.buffer);
+    this.pos = 0;
+  }
+
+  u16(value) {
+    this.view.setUint16(this.pos, value, true);
+    this.pos += 2;
+    return this;
+  }
+
+  u32(value) {
+    this.view.setUint32(this.pos, value >>> 0, true);
+    this.pos += 4;
+    return this;
+  }
+
+  u64(value) {
+    this.view.setBigUint64(this.pos, BigInt(value), true);
+    this.pos += 8;
+    return this;
+  }
+
+  raw(bytes) {
+    this.bytes.set(bytes, this.pos);
+    this.pos += bytes.length;
+    return this;
+  }
+}
+
+export class ZipStreamWriter {
+  /**
+   * @param {Object|Promise<Object>} sink - Sink (see download.js) or a promise resolving to one
+   */
+  constructor(sink) {
+    this.sink = Promise.resolve(sink);
+    this.offset = 0;
+    this.entries = [];
+    this.lock = Promise.resolve();
+    this.modified = toDosDateTime(new Date());
+  }
+
+  /**
+   * Create a sink that writes one file into the archive
+   * Entries are written one at a time; a second entry waits until the first is closed
+   * @param {string} path - Path inside the archive ('/' separated)
+   * @param {number} expectedSize - Size from the manifest (decides ZIP64)
+   * @returns {Object} Sink with write(chunk), close() and abort()
+   */
+  createEntrySink(path, expectedSize = 0) {
+    const entry = {
+      name: encoder.encode(path),
+      crc: MAX_32,
+      size: 0,
+      offset: 0,
+      zip64: expectedSize >= MAX_32
+    };
+    let started = null;
+
+    const start = () => {
+      if (!started) {
+        started = this._acquire().then(async (release) => {
+          entry.offset = this.offset;
+          await this._write(this._localHeader(entry));
+          return release;
+        });
+      }
+      return started;
+    };
+
+    const finish = async () => {
+      const release = await start();
+      await this._write(this._dataDescriptor(entry));
+      this.entries.push(entry);
+      release();
+    };
+
+    return {
+      kind: 'zip',
+      write: async (chunk) => {
+        await start();
+        entry.crc = updateCrc32(entry.crc, chunk);
+        entry.size += chunk.byteLength;
+        await this._write(chunk);
+      },
+      close: async () => {
+        await finish();
+        return { kind: 'zip', size: entry.size, location: path };
+      },
+      abort: async () => {
+        // Keep the archive valid - an entry that already started is closed as-is
+        if (started) await finish();
+      }
+    };
+  }
+
+  /**
+   * Write the central directory and close the archive
+   * @returns {Promise<Object>} Result of the underlying sink
+   */
+  async close() {
+    const release = await this._acquire();
+    const centralStart = this.offset;
+    for (const entry of this.entries) {
+      await this._write(this._centralHeader(entry));
+    }
+    await this._write(this._endOfCentralDirectory(centralStart, this.offset - centralStart));
+    release();
+
+    const sink = await this.sink;
+    return sink.close();
+  }
+
+  async abort() {
+    const sink = await this.sink;
+    await sink.abort();
+  }
+
+  _acquire() {
+    const previous = this.lock;
+    let release;
+    this.lock = new Promise(resolve => { release = resolve; });
+    return previous.then(() => release);
+  }
+
+  async _write(bytes) {
+    this.offset += bytes.byteLength;
+    const sink = await this.sink;
+    await sink.write(bytes);
+  }
+
+  _localHeader(entry) {
+    const extraLength = entry.zip64 ? 20 : 0;
+    const out = new ByteWriter(30 + entry.name.length + extraLength)
+      .u32(0x04034b50)
+      .u16(entry.zip64 ? 45 : 20)
+      .u16(FLAG_DATA_DESCRIPTOR | FLAG_UTF8)
+      .u16(0) // stored
+      .u16(this.modified.time)
+      .u16(this.modified.date)
+      .u32(0) // CRC in data descriptor
+      .u32(entry.zip64 ? MAX_32 : 0)
+      .u32(entry.zip64 ? MAX_32 : 0)
+      .u16(entry.name.length)
+      .u16(extraLength)
+      .raw(entry.name);
+
+    if (entry.zip64) {
+      out.u16(0x0001).u16(16).u64(0).u64(0);
+    }
+    return out.bytes;
+  }
+
+  _dataDescriptor(entry) {
+    const crc = (entry.crc ^ MAX_32) >>> 0;
+    if (entry.zip64) {
+      return new ByteWriter(24).u32(0x08074b50).u32(crc).u64(entry.size).u64(entry.size).bytes;
+    }
+    return new ByteWriter(16).u32(0x08074b50).u32(crc).u32(entry.size).u32(entry.size).bytes;
+  }
+
+  _centralHeader(entry) {
+    const sizeOverflow = entry.zip64 || entry.size >= MAX_32;
+    const offsetOverflow = entry.offset >= MAX_32;
+    const extraLength = (sizeOverflow || offsetOverflow)
+      ? 4 + (sizeOverflow ? 16 : 0) + (offsetOverflow ? 8 : 0)
+      : 0;
+
+    const out = new ByteWriter(46 + entry.name.length + extraLength)
+      .u32(0x02014b50)
+      .u16(45) // version made by
+      .u16(extraLength ? 45 : 20)
+      .u16(FLAG_DATA_DESCRIPTOR | FLAG_UTF8)
+      .u16(0)
+      .u16(this.modified.time)
+      .u16(this.modified.date)
+      .u32((entry.crc ^ MAX_32) >>> 0)
+      .u32(sizeOverflow ? MAX_32 : entry.size)
+      .u32(sizeOverflow ? MAX_32 : entry.size)
+      .u16(entry.name.length)
+      .u16(extraLength)
+      .u16(0) // comment length
+      .u16(0) // disk number
+      .u16(0) // internal attributes
+      .u32(0) // external attributes
+      .u32(offsetOverflow ? MAX_32 : entry.offset)
+      .raw(entry.name);
+
+    if (extraLength) {
+      out.u16(0x0001).u16(extraLength - 4);
+      if (sizeOverflow) out.u64(entry.size).u64(entry.size);
+      if (offsetOverflow) out.u64(entry.offset);
+    }
+    return out.bytes;
+  }
+
+  _endOfCentralDirectory(centralStart, centralSize) {
+    const count = this.entries.length;
+    const zip64 = count >= MAX_16 || centralStart >= MAX_32 || centralSize >= MAX_32;
+    const out = new ByteWriter((zip64 ? 56 + 20 : 0) + 22);
+
+    if (zip64) {
+      const zip64EndOffset = centralStart + centralSize;
+      out.u32(0x06064b50).u64(44).u16(45).u16(45).u32(0).u32(0)
+        .u64(count).u64(count).u64(centralSize).u64(centralStart);
+      out.u32(0x07064b50).u32(0).u64(zip64EndOffset).u32(1);
+    }
+
+    out.u32(0x06054b50)
+      .u16(0)
+      .u16(0)
+      .u16(Math.min(count, MAX_16))
+      .u16(Math.min(count, MAX_16))
+      .u32(Math.min(centralSize, MAX_32))
+      .u32(Math.min(centralStart, MAX_32))
+      .u16(0);
+    return out.bytes;
+  }
+}
@@ -0,0 +1,98 @@
+/**
+ * CloudDrop - Download Service Worker
+ * Serves received files as streaming downloads so they never sit in page memory
+ *
+ * Protocol (see js/download.js):
+ * - Page posts { type: 'stream-download', id, name, size, mimeType } with a MessagePort
+ * - Worker replies { type: 'ready', url, flowControl: true } and the page navigates a hidden iframe to url
+ * - Page posts ArrayBuffer chunks, then { type: 'end' } or { type: 'abort' }
+ * - Worker answers every chunk with { type: 'ack' } once the stream has room for more,
+ *   so the page never gets further ahead of the download than STREAM_BUFFER_SIZE
+ */
+
+// Must match DOWNLOAD.STREAM_PATH in js/config.js
+const STREAM_PATH = 'download-stream/';
+
+// Bytes held in the stream before chunks are no longer acknowledged
+const STREAM_BUFFER_SIZE = 4 * 1024 * 1024;
+
+const pendingStreams = new Map(); // id -> { stream, name, size, mimeType }
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('message', (event) => {
+  const data = event.data;
+  if (!data || data.type !== 'stream-download') return;
+
+  const port = event.ports[0];
+  if (!port) return;
+
+  let unacked = 0; // Chunks taken while the stream was full - acknowledged when the download catches up
+
+  const stream = new ReadableStream({
+    start(controller) {
+      port.onmessage = ({ data: msg }) => {
+        if (msg instanceof ArrayBuffer) {
+          controller.enqueue(new Uint8Array(msg));
+          if (controller.desiredSize > 0) {
+            port.postMessage({ type: 'ack' });
+          } else {
+            unacked++;
+          }
+        } else if (msg?.type === 'end') {
+          controller.close();
+          port.close();
+        } else if (msg?.type === 'abort') {
+          controller.error(new Error('Download aborted'));
+          port.close();
+        }
+      };
+    },
+    // Called once the browser has read enough that the stream is below STREAM_BUFFER_SIZE again
+    pull() {
+      for (; unacked > 0; unacked--) {
+        port.postMessage({ type: 'ack' });
+      }
+    },
+    cancel() {
+      port.postMessage({ type: 'cancel' });
+    }
+  }, new ByteLengthQueuingStrategy({ highWaterMark: STREAM_BUFFER_SIZE }));
+
+  pendingStreams.set(data.id, {
+    stream,
+    name: data.name,
+    size: data.size,
+    mimeType: data.mimeType
+  });
+
+  port.postMessage({ type: 'ready', url: `${self.registration.scope}${STREAM_PATH}${data.id}`, flowControl: true });
+});
+
+self.addEventListener('fetch', (event) => {
+  const url = new URL(event.request.url);
+  const prefix = new URL(STREAM_PATH, self.registration.scope).pathname;
+  if (!url.pathname.startsWith(prefix)) return;
+
+  const id = url.pathname.slice(prefix.length);
+  const entry = pendingStreams.get(id);
+  if (!entry) return;
+  pendingStreams.delete(id);
+
+  const headers = new Headers({
+    'Content-Type': entry.mimeType || 'application/octet-stream',
+    'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(entry.name)}`,
+    'X-Content-Type-Options': 'nosniff',
+  });
+  if (entry.size) {
+    headers.set('Content-Length', String(entry.size));
+  }
+
+  event.respondWith(new Response(entry.stream, { headers }));
+});
@@ -0,0 +1,223 @@
+/**
+ * CloudDrop - Drop box (store-and-forward for devices that are offline)
+ * The sender encrypts a file to the recipient's drop key (see public/js/dropbox.js) and uploads
+ * the ciphertext here; the recipient fetches it on its next join. The worker only stores opaque blobs.
+ *
+ * A mailbox is the recipient's identity fingerprint (hex SHA-256 of its ECDSA identity key):
+ *   POST   /api/dropbox/<mailbox>       upload a drop (anyone - body is the sealed blob)
+ *   GET    /api/dropbox/<mailbox>       list waiting drops          } signed by the mailbox's
+ *   GET    /api/dropbox/<mailbox>/<id>  download a drop             } identity key, see
+ *   DELETE /api/dropbox/<mailbox>/<id>  delete a drop (after saving) } verifyMailboxOwner
+ *
+ * Drops live in the R2 bucket bound as DROPBOX under `<mailbox>/<id>` and expire DROP_TTL after upload:
+ * expired drops are refused and deleted when listed, and swept by the cron trigger (sweepExpiredDrops)
+ */
+
+import { WindowLimiter } from './ratelimit';
+import { fromBase64, getClientIp, toHex } from './util';
+
+// Largest sealed blob: the client's 50 MB file cap plus room for the envelope
+// Must match DROPBOX.MAX_FILE_SIZE in public/js/config.js
+const MAX_DROP_SIZE = 50 * 1024 * 1024 + 64 * 1024;
+
+// Drops waiting in one mailbox - keeps a stranger from filling someone's box
+const MAX_DROPS_PER_MAILBOX = 20;
+
+const DROP_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Signed requests are accepted this long around the server's clock (also bounds replays)
+const SIGNATURE_MAX_AGE = 5 * 60 * 1000;
+
+// Uploads per client IP - per isolate, so a loose limit rather than a hard quota
+const uploadLimiter = new WindowLimiter(30, 60 * 60 * 1000);
+
+const MAILBOX_PATTERN = /^[0-9a-f]{64}$/;
+const DROP_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+const IDENTITY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGNATURE_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+
+/**
+ * Handle /api/dropbox/* requests
+ * @param bucket - The DROPBOX binding (undefined when no bucket is configured)
+ */
+export async function handleDropbox(request: Request, bucket: R2Bucket | undefined): Promise<Response> {
+  if (!bucket) {
+    return errorResponse(503, 'DROPBOX_DISABLED', 'No drop box bucket is configured');
+  }
+
+  const url = new URL(request.url);
+  const [mailbox, id, ...rest] = url.pathname.slice('/api/dropbox/'.length).split('/');
+  if (!MAILBOX_PATTERN.test(mailbox) || rest.length > 0 || (id !== undefined && !DROP_ID_PATTERN.test(id))) {
+    return errorResponse(400, 'INVALID_REQUEST', 'Invalid mailbox or drop ID');
+  }
+
+  if (id === undefined && request.method === 'POST') {
+    return handleUpload(request, bucket, mailbox);
+  }
+
+  if (!['GET', 'DELETE'].includes(request.method) || (id === undefined && request.method === 'DELETE')) {
+    return new Response('Method Not Allowed', { status: 405 });
+  }
+
+  if (!await verifyMailboxOwner(request, url.pathname, mailbox)) {
+    return errorResponse(401, 'UNAUTHORIZED', 'Missing or invalid request signature');
+  }
+
+  if (id === undefined) {
+    return handleList(bucket, mailbox);
+  }
+
+  const key = `${mailbox}/${id}`;
+  if (request.method === 'DELETE') {
+    await bucket.delete(key);
+    return new Response(null, { status: 204 });
+  }
+
+  const object = await bucket.get(key);
+  if (!object) {
+    return errorResponse(404, 'NOT_FOUND', 'Drop not found');
+  }
+  if (isExpired(object)) {
+    await bucket.delete(key);
+    return errorResponse(404, 'NOT_FOUND', 'Drop has expired');
+  }
+
+  return new Response(object.body, {
+    headers: {
+      'Content-Type': 'application/octet-stream',
+      'Content-Length': String(object.size),
+      'Cache-Control': 'no-store',
+    },
+  });
+}
+
+/**
+ * Store a sealed drop
+ * The body is streamed to R2, so its length has to be known up front
+ */
+async function handleUpload(request: Request, bucket: R2Bucket, mailbox: string): Promise<Response> {
+  const retryAfter = uploadLimiter.hit(getClientIp(request));
+  if (retryAfter) {
+    return new Response(JSON.stringify({ success: false, error: 'RATE_LIMITED', retryAfter }), {
+      status: 429,
+      headers: { 'Content-Type': 'application/json', 'Retry-After': String(Math.ceil(retryAfter / 1000)) },
+    });
+  }
+
+  const length = Number(request.headers.get('Content-Length'));
+  if (!request.body || !Number.isInteger(length) || length <= 0) {
+    return errorResponse(411, 'INVALID_REQUEST', 'Content-Length is required');
+  }
+  if (length > MAX_DROP_SIZE) {
+    return errorResponse(413, 'DROP_TOO_LARGE', `Drops are limited to ${MAX_DROP_SIZE} bytes`);
+  }
+
+  const waiting = await listDrops(bucket, mailbox);
+  if (waiting.length >= MAX_DROPS_PER_MAILBOX) {
+    return errorResponse(507, 'MAILBOX_FULL', 'Too many drops are waiting for this device');
+  }
+
+  const id = crypto.randomUUID();
+  // put() only returns null for conditional writes
+  const object = (await bucket.put(`${mailbox}/${id}`, request.body))!;
+
+  return new Response(JSON.stringify({ success: true, id, expiresAt: expiresAt(object) }), {
+    status: 201,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * List the drops waiting in a mailbox
+ */
+async function handleList(bucket: R2Bucket, mailbox: string): Promise<Response> {
+  const drops = (await listDrops(bucket, mailbox)).map(object => ({
+    id: object.key.slice(mailbox.length + 1),
+    size: object.size,
+    uploadedAt: object.uploaded.getTime(),
+    expiresAt: expiresAt(object),
+  }));
+
+  return new Response(JSON.stringify({ success: true, drops }), {
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
+  });
+}
+
+/**
+ * Unexpired drops in a mailbox (expired ones are deleted on the way)
+ */
+async function listDrops(bucket: R2Bucket, mailbox: string): Promise<R2Object[]> {
+  // Mailboxes hold at most MAX_DROPS_PER_MAILBOX live drops, so one page is enough
+  const listed = await bucket.list({ prefix: `${mailbox}/` });
+  const expired = listed.objects.filter(isExpired);
+  if (expired.length > 0) {
+    await bucket.delete(expired.map(object => object.key));
+  }
+  return listed.objects.filter(object => !isExpired(object));
+}
+
+/**
+ * Delete every expired drop (run by the cron trigger)
+ */
+export async function sweepExpiredDrops(bucket: R2Bucket | undefined): Promise<void> {
+  if (!bucket) return;
+
+  let cursor: string | undefined;
+  do {
+    const listed = await bucket.list({ cursor });
+    const expired = listed.objects.filter(isExpired).map(object => object.key);
+    if (expired.length > 0) {
+      await bucket.delete(expired);
+      console.log(`[Dropbox] Deleted ${expired.length} expired drops`);
+    }
+    cursor = listed.truncated ? listed.cursor : undefined;
+  } while (cursor);
+}
+
+/**
+ * Check that a request was signed by the identity key the mailbox belongs to
+ * Headers: X-Identity-Key (base64 SPKI), X-Timestamp (ms) and X-Signature (base64 ECDSA signature
+ * over "<method>\n<path>\n<timestamp>") - must match signRequest in public/js/crypto.js
+ */
+async function verifyMailboxOwner(request: Request, pathname: string, mailbox: string): Promise<boolean> {
+  const identityKey = request.headers.get('X-Identity-Key');
+  const timestamp = request.headers.get('X-Timestamp');
+  const signature = request.headers.get('X-Signature');
+  if (!identityKey || !timestamp || !signature) return false;
+  if (Math.abs(Date.now() - Number(timestamp)) > SIGNATURE_MAX_AGE) return false;
+
+  try {
+    const spki = fromBase64(identityKey);
+    if (toHex(new Uint8Array(await crypto.subtle.digest('SHA-256', spki))) !== mailbox) return false;
+
+    const key = await crypto.subtle.importKey('spki', spki, IDENTITY_ALGORITHM, false, ['verify']);
+    return await crypto.subtle.verify(
+      SIGNATURE_ALGORITHM,
+      key,
+      fromBase64(signature),
+      new TextEncoder().encode(`${request.method}\n${pathname}\n${timestamp}`)
+    );
+  } catch (e) {
+    // Malformed base64 or key
+    return false;
+  }
+}
+
+/**
+ * Every drop gets the same TTL, so its expiry follows from the upload time
+ */
+function expiresAt(object: R2Object): number {
+  return object.uploaded.getTime() + DROP_TTL;
+}
+
+function isExpired(object: R2Object): boolean {
+  return expiresAt(object) <= Date.now();
+}
+
+function errorResponse(status: number, error: string, message: string): Response {
+  return new Response(JSON.stringify({ success: false, error, message }), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
@@ -0,0 +1,155 @@
+/**
+ * CloudDrop - Signaling over HTTP (fallback for networks that block WebSocket upgrades)
+ * Room -> client: a Server-Sent Events stream (GET /sse)
+ *   - `session` event with the session ID, sent first
+ *   - plain `data:` lines carry JSON messages, `binary` events carry relay frames as base64
+ *   - `close` event with { code, reason } when the Room closes the connection
+ * Client -> Room: POST /sse with the session ID in X-Session-Id and a batch of messages as body,
+ *   each framed as [kind(1): 0 = text, 1 = binary][length(4, big-endian)][payload]
+ *   (an empty batch is a keepalive - a session without POSTs for IDLE_TIMEOUT is closed)
+ *
+ * An HttpSession offers the part of the WebSocket interface the Room uses, so it is handled like
+ * any other socket. Unlike hibernatable WebSockets it keeps the Room in memory while it is open.
+ *
+ * Must match public/js/signaling.js
+ */
+
+import { toHex } from './util';
+
+const READY_STATE_OPEN = 1;
+const READY_STATE_CLOSED = 3;
+
+// Comment lines keep proxies from timing the stream out
+const HEARTBEAT_INTERVAL = 15 * 1000;
+
+// A client that went away is not noticed on the stream (writes just back up), so sessions end
+// when the client stops POSTing (it sends a keepalive every 20s when idle)
+const IDLE_TIMEOUT = 45 * 1000;
+
+const FRAME_HEADER_SIZE = 5;
+const FRAME_TEXT = 0;
+const FRAME_BINARY = 1;
+
+const encoder = new TextEncoder();
+
+export class HttpSession {
+  readonly id: string; // Unguessable - it is all that authorizes the POSTs
+  readonly tags: string[];
+  readonly response: Response;
+  readyState = READY_STATE_OPEN;
+  private writer: WritableStreamDefaultWriter<Uint8Array>;
+  private attachment: unknown = null;
+  private lastSeen = Date.now();
+  private heartbeat: ReturnType<typeof setInterval>;
+  private onClose: (session: HttpSession) => void;
+
+  /**
+   * @param tags - Same tags a WebSocket gets in acceptWebSocket (room code, client IP)
+   * @param onClose - Called once when the session ends (client went away or close() was called)
+   */
+  constructor(tags: string[], onClose: (session: HttpSession) => void) {
+    this.id = toHex(crypto.getRandomValues(new Uint8Array(32)));
+    this.tags = tags;
+    this.onClose = onClose;
+
+    const { readable, writable } = new TransformStream<Uint8Array, Uint8Array>();
+    this.writer = writable.getWriter();
+    this.response = new Response(readable, {
+      headers: {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'X-Accel-Buffering': 'no',
+      },
+    });
+
+    this.write(`event: session\ndata: ${JSON.stringify({ id: this.id })}\n\n`);
+    this.heartbeat = setInterval(() => {
+      if (Date.now() - this.lastSeen > IDLE_TIMEOUT) {
+        this.close(1001, 'IDLE');
+      } else {
+        this.write(': ping\n\n');
+      }
+    }, HEARTBEAT_INTERVAL);
+  }
+
+  /**
+   * The client POSTed something - it is still there
+   */
+  touch(): void {
+    this.lastSeen = Date.now();
+  }
+
+  send(message: string | ArrayBuffer): void {
+    if (this.readyState !== READY_STATE_OPEN) {
+      throw new Error('Session is closed');
+    }
+
+    // JSON.stringify never emits raw newlines, so every message fits on one data line
+    this.write(typeof message === 'string'
+      ? `data: ${message}\n\n`
+      : `event: binary\ndata: ${toBase64(new Uint8Array(message))}\n\n`);
+  }
+
+  close(code = 1000, reason = ''): void {
+    if (this.readyState !== READY_STATE_OPEN) return;
+
+    this.write(`event: close\ndata: ${JSON.stringify({ code, reason })}\n\n`);
+    this.writer.close().catch(() => {});
+    this.end();
+  }
+
+  serializeAttachment(value: unknown): void {
+    this.attachment = structuredClone(value);
+  }
+
+  deserializeAttachment(): unknown {
+    return structuredClone(this.attachment);
+  }
+
+  private write(text: string): void {
+    this.writer.write(encoder.encode(text)).catch(() => this.end());
+  }
+
+  private end(): void {
+    if (this.readyState === READY_STATE_CLOSED) return;
+
+    this.readyState = READY_STATE_CLOSED;
+    clearInterval(this.heartbeat);
+    this.onClose(this);
+  }
+}
+
+/**
+ * Split a POST body into messages
+ * @returns Text messages as strings, binary ones as ArrayBuffers - or null if the framing is broken
+ */
+export function parseMessageBatch(body: ArrayBuffer): (string | ArrayBuffer)[] | null {
+  const view = new DataView(body);
+  const decoder = new TextDecoder();
+  const messages: (string | ArrayBuffer)[] = [];
+
+  let offset = 0;
+  while (offset < body.byteLength) {
+    if (offset + FRAME_HEADER_SIZE > body.byteLength) return null;
+
+    const kind = view.getUint8(offset);
+    const length = view.getUint32(offset + 1);
+    const start = offset + FRAME_HEADER_SIZE;
+    if (start + length > body.byteLength || (kind !== FRAME_TEXT && kind !== FRAME_BINARY)) return null;
+
+    // Binary frames get their own buffer - the Room rewrites relay frame headers in place
+    const payload = body.slice(start, start + length);
+    messages.push(kind === FRAME_TEXT ? decoder.decode(payload) : payload);
+    offset = start + length;
+  }
+
+  return messages;
+}
+
+function toBase64(bytes: Uint8Array): string {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
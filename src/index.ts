@@ -1,26 +1,35 @@
 /**
  * CloudDrop - Cloudflare Worker Entry Point
- * Routes requests to static assets or WebSocket signaling
+ * Routes requests to static assets or signaling (WebSocket, or HTTP where WebSockets are blocked)
+ * and the drop box API (dropbox.ts); /d/<id> serves the download page of one-time file links
  */
 
 import { Room } from './room';
+import { handleDropbox, sweepExpiredDrops } from './dropbox';
+import { getClientIp, toHex } from './util';
 
 export { Room };
 
 export interface Env {
   ROOM: DurableObjectNamespace;
+  ASSETS: Fetcher;
+  // R2 bucket for drop box uploads (optional - without it the drop box endpoints answer 503)
+  DROPBOX?: R2Bucket;
   // Cloudflare TURN credentials (set in wrangler.toml or dashboard)
   TURN_KEY_ID?: string;
   TURN_KEY_API_TOKEN?: string;
 }
 
+// ID of a one-time download link (/d/<id>) - must match the IDs made in public/js/share.js
+const LINK_ID_PATTERN = /^[0-9a-f]{32}$/;
+
 export default {
   async fetch(request: Request, env: Env, _ctx: ExecutionContext): Promise<Response> {
     const url = new URL(request.url);
 
-    // Handle WebSocket upgrade requests
-    if (url.pathname === '/ws') {
-      return handleWebSocket(request, env);
+    // Handle WebSocket upgrade requests, and the HTTP signaling fallback (SSE stream + POST)
+    if (url.pathname === '/ws' || url.pathname === '/sse') {
+      return handleSignaling(request, env);
     }
 
     // Handle API endpoints
@@ -42,60 +51,73 @@ export default {
       return handleIceServers(env);
     }
 
+    // Download page of a one-time link (the key stays in the #fragment, so the page is the same for every link)
+    if (url.pathname.startsWith('/d/') && LINK_ID_PATTERN.test(url.pathname.slice(3))) {
+      return env.ASSETS.fetch(new Request(new URL('/link', request.url), request));
+    }
+
+    // Handle drop box uploads/downloads for devices that are offline
+    if (url.pathname.startsWith('/api/dropbox/')) {
+      return handleDropbox(request, env.DROPBOX);
+    }
+
     // Static assets are handled automatically by Cloudflare
     // This is just a fallback for any unhandled routes
     return new Response('Not Found', { status: 404 });
   },
+
+  // Cron trigger (wrangler.toml): delete expired drop box uploads
+  async scheduled(_controller: ScheduledController, env: Env, ctx: ExecutionContext): Promise<void> {
+    ctx.waitUntil(sweepExpiredDrops(env.DROPBOX));
+  },
 };
 
 /**
- * Handle WebSocket connections by routing to the appropriate room
- * Room is determined by: 1) explicit room param, or 2) client IP address
+ * Handle signaling connections (/ws or /sse) by routing to the appropriate room
+ * Room is determined by: 1) link param (one-time download link), 2) explicit room param, or 3) client IP address
  */
-async function handleWebSocket(request: Request, env: Env): Promise<Response> {
+async function handleSignaling(request: Request, env: Env): Promise<Response> {
   const url = new URL(request.url);
 
   // Check for explicit room parameter first
   const explicitRoom = url.searchParams.get('room');
+  const link = url.searchParams.get('link');
+  const linkId = link && LINK_ID_PATTERN.test(link) ? link : null;
 
   let roomId: string;
   let roomCode: string; // User-friendly room code to display
 
-  if (explicitRoom && /^[a-zA-Z0-9]{6}$/.test(explicitRoom)) {
+  if (linkId) {
+    // A download link gets a room of its own, shared by the sender's browser and the download page
+    roomCode = linkId;
+  } else if (explicitRoom && /^[a-zA-Z0-9]{6}$/.test(explicitRoom)) {
     // Explicit room code from URL parameter
     roomCode = explicitRoom.toUpperCase();
   } else {
     // Auto-assign room based on client IP
-    const clientIP = request.headers.get('CF-Connecting-IP') ||
-                     request.headers.get('X-Forwarded-For')?.split(',')[0] ||
-                     'default';
+    const clientIP = getClientIp(request, 'default');
     const ipHash = await generateRoomId(clientIP);
     roomCode = ipHash.substring(0, 6).toUpperCase();
   }
 
-  // Unified: roomId is always derived from roomCode
-  roomId = `room-${roomCode.toLowerCase()}`;
+  // Unified: roomId is always derived from roomCode (link rooms have a prefix of their own)
+  roomId = linkId ? `link-${linkId}` : `room-${roomCode.toLowerCase()}`;
 
   // Get or create the room Durable Object
   const roomObjectId = env.ROOM.idFromName(roomId);
   const roomStub = env.ROOM.get(roomObjectId);
 
-  // Forward the WebSocket request to the room with room info
-  const wsUrl = new URL(request.url);
-  wsUrl.pathname = '/ws';
+  // Forward the request to the room with room info (POSTs to /sse carry messages in the body)
+  const roomUrl = new URL(request.url);
+  roomUrl.pathname = url.pathname;
   // Pass room code via header so Room can include it in join response
   const headers = new Headers(request.headers);
   headers.set('X-Room-Code', roomCode);
 
-  // Pass password hash if provided (from URL query parameter)
-  const passwordHash = url.searchParams.get('passwordHash');
-  if (passwordHash) {
-    headers.set('X-Room-Password-Hash', passwordHash);
-  }
-
-  return roomStub.fetch(new Request(wsUrl.toString(), {
+  return roomStub.fetch(new Request(roomUrl.toString(), {
     headers,
     method: request.method,
+    body: request.method === 'POST' ? await request.arrayBuffer() : null,
   }));
 }
 
@@ -159,9 +181,7 @@ async function handleIceServers(env: Env): Promise<Response> {
  * Return the room ID for the current client
  */
 async function handleRoomId(request: Request): Promise<Response> {
-  const clientIP = request.headers.get('CF-Connecting-IP') || 
-                   request.headers.get('X-Forwarded-For')?.split(',')[0] || 
-                   'default';
+  const clientIP = getClientIp(request, 'default');
 
   const roomId = await generateRoomId(clientIP);
 
@@ -202,8 +222,7 @@ async function generateRoomId(ip: string): Promise<string> {
   const encoder = new TextEncoder();
   const data = encoder.encode(networkPart);
   const hash = await crypto.subtle.digest('SHA-256', data);
-  const hashArray = Array.from(new Uint8Array(hash));
-  return hashArray.slice(0, 8).map(b => b.toString(16).padStart(2, '0')).join('');
+  return toHex(new Uint8Array(hash, 0, 8));
 }
 
 /**
@@ -0,0 +1,195 @@
+/**
+ * CloudDrop - Signaling protocol schema
+ * Every message a client sends to the Room is checked against INBOUND_MESSAGES before it is handled;
+ * problems are answered with a typed `error` message (see ErrorCode)
+ */
+
+// Longest device name accepted in join / name-changed (the name input allows 20)
+export const MAX_NAME_LENGTH = 32;
+
+export const DEVICE_TYPES = ['desktop', 'mobile', 'tablet'] as const;
+
+/**
+ * Error codes sent as `{ type: 'error', error, message, ... }`
+ */
+export type ErrorCode =
+  | 'INVALID_MESSAGE'   // Not JSON, or a field is missing / has the wrong type or length
+  | 'UNKNOWN_TYPE'      // Message type not part of the protocol
+  | 'NOT_JOINED'        // Message needs a joined peer
+  | 'PEER_NOT_FOUND'    // Target peer (`to`) is not in the room (carries `to` and `messageType`)
+  | 'INVALID_NAME'      // Device name empty or longer than MAX_NAME_LENGTH
+  | 'PASSWORD_REQUIRED'
+  | 'PASSWORD_INCORRECT'
+  | 'PASSWORD_NOT_REQUIRED' // Handshake sent to a room without a password (the client should just join)
+  | 'TOO_MANY_ATTEMPTS'
+  | 'RATE_LIMITED'
+  | 'MESSAGE_TOO_LARGE'
+  | 'ROOM_LOCKED'
+  | 'ROOM_OUTDATED'   // Password room created by an older version (closed until it expires)
+  | 'NOT_OWNER'
+  | 'INVALID_REQUEST'
+  | 'INTERNAL_ERROR';
+
+interface FieldSpec {
+  type: 'string' | 'boolean' | 'array' | 'object';
+  required?: boolean;
+  minLength?: number; // Strings and arrays
+  maxLength?: number; // Strings and arrays
+  pattern?: RegExp;
+  values?: readonly string[];
+  error?: ErrorCode; // Reported instead of INVALID_MESSAGE
+}
+
+interface MessageSpec {
+  routed?: boolean; // Needs `to` (a peer ID) and is forwarded to that peer
+  data?: Record<string, FieldSpec>; // Checked fields (others are passed through untouched)
+}
+
+const HEX = /^[0-9a-f]+$/i;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const NAME: FieldSpec = { type: 'string', minLength: 1, maxLength: MAX_NAME_LENGTH, error: 'INVALID_NAME' };
+
+// Routed payloads are end-to-end encrypted or SDP/ICE data - only their envelope is checked
+const ROUTED: MessageSpec = { routed: true };
+
+export const INBOUND_MESSAGES = {
+  'auth-init': { data: { A: { type: 'string', required: true, maxLength: 512, pattern: HEX } } },
+  'auth-proof': { data: { M1: { type: 'string', required: true, minLength: 64, maxLength: 64, pattern: HEX } } },
+  'join': {
+    data: {
+      name: { ...NAME, minLength: 0 }, // Empty = server picks a name
+      deviceType: { type: 'string', values: DEVICE_TYPES },
+      browserInfo: { type: 'string', maxLength: 128 },
+      capabilities: { type: 'array', maxLength: 16 },
+      ownerToken: { type: 'string', maxLength: 64, pattern: HEX },
+      resumeToken: { type: 'string', maxLength: 64, pattern: HEX }, // From the previous joined, to keep the same peer ID
+    },
+  },
+  'leave': {},
+  'room-admin': {
+    data: {
+      action: { type: 'string', required: true, values: ['set-password', 'remove-password', 'kick', 'lock'] },
+      peerId: { type: 'string', pattern: UUID },
+      locked: { type: 'boolean' },
+    },
+  },
+  'name-changed': { data: { name: { ...NAME, required: true } } },
+  'offer': ROUTED,
+  'answer': ROUTED,
+  'ice-candidate': ROUTED,
+  'text': ROUTED,
+  'relay-data': ROUTED,
+  'key-exchange': ROUTED,
+  'file-request': ROUTED,
+  'file-response': ROUTED,
+  'file-cancel': ROUTED,
+  'file-resume': ROUTED,
+  'file-resume-response': ROUTED,
+  'file-batch-request': ROUTED,
+  'file-batch-response': ROUTED,
+  'file-verify': ROUTED,
+  'file-retry': ROUTED,
+  'file-pause': ROUTED,
+  'file-continue': ROUTED,
+} satisfies Record<string, MessageSpec>;
+
+export type InboundType = keyof typeof INBOUND_MESSAGES;
+
+/**
+ * A message that passed validation
+ */
+export interface InboundMessage {
+  type: InboundType;
+  to?: string;
+  data?: unknown;
+}
+
+export interface ValidationError {
+  error: ErrorCode;
+  message: string;
+}
+
+/**
+ * Parse and validate a client message
+ * @returns The message, or the error to send back
+ */
+export function parseInboundMessage(raw: string): InboundMessage | ValidationError {
+  let msg: unknown;
+  try {
+    msg = JSON.parse(raw);
+  } catch (e) {
+    return { error: 'INVALID_MESSAGE', message: '消息不是有效的 JSON' };
+  }
+
+  if (!isObject(msg) || typeof msg.type !== 'string') {
+    return { error: 'INVALID_MESSAGE', message: '消息必须是带有 type 字段的对象' };
+  }
+
+  if (!Object.hasOwn(INBOUND_MESSAGES, msg.type)) {
+    return { error: 'UNKNOWN_TYPE', message: `未知的消息类型: ${msg.type.slice(0, 32)}` };
+  }
+
+  const type = msg.type as InboundType;
+  const spec: MessageSpec = INBOUND_MESSAGES[type];
+
+  if (spec.routed) {
+    if (typeof msg.to !== 'string' || !UUID.test(msg.to)) {
+      return { error: 'INVALID_MESSAGE', message: `${type}: "to" 必须是设备 ID` };
+    }
+    if (!isObject(msg.data)) {
+      return { error: 'INVALID_MESSAGE', message: `${type}: "data" 必须是对象` };
+    }
+  }
+
+  if (spec.data) {
+    if (msg.data !== undefined && !isObject(msg.data)) {
+      return { error: 'INVALID_MESSAGE', message: `${type}: "data" 必须是对象` };
+    }
+    const data = (msg.data || {}) as Record<string, unknown>;
+
+    for (const [field, fieldSpec] of Object.entries(spec.data)) {
+      const problem = checkField(data[field], fieldSpec);
+      if (problem) {
+        return { error: fieldSpec.error || 'INVALID_MESSAGE', message: `${type}: "${field}" ${problem}` };
+      }
+    }
+  }
+
+  return { type, to: msg.to as string | undefined, data: msg.data };
+}
+
+/**
+ * Check one field against its spec
+ * @returns What is wrong with it, or null
+ */
+function checkField(value: unknown, spec: FieldSpec): string | null {
+  if (value === undefined || value === null) {
+    return spec.required ? '为必填项' : null;
+  }
+
+  switch (spec.type) {
+    case 'string':
+      if (typeof value !== 'string') return '必须是字符串';
+      break;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : '必须是布尔值';
+    case 'array':
+      if (!Array.isArray(value)) return '必须是数组';
+      break;
+    case 'object':
+      return isObject(value) ? null : '必须是对象';
+  }
+
+  const length = (value as string | unknown[]).length;
+  if (spec.minLength !== undefined && length < spec.minLength) return `长度不能小于 ${spec.minLength}`;
+  if (spec.maxLength !== undefined && length > spec.maxLength) return `长度不能超过 ${spec.maxLength}`;
+  if (spec.pattern && !spec.pattern.test(value as string)) return '格式无效';
+  if (spec.values && !spec.values.includes(value as string)) return `必须是 ${spec.values.join(', ')} 之一`;
+
+  return null;
+}
+
+function isObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
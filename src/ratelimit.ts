@@ -0,0 +1,68 @@
+/**
+ * CloudDrop - In-memory rate limiters used by the Room Durable Object
+ * State lives in the object's memory, so it resets when the object is evicted;
+ * limits that must survive that (failed password attempts) are kept in storage by the Room
+ */
+
+/**
+ * Fixed-window counter per key (e.g. join attempts per IP per minute)
+ */
+export class WindowLimiter {
+  private hits = new Map<string, { count: number; resetAt: number }>();
+
+  constructor(private limit: number, private windowMs: number) {}
+
+  /**
+   * Count a hit
+   * @returns 0 if allowed, otherwise ms until the key may try again
+   */
+  hit(key: string, now = Date.now()): number {
+    const entry = this.hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      this.prune(now);
+      this.hits.set(key, { count: 1, resetAt: now + this.windowMs });
+      return 0;
+    }
+
+    entry.count++;
+    return entry.count > this.limit ? entry.resetAt - now : 0;
+  }
+
+  /**
+   * Drop expired windows so the map does not grow with every IP ever seen
+   */
+  private prune(now: number): void {
+    for (const [key, entry] of this.hits) {
+      if (entry.resetAt <= now) this.hits.delete(key);
+    }
+  }
+}
+
+/**
+ * Token bucket (e.g. messages per socket): allows bursts up to `capacity`,
+ * refilled at `ratePerSecond`
+ */
+export class TokenBucket {
+  private tokens: number;
+  private updatedAt: number;
+
+  constructor(private capacity: number, private ratePerSecond: number) {
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * Take one token
+   * @returns 0 if allowed, otherwise ms until a token is available
+   */
+  take(now = Date.now()): number {
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) / 1000 * this.ratePerSecond);
+    this.updatedAt = now;
+
+    if (this.tokens >= 1) {
+      this.tokens--;
+      return 0;
+    }
+    return Math.ceil((1 - this.tokens) / this.ratePerSecond * 1000);
+  }
+}
@@ -1,9 +1,21 @@
 /**
  * CloudDrop - Durable Object for room management
  * Manages WebSocket connections and signaling for P2P file sharing
- * Supports optional password protection for secure rooms
+ * Supports optional password protection for secure rooms (SRP-6a, see srp.ts)
+ * and owner controls (change/remove password, kick peers, lock the room)
+ * Stored room state is wiped by an alarm once the room has been empty for its idle TTL
+ * Abuse limits (per client IP and per socket) are enforced here, see LIMITS
+ * Inbound messages are validated against the schema in protocol.ts
+ * Peers that drop keep their ID for RESUME_GRACE and get it back by rejoining with their resume token
+ * Clients that cannot open a WebSocket connect over HTTP instead (SSE + POST, see httpsession.ts)
  */
 
+import { createSrpChallenge, isValidSrpValue, verifySrpProof, type SrpServerState } from './srp';
+import { TokenBucket, WindowLimiter } from './ratelimit';
+import { parseInboundMessage, type ErrorCode, type InboundMessage } from './protocol';
+import { HttpSession, parseMessageBatch } from './httpsession';
+import { byteLength, getClientIp, toHex } from './util';
+
 // WebSocket readyState constants (may not be available in Workers environment)
 const WS_READY_STATE = {
   CONNECTING: 0,
@@ -12,10 +24,55 @@ const WS_READY_STATE = {
   CLOSED: 3,
 };
 
+// Binary relay frame: [version(1)][peerId(16)][fileId(16)][chunkIndex(4)][encrypted chunk]
+// Must match RELAY_FRAME_* in public/js/webrtc.js
+const RELAY_FRAME_VERSION = 1;
+const RELAY_FRAME_HEADER_SIZE = 37;
+const RELAY_FRAME_PEER_OFFSET = 1;
+
+// Known client capabilities (announced in join, passed on to other peers)
+// 'link-host' marks the sender's browser in the room of a one-time download link (see public/js/share.js)
+const KNOWN_CAPABILITIES = ['binary-relay', 'link-host'];
+
+// Custom close codes (4001/4002 = password required/incorrect, see rejectAuth)
+const CLOSE_KICKED = 4003;
+const CLOSE_ROOM_LOCKED = 4004;
+const CLOSE_PASSWORD_CHANGED = 4005;
+const CLOSE_SESSION_RESUMED = 4006; // An old socket whose session was taken over by a reconnect
+const CLOSE_ROOM_OUTDATED = 4007; // Password room created by an older version - it has to be created again
+const CLOSE_RATE_LIMITED = 4029;
+
+// Abuse limits
+const LIMITS = {
+  JOINS_PER_MINUTE: 20,               // WebSocket connections per IP
+  PASSWORD_CHECKS_PER_MINUTE: 60,     // /check-password requests per IP
+  PASSWORD_SETS_PER_MINUTE: 5,        // /set-password requests per IP
+  AUTH_FREE_FAILURES: 3,              // Wrong passwords per IP until lockouts start (this one locks)
+  AUTH_BASE_LOCKOUT: 10 * 1000,       // First lockout, doubled with every further failure
+  AUTH_MAX_LOCKOUT: 15 * 60 * 1000,   // Longest lockout
+  AUTH_FAILURE_RESET: 60 * 60 * 1000, // Failures are forgotten after an hour without one
+  MESSAGES_PER_SECOND: 500,           // Sustained messages per socket (relay chunks go every 5ms)
+  MESSAGE_BURST: 1000,
+  MAX_MESSAGE_SIZE: 2 * 1024 * 1024,  // Largest accepted message (chat images are ~1MB)
+};
+
+// Idle TTL choices for secure rooms (must match ROOM.EXPIRY_OPTIONS in public/js/config.js)
+const HOUR = 60 * 60 * 1000;
+const ROOM_TTL_OPTIONS = [HOUR, 24 * HOUR, 7 * 24 * HOUR];
+const DEFAULT_ROOM_TTL = 24 * HOUR;
+
+// How long a dropped peer keeps its ID (others see it as reconnecting meanwhile)
+const RESUME_GRACE = 60 * 1000;
+
 export interface Env {
   ROOM: DurableObjectNamespace;
 }
 
+/**
+ * A client connection: a hibernatable WebSocket, or an HTTP session for clients whose network blocks WebSockets
+ */
+type Connection = WebSocket | HttpSession;
+
 interface Peer {
   id: string;
   name: string;
@@ -24,8 +81,11 @@ interface Peer {
   webSocket: WebSocket;
 }
 
+/**
+ * Message sent to clients
+ */
 interface SignalingMessage {
-  type: 'join' | 'leave' | 'offer' | 'answer' | 'ice-candidate' | 'peers' | 'text' | 'peer-joined' | 'peer-left' | 'relay-data' | 'name-changed' | 'key-exchange' | 'file-request' | 'file-response' | 'file-cancel';
+  type: 'auth-init' | 'auth-challenge' | 'auth-proof' | 'auth-ok' | 'room-admin' | 'room-updated' | 'join' | 'leave' | 'offer' | 'answer' | 'ice-candidate' | 'peers' | 'text' | 'peer-joined' | 'peer-left' | 'peer-reconnecting' | 'peer-resumed' | 'relay-data' | 'name-changed' | 'key-exchange' | 'file-request' | 'file-response' | 'file-cancel' | 'file-resume' | 'file-resume-response' | 'file-batch-request' | 'file-batch-response' | 'file-verify' | 'file-retry' | 'file-pause' | 'file-continue';
   from?: string;
   to?: string;
   data?: unknown;
@@ -40,6 +100,45 @@ interface PeerAttachment {
   deviceType: 'desktop' | 'mobile' | 'tablet';
   browserInfo?: string;
   publicKey?: string;
+  capabilities?: string[];
+  owner?: boolean; // Joined with the room's owner token
+  resumeTokenHash?: string; // SHA-256 of the resume token sent in joined
+}
+
+/**
+ * Session of a peer whose socket closed, kept until it resumes or RESUME_GRACE runs out
+ * (stored as resume:<peerId>, survives eviction)
+ */
+interface PendingResume {
+  attachment: PeerAttachment;
+  expiresAt: number;
+}
+
+/**
+ * Attachment of a socket that has not joined yet (password rooms only)
+ * Holds the SRP handshake state until the client's proof arrives
+ */
+interface AuthAttachment {
+  id?: undefined;
+  srp?: SrpServerState;
+  authenticated?: boolean;
+}
+
+/**
+ * Failed password attempts of one IP (stored as authFailures:<ip>, survives eviction)
+ */
+interface AuthFailures {
+  count: number;
+  lastFailureAt: number;
+  lockedUntil: number;
+}
+
+/**
+ * Stored password verifier of a secure room (the password itself is never seen)
+ */
+interface PasswordVerifier {
+  salt: string;
+  verifier: string;
 }
 
 /**
@@ -50,15 +149,42 @@ interface PeerAttachment {
  */
 export class Room {
   private state: DurableObjectState;
-  private passwordHash: string | null; // Password hash for secure rooms (null = no password)
+  private passwordVerifier: PasswordVerifier | null; // SRP verifier for secure rooms (null = no password)
+  private legacyPassword: boolean; // Password room from an older version - stays closed until it expires
+  private ownerTokenHash: string | null; // SHA-256 of the creator's owner token (null = no owner)
+  private locked: boolean; // Locked rooms refuse new joins (except the owner)
+  private ttl: number; // How long stored state survives after the last socket closes (ms)
+  private expiresAt: number | null; // When the expiry alarm fires (null while the room is in use)
+  private joinLimiter = new WindowLimiter(LIMITS.JOINS_PER_MINUTE, 60 * 1000);
+  private checkLimiter = new WindowLimiter(LIMITS.PASSWORD_CHECKS_PER_MINUTE, 60 * 1000);
+  private setLimiter = new WindowLimiter(LIMITS.PASSWORD_SETS_PER_MINUTE, 60 * 1000);
+  private httpSessions = new Map<string, HttpSession>(); // By session ID (in memory - they end with the object)
+  private messageBuckets = new WeakMap<Connection, { bucket: TokenBucket; notifiedAt: number }>();
 
   constructor(state: DurableObjectState, _env: Env) {
     this.state = state;
-    this.passwordHash = null;
-
-    // Load password hash from storage on initialization
+    this.passwordVerifier = null;
+    this.legacyPassword = false;
+    this.ownerTokenHash = null;
+    this.locked = false;
+    this.ttl = DEFAULT_ROOM_TTL;
+    this.expiresAt = null;
+
+    // Load room settings from storage on initialization
     this.state.blockConcurrencyWhile(async () => {
-      this.passwordHash = await this.state.storage.get<string>('passwordHash') || null;
+      this.passwordVerifier = await this.state.storage.get<PasswordVerifier>('passwordVerifier') || null;
+      this.ownerTokenHash = await this.state.storage.get<string>('ownerTokenHash') || null;
+      this.locked = await this.state.storage.get<boolean>('locked') || false;
+      this.ttl = await this.state.storage.get<number>('ttl') || DEFAULT_ROOM_TTL;
+      this.expiresAt = await this.state.storage.get<number>('expiresAt') || null;
+
+      // Rooms created by older versions stored a replayable SHA-256 of the password -
+      // it cannot be turned into a verifier, so the room refuses everyone (rather than falling open)
+      // and has to be created again once it expired
+      this.legacyPassword = !!await this.state.storage.get('passwordHash');
+      if (this.legacyPassword && this.expiresAt === null) {
+        await this.scheduleExpiry();
+      }
     });
   }
 
@@ -69,6 +195,11 @@ export class Room {
       return this.handleWebSocket(request);
     }
 
+    if (url.pathname === '/sse') {
+      // Signaling over HTTP for clients that cannot open a WebSocket
+      return request.method === 'POST' ? this.handleHttpSend(request) : this.handleHttpConnect(request);
+    }
+
     if (url.pathname === '/set-password') {
       // Set room password (only if not already set)
       return this.handleSetPassword(request);
@@ -85,9 +216,19 @@ export class Room {
   /**
    * Check if room requires password
    */
-  private handleCheckPassword(_request: Request): Response {
+  private handleCheckPassword(request: Request): Response {
+    const retryAfter = this.checkLimiter.hit(getClientIp(request));
+    if (retryAfter) {
+      return rateLimitedResponse(retryAfter);
+    }
+
     return new Response(JSON.stringify({
-      hasPassword: this.passwordHash !== null
+      hasPassword: this.passwordVerifier !== null || this.legacyPassword,
+      outdated: this.legacyPassword,
+      locked: this.locked,
+      ttl: this.ttl,
+      // Remaining lifetime while the room is empty (null = in use, or nothing stored)
+      expiresIn: this.expiresAt !== null ? Math.max(0, this.expiresAt - Date.now()) : null
     }), {
       headers: { 'Content-Type': 'application/json' }
     });
@@ -95,15 +236,21 @@ export class Room {
 
   /**
    * Set room password (only if not already set)
-   * This is called by the first user who creates the room with a password
+   * This is called by the first user who creates the room with a password,
+   * who gets back the owner token needed for owner controls (see handleRoomAdmin)
    */
   private async handleSetPassword(request: Request): Promise<Response> {
     if (request.method !== 'POST') {
       return new Response('Method Not Allowed', { status: 405 });
     }
 
+    const retryAfter = this.setLimiter.hit(getClientIp(request));
+    if (retryAfter) {
+      return rateLimitedResponse(retryAfter);
+    }
+
     // Only allow setting password if it's not already set
-    if (this.passwordHash !== null) {
+    if (this.passwordVerifier !== null || this.legacyPassword) {
       return new Response(JSON.stringify({
         success: false,
         error: 'Password already set for this room'
@@ -113,25 +260,50 @@ export class Room {
       });
     }
 
+    // The owner token goes to whoever creates the room - never to a stranger taking over a room in use
+    const pending = await this.state.storage.list({ prefix: 'resume:', limit: 1 });
+    if (this.getConnections().length > 0 || pending.size > 0) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: 'Room is already in use'
+      }), {
+        status: 409,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
     try {
-      const body = await request.json() as { passwordHash: string };
+      const body = await request.json() as { salt: unknown; verifier: unknown; ttl?: unknown };
 
-      if (!body.passwordHash || typeof body.passwordHash !== 'string') {
+      if (typeof body.salt !== 'string' || !/^[0-9a-f]{32}$/.test(body.salt) || !isValidSrpValue(body.verifier)) {
         return new Response(JSON.stringify({
           success: false,
-          error: 'Invalid password hash'
+          error: 'Invalid password verifier'
         }), {
           status: 400,
           headers: { 'Content-Type': 'application/json' }
         });
       }
 
-      // Store password hash
-      this.passwordHash = body.passwordHash;
-      await this.state.storage.put('passwordHash', body.passwordHash);
+      // Store password verifier
+      this.passwordVerifier = { salt: body.salt, verifier: body.verifier };
+      await this.state.storage.put('passwordVerifier', this.passwordVerifier);
+
+      // Only a hash of the owner token is kept
+      const ownerToken = toHex(crypto.getRandomValues(new Uint8Array(32)));
+      this.ownerTokenHash = await sha256Hex(ownerToken);
+      await this.state.storage.put('ownerTokenHash', this.ownerTokenHash);
+
+      this.ttl = ROOM_TTL_OPTIONS.includes(body.ttl as number) ? body.ttl as number : DEFAULT_ROOM_TTL;
+      await this.state.storage.put('ttl', this.ttl);
+
+      // The creator connects right after this - if nobody ever does, the room still expires
+      await this.scheduleExpiry();
 
       return new Response(JSON.stringify({
-        success: true
+        success: true,
+        ownerToken,
+        ttl: this.ttl
       }), {
         headers: { 'Content-Type': 'application/json' }
       });
@@ -146,7 +318,7 @@ export class Room {
     }
   }
 
-  private handleWebSocket(request: Request): Response {
+  private async handleWebSocket(request: Request): Promise<Response> {
     // Check for WebSocket upgrade
     const upgradeHeader = request.headers.get('Upgrade');
     if (!upgradeHeader || upgradeHeader !== 'websocket') {
@@ -155,42 +327,31 @@ export class Room {
 
     // Get room code from header (passed by index.ts)
     const roomCode = request.headers.get('X-Room-Code') || '';
-
-    // Get password hash (will be verified after connection is established)
-    const providedPasswordHash = request.headers.get('X-Room-Password-Hash');
+    const ip = getClientIp(request);
 
     // Create WebSocket pair
     const pair = new WebSocketPair();
     const [client, server] = [pair[0], pair[1]];
 
+    // Too many connections from this IP - answer over the socket so the client can show why
+    const retryAfter = this.joinLimiter.hit(ip);
+    if (retryAfter) {
+      server.accept();
+      this.sendError(server, 'RATE_LIMITED', '连接过于频繁，请稍后再试', { retryAfter });
+      server.close(CLOSE_RATE_LIMITED, 'RATE_LIMITED');
+      return new Response(null, {
+        status: 101,
+        webSocket: client,
+      });
+    }
+
     // Accept the WebSocket with hibernation API
-    // Use tag to store room code (survives hibernation)
-    this.state.acceptWebSocket(server, [roomCode]);
-
-    // If room is password-protected, verify immediately after accept
-    if (this.passwordHash !== null) {
-      if (!providedPasswordHash) {
-        // Send error message then close
-        server.send(JSON.stringify({
-          type: 'error',
-          error: 'PASSWORD_REQUIRED',
-          message: '此房间需要密码'
-        }));
-        server.close(4001, 'PASSWORD_REQUIRED');
-        return new Response(null, { status: 101, webSocket: client });
-      }
+    // Use tags to store room code and client IP (survive hibernation)
+    // In password rooms the client must complete the SRP handshake before it can join
+    this.state.acceptWebSocket(server, [roomCode, ip]);
 
-      if (providedPasswordHash !== this.passwordHash) {
-        // Send error message then close
-        server.send(JSON.stringify({
-          type: 'error',
-          error: 'PASSWORD_INCORRECT',
-          message: '密码错误'
-        }));
-        server.close(4002, 'PASSWORD_INCORRECT');
-        return new Response(null, { status: 101, webSocket: client });
-      }
-    }
+    // Room is in use again - stop the expiry countdown
+    await this.cancelExpiry();
 
     return new Response(null, {
       status: 101,
@@ -198,13 +359,83 @@ export class Room {
     });
   }
 
+  /**
+   * Open an HTTP signaling session (the response is its event stream)
+   * Same admission as handleWebSocket
+   */
+  private async handleHttpConnect(request: Request): Promise<Response> {
+    const roomCode = request.headers.get('X-Room-Code') || '';
+    const ip = getClientIp(request);
+
+    const session = new HttpSession([roomCode, ip], (closed) => this.handleHttpSessionClosed(closed));
+
+    const retryAfter = this.joinLimiter.hit(ip);
+    if (retryAfter) {
+      this.sendError(session, 'RATE_LIMITED', '连接过于频繁，请稍后再试', { retryAfter });
+      session.close(CLOSE_RATE_LIMITED, 'RATE_LIMITED');
+      return session.response;
+    }
+
+    this.httpSessions.set(session.id, session);
+    await this.cancelExpiry();
+
+    return session.response;
+  }
+
+  /**
+   * Handle a batch of messages POSTed to an HTTP session, in order
+   */
+  private async handleHttpSend(request: Request): Promise<Response> {
+    const session = this.httpSessions.get(request.headers.get('X-Session-Id') || '');
+    if (!session) {
+      // Closed or never existed - the client has to connect again
+      return new Response('Unknown session', { status: 410 });
+    }
+
+    const messages = parseMessageBatch(await request.arrayBuffer());
+    if (!messages) {
+      return new Response('Invalid message batch', { status: 400 });
+    }
+
+    session.touch();
+
+    for (const message of messages) {
+      await this.webSocketMessage(session, message);
+    }
+
+    return new Response(null, { status: 204 });
+  }
+
+  /**
+   * An HTTP session ended - same as a WebSocket closing
+   */
+  private async handleHttpSessionClosed(session: HttpSession): Promise<void> {
+    if (!this.httpSessions.delete(session.id)) return; // Never admitted
+
+    await this.webSocketClose(session, 1006, '', false);
+  }
+
+  /**
+   * All client connections: hibernatable WebSockets plus open HTTP sessions
+   */
+  private getConnections(): Connection[] {
+    return [...this.state.getWebSockets(), ...this.httpSessions.values()];
+  }
+
+  /**
+   * Tags of a connection ([room code, client IP])
+   */
+  private getTags(ws: Connection): string[] {
+    return ws instanceof HttpSession ? ws.tags : this.state.getTags(ws);
+  }
+
   /**
    * Get all active peers from WebSocket attachments (survives hibernation)
    * Only returns peers with OPEN WebSocket connections
    */
-  private getActivePeers(): Map<string, { ws: WebSocket; attachment: PeerAttachment }> {
-    const peers = new Map<string, { ws: WebSocket; attachment: PeerAttachment }>();
-    const webSockets = this.state.getWebSockets();
+  private getActivePeers(): Map<string, { ws: Connection; attachment: PeerAttachment }> {
+    const peers = new Map<string, { ws: Connection; attachment: PeerAttachment }>();
+    const webSockets = this.getConnections();
 
     for (const ws of webSockets) {
       const attachment = ws.deserializeAttachment() as PeerAttachment | null;
@@ -223,7 +454,7 @@ export class Room {
   /**
    * Get peer ID from WebSocket attachment
    */
-  private getPeerIdFromWs(ws: WebSocket): string | undefined {
+  private getPeerIdFromWs(ws: Connection): string | undefined {
     const attachment = ws.deserializeAttachment() as PeerAttachment | null;
     return attachment?.id;
   }
@@ -231,15 +462,63 @@ export class Room {
   /**
    * WebSocket message handler (Hibernation API)
    */
-  async webSocketMessage(ws: WebSocket, message: ArrayBuffer | string): Promise<void> {
+  async webSocketMessage(ws: Connection, message: ArrayBuffer | string): Promise<void> {
     try {
+      if (!this.checkMessageLimits(ws, message)) return;
+
+      // Binary relay frames are forwarded as-is (payload is never parsed)
+      if (typeof message !== 'string' && this.isRelayFrame(message)) {
+        this.handleRelayFrame(ws, message);
+        return;
+      }
+
       const data = typeof message === 'string' ? message : new TextDecoder().decode(message);
-      const msg: SignalingMessage = JSON.parse(data);
+      const msg = parseInboundMessage(data);
+      if ('error' in msg) {
+        this.sendError(ws, msg.error, msg.message);
+        return;
+      }
+
+      if (this.legacyPassword) {
+        this.sendError(ws, 'ROOM_OUTDATED', '此房间由旧版本创建，请重新创建房间');
+        ws.close(CLOSE_ROOM_OUTDATED, 'ROOM_OUTDATED');
+        return;
+      }
+
+      // Password rooms: nothing but the handshake until the client has proven the password
+      if (this.passwordVerifier !== null && !this.isAuthorized(ws)) {
+        if (msg.type === 'auth-init') {
+          await this.handleAuthInit(ws, msg);
+        } else if (msg.type === 'auth-proof') {
+          await this.handleAuthProof(ws, msg);
+        } else {
+          this.rejectAuth(ws, 'PASSWORD_REQUIRED');
+        }
+        return;
+      }
+
+      // Handshake in a room without a password (or after passing it) - the client can just join
+      if (msg.type === 'auth-init' || msg.type === 'auth-proof') {
+        this.sendError(ws, 'PASSWORD_NOT_REQUIRED', '此房间不需要密码');
+        return;
+      }
+
+      // Everything else needs a joined peer
+      if (msg.type !== 'join' && msg.type !== 'leave' && !this.getPeerIdFromWs(ws)) {
+        this.sendError(ws, 'NOT_JOINED', '请先加入房间');
+        return;
+      }
 
       switch (msg.type) {
         case 'join':
           await this.handleJoin(ws, msg);
           break;
+        case 'leave':
+          this.handleLeave(ws);
+          break;
+        case 'room-admin':
+          await this.handleRoomAdmin(ws, msg);
+          break;
         case 'offer':
         case 'answer':
         case 'ice-candidate':
@@ -260,37 +539,298 @@ export class Room {
         case 'file-request':
         case 'file-response':
         case 'file-cancel':
+        case 'file-resume':
+        case 'file-resume-response':
+        case 'file-batch-request':
+        case 'file-batch-response':
+        case 'file-verify':
+        case 'file-retry':
+        case 'file-pause':
+        case 'file-continue':
           await this.handleFileSignaling(ws, msg);
           break;
       }
     } catch (error) {
       console.error('WebSocket message error:', error);
+      this.sendError(ws, 'INTERNAL_ERROR', '消息处理失败');
     }
   }
 
   /**
    * WebSocket close handler (Hibernation API)
    */
-  async webSocketClose(ws: WebSocket, _code: number, _reason: string, _wasClean: boolean): Promise<void> {
-    await this.handleLeave(ws);
+  async webSocketClose(ws: Connection, _code: number, _reason: string, _wasClean: boolean): Promise<void> {
+    await this.handleDisconnect(ws);
+    await this.scheduleExpiryIfEmpty(ws);
   }
 
   /**
    * WebSocket error handler (Hibernation API)
    */
-  async webSocketError(ws: WebSocket, _error: unknown): Promise<void> {
-    await this.handleLeave(ws);
+  async webSocketError(ws: Connection, _error: unknown): Promise<void> {
+    await this.handleDisconnect(ws);
+    await this.scheduleExpiryIfEmpty(ws);
+  }
+
+  /**
+   * Alarm handler, shared by two deadlines (see updateAlarm):
+   * - dropped peers that did not resume within RESUME_GRACE are announced as gone
+   * - a room that stayed empty for its whole TTL forgets everything it stored
+   *   (password verifier, owner token, lock) and frees the room code
+   */
+  async alarm(): Promise<void> {
+    const now = Date.now();
+
+    const pending = await this.state.storage.list<PendingResume>({ prefix: 'resume:' });
+    for (const [key, resume] of pending) {
+      if (resume.expiresAt <= now) {
+        await this.state.storage.delete(key);
+        this.broadcast({
+          type: 'peer-left',
+          data: { id: resume.attachment.id },
+        });
+      }
+    }
+
+    if (this.expiresAt !== null && this.expiresAt <= now) {
+      if (!this.hasOpenSockets()) {
+        await this.state.storage.deleteAll();
+        this.passwordVerifier = null;
+        this.legacyPassword = false;
+        this.ownerTokenHash = null;
+        this.locked = false;
+        this.ttl = DEFAULT_ROOM_TTL;
+        this.expiresAt = null;
+        return;
+      }
+
+      this.expiresAt = null;
+      await this.state.storage.delete('expiresAt');
+    }
+
+    await this.updateAlarm();
+  }
+
+  /**
+   * Point the alarm at the earliest deadline: room expiry or the end of a resume grace window
+   */
+  private async updateAlarm(): Promise<void> {
+    const pending = await this.state.storage.list<PendingResume>({ prefix: 'resume:' });
+    const deadlines = Array.from(pending.values(), resume => resume.expiresAt);
+    if (this.expiresAt !== null) {
+      deadlines.push(this.expiresAt);
+    }
+
+    if (deadlines.length > 0) {
+      await this.state.storage.setAlarm(Math.min(...deadlines));
+    } else {
+      await this.state.storage.deleteAlarm();
+    }
+  }
+
+  /**
+   * Whether any socket other than the given one is still open (or still connecting)
+   */
+  private hasOpenSockets(except?: Connection): boolean {
+    return this.getConnections().some(ws =>
+      ws !== except && (ws.readyState === WS_READY_STATE.OPEN || ws.readyState === WS_READY_STATE.CONNECTING));
+  }
+
+  /**
+   * Start the expiry countdown when the last socket is gone
+   */
+  private async scheduleExpiryIfEmpty(closing: Connection): Promise<void> {
+    if (!this.hasOpenSockets(closing)) {
+      await this.scheduleExpiry();
+    }
+  }
+
+  /**
+   * Set the expiry alarm (only rooms that stored something need one)
+   */
+  private async scheduleExpiry(): Promise<void> {
+    if (this.passwordVerifier === null && !this.legacyPassword && this.ownerTokenHash === null && !this.locked) return;
+
+    this.expiresAt = Date.now() + this.ttl;
+    await this.state.storage.put('expiresAt', this.expiresAt);
+    await this.updateAlarm();
+  }
+
+  /**
+   * Stop the expiry countdown
+   */
+  private async cancelExpiry(): Promise<void> {
+    if (this.expiresAt === null) return;
+
+    this.expiresAt = null;
+    await this.state.storage.delete('expiresAt');
+    await this.updateAlarm();
+  }
+
+  /**
+   * Enforce the per-socket size and rate limits
+   * Dropped relay chunks are recovered by the sender's retransmission
+   * @returns false if the message must be dropped
+   */
+  private checkMessageLimits(ws: Connection, message: ArrayBuffer | string): boolean {
+    if (byteLength(message) > LIMITS.MAX_MESSAGE_SIZE) {
+      this.sendError(ws, 'MESSAGE_TOO_LARGE', '消息过大');
+      return false;
+    }
+
+    let entry = this.messageBuckets.get(ws);
+    if (!entry) {
+      entry = { bucket: new TokenBucket(LIMITS.MESSAGE_BURST, LIMITS.MESSAGES_PER_SECOND), notifiedAt: 0 };
+      this.messageBuckets.set(ws, entry);
+    }
+
+    const retryAfter = entry.bucket.take();
+    if (!retryAfter) return true;
+
+    // Tell the client at most once per second, not once per dropped message
+    const now = Date.now();
+    if (now - entry.notifiedAt > 1000) {
+      entry.notifiedAt = now;
+      this.sendError(ws, 'RATE_LIMITED', '消息过于频繁，请稍后再试', { retryAfter });
+    }
+    return false;
+  }
+
+  /**
+   * Send a structured error
+   * @param details - Extra fields for the client, e.g. retryAfter (ms) for rate limits
+   */
+  private sendError(ws: Connection, error: ErrorCode, message: string, details?: Record<string, unknown>): void {
+    try {
+      ws.send(JSON.stringify({ type: 'error', error, message, ...details }));
+    } catch (e) {
+      // Socket already closed
+    }
+  }
+
+  /**
+   * Get the client IP a socket connected from (stored as its second tag)
+   */
+  private getClientIpFromWs(ws: Connection): string {
+    return this.getTags(ws)[1] || 'unknown';
+  }
+
+  /**
+   * Remaining lockout of an IP after too many wrong passwords (0 = may try)
+   */
+  private async getAuthLockout(ip: string): Promise<number> {
+    const failures = await this.state.storage.get<AuthFailures>(`authFailures:${ip}`);
+    return failures ? Math.max(0, failures.lockedUntil - Date.now()) : 0;
+  }
+
+  /**
+   * Count a wrong password; from the AUTH_FREE_FAILURES-th on, each one locks the IP out for twice as long
+   */
+  private async recordAuthFailure(ip: string): Promise<void> {
+    const key = `authFailures:${ip}`;
+    const now = Date.now();
+    const failures = await this.state.storage.get<AuthFailures>(key);
+
+    const count = failures && now - failures.lastFailureAt < LIMITS.AUTH_FAILURE_RESET ? failures.count + 1 : 1;
+    const lockout = count >= LIMITS.AUTH_FREE_FAILURES
+      ? Math.min(LIMITS.AUTH_MAX_LOCKOUT, LIMITS.AUTH_BASE_LOCKOUT * 2 ** (count - LIMITS.AUTH_FREE_FAILURES))
+      : 0;
+
+    await this.state.storage.put(key, { count, lastFailureAt: now, lockedUntil: now + lockout } satisfies AuthFailures);
+  }
+
+  /**
+   * Whether a socket may use the room: it joined already, or it passed the password handshake
+   * (joining replaces the attachment, so a joined socket in a password room has always passed)
+   */
+  private isAuthorized(ws: Connection): boolean {
+    const attachment = ws.deserializeAttachment() as PeerAttachment | AuthAttachment | null;
+    return !!attachment && (!!attachment.id || !!(attachment as AuthAttachment).authenticated);
+  }
+
+  /**
+   * SRP step 1: client sends A, room answers with the salt and B
+   */
+  private async handleAuthInit(ws: Connection, msg: InboundMessage): Promise<void> {
+    const { A } = (msg.data || {}) as { A?: unknown };
+    if (!this.passwordVerifier || !isValidSrpValue(A)) {
+      this.rejectAuth(ws, 'PASSWORD_INCORRECT');
+      return;
+    }
+
+    // Locked out after too many wrong passwords
+    const lockout = await this.getAuthLockout(this.getClientIpFromWs(ws));
+    if (lockout) {
+      this.sendError(ws, 'TOO_MANY_ATTEMPTS', '密码错误次数过多，请稍后再试', { retryAfter: lockout });
+      ws.close(CLOSE_RATE_LIMITED, 'TOO_MANY_ATTEMPTS');
+      return;
+    }
+
+    const { B, state } = await createSrpChallenge(this.passwordVerifier.verifier, A);
+    ws.serializeAttachment({ srp: state } satisfies AuthAttachment);
+    ws.send(JSON.stringify({
+      type: 'auth-challenge',
+      data: { salt: this.passwordVerifier.salt, B },
+    }));
+  }
+
+  /**
+   * SRP step 2: check the client's proof M1 and answer with M2 (proves the room holds the verifier)
+   */
+  private async handleAuthProof(ws: Connection, msg: InboundMessage): Promise<void> {
+    const attachment = ws.deserializeAttachment() as AuthAttachment | null;
+    const { M1 } = (msg.data || {}) as { M1?: unknown };
+    if (!this.passwordVerifier || !attachment?.srp || typeof M1 !== 'string') {
+      this.rejectAuth(ws, 'PASSWORD_INCORRECT');
+      return;
+    }
+
+    const ip = this.getClientIpFromWs(ws);
+    const M2 = await verifySrpProof(this.passwordVerifier.verifier, attachment.srp, M1);
+    if (!M2) {
+      await this.recordAuthFailure(ip);
+      this.rejectAuth(ws, 'PASSWORD_INCORRECT');
+      return;
+    }
+
+    await this.state.storage.delete(`authFailures:${ip}`);
+    ws.serializeAttachment({ authenticated: true } satisfies AuthAttachment);
+    ws.send(JSON.stringify({ type: 'auth-ok', data: { M2 } }));
+  }
+
+  /**
+   * Tell the client the password check failed and close (4001 = required, 4002 = incorrect)
+   */
+  private rejectAuth(ws: Connection, error: 'PASSWORD_REQUIRED' | 'PASSWORD_INCORRECT'): void {
+    this.sendError(ws, error, error === 'PASSWORD_REQUIRED' ? '此房间需要密码' : '密码错误');
+    ws.close(error === 'PASSWORD_REQUIRED' ? 4001 : 4002, error);
   }
 
   /**
    * Handle peer joining the room
    */
-  private async handleJoin(ws: WebSocket, msg: SignalingMessage): Promise<void> {
-    const joinData = msg.data as { name: string; deviceType: 'desktop' | 'mobile' | 'tablet'; browserInfo?: string };
-    const peerId = crypto.randomUUID();
+  private async handleJoin(ws: Connection, msg: InboundMessage): Promise<void> {
+    // Field types and lengths were checked by parseInboundMessage
+    const joinData = (msg.data || {}) as { name?: string; deviceType?: 'desktop' | 'mobile' | 'tablet'; browserInfo?: string; capabilities?: unknown[]; ownerToken?: string; resumeToken?: string };
+    const owner = await this.isOwnerToken(joinData.ownerToken);
+
+    // A peer coming back from a dropped connection gets its old session (and ID) back
+    const previous = await this.takeResumableSession(ws, joinData.resumeToken);
+
+    // Locked rooms only let the owner (and peers that were already inside) back in
+    if (this.locked && !owner && !previous) {
+      this.sendError(ws, 'ROOM_LOCKED', '房间已锁定');
+      ws.close(CLOSE_ROOM_LOCKED, 'ROOM_LOCKED');
+      return;
+    }
+
+    const peerId = previous ? previous.id : crypto.randomUUID();
+
+    // Fresh token for every join - a token resumes a session once
+    const resumeToken = toHex(crypto.getRandomValues(new Uint8Array(32)));
 
     // Get room code from WebSocket tag
-    const tags = this.state.getTags(ws);
+    const tags = this.getTags(ws);
     const roomCode = tags.length > 0 ? tags[0] : '';
 
     // Create peer attachment data
@@ -299,6 +839,9 @@ export class Room {
       name: joinData.name || this.generateName(),
       deviceType: joinData.deviceType || 'desktop',
       browserInfo: joinData.browserInfo,
+      capabilities: KNOWN_CAPABILITIES.filter(c => joinData.capabilities?.includes(c)),
+      owner,
+      resumeTokenHash: await sha256Hex(resumeToken),
     };
 
     // Store peer info in WebSocket attachment (survives hibernation)
@@ -312,31 +855,171 @@ export class Room {
 
     const otherPeers = Array.from(activePeers.entries())
       .filter(([id]) => id !== peerId)
-      .map(([id, { attachment: p }]) => ({ id, name: p.name, deviceType: p.deviceType, browserInfo: p.browserInfo }));
+      .map(([id, { attachment: p }]) => ({ id, name: p.name, deviceType: p.deviceType, browserInfo: p.browserInfo, capabilities: p.capabilities || [] }));
+
+    // Dropped peers that may still come back are listed too, marked as reconnecting
+    const pending = await this.state.storage.list<PendingResume>({ prefix: 'resume:' });
+    const reconnectingPeers = Array.from(pending.values(), ({ attachment: p }) => p)
+      .filter(p => p.id !== peerId && !activePeers.has(p.id))
+      .map(p => ({ id: p.id, name: p.name, deviceType: p.deviceType, browserInfo: p.browserInfo, capabilities: p.capabilities || [], reconnecting: true }));
 
     // Send peer their ID, room code, and list of other peers
     ws.send(JSON.stringify({
       type: 'joined',
       peerId,
       roomCode,
-      peers: otherPeers,
+      peers: [...otherPeers, ...reconnectingPeers],
+      owner,
+      hasPassword: this.passwordVerifier !== null,
+      locked: this.locked,
+      ttl: this.ttl,
+      resumeToken,
+      resumed: !!previous,
     }));
 
-    // Notify other peers about new peer
+    // Notify other peers about new peer (or that a reconnecting one is back)
     this.broadcast({
-      type: 'peer-joined',
-      data: { id: peerId, name: attachment.name, deviceType: attachment.deviceType, browserInfo: attachment.browserInfo },
+      type: previous ? 'peer-resumed' : 'peer-joined',
+      data: { id: peerId, name: attachment.name, deviceType: attachment.deviceType, browserInfo: attachment.browserInfo, capabilities: attachment.capabilities },
     }, peerId);
   }
 
   /**
-   * Handle peer leaving the room
+   * Find the session a resume token belongs to and take it over
+   * - its socket already closed: the session is waiting in storage (see handleDisconnect)
+   * - its socket still looks open (the room has not noticed the drop yet): that socket is closed
+   * @returns The previous attachment, or null if the token is unknown or its grace window is over
+   */
+  private async takeResumableSession(ws: Connection, token: unknown): Promise<PeerAttachment | null> {
+    if (typeof token !== 'string' || !/^[0-9a-f]{64}$/.test(token)) return null;
+    const tokenHash = await sha256Hex(token);
+
+    const pending = await this.state.storage.list<PendingResume>({ prefix: 'resume:' });
+    for (const [key, resume] of pending) {
+      // Expired sessions are left to the alarm, which announces them as gone
+      if (resume.attachment.resumeTokenHash === tokenHash && resume.expiresAt > Date.now()) {
+        await this.state.storage.delete(key);
+        await this.updateAlarm();
+        return resume.attachment;
+      }
+    }
+
+    for (const other of this.getConnections()) {
+      const attachment = other.deserializeAttachment() as PeerAttachment | null;
+      if (other !== ws && attachment?.id && attachment.resumeTokenHash === tokenHash) {
+        other.serializeAttachment({} satisfies AuthAttachment);
+        try {
+          other.close(CLOSE_SESSION_RESUMED, 'SESSION_RESUMED');
+        } catch (e) {
+          // Already closed
+        }
+        return attachment;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a token against the room's owner token hash
+   */
+  private async isOwnerToken(token: unknown): Promise<boolean> {
+    if (!this.ownerTokenHash || typeof token !== 'string' || !/^[0-9a-f]{64}$/.test(token)) return false;
+    return (await sha256Hex(token)) === this.ownerTokenHash;
+  }
+
+  /**
+   * Handle owner controls (only sockets that joined with the owner token)
+   * - set-password: rotate (or set again) the password; everyone else must rejoin with the new one
+   * - remove-password: turn the room into a normal room
+   * - kick: disconnect a peer
+   * - lock: refuse new joins
+   */
+  private async handleRoomAdmin(ws: Connection, msg: InboundMessage): Promise<void> {
+    const attachment = ws.deserializeAttachment() as PeerAttachment | null;
+    if (!attachment?.id) return;
+
+    if (!attachment.owner) {
+      this.sendError(ws, 'NOT_OWNER', '只有房主可以执行此操作');
+      return;
+    }
+
+    const data = (msg.data || {}) as { action?: unknown; salt?: unknown; verifier?: unknown; peerId?: unknown; locked?: unknown };
+
+    switch (data.action) {
+      case 'set-password': {
+        if (typeof data.salt !== 'string' || !/^[0-9a-f]{32}$/.test(data.salt) || !isValidSrpValue(data.verifier)) {
+          this.sendError(ws, 'INVALID_REQUEST', '无效的密码验证数据');
+          return;
+        }
+
+        this.passwordVerifier = { salt: data.salt, verifier: data.verifier };
+        await this.state.storage.put('passwordVerifier', this.passwordVerifier);
+
+        // Other peers still encrypt with the old password - make them rejoin with the new one
+        for (const other of this.getConnections()) {
+          if (other !== ws) {
+            this.evict(other, CLOSE_PASSWORD_CHANGED, 'PASSWORD_CHANGED');
+          }
+        }
+        break;
+      }
+      case 'remove-password':
+        this.passwordVerifier = null;
+        await this.state.storage.delete('passwordVerifier');
+        break;
+      case 'kick': {
+        if (typeof data.peerId !== 'string' || data.peerId === attachment.id) return;
+        const target = this.getActivePeers().get(data.peerId);
+        if (target) {
+          this.evict(target.ws, CLOSE_KICKED, 'KICKED');
+        }
+        return;
+      }
+      case 'lock':
+        this.locked = data.locked === true;
+        await this.state.storage.put('locked', this.locked);
+        break;
+      default:
+        return;
+    }
+
+    this.broadcast({
+      type: 'room-updated',
+      data: { hasPassword: this.passwordVerifier !== null, locked: this.locked },
+    });
+  }
+
+  /**
+   * Close a socket on the room's behalf and tell the others it left
+   * The attachment is cleared first so the close handler does not announce it again
    */
-  private async handleLeave(ws: WebSocket): Promise<void> {
+  private evict(ws: Connection, code: number, reason: string): void {
     const peerId = this.getPeerIdFromWs(ws);
-    
+    ws.serializeAttachment({} satisfies AuthAttachment);
+
+    try {
+      ws.close(code, reason);
+    } catch (e) {
+      // Already closed
+    }
+
+    if (peerId) {
+      this.broadcast({
+        type: 'peer-left',
+        data: { id: peerId },
+      });
+    }
+  }
+
+  /**
+   * Handle peer leaving the room on purpose (tab closed, switched rooms) - gone at once, no resume
+   */
+  private handleLeave(ws: Connection): void {
+    const peerId = this.getPeerIdFromWs(ws);
+    ws.serializeAttachment({} satisfies AuthAttachment);
+
     if (peerId) {
-      // Notify other peers
       this.broadcast({
         type: 'peer-left',
         data: { id: peerId },
@@ -344,44 +1027,52 @@ export class Room {
     }
   }
 
+  /**
+   * Handle a socket that closed without leaving - keep the session for RESUME_GRACE
+   * so the peer can come back under the same ID; the alarm announces it as gone otherwise
+   */
+  private async handleDisconnect(ws: Connection): Promise<void> {
+    const attachment = ws.deserializeAttachment() as PeerAttachment | null;
+    if (!attachment?.id) return;
+
+    ws.serializeAttachment({} satisfies AuthAttachment);
+
+    const resume: PendingResume = { attachment, expiresAt: Date.now() + RESUME_GRACE };
+    await this.state.storage.put(`resume:${attachment.id}`, resume);
+    await this.updateAlarm();
+
+    this.broadcast({
+      type: 'peer-reconnecting',
+      data: { id: attachment.id },
+    }, attachment.id);
+  }
+
   /**
    * Handle WebRTC signaling messages (offer/answer/ice-candidate)
    */
-  private async handleSignaling(ws: WebSocket, msg: SignalingMessage): Promise<void> {
+  private async handleSignaling(ws: Connection, msg: InboundMessage): Promise<void> {
     if (!msg.to) return;
 
     const fromPeerId = this.getPeerIdFromWs(ws);
     if (!fromPeerId) return;
 
-    // Find target peer - iterate through all WebSockets
-    const webSockets = this.state.getWebSockets();
-    for (const targetWs of webSockets) {
-      try {
-        const attachment = targetWs.deserializeAttachment() as PeerAttachment | null;
-        if (attachment && attachment.id === msg.to) {
-          targetWs.send(JSON.stringify({
-            type: msg.type,
-            from: fromPeerId,
-            data: msg.data,
-          }));
-          break;
-        }
-      } catch (e) {
-        console.error(`[Room] Failed to send signaling to ${msg.to}:`, e);
-      }
-    }
+    this.routeToPeer(ws, msg.to, {
+      type: msg.type,
+      from: fromPeerId,
+      data: msg.data,
+    });
   }
 
   /**
    * Handle text messages between peers
    */
-  private async handleText(ws: WebSocket, msg: SignalingMessage): Promise<void> {
+  private async handleText(ws: Connection, msg: InboundMessage): Promise<void> {
     if (!msg.to) return;
 
     const fromPeerId = this.getPeerIdFromWs(ws);
     if (!fromPeerId) return;
 
-    this.sendToPeer(msg.to, {
+    this.routeToPeer(ws, msg.to, {
       type: 'text',
       from: fromPeerId,
       data: msg.data,
@@ -392,29 +1083,51 @@ export class Room {
    * Handle relay data messages (fallback when P2P fails)
    * Forwards binary data chunks between peers via WebSocket
    */
-  private async handleRelayData(ws: WebSocket, msg: SignalingMessage): Promise<void> {
+  private async handleRelayData(ws: Connection, msg: InboundMessage): Promise<void> {
     if (!msg.to) return;
 
     const fromPeerId = this.getPeerIdFromWs(ws);
     if (!fromPeerId) return;
 
-    this.sendToPeer(msg.to, {
+    this.routeToPeer(ws, msg.to, {
       type: 'relay-data',
       from: fromPeerId,
       data: msg.data,
     });
   }
 
+  /**
+   * Check if a binary message is a relay frame
+   */
+  private isRelayFrame(message: ArrayBuffer): boolean {
+    return message.byteLength >= RELAY_FRAME_HEADER_SIZE && new Uint8Array(message)[0] === RELAY_FRAME_VERSION;
+  }
+
+  /**
+   * Handle a binary relay frame (chunk data when P2P fails)
+   * Swaps the target peer ID in the header for the sender's and forwards the frame unchanged otherwise
+   */
+  private handleRelayFrame(ws: Connection, frame: ArrayBuffer): void {
+    const fromPeerId = this.getPeerIdFromWs(ws);
+    if (!fromPeerId) return;
+
+    const header = new Uint8Array(frame, RELAY_FRAME_PEER_OFFSET, 16);
+    const targetPeerId = bytesToUuid(header);
+    header.set(uuidToBytes(fromPeerId));
+
+    this.sendToPeer(targetPeerId, frame);
+  }
+
   /**
    * Handle key exchange messages (for relay mode encryption)
    */
-  private async handleKeyExchange(ws: WebSocket, msg: SignalingMessage): Promise<void> {
+  private async handleKeyExchange(ws: Connection, msg: InboundMessage): Promise<void> {
     if (!msg.to) return;
 
     const fromPeerId = this.getPeerIdFromWs(ws);
     if (!fromPeerId) return;
 
-    this.sendToPeer(msg.to, {
+    this.routeToPeer(ws, msg.to, {
       type: 'key-exchange',
       from: fromPeerId,
       data: msg.data,
@@ -425,31 +1138,41 @@ export class Room {
    * Handle file request/response signaling messages
    * Used for file transfer confirmation flow
    */
-  private async handleFileSignaling(ws: WebSocket, msg: SignalingMessage): Promise<void> {
+  private async handleFileSignaling(ws: Connection, msg: InboundMessage): Promise<void> {
     if (!msg.to) return;
 
     const fromPeerId = this.getPeerIdFromWs(ws);
     if (!fromPeerId) return;
 
-    this.sendToPeer(msg.to, {
-      type: msg.type, // 'file-request' or 'file-response' or 'file-cancel'
+    this.routeToPeer(ws, msg.to, {
+      type: msg.type, // 'file-request', 'file-response', 'file-cancel', 'file-resume(-response)', 'file-batch-*', 'file-verify', 'file-retry' or 'file-pause'/'file-continue'
       from: fromPeerId,
       data: msg.data,
     });
   }
 
+  /**
+   * Forward a message to the peer it is addressed to, or tell the sender that peer is gone
+   */
+  private routeToPeer(ws: Connection, to: string, message: SignalingMessage): void {
+    if (!this.sendToPeer(to, message)) {
+      this.sendError(ws, 'PEER_NOT_FOUND', '目标设备不在房间中', { to, messageType: message.type });
+    }
+  }
+
   /**
    * Send message to a specific peer by ID
    * Iterates through all WebSockets to find the target
+   * Objects are sent as JSON, ArrayBuffers (relay frames) as binary
    */
-  private sendToPeer(targetPeerId: string, message: object): boolean {
-    const webSockets = this.state.getWebSockets();
+  private sendToPeer(targetPeerId: string, message: object | ArrayBuffer): boolean {
+    const webSockets = this.getConnections();
 
     for (const ws of webSockets) {
       try {
         const attachment = ws.deserializeAttachment() as PeerAttachment | null;
         if (attachment && attachment.id === targetPeerId) {
-          ws.send(JSON.stringify(message));
+          ws.send(message instanceof ArrayBuffer ? message : JSON.stringify(message));
           return true;
         }
       } catch (e) {
@@ -466,7 +1189,7 @@ export class Room {
    */
   private broadcast(msg: SignalingMessage, excludePeerId?: string): void {
     const message = JSON.stringify(msg);
-    const webSockets = this.state.getWebSockets();
+    const webSockets = this.getConnections();
 
     for (const ws of webSockets) {
       try {
@@ -499,11 +1222,11 @@ export class Room {
   /**
    * Handle peer name change
    */
-  private async handleNameChanged(ws: WebSocket, msg: SignalingMessage): Promise<void> {
+  private async handleNameChanged(ws: Connection, msg: InboundMessage): Promise<void> {
     const senderId = (ws.deserializeAttachment() as PeerAttachment | null)?.id;
     if (!senderId) return;
 
-    const nameData = msg.data as { name: string };
+    const nameData = msg.data as { name: string }; // 1..MAX_NAME_LENGTH characters, checked by parseInboundMessage
     
     // Update peer attachment with new name
     const attachment = ws.deserializeAttachment() as PeerAttachment | null;
@@ -520,3 +1243,47 @@ export class Room {
     }, senderId);
   }
 }
+
+/**
+ * 429 reply for the HTTP room APIs (retryAfter in ms)
+ */
+function rateLimitedResponse(retryAfter: number): Response {
+  return new Response(JSON.stringify({
+    success: false,
+    error: 'RATE_LIMITED',
+    retryAfter
+  }), {
+    status: 429,
+    headers: {
+      'Content-Type': 'application/json',
+      'Retry-After': String(Math.ceil(retryAfter / 1000))
+    }
+  });
+}
+
+/**
+ * SHA-256 of a string, hex-encoded
+ */
+async function sha256Hex(value: string): Promise<string> {
+  return toHex(new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value))));
+}
+
+/**
+ * Convert a UUID string to its 16 bytes
+ */
+function uuidToBytes(uuid: string): Uint8Array {
+  const hex = uuid.replace(/-/g, '');
+  const bytes = new Uint8Array(16);
+  for (let i = 0; i < 16; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+/**
+ * Convert 16 bytes to a UUID string
+ */
+function bytesToUuid(bytes: Uint8Array): string {
+  const hex = toHex(bytes);
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
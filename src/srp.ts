@@ -0,0 +1,129 @@
+/**
+ * CloudDrop - SRP-6a room password verification (server side)
+ * The Room stores only a verifier v = g^x mod N. The handshake never sends the password,
+ * a hash of it or anything replayable, and an eavesdropper cannot test guesses offline.
+ *
+ * Must match public/js/srp.js (group, padding and proof format)
+ */
+
+import { toHex } from './util';
+
+// RFC 5054 2048-bit group
+const N = BigInt('0x' +
+  'AC6BDB41324A9A9BF166DE5E1389582FAF72B6651987EE07FC3192943DB56050A37329CBB4A099ED' +
+  '8193E0757767A13DD52312AB4B03310DCD7F48A9DA04FD50E8083969EDB767B0CF6095179A163AB3' +
+  '661A05FBD5FAAAE82918A9962F0B93B855F97993EC975EEAA80D740ADBF4FF747359D041D5C33EA7' +
+  '1D281E446B14773BCA97B43A23FB801676BD207A436C6481F1D2B9078717461A5B9D32E688F87748' +
+  '544523B524B0D57D5EA77A2775D2ECFA032CFBDBF52FB3786160279004E57AE6AF874E7303CE5329' +
+  '9CCC041C7BC308D82A5698F3A8D0C38271AE35F8E9DBFBB694B5C803D89F7AE435DE236D525F5475' +
+  '9B65E372FCD68EF20FA7111F9E4AFF73');
+const G = 2n;
+const N_BYTES = 256;
+
+// Ephemeral secret size (b)
+const SECRET_BYTES = 32;
+
+/**
+ * Server half of a handshake, kept in the WebSocket attachment until the client's proof arrives
+ */
+export interface SrpServerState {
+  A: string; // Client public value (hex)
+  b: string; // Server secret (hex)
+}
+
+/**
+ * Check that a string is a usable group element (hex, non-zero mod N)
+ */
+export function isValidSrpValue(value: unknown): value is string {
+  if (typeof value !== 'string' || !/^[0-9a-f]{1,512}$/i.test(value)) return false;
+  return BigInt('0x' + value) % N !== 0n;
+}
+
+/**
+ * Start a handshake: pick b and compute B = k*v + g^b
+ * @param verifier - Stored verifier (hex)
+ * @param A - Client public value (hex, already validated)
+ */
+export async function createSrpChallenge(verifier: string, A: string): Promise<{ B: string; state: SrpServerState }> {
+  const b = toHex(crypto.getRandomValues(new Uint8Array(SECRET_BYTES)));
+  const B = await computeB(BigInt('0x' + verifier), BigInt('0x' + b));
+  return { B: B.toString(16), state: { A, b } };
+}
+
+/**
+ * Check the client's proof M1
+ * @returns Server proof M2 (hex) if the client knows the password, otherwise null
+ */
+export async function verifySrpProof(verifier: string, state: SrpServerState, M1: string): Promise<string | null> {
+  const v = BigInt('0x' + verifier);
+  const A = BigInt('0x' + state.A);
+  const b = BigInt('0x' + state.b);
+  const B = await computeB(v, b);
+
+  const u = await hashToBigInt(pad(A), pad(B));
+  if (u === 0n) return null;
+
+  // S = (A * v^u)^b
+  const S = modPow((A * modPow(v, u, N)) % N, b, N);
+  const K = await sha256(pad(S));
+
+  const expected = toHex(await sha256(pad(A), pad(B), K));
+  if (!timingSafeEqual(expected, M1.toLowerCase())) return null;
+
+  return toHex(await sha256(pad(A), fromHex(expected), K));
+}
+
+async function computeB(v: bigint, b: bigint): Promise<bigint> {
+  const k = await hashToBigInt(pad(N), pad(G));
+  return (k * v + modPow(G, b, N)) % N;
+}
+
+function modPow(base: bigint, exponent: bigint, modulus: bigint): bigint {
+  let result = 1n;
+  base %= modulus;
+  while (exponent > 0n) {
+    if (exponent & 1n) result = (result * base) % modulus;
+    base = (base * base) % modulus;
+    exponent >>= 1n;
+  }
+  return result;
+}
+
+/**
+ * Big-endian bytes of a group element, left-padded to the size of N
+ */
+function pad(value: bigint): Uint8Array {
+  return fromHex(value.toString(16).padStart(N_BYTES * 2, '0'));
+}
+
+async function sha256(...parts: Uint8Array[]): Promise<Uint8Array> {
+  const data = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    data.set(part, offset);
+    offset += part.length;
+  }
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+}
+
+async function hashToBigInt(...parts: Uint8Array[]): Promise<bigint> {
+  return BigInt('0x' + toHex(await sha256(...parts)));
+}
+
+function fromHex(hex: string): Uint8Array {
+  const padded = hex.length % 2 ? '0' + hex : hex;
+  const bytes = new Uint8Array(padded.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(padded.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+function timingSafeEqual(a: string, b: string): boolean {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
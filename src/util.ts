@@ -0,0 +1,39 @@
+/**
+ * CloudDrop - Small helpers shared by the worker entry point, the Room and the drop box
+ */
+
+/**
+ * Client IP of a request (the Room gets the worker's headers passed through)
+ * @param fallback - Used when no header is set (e.g. local development)
+ */
+export function getClientIp(request: Request, fallback = 'unknown'): string {
+  return request.headers.get('CF-Connecting-IP') ||
+         request.headers.get('X-Forwarded-For')?.split(',')[0].trim() ||
+         fallback;
+}
+
+/**
+ * Size of a WebSocket message in bytes - a string's length counts UTF-16 code units, not what came over the wire
+ */
+export function byteLength(message: string | ArrayBuffer): number {
+  return typeof message === 'string' ? new TextEncoder().encode(message).byteLength : message.byteLength;
+}
+
+/**
+ * Hex-encode bytes
+ */
+export function toHex(bytes: Uint8Array): string {
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Decode standard base64 (throws on invalid input)
+ */
+export function fromBase64(text: string): Uint8Array {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
@@ -0,0 +1,112 @@
+import { describe, expect, it } from 'vitest';
+import { OrderedChunkWriter } from '../public/js/download.js';
+
+/**
+ * Sink that records what was written (and can be told to fail)
+ */
+function createRecordingSink({ failOn = -1 } = {}) {
+  const sink = {
+    chunks: [],
+    closed: false,
+    aborted: false,
+    async write(chunk) {
+      if (sink.chunks.length === failOn) throw new Error('disk full');
+      sink.chunks.push(chunk[0]);
+    },
+    async close() {
+      sink.closed = true;
+      return { kind: 'test', size: sink.chunks.length };
+    },
+    async abort() {
+      sink.aborted = true;
+    }
+  };
+  return sink;
+}
+
+const chunk = (value) => new Uint8Array([value]);
+
+describe('OrderedChunkWriter', () => {
+  it('writes chunks in index order even when they arrive out of order', async () => {
+    const sink = createRecordingSink();
+    const writer = new OrderedChunkWriter(sink);
+
+    writer.push(2, chunk(2));
+    writer.push(0, chunk(0));
+    writer.push(3, chunk(3));
+    await writer.push(1, chunk(1));
+
+    expect(sink.chunks).toEqual([0, 1, 2, 3]);
+    expect(writer.bytesWritten).toBe(4);
+  });
+
+  it('holds chunks after a gap until the gap is filled', async () => {
+    const sink = createRecordingSink();
+    const writer = new OrderedChunkWriter(sink);
+
+    await writer.push(0, chunk(0));
+    await writer.push(2, chunk(2));
+    expect(sink.chunks).toEqual([0]);
+    expect(writer.buffered.size).toBe(1);
+
+    await writer.push(1, chunk(1));
+    expect(sink.chunks).toEqual([0, 1, 2]);
+    expect(writer.buffered.size).toBe(0);
+  });
+
+  it('ignores duplicates of written and buffered chunks', async () => {
+    const sink = createRecordingSink();
+    const writer = new OrderedChunkWriter(sink);
+
+    await writer.push(0, chunk(0));
+    await writer.push(0, chunk(9));
+    await writer.push(2, chunk(2));
+    await writer.push(2, chunk(9));
+    await writer.push(1, chunk(1));
+
+    expect(sink.chunks).toEqual([0, 1, 2]);
+  });
+
+  it('accepts a promise for the sink', async () => {
+    const sink = createRecordingSink();
+    const writer = new OrderedChunkWriter(Promise.resolve(sink));
+
+    await writer.push(0, chunk(0));
+    expect(sink.chunks).toEqual([0]);
+  });
+
+  it('writes chunks after a remaining gap in order on close', async () => {
+    const sink = createRecordingSink();
+    const writer = new OrderedChunkWriter(sink);
+
+    writer.push(0, chunk(0));
+    writer.push(4, chunk(4));
+    writer.push(2, chunk(2));
+    const result = await writer.close();
+
+    expect(sink.chunks).toEqual([0, 2, 4]);
+    expect(sink.closed).toBe(true);
+    expect(result).toEqual({ kind: 'test', size: 3 });
+  });
+
+  it('rejects push once a write failed', async () => {
+    const sink = createRecordingSink({ failOn: 1 });
+    const writer = new OrderedChunkWriter(sink);
+
+    await writer.push(0, chunk(0));
+    await expect(writer.push(1, chunk(1))).rejects.toThrow('disk full');
+    await expect(writer.push(2, chunk(2))).rejects.toThrow('disk full');
+  });
+
+  it('drops buffered chunks and aborts the sink, ignoring write errors', async () => {
+    const sink = createRecordingSink({ failOn: 0 });
+    const writer = new OrderedChunkWriter(sink);
+
+    writer.push(0, chunk(0)).catch(() => {});
+    writer.push(2, chunk(2));
+    await writer.abort();
+
+    expect(writer.buffered.size).toBe(0);
+    expect(sink.aborted).toBe(true);
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest';
+import { handleDropbox } from '../src/dropbox';
+
+const MAILBOX = 'a'.repeat(64);
+const MAX_DROP_SIZE = 50 * 1024 * 1024 + 64 * 1024;
+
+// Uploads that pass the size checks would reach the bucket - these tests stop before that
+const bucket = {} as R2Bucket;
+
+function upload(headers: Record<string, string>, body: BodyInit | null = 'sealed') {
+  return handleDropbox(new Request(`https://drop.test/api/dropbox/${MAILBOX}`, {
+    method: 'POST',
+    headers: { 'CF-Connecting-IP': '203.0.113.7', ...headers },
+    body,
+  }), bucket);
+}
+
+describe('handleDropbox', () => {
+  it('answers 503 when no bucket is bound', async () => {
+    const response = await handleDropbox(new Request(`https://drop.test/api/dropbox/${MAILBOX}`), undefined);
+    expect(response.status).toBe(503);
+    expect(await response.json()).toMatchObject({ error: 'DROPBOX_DISABLED' });
+  });
+
+  it('rejects malformed mailboxes and drop IDs', async () => {
+    for (const path of ['ABC', `${MAILBOX}/not-a-uuid`, `${MAILBOX.toUpperCase()}`, `${MAILBOX}/x/y`]) {
+      const response = await handleDropbox(new Request(`https://drop.test/api/dropbox/${path}`), bucket);
+      expect(response.status).toBe(400);
+    }
+  });
+
+  it('requires a Content-Length on uploads', async () => {
+    expect((await upload({}, null)).status).toBe(411);
+    expect((await upload({ 'Content-Length': '0' })).status).toBe(411);
+  });
+
+  it('limits uploads by their size in bytes', async () => {
+    const response = await upload({ 'Content-Length': String(MAX_DROP_SIZE + 1) });
+    expect(response.status).toBe(413);
+    expect(await response.json()).toMatchObject({ error: 'DROP_TOO_LARGE' });
+  });
+
+  it('only allows listing, downloading and deleting besides uploads', async () => {
+    const response = await handleDropbox(new Request(`https://drop.test/api/dropbox/${MAILBOX}`, { method: 'PUT', body: 'x' }), bucket);
+    expect(response.status).toBe(405);
+  });
+
+  it('refuses unsigned reads', async () => {
+    const response = await handleDropbox(new Request(`https://drop.test/api/dropbox/${MAILBOX}`), bucket);
+    expect(response.status).toBe(401);
+  });
+});
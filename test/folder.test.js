@@ -0,0 +1,86 @@
+import { describe, expect, it } from 'vitest';
+import { getFolderName, hasFolderPaths, makeUniquePath, sanitizeRelativePath } from '../public/js/folder.js';
+
+describe('sanitizeRelativePath', () => {
+  it('keeps ordinary paths as they are', () => {
+    expect(sanitizeRelativePath('Project/src/index.js')).toBe('Project/src/index.js');
+    expect(sanitizeRelativePath('照片/旅行 2024/海边.jpg')).toBe('照片/旅行 2024/海边.jpg');
+  });
+
+  it('drops empty, . and .. segments so paths cannot leave the target folder', () => {
+    expect(sanitizeRelativePath('../../etc/passwd')).toBe('etc/passwd');
+    expect(sanitizeRelativePath('/abs//./dir/../file.txt')).toBe('abs/dir/file.txt');
+    expect(sanitizeRelativePath('..')).toBe('');
+  });
+
+  it('treats backslashes as separators', () => {
+    expect(sanitizeRelativePath('dir\\sub\\..\\file.txt')).toBe('dir/sub/file.txt');
+  });
+
+  it('replaces characters Windows rejects', () => {
+    expect(sanitizeRelativePath('a<b>c:d"e|f?g*h.txt')).toBe('a_b_c_d_e_f_g_h.txt');
+    expect(sanitizeRelativePath('tab\there\x00.txt')).toBe('tab_here_.txt');
+  });
+
+  it('strips trailing dots and spaces', () => {
+    expect(sanitizeRelativePath('dir. /name.txt. ')).toBe('dir/name.txt');
+  });
+
+  it('renames reserved Windows device names, with or without an extension', () => {
+    expect(sanitizeRelativePath('CON')).toBe('CON_');
+    expect(sanitizeRelativePath('docs/nul.txt')).toBe('docs/nul_.txt');
+    expect(sanitizeRelativePath('com1/Lpt9.tar.gz')).toBe('com1_/Lpt9_.tar.gz');
+    expect(sanitizeRelativePath('aux.')).toBe('aux_');
+  });
+
+  it('leaves names that only start like a device name alone', () => {
+    expect(sanitizeRelativePath('console.log')).toBe('console.log');
+    expect(sanitizeRelativePath('com10.txt')).toBe('com10.txt');
+    expect(sanitizeRelativePath('my-con.txt')).toBe('my-con.txt');
+  });
+
+  it('returns an empty string for missing paths', () => {
+    expect(sanitizeRelativePath(undefined)).toBe('');
+    expect(sanitizeRelativePath('')).toBe('');
+  });
+});
+
+describe('makeUniquePath', () => {
+  it('numbers paths that were already used, ignoring case', () => {
+    const used = new Set();
+    expect(makeUniquePath('dir/a_.txt', used)).toBe('dir/a_.txt');
+    expect(makeUniquePath('dir/A_.txt', used)).toBe('dir/A_ (1).txt');
+    expect(makeUniquePath('dir/a_.txt', used)).toBe('dir/a_ (2).txt');
+  });
+
+  it('adds the suffix before the extension only', () => {
+    const used = new Set(['archive.tar.gz', 'noext', 'dir.v2/.hidden']);
+    expect(makeUniquePath('archive.tar.gz', used)).toBe('archive.tar (1).gz');
+    expect(makeUniquePath('noext', used)).toBe('noext (1)');
+    expect(makeUniquePath('dir.v2/.hidden', used)).toBe('dir.v2/.hidden (1)');
+  });
+});
+
+describe('getFolderName', () => {
+  it('uses the shared top-level folder', () => {
+    const files = [{ path: 'Project/a.txt' }, { path: 'Project/src/b.js' }];
+    expect(getFolderName(files, 'Files')).toBe('Project');
+  });
+
+  it('sanitizes the folder name', () => {
+    expect(getFolderName([{ path: 'CON/a.txt' }], 'Files')).toBe('CON_');
+  });
+
+  it('falls back when files come from several roots', () => {
+    const files = [{ path: 'One/a.txt' }, { path: 'Two/b.txt' }];
+    expect(getFolderName(files, 'Files')).toBe('Files');
+  });
+});
+
+describe('hasFolderPaths', () => {
+  it('checks manifest paths and picked files', () => {
+    expect(hasFolderPaths([{ path: 'a.txt' }])).toBe(false);
+    expect(hasFolderPaths([{ path: 'a.txt' }, { path: 'dir/b.txt' }])).toBe(true);
+    expect(hasFolderPaths([{ name: 'b.txt', webkitRelativePath: 'dir/b.txt' }])).toBe(true);
+  });
+});
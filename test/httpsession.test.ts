@@ -0,0 +1,74 @@
+import { describe, expect, it } from 'vitest';
+import { parseMessageBatch } from '../src/httpsession';
+
+const encoder = new TextEncoder();
+
+/**
+ * Frame messages the way public/js/signaling.js POSTs them
+ */
+function encodeBatch(messages: (string | Uint8Array)[]): ArrayBuffer {
+  const frames = messages.map((message) => {
+    const payload = typeof message === 'string' ? encoder.encode(message) : message;
+    const frame = new Uint8Array(5 + payload.byteLength);
+    const view = new DataView(frame.buffer);
+    view.setUint8(0, typeof message === 'string' ? 0 : 1);
+    view.setUint32(1, payload.byteLength);
+    frame.set(payload, 5);
+    return frame;
+  });
+
+  const body = new Uint8Array(frames.reduce((sum, frame) => sum + frame.byteLength, 0));
+  let offset = 0;
+  for (const frame of frames) {
+    body.set(frame, offset);
+    offset += frame.byteLength;
+  }
+  return body.buffer;
+}
+
+describe('parseMessageBatch', () => {
+  it('splits text and binary frames in order', () => {
+    const binary = new Uint8Array([1, 2, 3, 4]);
+    const messages = parseMessageBatch(encodeBatch(['{"type":"leave"}', binary, '密码']));
+
+    expect(messages).toHaveLength(3);
+    expect(messages![0]).toBe('{"type":"leave"}');
+    expect(new Uint8Array(messages![1] as ArrayBuffer)).toEqual(binary);
+    expect(messages![2]).toBe('密码');
+  });
+
+  it('returns no messages for an empty body (keepalive)', () => {
+    expect(parseMessageBatch(new ArrayBuffer(0))).toEqual([]);
+  });
+
+  it('accepts empty frames', () => {
+    expect(parseMessageBatch(encodeBatch(['']))).toEqual(['']);
+  });
+
+  it('gives binary frames their own buffer', () => {
+    const body = encodeBatch([new Uint8Array([7, 7])]);
+    const [frame] = parseMessageBatch(body)! as ArrayBuffer[];
+
+    new Uint8Array(frame)[0] = 9;
+    expect(new Uint8Array(body)[5]).toBe(7);
+    expect(frame.byteLength).toBe(2);
+  });
+
+  it('rejects a truncated header', () => {
+    const body = encodeBatch(['ok']);
+    expect(parseMessageBatch(body.slice(0, 3))).toBeNull();
+    expect(parseMessageBatch(new Uint8Array([...new Uint8Array(body), 0, 0]).buffer)).toBeNull();
+  });
+
+  it('rejects a frame longer than the body', () => {
+    const body = new Uint8Array(encodeBatch(['hello']));
+    new DataView(body.buffer).setUint32(1, 6);
+    expect(parseMessageBatch(body.buffer)).toBeNull();
+  });
+
+  it('rejects unknown frame kinds', () => {
+    const body = new Uint8Array(encodeBatch(['hello']));
+    body[0] = 2;
+    expect(parseMessageBatch(body.buffer)).toBeNull();
+  });
+});
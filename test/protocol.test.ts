@@ -0,0 +1,80 @@
+import { describe, expect, it } from 'vitest';
+import { MAX_NAME_LENGTH, parseInboundMessage } from '../src/protocol';
+
+const PEER_ID = '0f8e8a90-1234-4abc-8def-0123456789ab';
+
+const parse = (message: unknown) => parseInboundMessage(JSON.stringify(message));
+
+describe('parseInboundMessage', () => {
+  it('passes valid messages through with their data untouched', () => {
+    const data = { name: 'Laptop', deviceType: 'desktop', extra: { kept: true } };
+    expect(parse({ type: 'join', data })).toEqual({ type: 'join', to: undefined, data });
+    expect(parse({ type: 'leave' })).toEqual({ type: 'leave', to: undefined, data: undefined });
+  });
+
+  it('rejects input that is not a typed object', () => {
+    expect(parseInboundMessage('{not json')).toMatchObject({ error: 'INVALID_MESSAGE' });
+    expect(parse(['join'])).toMatchObject({ error: 'INVALID_MESSAGE' });
+    expect(parse({ data: {} })).toMatchObject({ error: 'INVALID_MESSAGE' });
+    expect(parse({ type: 42 })).toMatchObject({ error: 'INVALID_MESSAGE' });
+  });
+
+  it('rejects unknown types, including inherited property names', () => {
+    expect(parse({ type: 'shutdown' })).toMatchObject({ error: 'UNKNOWN_TYPE' });
+    expect(parse({ type: 'toString' })).toMatchObject({ error: 'UNKNOWN_TYPE' });
+    expect(parse({ type: '__proto__' })).toMatchObject({ error: 'UNKNOWN_TYPE' });
+  });
+
+  describe('routed messages', () => {
+    it('need a peer ID in `to` and an object in `data`', () => {
+      expect(parse({ type: 'offer', to: PEER_ID, data: { sdp: 'v=0' } })).toMatchObject({ type: 'offer', to: PEER_ID });
+      expect(parse({ type: 'offer', data: {} })).toMatchObject({ error: 'INVALID_MESSAGE' });
+      expect(parse({ type: 'offer', to: 'not-a-peer', data: {} })).toMatchObject({ error: 'INVALID_MESSAGE' });
+      expect(parse({ type: 'offer', to: PEER_ID })).toMatchObject({ error: 'INVALID_MESSAGE' });
+      expect(parse({ type: 'offer', to: PEER_ID, data: 'text' })).toMatchObject({ error: 'INVALID_MESSAGE' });
+    });
+  });
+
+  describe('field checks', () => {
+    it('require required fields', () => {
+      expect(parse({ type: 'name-changed', data: {} })).toMatchObject({ error: 'INVALID_NAME' });
+      expect(parse({ type: 'auth-proof' })).toMatchObject({ error: 'INVALID_MESSAGE' });
+    });
+
+    it('check types', () => {
+      expect(parse({ type: 'room-admin', data: { action: 'lock', locked: 'yes' } })).toMatchObject({ error: 'INVALID_MESSAGE' });
+      expect(parse({ type: 'join', data: { capabilities: 'binary-relay' } })).toMatchObject({ error: 'INVALID_MESSAGE' });
+      expect(parse({ type: 'join', data: 'Laptop' })).toMatchObject({ error: 'INVALID_MESSAGE' });
+    });
+
+    it('check lengths of strings and arrays', () => {
+      const longName = 'x'.repeat(MAX_NAME_LENGTH + 1);
+      expect(parse({ type: 'name-changed', data: { name: longName } })).toMatchObject({ error: 'INVALID_NAME' });
+      expect(parse({ type: 'name-changed', data: { name: 'x'.repeat(MAX_NAME_LENGTH) } })).toMatchObject({ type: 'name-changed' });
+      expect(parse({ type: 'name-changed', data: { name: '' } })).toMatchObject({ error: 'INVALID_NAME' });
+      expect(parse({ type: 'join', data: { name: '' } })).toMatchObject({ type: 'join' });
+      expect(parse({ type: 'join', data: { capabilities: new Array(17).fill('x') } })).toMatchObject({ error: 'INVALID_MESSAGE' });
+      expect(parse({ type: 'auth-proof', data: { M1: 'ab'.repeat(31) } })).toMatchObject({ error: 'INVALID_MESSAGE' });
+    });
+
+    it('check patterns and allowed values', () => {
+      expect(parse({ type: 'auth-proof', data: { M1: 'ab'.repeat(32) } })).toMatchObject({ type: 'auth-proof' });
+      expect(parse({ type: 'auth-proof', data: { M1: 'zz'.repeat(32) } })).toMatchObject({ error: 'INVALID_MESSAGE' });
+      expect(parse({ type: 'join', data: { deviceType: 'fridge' } })).toMatchObject({ error: 'INVALID_MESSAGE' });
+      expect(parse({ type: 'room-admin', data: { action: 'delete-room' } })).toMatchObject({ error: 'INVALID_MESSAGE' });
+      expect(parse({ type: 'room-admin', data: { action: 'kick', peerId: 'nobody' } })).toMatchObject({ error: 'INVALID_MESSAGE' });
+      expect(parse({ type: 'room-admin', data: { action: 'kick', peerId: PEER_ID } })).toMatchObject({ type: 'room-admin' });
+    });
+
+    it('treat null like a missing field', () => {
+      expect(parse({ type: 'join', data: { name: null, deviceType: null } })).toMatchObject({ type: 'join' });
+      expect(parse({ type: 'auth-init', data: { A: null } })).toMatchObject({ error: 'INVALID_MESSAGE' });
+    });
+  });
+
+  it('names the message type and field in the error message', () => {
+    const result = parse({ type: 'join', data: { deviceType: 'fridge' } });
+    expect(result).toHaveProperty('message');
+    expect((result as { message: string }).message).toContain('join: "deviceType"');
+  });
+});
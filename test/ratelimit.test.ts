@@ -0,0 +1,74 @@
+import { describe, expect, it } from 'vitest';
+import { TokenBucket, WindowLimiter } from '../src/ratelimit';
+
+describe('WindowLimiter', () => {
+  it('allows `limit` hits per window, then reports the wait until the window ends', () => {
+    const limiter = new WindowLimiter(3, 60_000);
+
+    expect(limiter.hit('1.2.3.4', 0)).toBe(0);
+    expect(limiter.hit('1.2.3.4', 1000)).toBe(0);
+    expect(limiter.hit('1.2.3.4', 2000)).toBe(0);
+    expect(limiter.hit('1.2.3.4', 10_000)).toBe(50_000);
+    expect(limiter.hit('1.2.3.4', 59_999)).toBe(1);
+  });
+
+  it('starts a new window once the old one has passed', () => {
+    const limiter = new WindowLimiter(1, 1000);
+
+    expect(limiter.hit('ip', 0)).toBe(0);
+    expect(limiter.hit('ip', 500)).toBe(500);
+    expect(limiter.hit('ip', 1000)).toBe(0);
+    expect(limiter.hit('ip', 1500)).toBe(500);
+  });
+
+  it('counts every key separately', () => {
+    const limiter = new WindowLimiter(1, 1000);
+
+    expect(limiter.hit('a', 0)).toBe(0);
+    expect(limiter.hit('b', 0)).toBe(0);
+    expect(limiter.hit('a', 0)).toBe(1000);
+  });
+
+  it('forgets expired windows of other keys', () => {
+    const limiter = new WindowLimiter(1, 1000);
+    for (let i = 0; i < 100; i++) limiter.hit(`ip-${i}`, 0);
+
+    limiter.hit('late', 2000);
+    expect((limiter as unknown as { hits: Map<string, unknown> }).hits.size).toBe(1);
+  });
+});
+
+describe('TokenBucket', () => {
+  it('allows a burst up to its capacity', () => {
+    const bucket = new TokenBucket(3, 1);
+    const now = Date.now();
+
+    expect(bucket.take(now)).toBe(0);
+    expect(bucket.take(now)).toBe(0);
+    expect(bucket.take(now)).toBe(0);
+    expect(bucket.take(now)).toBe(1000);
+  });
+
+  it('refills at its rate and never beyond capacity', () => {
+    const bucket = new TokenBucket(2, 10);
+    const now = Date.now();
+
+    bucket.take(now);
+    bucket.take(now);
+    expect(bucket.take(now)).toBe(100);
+    expect(bucket.take(now + 100)).toBe(0);
+
+    // A long pause only refills up to capacity
+    expect(bucket.take(now + 60_000)).toBe(0);
+    expect(bucket.take(now + 60_000)).toBe(0);
+    expect(bucket.take(now + 60_000)).toBe(100);
+  });
+
+  it('reports the wait for the missing part of a token', () => {
+    const bucket = new TokenBucket(1, 4);
+    const now = Date.now();
+
+    bucket.take(now);
+    expect(bucket.take(now + 125)).toBe(125);
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, expect, it } from 'vitest';
+import { createSrpChallenge, isValidSrpValue, verifySrpProof } from '../src/srp';
+import { answerPasswordChallenge, createPasswordVerifier, startPasswordHandshake } from '../public/js/srp.js';
+
+const ROOM = 'ABC123';
+
+// Hex of the RFC 5054 2048-bit group prime
+const N_HEX =
+  'AC6BDB41324A9A9BF166DE5E1389582FAF72B6651987EE07FC3192943DB56050A37329CBB4A099ED' +
+  '8193E0757767A13DD52312AB4B03310DCD7F48A9DA04FD50E8083969EDB767B0CF6095179A163AB3' +
+  '661A05FBD5FAAAE82918A9962F0B93B855F97993EC975EEAA80D740ADBF4FF747359D041D5C33EA7' +
+  '1D281E446B14773BCA97B43A23FB801676BD207A436C6481F1D2B9078717461A5B9D32E688F87748' +
+  '544523B524B0D57D5EA77A2775D2ECFA032CFBDBF52FB3786160279004E57AE6AF874E7303CE5329' +
+  '9CCC041C7BC308D82A5698F3A8D0C38271AE35F8E9DBFBB694B5C803D89F7AE435DE236D525F5475' +
+  '9B65E372FCD68EF20FA7111F9E4AFF73';
+
+/**
+ * Run a whole handshake between the browser and the Room
+ * @returns The Room's proof (null = rejected) and the one the client expected
+ */
+async function handshake(password: string, verifierPassword: string, roomCode = ROOM) {
+  const { salt, verifier } = await createPasswordVerifier(verifierPassword, ROOM);
+  const { a, A } = startPasswordHandshake();
+  const { B, state } = await createSrpChallenge(verifier, A);
+  const { M1, M2 } = await answerPasswordChallenge({ password, roomCode, a, A, salt, B });
+  return { serverM2: await verifySrpProof(verifier, state, M1), clientM2: M2 };
+}
+
+describe('SRP handshake', () => {
+  it('accepts the right password and both sides agree on the proof', async () => {
+    const { serverM2, clientM2 } = await handshake('correct horse', 'correct horse');
+    expect(serverM2).toBe(clientM2);
+  });
+
+  it('rejects a wrong password', async () => {
+    const { serverM2 } = await handshake('wrong horse', 'correct horse');
+    expect(serverM2).toBeNull();
+  });
+
+  it('binds the verifier to the room code (case-insensitive)', async () => {
+    expect((await handshake('pw123456', 'pw123456', 'abc123')).serverM2).not.toBeNull();
+    expect((await handshake('pw123456', 'pw123456', 'XYZ789')).serverM2).toBeNull();
+  });
+
+  it('salts verifiers, so the same password gives different verifiers', async () => {
+    const first = await createPasswordVerifier('same password', ROOM);
+    const second = await createPasswordVerifier('same password', ROOM);
+    expect(first.salt).not.toBe(second.salt);
+    expect(first.verifier).not.toBe(second.verifier);
+  });
+
+  it('refuses a challenge whose B is a multiple of N', async () => {
+    const { salt } = await createPasswordVerifier('pw123456', ROOM);
+    const { a, A } = startPasswordHandshake();
+    await expect(answerPasswordChallenge({ password: 'pw123456', roomCode: ROOM, a, A, salt, B: N_HEX }))
+      .rejects.toThrow('Invalid server value');
+  });
+});
+
+describe('isValidSrpValue', () => {
+  it('accepts hex group elements', () => {
+    expect(isValidSrpValue('1')).toBe(true);
+    expect(isValidSrpValue(startPasswordHandshake().A)).toBe(true);
+  });
+
+  it('rejects zero and multiples of N', () => {
+    expect(isValidSrpValue('0')).toBe(false);
+    expect(isValidSrpValue(N_HEX)).toBe(false);
+    expect(isValidSrpValue(N_HEX.toLowerCase())).toBe(false);
+  });
+
+  it('rejects anything that is not a short hex string', () => {
+    expect(isValidSrpValue('')).toBe(false);
+    expect(isValidSrpValue('xyz')).toBe(false);
+    expect(isValidSrpValue('f'.repeat(513))).toBe(false);
+    expect(isValidSrpValue(42)).toBe(false);
+    expect(isValidSrpValue(null)).toBe(false);
+  });
+});
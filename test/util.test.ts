@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest';
+import { byteLength, fromBase64, getClientIp, toHex } from '../src/util';
+
+describe('byteLength', () => {
+  it('counts UTF-8 bytes of text messages, not UTF-16 code units', () => {
+    expect(byteLength('hello')).toBe(5);
+    expect(byteLength('密码')).toBe(6);
+    expect(byteLength('📁')).toBe(4);
+  });
+
+  it('keeps a multi-byte message under a character limit from slipping past a byte limit', () => {
+    const limit = 2 * 1024 * 1024;
+    const message = '密'.repeat(limit / 2);
+
+    expect(message.length).toBeLessThan(limit);
+    expect(byteLength(message)).toBeGreaterThan(limit);
+  });
+
+  it('uses the length of binary messages', () => {
+    expect(byteLength(new ArrayBuffer(37))).toBe(37);
+    expect(byteLength(new ArrayBuffer(0))).toBe(0);
+  });
+});
+
+describe('getClientIp', () => {
+  const request = (headers: Record<string, string>) => new Request('https://clouddrop.test/', { headers });
+
+  it('prefers the Cloudflare header', () => {
+    expect(getClientIp(request({ 'CF-Connecting-IP': '203.0.113.7', 'X-Forwarded-For': '198.51.100.1' }))).toBe('203.0.113.7');
+  });
+
+  it('falls back to the first X-Forwarded-For address', () => {
+    expect(getClientIp(request({ 'X-Forwarded-For': ' 198.51.100.1 , 10.0.0.1' }))).toBe('198.51.100.1');
+  });
+
+  it('uses the fallback when no header is set', () => {
+    expect(getClientIp(request({}))).toBe('unknown');
+    expect(getClientIp(request({}), '127.0.0.1')).toBe('127.0.0.1');
+  });
+});
+
+describe('toHex / fromBase64', () => {
+  it('hex-encodes bytes with leading zeros', () => {
+    expect(toHex(new Uint8Array([0, 1, 15, 16, 255]))).toBe('00010f10ff');
+    expect(toHex(new Uint8Array())).toBe('');
+  });
+
+  it('decodes base64 to bytes', () => {
+    expect(Array.from(fromBase64('AAEP/w=='))).toEqual([0, 1, 15, 255]);
+    expect(fromBase64('')).toHaveLength(0);
+  });
+
+  it('throws on invalid base64', () => {
+    expect(() => fromBase64('not base64!')).toThrow();
+  });
+});
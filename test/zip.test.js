@@ -0,0 +1,119 @@
+import { describe, expect, it } from 'vitest';
+import { ZipStreamWriter } from '../public/js/zip.js';
+import { makeUniquePath, sanitizeRelativePath } from '../public/js/folder.js';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * In-memory sink collecting the archive bytes
+ */
+function createBufferSink() {
+  const parts = [];
+  return {
+    async write(chunk) {
+      parts.push(chunk.slice());
+    },
+    async close() {
+      const size = parts.reduce((sum, part) => sum + part.byteLength, 0);
+      const bytes = new Uint8Array(size);
+      let offset = 0;
+      for (const part of parts) {
+        bytes.set(part, offset);
+        offset += part.byteLength;
+      }
+      return { bytes };
+    },
+    async abort() {}
+  };
+}
+
+/**
+ * Read the central directory of a (non-ZIP64) archive
+ */
+function readCentralDirectory(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const eocd = bytes.byteLength - 22;
+  expect(view.getUint32(eocd, true)).toBe(0x06054b50);
+
+  const count = view.getUint16(eocd + 10, true);
+  let pos = view.getUint32(eocd + 16, true);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    expect(view.getUint32(pos, true)).toBe(0x02014b50);
+    const nameLength = view.getUint16(pos + 28, true);
+    const extraLength = view.getUint16(pos + 30, true);
+    const offset = view.getUint32(pos + 42, true);
+    const size = view.getUint32(pos + 24, true);
+    const name = decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+
+    // Stored entry: local header, then the data
+    const localNameLength = view.getUint16(offset + 26, true);
+    const localExtraLength = view.getUint16(offset + 28, true);
+    const dataStart = offset + 30 + localNameLength + localExtraLength;
+
+    entries.push({
+      name,
+      flags: view.getUint16(pos + 8, true),
+      crc: view.getUint32(pos + 16, true),
+      size,
+      data: decoder.decode(bytes.subarray(dataStart, dataStart + size))
+    });
+    pos += 46 + nameLength + extraLength;
+  }
+  return entries;
+}
+
+async function writeArchive(files) {
+  const zip = new ZipStreamWriter(createBufferSink());
+  for (const [path, content] of files) {
+    const sink = zip.createEntrySink(path, content.length);
+    await sink.write(encoder.encode(content));
+    await sink.close();
+  }
+  const { bytes } = await zip.close();
+  return readCentralDirectory(bytes);
+}
+
+describe('ZipStreamWriter', () => {
+  it('writes stored entries with their CRC-32 and size', async () => {
+    const [entry] = await writeArchive([['hello.txt', 'hello world']]);
+
+    expect(entry.name).toBe('hello.txt');
+    expect(entry.crc).toBe(0x0d4a1185);
+    expect(entry.size).toBe(11);
+    expect(entry.data).toBe('hello world');
+  });
+
+  it('stores names as UTF-8 and flags them as such', async () => {
+    const [entry] = await writeArchive([['文件夹/说明.txt', 'x']]);
+
+    expect(entry.name).toBe('文件夹/说明.txt');
+    expect(entry.flags & 0x0800).toBe(0x0800);
+  });
+
+  it('writes one entry at a time when entries are written concurrently', async () => {
+    const zip = new ZipStreamWriter(createBufferSink());
+    const first = zip.createEntrySink('a.txt', 3);
+    const second = zip.createEntrySink('b.txt', 3);
+
+    const writingSecond = second.write(encoder.encode('bbb')).then(() => second.close());
+    await first.write(encoder.encode('aaa'));
+    await first.close();
+    await writingSecond;
+
+    const { bytes } = await zip.close();
+    const entries = readCentralDirectory(bytes);
+    // The entry that started first is finished before the other one begins
+    expect(entries.map(e => [e.name, e.data])).toEqual([['b.txt', 'bbb'], ['a.txt', 'aaa']]);
+  });
+
+  it('packs received folder paths the way the app names them', async () => {
+    const used = new Set();
+    const names = ['../CON.txt', 'dir/a?.txt', 'dir/a*.txt', 'dir/nul']
+      .map(path => makeUniquePath(sanitizeRelativePath(path), used));
+    const entries = await writeArchive(names.map(name => [name, name]));
+
+    expect(entries.map(e => e.name)).toEqual(['CON_.txt', 'dir/a_.txt', 'dir/a_ (1).txt', 'dir/nul_']);
+  });
+});